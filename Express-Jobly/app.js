@@ -8,10 +8,8 @@
  * @requires cors
  * @requires ./expressError
  * @requires ./middleware/auth
- * @requires ./routes/auth
- * @requires ./routes/companies
- * @requires ./routes/users
- * @requires ./routes/jobs
+ * @requires ./routes
+ * @requires ./routes/docs
  * @requires morgan
  */
 
@@ -19,12 +17,10 @@
 
 const express = require("express");
 const cors = require("cors");
-const { NotFoundError } = require("./expressError");
+const { ExpressError, NotFoundError } = require("./expressError");
 const { authenticateJWT } = require("./middleware/auth");
-const authRoutes = require("./routes/auth");
-const companiesRoutes = require("./routes/companies");
-const usersRoutes = require("./routes/users");
-const jobsRoutes = require("./routes/jobs");
+const apiRoutes = require("./routes");
+const docsRoutes = require("./routes/docs");
 const morgan = require("morgan");
 
 /**
@@ -37,10 +33,9 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
-app.use("/auth", authRoutes);
-app.use("/companies", companiesRoutes);
-app.use("/users", usersRoutes);
-app.use("/jobs", jobsRoutes);
+for (const [path, router] of Object.entries(apiRoutes))
+  app.use(path, router);
+app.use(docsRoutes);
 
 /**
  * Handles 404 errors for undefined routes.
@@ -70,10 +65,16 @@ app.use(function (err, req, res, next) {
     console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter)
+    res.set("Retry-After", String(err.retryAfter));
 
-  return res.status(status).json({
-    error: { message, status },
-  });
+  const error = { message, status };
+  if (err instanceof ExpressError && err.code)
+    error.code = err.code;
+  if (err.fields)
+    error.fields = err.fields;
+
+  return res.status(status).json({ error });
 });
 
 module.exports = app;
@@ -5,12 +5,16 @@
  * database URI.
  *
  * @module config
+ * @requires os
+ * @requires path
  * @requires dotenv
  * @requires colors
  */
 
 "use strict";
 
+const os = require("os");
+const path = require("path");
 require("dotenv").config();
 require("colors");
 
@@ -48,9 +52,159 @@ function getDatabaseUri() {
  */
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+/**
+ * The number of results returned per page when a listing request
+ * does not specify a limit.
+ * @type {number}
+ */
+const DEFAULT_PAGE_LIMIT = 20;
+
+/**
+ * The largest page size a listing request may ask for.
+ * @type {number}
+ */
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * How many rows an export reads from the database at a time.
+ * @type {number}
+ */
+const EXPORT_BATCH_SIZE = +process.env.EXPORT_BATCH_SIZE || 500;
+
+/**
+ * How long an access token (JWT) stays valid, in a format accepted by
+ * jsonwebtoken's `expiresIn` option.
+ * @type {string}
+ */
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+/**
+ * How many days a refresh token stays valid before the user must log in again.
+ * @type {number}
+ */
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+/**
+ * How many minutes a password reset link stays valid.
+ * @type {number}
+ */
+const PASSWORD_RESET_TTL_MINUTES = +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
+/**
+ * How many hours an email verification link stays valid.
+ * @type {number}
+ */
+const EMAIL_VERIFICATION_TTL_HOURS = +process.env.EMAIL_VERIFICATION_TTL_HOURS || 48;
+
+/**
+ * Whether users must verify their email address before applying to jobs.
+ * On unless REQUIRE_EMAIL_VERIFICATION is set to "false".
+ * @type {boolean}
+ */
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== "false";
+
+/**
+ * How many wrong passwords in a row lock an account.
+ * @type {number}
+ */
+const LOGIN_MAX_FAILURES = +process.env.LOGIN_MAX_FAILURES || 5;
+
+/**
+ * How many minutes an account stays locked after too many wrong passwords.
+ * @type {number}
+ */
+const LOGIN_LOCKOUT_MINUTES = +process.env.LOGIN_LOCKOUT_MINUTES || 15;
+
+/**
+ * Failed logins allowed for a username, or from an IP address, before each
+ * further attempt has to wait. Shared addresses (offices, NAT) get more room.
+ * @type {{username: number, ip: number}}
+ */
+const LOGIN_FREE_ATTEMPTS = {
+  username: +process.env.LOGIN_FREE_ATTEMPTS_PER_USERNAME || 3,
+  ip: +process.env.LOGIN_FREE_ATTEMPTS_PER_IP || 10,
+};
+
+/**
+ * The first backoff delay in seconds. It doubles with each further failure,
+ * up to LOGIN_BACKOFF_MAX_SECONDS.
+ * @type {number}
+ */
+const LOGIN_BACKOFF_BASE_SECONDS = +process.env.LOGIN_BACKOFF_BASE_SECONDS || 1;
+
+/**
+ * The longest backoff delay in seconds.
+ * @type {number}
+ */
+const LOGIN_BACKOFF_MAX_SECONDS = +process.env.LOGIN_BACKOFF_MAX_SECONDS || 300;
+
+/**
+ * How many minutes failed login attempts are remembered after the last one.
+ * @type {number}
+ */
+const LOGIN_ATTEMPT_WINDOW_MINUTES = +process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15;
+
+/**
+ * How many days deleted companies, jobs and users are kept, so they can be
+ * restored, before the purge command removes them for good.
+ * @type {number}
+ */
+const DELETED_RETENTION_DAYS = +process.env.DELETED_RETENTION_DAYS || 30;
+
+/**
+ * Whether the server runs background maintenance tasks on their schedules.
+ * On unless SCHEDULER_ENABLED is set to "false", and off in tests unless it
+ * is set to "true".
+ * @type {boolean}
+ */
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED
+  ? process.env.SCHEDULER_ENABLED !== "false"
+  : process.env.NODE_ENV !== "test";
+
+/**
+ * Base URL of the front-end, used to build links sent by email.
+ * @type {string}
+ */
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * The address outgoing mail is sent from.
+ * @type {string}
+ */
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.local>";
+
+/**
+ * Directory the default mail transport writes messages to instead of sending them.
+ * Tests use a temporary directory so they don't fill the development outbox.
+ * @type {string}
+ */
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR ||
+  (process.env.NODE_ENV === "test"
+    ? path.join(os.tmpdir(), "jobly-outbox-test")
+    : path.join(__dirname, "outbox"));
+
 module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  EXPORT_BATCH_SIZE,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  REQUIRE_EMAIL_VERIFICATION,
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_BACKOFF_BASE_SECONDS,
+  LOGIN_BACKOFF_MAX_SECONDS,
+  LOGIN_ATTEMPT_WINDOW_MINUTES,
+  DELETED_RETENTION_DAYS,
+  SCHEDULER_ENABLED,
+  FRONTEND_URL,
+  MAIL_FROM,
+  MAIL_OUTBOX_DIR,
   getDatabaseUri,
 };
@@ -57,6 +57,22 @@ class BadRequestError extends ExpressError {
   }
 }
 
+/** 400 BAD REQUEST error for a request that failed schema validation. */
+
+class ValidationError extends BadRequestError {
+  /**
+   * Create a ValidationError.
+   * @param {Object<string, string[]>} fields - The problems with each field,
+   * e.g. `{ minEmployees: ["is not of a type(s) integer"] }`.
+   */
+  constructor(fields) {
+    super(Object.entries(fields)
+      .flatMap(([field, messages]) => messages.map(message => `${field} ${message}`)));
+    this.code = "VALIDATION_FAILED";
+    this.fields = fields;
+  }
+}
+
 /** 403 BAD REQUEST error. */
 
 class ForbiddenError extends ExpressError {
@@ -69,10 +85,27 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 429 TOO MANY REQUESTS error. */
+
+class TooManyRequestsError extends ExpressError {
+  /**
+   * Create a TooManyRequestsError.
+   * @param {string} [message="Too Many Requests"] - The error message.
+   * @param {number} [retryAfter] - Seconds until the client may try again. Sent
+   * as the Retry-After header.
+   */
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
+  ValidationError,
   ForbiddenError,
+  TooManyRequestsError,
 };
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Helper functions for cron-style schedules.
+ * This module parses the five-field schedules used by crontab (minute, hour,
+ * day of month, month and day of week) and works out when they next fall due.
+ * Each field takes `*`, a number, a range (`1-5`), a step (`0-30/10`, or `5/15`
+ * for every 15 from 5) or a comma-separated list of those. Times are in the
+ * server's local time zone.
+ *
+ * @module cron
+ * @requires ../expressError
+ */
+
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Each field's name and allowed values, in schedule order. */
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  // 7 is accepted as another name for Sunday, as in crontab.
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+/** Matches one part of a field: `*` or a range or number, with an optional step. */
+const CRON_PART = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/;
+
+/** No schedule is left without a run for longer than this, leap days included. */
+const MAX_SEARCH_YEARS = 8;
+
+/**
+ * Parses one field of a schedule into the values it allows.
+ *
+ * @param {string} text - The field, e.g. "0-30/10" or "1-5".
+ * @param {Object} field - Its entry in CRON_FIELDS.
+ * @returns {Set<number>} The allowed values.
+ * @throws {BadRequestError} If the field is malformed or out of range.
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = CRON_PART.exec(part);
+    if (!match)
+      throw new BadRequestError(`Invalid ${name} in schedule: ${text}`);
+
+    const [, , first, last, step] = match;
+    const from = first === undefined ? min : +first;
+    // A number with a step, like "5/15", runs from that number to the end.
+    const to = last !== undefined ? +last
+      : first === undefined || step !== undefined ? max : from;
+    const by = step === undefined ? 1 : +step;
+
+    if (from < min || to > max || from > to || by < 1)
+      throw new BadRequestError(`Invalid ${name} in schedule: ${text}`);
+
+    for (let value = from; value <= to; value += by)
+      values.add(value);
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron schedule.
+ *
+ * @function parseCron
+ * @param {string} schedule - The schedule, e.g. "0 3 * * *" for 03:00 every day.
+ * @returns {Object} The allowed values of each field as Sets: `{ minute, hour,
+ * dayOfMonth, month, dayOfWeek }`, plus whether the two day fields were
+ * restricted, since a day matching either one then counts.
+ * @throws {BadRequestError} If the schedule doesn't have five valid fields.
+ *
+ * @example
+ * parseCron("0,30 9-17 * * 1-5").hour;
+ * // Set { 9, 10, 11, 12, 13, 14, 15, 16, 17 }
+ */
+function parseCron(schedule) {
+  const texts = `${schedule}`.trim().split(/\s+/);
+  if (texts.length !== CRON_FIELDS.length)
+    throw new BadRequestError(
+      `Schedule must have ${CRON_FIELDS.length} fields: ${schedule}`);
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(texts[i], field);
+  });
+  if (parsed.dayOfWeek.delete(7))
+    parsed.dayOfWeek.add(0);
+
+  parsed.dayOfMonthRestricted = texts[2] !== "*";
+  parsed.dayOfWeekRestricted = texts[4] !== "*";
+  return parsed;
+}
+
+/**
+ * Checks whether a parsed schedule allows a day. As in crontab, when both the
+ * day of month and day of week are restricted, a day matching either one is allowed.
+ *
+ * @param {Object} cron - A schedule from parseCron.
+ * @param {Date} date - The day to check.
+ * @returns {boolean} True if the schedule runs on that day.
+ */
+function matchesDay(cron, date) {
+  if (!cron.month.has(date.getMonth() + 1))
+    return false;
+
+  const byMonth = cron.dayOfMonth.has(date.getDate());
+  const byWeek = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted)
+    return byMonth || byWeek;
+  return byMonth && byWeek;
+}
+
+/**
+ * Checks whether a schedule falls due in the minute containing `date`.
+ *
+ * @function cronMatches
+ * @param {string|Object} schedule - A schedule, or one already parsed by parseCron.
+ * @param {Date} date - The time to check.
+ * @returns {boolean} True if the schedule runs that minute.
+ * @throws {BadRequestError} If the schedule is invalid.
+ */
+function cronMatches(schedule, date) {
+  const cron = typeof schedule === "string" ? parseCron(schedule) : schedule;
+  return matchesDay(cron, date) &&
+    cron.hour.has(date.getHours()) &&
+    cron.minute.has(date.getMinutes());
+}
+
+/**
+ * Finds the next time a schedule falls due, strictly after `after`.
+ *
+ * @function nextCronRun
+ * @param {string|Object} schedule - A schedule, or one already parsed by parseCron.
+ * @param {Date} [after=new Date()] - The time to search from.
+ * @returns {Date|null} The start of the next matching minute, or null if the
+ * schedule can never run (e.g. "0 0 31 2 *").
+ * @throws {BadRequestError} If the schedule is invalid.
+ *
+ * @example
+ * nextCronRun("0 3 * * *", new Date("2024-05-01T12:00:00"));
+ * // 2024-05-02T03:00:00 local time
+ */
+function nextCronRun(schedule, after = new Date()) {
+  const cron = typeof schedule === "string" ? parseCron(schedule) : schedule;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  // Skip whole days and hours that can't match rather than every minute in them.
+  while (date < limit) {
+    if (!matchesDay(cron, date)) {
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() + 1);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setMinutes(0, 0, 0);
+      date.setHours(date.getHours() + 1);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { parseCron, cronMatches, nextCronRun };
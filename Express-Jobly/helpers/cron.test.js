@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Unit tests for the cron schedule helpers.
+ * This module verifies that five-field schedules are parsed, that bad ones are
+ * rejected, and that the next run is found across hours, days and months.
+ *
+ * @module cron.test
+ * @requires ./cron
+ * @requires ../expressError
+ */
+
+"use strict";
+
+const { parseCron, cronMatches, nextCronRun } = require("./cron");
+const { BadRequestError } = require("../expressError");
+
+describe("parseCron", function () {
+  /** Expands stars, numbers, ranges, steps and lists. */
+  test("works", function () {
+    const cron = parseCron("*/20 9-11 1,15 * 1-5/2");
+    expect([...cron.minute]).toEqual([0, 20, 40]);
+    expect([...cron.hour]).toEqual([9, 10, 11]);
+    expect([...cron.dayOfMonth]).toEqual([1, 15]);
+    expect(cron.month.size).toEqual(12);
+    expect([...cron.dayOfWeek]).toEqual([1, 3, 5]);
+    expect(cron.dayOfMonthRestricted).toEqual(true);
+    expect(cron.dayOfWeekRestricted).toEqual(true);
+  });
+
+  /** A number with a step runs from that number to the end of the field. */
+  test("works: number with a step", function () {
+    expect([...parseCron("45/5 * * * *").minute]).toEqual([45, 50, 55]);
+  });
+
+  /** Treats 7 as Sunday. */
+  test("works: 7 is Sunday", function () {
+    expect([...parseCron("0 0 * * 7").dayOfWeek]).toEqual([0]);
+  });
+
+  /** Rejects schedules with the wrong number of fields. */
+  test("bad request: wrong number of fields", function () {
+    expect(() => parseCron("0 3 * *")).toThrow(BadRequestError);
+    expect(() => parseCron("0 3 * * * *")).toThrow(BadRequestError);
+  });
+
+  /** Rejects malformed and out of range fields. */
+  test("bad request: invalid fields", function () {
+    for (const schedule of ["60 * * * *", "* 24 * * *", "* * 0 * *", "* * * 13 *",
+      "* * * * 8", "5-1 * * * *", "*/0 * * * *", "a * * * *", "1,,2 * * * *"])
+      expect(() => parseCron(schedule)).toThrow(BadRequestError);
+  });
+});
+
+describe("cronMatches", function () {
+  /** Matches the minute a schedule falls due, ignoring seconds. */
+  test("works", function () {
+    expect(cronMatches("30 3 * * *", new Date(2024, 4, 1, 3, 30, 45))).toEqual(true);
+    expect(cronMatches("30 3 * * *", new Date(2024, 4, 1, 3, 31))).toEqual(false);
+  });
+
+  /** A day matching either restricted day field counts. */
+  test("works: day of month or day of week", function () {
+    // 2024-05-01 was a Wednesday and 2024-05-06 a Monday.
+    expect(cronMatches("0 0 1 * 1", new Date(2024, 4, 1))).toEqual(true);
+    expect(cronMatches("0 0 1 * 1", new Date(2024, 4, 6))).toEqual(true);
+    expect(cronMatches("0 0 1 * 1", new Date(2024, 4, 7))).toEqual(false);
+    expect(cronMatches("0 0 * * 1", new Date(2024, 4, 1))).toEqual(false);
+  });
+});
+
+describe("nextCronRun", function () {
+  /** Finds the next run later the same day. */
+  test("works: same day", function () {
+    expect(nextCronRun("*/15 * * * *", new Date(2024, 4, 1, 12, 7, 30)))
+      .toEqual(new Date(2024, 4, 1, 12, 15));
+  });
+
+  /** Never returns the minute it starts in. */
+  test("works: strictly after", function () {
+    expect(nextCronRun("0 3 * * *", new Date(2024, 4, 1, 3, 0)))
+      .toEqual(new Date(2024, 4, 2, 3, 0));
+  });
+
+  /** Carries over into the next month and year. */
+  test("works: next month and year", function () {
+    expect(nextCronRun("0 0 1 * *", new Date(2024, 4, 15)))
+      .toEqual(new Date(2024, 5, 1));
+    expect(nextCronRun("30 6 * 1 1", new Date(2024, 11, 31)))
+      .toEqual(new Date(2025, 0, 6, 6, 30));
+  });
+
+  /** Waits for a leap day. */
+  test("works: leap day", function () {
+    expect(nextCronRun("0 0 29 2 *", new Date(2024, 2, 1)))
+      .toEqual(new Date(2028, 1, 29));
+  });
+
+  /** Returns null for a schedule that can never run. */
+  test("works: never", function () {
+    expect(nextCronRun("0 0 31 2 *", new Date(2024, 0, 1))).toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Helper for reading CSV uploads.
+ * This module parses CSV text (RFC 4180: comma separated, fields optionally
+ * wrapped in double quotes, "" for a quote inside a quoted field) into one
+ * object per row, keyed by the header row.
+ *
+ * @module csv
+ * @requires ../expressError
+ */
+
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/**
+ * Splits CSV text into records of raw field values.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} `[{ line, fields }, ...]` where `line` is the
+ * 1-based line each record starts on. Blank lines are skipped.
+ * @throws {BadRequestError} If a quoted field is never closed.
+ */
+function splitRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+  let blank = true;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (!blank)
+      records.push({ line: startLine, fields });
+    fields = [];
+    field = "";
+    blank = true;
+    startLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n")
+          line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+      blank = false;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+      blank = false;
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n")
+        i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+      if (char.trim())
+        blank = false;
+    }
+  }
+
+  if (quoted)
+    throw new BadRequestError(`Unclosed quote in the record starting on line ${startLine}`);
+  endRecord();
+  return records;
+}
+
+/**
+ * Parses CSV text whose first row names the columns.
+ *
+ * Values are trimmed, and empty values are left out of a row's data so that
+ * they read the same as a missing column.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Object} `{ columns, rows }` where `rows` is `[{ line, data }, ...]`.
+ * A row with the wrong number of fields also has an `error` message.
+ * @throws {BadRequestError} If there is no header row or a column name is
+ * blank or repeated.
+ *
+ * @example
+ * parseCsv("handle,name\nc1,C1\n");
+ * // { columns: ["handle", "name"], rows: [{ line: 2, data: { handle: "c1", name: "C1" } }] }
+ */
+function parseCsv(text) {
+  const [header, ...records] = splitRecords(`${text ?? ""}`.replace(/^\uFEFF/, ""));
+  if (!header)
+    throw new BadRequestError("CSV has no header row");
+
+  const columns = header.fields.map(name => name.trim());
+  for (const [i, name] of columns.entries()) {
+    if (!name)
+      throw new BadRequestError(`CSV column ${i + 1} has no name`);
+    if (columns.indexOf(name) !== i)
+      throw new BadRequestError(`CSV column ${name} appears more than once`);
+  }
+
+  const rows = records.map(({ line, fields }) => {
+    const data = {};
+    columns.forEach((name, i) => {
+      const value = fields[i]?.trim();
+      if (value)
+        data[name] = value;
+    });
+
+    return fields.length === columns.length
+      ? { line, data }
+      : { line, data, error: `Expected ${columns.length} fields but found ${fields.length}` };
+  });
+
+  return { columns, rows };
+}
+
+module.exports = { parseCsv };
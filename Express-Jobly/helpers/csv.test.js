@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Unit tests for the CSV helper.
+ * This module verifies that CSV text is split into rows keyed by the header,
+ * including quoted fields, and that malformed input is reported.
+ *
+ * @module csv.test
+ * @requires ./csv
+ * @requires ../expressError
+ */
+
+"use strict";
+
+const { parseCsv } = require("./csv");
+const { BadRequestError } = require("../expressError");
+
+describe("parseCsv", function () {
+  /** Rows are keyed by the header and numbered by line. */
+  test("works", function () {
+    expect(parseCsv("handle,name\nc1,C1\nc2,C2\n")).toEqual({
+      columns: ["handle", "name"],
+      rows: [
+        { line: 2, data: { handle: "c1", name: "C1" } },
+        { line: 3, data: { handle: "c2", name: "C2" } },
+      ],
+    });
+  });
+
+  /** Quoted fields can hold commas, quotes and line breaks. */
+  test("works: quoted fields", function () {
+    const { rows } = parseCsv('name,description\r\n"A, B","Say ""hi""\nthere"\r\nC,D');
+    expect(rows).toEqual([
+      { line: 2, data: { name: "A, B", description: 'Say "hi"\nthere' } },
+      { line: 4, data: { name: "C", description: "D" } },
+    ]);
+  });
+
+  /** Values are trimmed, empty values are left out and blank lines skipped. */
+  test("works: blanks", function () {
+    const { rows } = parseCsv("\uFEFF handle , name,logoUrl\n c1 ,C1,\n\n   \nc2,,\n");
+    expect(rows).toEqual([
+      { line: 2, data: { handle: "c1", name: "C1" } },
+      { line: 5, data: { handle: "c2" } },
+    ]);
+  });
+
+  /** A row with too few or too many fields is flagged. */
+  test("flags rows with the wrong number of fields", function () {
+    const { rows } = parseCsv("a,b\n1\n1,2,3\n");
+    expect(rows[0].error).toEqual("Expected 2 fields but found 1");
+    expect(rows[1].error).toEqual("Expected 2 fields but found 3");
+  });
+
+  /** Input without a usable header row is rejected. */
+  test("bad request for bad headers", function () {
+    expect(() => parseCsv("")).toThrow(BadRequestError);
+    expect(() => parseCsv("a,,b\n")).toThrow(/column 2 has no name/);
+    expect(() => parseCsv("a,b,a\n")).toThrow(/column a appears more than once/);
+  });
+
+  /** A quote that is never closed is rejected. */
+  test("bad request for unclosed quote", function () {
+    expect(() => parseCsv('a,b\n1,"2\n3,4\n')).toThrow(/starting on line 2/);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Helpers for streaming exports as CSV or JSON Lines.
+ * Rows are read through a server-side cursor a batch at a time and written to
+ * the response as they arrive, so an export's memory use doesn't grow with
+ * the number of rows.
+ *
+ * @module export
+ * @requires ../db
+ * @requires ../config
+ * @requires ../expressError
+ */
+
+"use strict";
+
+const db = require("../db");
+const { EXPORT_BATCH_SIZE } = require("../config");
+const { BadRequestError, ExpressError } = require("../expressError");
+
+/**
+ * The supported export formats.
+ * @type {Object<string, Object>}
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: { contentType: "application/x-ndjson; charset=utf-8", extension: "jsonl" },
+};
+
+/** Text a spreadsheet would treat as the start of a formula. */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Runs a query through a cursor, passing each batch of rows to `onBatch`.
+ * `onBatch` is called at least once, with an empty batch if nothing matches,
+ * so the column names are always known.
+ *
+ * @async
+ * @param {Object} query - The query to run.
+ * @param {string} query.text - The SQL SELECT.
+ * @param {Array} [query.values=[]] - Its parameters.
+ * @param {Function} onBatch - Called with `(rows, columns)` and awaited before
+ * the next batch is read.
+ * @param {number} [batchSize=EXPORT_BATCH_SIZE] - Rows per batch.
+ * @returns {Promise<void>}
+ * @throws {ExpressError} If there is a database error, or `onBatch` throws.
+ */
+async function streamQuery({ text, values = [] }, onBatch, batchSize = EXPORT_BATCH_SIZE) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${text}`, values);
+
+    let result;
+    do {
+      result = await client.query(`FETCH ${batchSize} FROM export_cursor`);
+      await onBatch(result.rows, result.fields.map(field => field.name));
+    } while (result.rows.length === batchSize);
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => null);
+    throw err instanceof ExpressError ? err : new ExpressError(err, 500);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Reads and checks the `format` query parameter.
+ *
+ * @param {Object} query - The request's query parameters.
+ * @returns {string} "csv" (the default) or "jsonl".
+ * @throws {BadRequestError} If the format isn't supported.
+ */
+function getExportFormat({ format = "csv" }) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format))
+    throw new BadRequestError(
+      `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  return format;
+}
+
+/**
+ * Extends a filter schema with the `format` query parameter, for validating
+ * an export's query string.
+ *
+ * @param {Object} schema - The JSON schema for the filters.
+ * @returns {Object} The schema, also allowing `format`.
+ */
+function exportQuerySchema(schema) {
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      format: {
+        type: "string",
+        enum: Object.keys(EXPORT_FORMATS),
+        description: "The file format. Defaults to csv.",
+      },
+    },
+  };
+}
+
+/**
+ * Formats values as one line of CSV. Values that contain a comma, quote or
+ * line break are quoted, and text that a spreadsheet would run as a formula
+ * is prefixed with a single quote.
+ *
+ * @param {Array} values - The values, in column order.
+ * @returns {string} The line, ending in CRLF.
+ */
+function csvLine(values) {
+  return values.map(value => {
+    if (value === null || value === undefined)
+      return "";
+    let text = value instanceof Date ? value.toISOString() : `${value}`;
+    if (typeof value === "string" && FORMULA_START.test(text))
+      text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(",") + "\r\n";
+}
+
+/**
+ * Writes a chunk to the response, waiting for it to drain if its buffer is full.
+ *
+ * @param {Object} res - The Express response.
+ * @param {string} chunk - The text to write.
+ * @returns {Promise<void>}
+ * @throws {Error} If the client disconnects first.
+ */
+function write(res, chunk) {
+  if (res.destroyed)
+    return Promise.reject(new Error("Client closed the connection"));
+  if (res.write(chunk))
+    return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off("close", onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off("drain", onDrain);
+      reject(new Error("Client closed the connection"));
+    };
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+  });
+}
+
+/**
+ * Streams an export to the response as a file download.
+ *
+ * The headers are only set once the first batch arrives, so an error before
+ * then still reaches the error handler as a normal JSON error. An error after
+ * that ends the response early, since its status has already been sent.
+ *
+ * @async
+ * @param {Object} res - The Express response.
+ * @param {Object} options
+ * @param {string} options.format - "csv" or "jsonl".
+ * @param {string} options.filename - The download's name, without an extension.
+ * @param {Function} options.stream - Called with an `onBatch(rows, columns)`
+ * callback; usually a model's export method.
+ * @returns {Promise<void>}
+ * @throws {ExpressError} If the export fails before anything is sent.
+ */
+async function sendExport(res, { format, filename, stream }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  try {
+    await stream(async (rows, columns) => {
+      let chunk = "";
+      if (!res.headersSent) {
+        res.set({
+          "Content-Type": contentType,
+          "Content-Disposition": `attachment; filename="${filename}.${extension}"`,
+        });
+        if (format === "csv")
+          chunk += csvLine(columns);
+      }
+
+      for (const row of rows)
+        chunk += format === "csv"
+          ? csvLine(columns.map(column => row[column]))
+          : `${JSON.stringify(row)}\n`;
+
+      // Writing even an empty chunk sends the headers.
+      await write(res, chunk);
+    });
+    res.end();
+  } catch (err) {
+    if (!res.headersSent)
+      throw err;
+    res.destroy(err);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamQuery,
+  getExportFormat,
+  exportQuerySchema,
+  csvLine,
+  sendExport,
+};
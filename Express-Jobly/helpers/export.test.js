@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Unit tests for the export helpers.
+ * This module verifies CSV formatting, the format parameter, reading a query
+ * through a cursor in batches, and that an export which fails before sending
+ * anything still reports its error.
+ *
+ * @module export.test
+ * @requires ./export
+ * @requires ../expressError
+ * @requires ../models/_testCommon
+ */
+
+"use strict";
+
+const {
+  streamQuery,
+  getExportFormat,
+  exportQuerySchema,
+  csvLine,
+  sendExport
+} = require("./export");
+const { BadRequestError, ExpressError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonAfterAll
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+afterAll(commonAfterAll);
+
+describe("csvLine", function () {
+  /** Values are joined with commas and the line ends in CRLF. */
+  test("works", function () {
+    expect(csvLine(["c1", 1, "0.1", true])).toEqual("c1,1,0.1,true\r\n");
+  });
+
+  /** Missing values are empty and dates are ISO 8601. */
+  test("works: nulls and dates", function () {
+    const date = new Date("2024-01-02T03:04:05.000Z");
+    expect(csvLine([null, undefined, date])).toEqual(",,2024-01-02T03:04:05.000Z\r\n");
+  });
+
+  /** Commas, quotes and line breaks are quoted. */
+  test("quotes special characters", function () {
+    expect(csvLine(["A, B", 'Say "hi"', "two\nlines"]))
+      .toEqual('"A, B","Say ""hi""","two\nlines"\r\n');
+  });
+
+  /** Text that looks like a formula is prefixed so spreadsheets show it as text. */
+  test("neutralizes formulas", function () {
+    expect(csvLine(["=SUM(A1)", "+1", "@me", "-x", "a=b", -5]))
+      .toEqual("'=SUM(A1),'+1,'@me,'-x,a=b,-5\r\n");
+  });
+});
+
+describe("getExportFormat", function () {
+  /** The format defaults to CSV. */
+  test("works", function () {
+    expect(getExportFormat({})).toEqual("csv");
+    expect(getExportFormat({ format: "jsonl" })).toEqual("jsonl");
+  });
+
+  /** Other formats are rejected. */
+  test("bad request for unknown format", function () {
+    expect(() => getExportFormat({ format: "xml" })).toThrow(BadRequestError);
+  });
+});
+
+describe("exportQuerySchema", function () {
+  /** The format is added to the filter's properties. */
+  test("works", function () {
+    const schema = exportQuerySchema({
+      type: "object",
+      properties: { nameLike: { type: "string" } },
+      additionalProperties: false,
+    });
+    expect(Object.keys(schema.properties)).toEqual(["nameLike", "format"]);
+    expect(schema.properties.format.enum).toEqual(["csv", "jsonl"]);
+    expect(schema.additionalProperties).toEqual(false);
+  });
+});
+
+describe("streamQuery", function () {
+  /** Rows arrive in batches of the given size, with the column names. */
+  test("works", async function () {
+    const batches = [];
+    await streamQuery(
+      { text: "SELECT handle, name FROM companies WHERE handle <> $1 ORDER BY handle", values: ["c2"] },
+      (rows, columns) => batches.push({ rows, columns }),
+      1);
+    expect(batches).toEqual([
+      { rows: [{ handle: "c1", name: "C1" }], columns: ["handle", "name"] },
+      { rows: [{ handle: "c3", name: "C3" }], columns: ["handle", "name"] },
+      { rows: [], columns: ["handle", "name"] },
+    ]);
+  });
+
+  /** A query matching nothing still reports its columns once. */
+  test("works: no rows", async function () {
+    const onBatch = jest.fn();
+    await streamQuery({ text: "SELECT handle FROM companies WHERE FALSE" }, onBatch);
+    expect(onBatch.mock.calls).toEqual([[[], ["handle"]]]);
+  });
+
+  /** Database errors are wrapped. */
+  test("fails: bad query", async function () {
+    await expect(streamQuery({ text: "SELECT nope FROM companies" }, jest.fn()))
+      .rejects.toThrow(ExpressError);
+  });
+});
+
+describe("sendExport", function () {
+  /** An error before any headers are sent is passed on to the error handler. */
+  test("rethrows errors before anything is sent", async function () {
+    const res = { headersSent: false, destroy: jest.fn() };
+    const stream = async () => { throw new BadRequestError("nope"); };
+    await expect(sendExport(res, { format: "csv", filename: "x", stream }))
+      .rejects.toThrow(BadRequestError);
+    expect(res.destroy).not.toHaveBeenCalled();
+  });
+});
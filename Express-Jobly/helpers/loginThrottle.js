@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Helper module for throttling login attempts.
+ * Failed logins are counted per username and per client IP address. Once a key
+ * has used up its free attempts, each further attempt must wait for a delay that
+ * doubles with every failure. Counts live in a store: an object with async
+ * `get(key)`, `increment(key, ttlMs)` and `delete(key)` methods, where
+ * `increment` must add a failure atomically so parallel guesses are all
+ * counted. The default store keeps counts in memory, which is fine for a single
+ * server; the server swaps in one that keeps them in the `login_attempts`
+ * table with `setStore`, so every instance sees the same counts.
+ *
+ * This only slows guessing down. Locking an account after repeated failures is
+ * recorded on the user row by the User model.
+ *
+ * @module loginThrottle
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ../config
+ */
+
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError, ExpressError } = require("../expressError");
+const {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_BACKOFF_BASE_SECONDS,
+  LOGIN_BACKOFF_MAX_SECONDS,
+  LOGIN_ATTEMPT_WINDOW_MINUTES
+} = require("../config");
+
+/**
+ * A key's failed logins, as kept in a store.
+ * @typedef {Object} FailureRecord
+ * @property {number} failures - Failed attempts within the window.
+ * @property {number} lastFailureAt - When the last one happened, in milliseconds.
+ */
+
+/**
+ * Creates a store that keeps entries in memory. Expired entries are dropped
+ * when read, and swept out at most once per window when writing.
+ *
+ * @function createMemoryStore
+ * @returns {{get: function, increment: function, delete: function}} The store.
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  let lastSweep = Date.now();
+
+  function sweep(now) {
+    for (const [key, entry] of entries)
+      if (entry.expiresAt <= now)
+        entries.delete(key);
+    lastSweep = now;
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry)
+        return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.record;
+    },
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      if (now - lastSweep > LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000)
+        sweep(now);
+      const entry = entries.get(key);
+      const failures = entry && entry.expiresAt > now ? entry.record.failures : 0;
+      const record = { failures: failures + 1, lastFailureAt: now };
+      entries.set(key, { record, expiresAt: now + ttlMs });
+      return record;
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Creates a store that keeps entries in the `login_attempts` table. Expired
+ * rows are ignored when read, and deleted at most once per window when writing.
+ * Failures are added by a single upsert, so parallel attempts can't overwrite
+ * each other's counts. Times are read from the clock rather than `NOW()`, which
+ * is fixed for the length of a transaction.
+ *
+ * @function createDbStore
+ * @returns {{get: function, increment: function, delete: function}} The store.
+ * @throws {ExpressError} From its methods, if there is a database error.
+ */
+function createDbStore() {
+  let lastSweep = 0;
+
+  async function query(sql, values) {
+    try {
+      return await db.query(sql, values);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+  }
+
+  function toRecord(row) {
+    return row && { failures: row.failures, lastFailureAt: row.lastFailureAt.getTime() };
+  }
+
+  return {
+    async get(key) {
+      const result = await query(
+        `SELECT failures, last_failure_at AS "lastFailureAt"
+        FROM login_attempts
+        WHERE key = $1 AND expires_at > clock_timestamp()`,
+        [key]);
+      return toRecord(result.rows[0]);
+    },
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      if (now - lastSweep > LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000) {
+        await query(`DELETE FROM login_attempts WHERE expires_at <= clock_timestamp()`);
+        lastSweep = now;
+      }
+      const result = await query(
+        `INSERT INTO login_attempts
+          (key, failures, last_failure_at, expires_at)
+        VALUES
+          ($1, 1, clock_timestamp(), clock_timestamp() + $2 * INTERVAL '1 millisecond')
+        ON CONFLICT (key) DO UPDATE SET
+          failures = CASE WHEN login_attempts.expires_at > clock_timestamp()
+            THEN login_attempts.failures + 1 ELSE 1 END,
+          last_failure_at = EXCLUDED.last_failure_at,
+          expires_at = EXCLUDED.expires_at
+        RETURNING failures, last_failure_at AS "lastFailureAt"`,
+        [key, ttlMs]);
+      return toRecord(result.rows[0]);
+    },
+    async delete(key) {
+      await query(`DELETE FROM login_attempts WHERE key = $1`, [key]);
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Replaces the store used to track failed logins.
+ *
+ * @function setStore
+ * @param {{get: function, increment: function, delete: function}} newStore - The store to use.
+ * @returns {Object} The previous store, so callers can restore it.
+ */
+function setStore(newStore) {
+  const previous = store;
+  store = newStore;
+  return previous;
+}
+
+/**
+ * How long to wait after a number of failures before the next attempt.
+ *
+ * @function backoffSeconds
+ * @param {number} failures - Failed attempts so far.
+ * @param {number} freeAttempts - Failures allowed before any wait.
+ * @returns {number} Seconds to wait after the last failure.
+ */
+function backoffSeconds(failures, freeAttempts) {
+  if (failures < freeAttempts)
+    return 0;
+  return Math.min(
+    LOGIN_BACKOFF_BASE_SECONDS * 2 ** (failures - freeAttempts),
+    LOGIN_BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * The store keys an attempt is counted under, with each key's free attempts.
+ *
+ * @param {string} ip - The client's IP address.
+ * @param {string} username - The username being logged in to.
+ * @returns {Array<Array>} `[[key, freeAttempts], ...]`
+ */
+function keysFor(ip, username) {
+  return [
+    [`username:${username}`, LOGIN_FREE_ATTEMPTS.username],
+    [`ip:${ip}`, LOGIN_FREE_ATTEMPTS.ip],
+  ];
+}
+
+/**
+ * Checks that a login attempt may go ahead.
+ *
+ * @async
+ * @function checkLoginAllowed
+ * @param {Object} attempt - The login attempt.
+ * @param {string} attempt.ip - The client's IP address.
+ * @param {string} attempt.username - The username being logged in to.
+ * @returns {Promise<void>}
+ * @throws {TooManyRequestsError} If the username or IP address must still wait.
+ * Its `retryAfter` is the number of seconds left.
+ */
+async function checkLoginAllowed({ ip, username }) {
+  const now = Date.now();
+  let waitMs = 0;
+  for (const [key, freeAttempts] of keysFor(ip, username)) {
+    const record = await store.get(key);
+    if (!record)
+      continue;
+    const readyAt = record.lastFailureAt +
+      backoffSeconds(record.failures, freeAttempts) * 1000;
+    waitMs = Math.max(waitMs, readyAt - now);
+  }
+  if (waitMs > 0)
+    throw new TooManyRequestsError(
+      "Too many failed login attempts. Please try again later.",
+      Math.ceil(waitMs / 1000));
+}
+
+/**
+ * Counts a failed login against the username and the IP address.
+ *
+ * @async
+ * @function recordLoginFailure
+ * @param {Object} attempt - The login attempt.
+ * @param {string} attempt.ip - The client's IP address.
+ * @param {string} attempt.username - The username being logged in to.
+ * @returns {Promise<void>}
+ */
+async function recordLoginFailure({ ip, username }) {
+  for (const [key] of keysFor(ip, username))
+    await store.increment(key, LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+}
+
+/**
+ * Forgets the failed logins counted against a username. Failures counted
+ * against IP addresses are kept, so one known password can't be used to
+ * reset an address that is guessing at others.
+ *
+ * @async
+ * @function clearLoginFailures
+ * @param {string} username - The username to clear.
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(username) {
+  await store.delete(`username:${username}`);
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  backoffSeconds,
+  setStore,
+  createMemoryStore,
+  createDbStore,
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Unit tests for the login throttle helper.
+ * This module verifies the memory and database stores, the backoff delays, and
+ * that failed logins are counted per username and per IP address.
+ *
+ * @module loginThrottle.test
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ../config
+ * @requires ./loginThrottle
+ * @requires ../models/_testCommon
+ */
+
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const { LOGIN_FREE_ATTEMPTS, LOGIN_BACKOFF_MAX_SECONDS } = require("../config");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  backoffSeconds,
+  setStore,
+  createMemoryStore,
+  createDbStore,
+} = require("./loginThrottle");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+afterAll(commonAfterAll);
+
+describe("createMemoryStore", function () {
+  /** Counts, expires and deletes entries. */
+  test("works", async function () {
+    const store = createMemoryStore();
+    expect(await store.increment("a", 60000))
+      .toEqual({ failures: 1, lastFailureAt: expect.any(Number) });
+    expect(await store.increment("a", 60000))
+      .toEqual({ failures: 2, lastFailureAt: expect.any(Number) });
+    await store.increment("b", -1);
+    expect(await store.get("a")).toEqual(expect.objectContaining({ failures: 2 }));
+    expect(await store.get("b")).toBeUndefined();
+    expect(await store.increment("b", 60000)).toEqual(expect.objectContaining({ failures: 1 }));
+    await store.delete("a");
+    expect(await store.get("a")).toBeUndefined();
+  });
+});
+
+describe("createDbStore", function () {
+  beforeAll(commonBeforeAll);
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+
+  /** Counts, expires and deletes entries. */
+  test("works", async function () {
+    const store = createDbStore();
+    expect(await store.increment("a", 60000))
+      .toEqual({ failures: 1, lastFailureAt: expect.any(Number) });
+    expect(await store.increment("a", 60000))
+      .toEqual({ failures: 2, lastFailureAt: expect.any(Number) });
+    await store.increment("b", -1);
+    expect(await store.get("a")).toEqual(expect.objectContaining({ failures: 2 }));
+    expect(await store.get("b")).toBeUndefined();
+    expect(await store.increment("b", 60000)).toEqual(expect.objectContaining({ failures: 1 }));
+    await store.delete("a");
+    expect(await store.get("a")).toBeUndefined();
+  });
+
+  /** Entries are shared by every store, as they are between servers. */
+  test("is shared between stores", async function () {
+    await createDbStore().increment("a", 60000);
+    expect(await createDbStore().get("a")).toEqual(expect.objectContaining({ failures: 1 }));
+  });
+
+  /** Failures recorded at the same time are all counted. */
+  test("counts parallel failures", async function () {
+    const store = createDbStore();
+    await Promise.all(Array.from({ length: 5 }, () => store.increment("a", 60000)));
+    expect(await store.get("a")).toEqual(expect.objectContaining({ failures: 5 }));
+  });
+
+  /** Expired rows are deleted when writing. */
+  test("sweeps expired rows", async function () {
+    const store = createDbStore();
+    await db.query(
+      `INSERT INTO login_attempts (key, failures, last_failure_at, expires_at)
+      VALUES ('old', 1, NOW(), NOW() - INTERVAL '1 minute')`);
+    await store.increment("a", 60000);
+    const result = await db.query("SELECT key FROM login_attempts ORDER BY key");
+    expect(result.rows).toEqual([{ key: "a" }]);
+  });
+});
+
+describe("backoffSeconds", function () {
+  /** No wait during the free attempts, then doubling up to the maximum. */
+  test("works", function () {
+    expect(backoffSeconds(0, 3)).toEqual(0);
+    expect(backoffSeconds(2, 3)).toEqual(0);
+    expect(backoffSeconds(3, 3)).toEqual(1);
+    expect(backoffSeconds(4, 3)).toEqual(2);
+    expect(backoffSeconds(6, 3)).toEqual(8);
+    expect(backoffSeconds(100, 3)).toEqual(LOGIN_BACKOFF_MAX_SECONDS);
+  });
+});
+
+describe("checkLoginAllowed", function () {
+  let previous;
+
+  beforeEach(function () {
+    previous = setStore(createMemoryStore());
+  });
+
+  afterEach(function () {
+    setStore(previous);
+  });
+
+  /** Allows attempts until the username's free attempts are used up. */
+  test("throttles by username", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS.username; i++) {
+      await checkLoginAllowed({ ip: `10.0.0.${i}`, username: "u1" });
+      await recordLoginFailure({ ip: `10.0.0.${i}`, username: "u1" });
+    }
+    await expect(checkLoginAllowed({ ip: "10.0.0.99", username: "u1" }))
+      .rejects.toThrow(TooManyRequestsError);
+    await checkLoginAllowed({ ip: "10.0.0.99", username: "u2" });
+  });
+
+  /** Allows attempts until the IP address's free attempts are used up. */
+  test("throttles by IP address", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS.ip; i++)
+      await recordLoginFailure({ ip: "10.0.0.1", username: `user${i}` });
+    try {
+      await checkLoginAllowed({ ip: "10.0.0.1", username: "other" });
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(1);
+    }
+    await checkLoginAllowed({ ip: "10.0.0.2", username: "other" });
+  });
+
+  /** Parallel failures are all counted against the username. */
+  test("counts parallel failures", async function () {
+    await Promise.all(Array.from({ length: LOGIN_FREE_ATTEMPTS.username }, (_, i) =>
+      recordLoginFailure({ ip: `10.0.0.${i}`, username: "u1" })));
+    await expect(checkLoginAllowed({ ip: "10.0.0.99", username: "u1" }))
+      .rejects.toThrow(TooManyRequestsError);
+  });
+
+  /** Clearing a username's failures lets it try again. */
+  test("clearLoginFailures works", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS.username; i++)
+      await recordLoginFailure({ ip: `10.0.0.${i}`, username: "u1" });
+    await clearLoginFailures("u1");
+    await checkLoginAllowed({ ip: "10.0.0.99", username: "u1" });
+  });
+});
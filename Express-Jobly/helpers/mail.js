@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Helper module for sending email.
+ * This module hides how mail is delivered behind a transport: an object with an
+ * async `send(message)` method. The default transport writes each message to a
+ * JSON file in an outbox directory, which is enough for development and tests;
+ * production can plug in a real transport with `setTransport`.
+ *
+ * @module mail
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ * @requires ../config
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { MAIL_FROM, MAIL_OUTBOX_DIR } = require("../config");
+
+/**
+ * Creates a transport that writes messages to files instead of sending them.
+ *
+ * @function createOutboxTransport
+ * @param {string} dir - Directory to write messages to. Created if missing.
+ * @returns {{send: function(Object): Promise<Object>}} The transport.
+ */
+function createOutboxTransport(dir) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir,
+        `${Date.now()}-${crypto.randomUUID()}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    },
+  };
+}
+
+let transport = createOutboxTransport(MAIL_OUTBOX_DIR);
+
+/**
+ * Replaces the transport used by sendMail.
+ *
+ * @function setTransport
+ * @param {{send: function(Object): Promise<*>}} newTransport - The transport to use.
+ * @returns {Object} The previous transport, so callers can restore it.
+ */
+function setTransport(newTransport) {
+  const previous = transport;
+  transport = newTransport;
+  return previous;
+}
+
+/**
+ * Sends an email through the current transport.
+ *
+ * @async
+ * @function sendMail
+ * @param {Object} message - The message to send.
+ * @param {string} message.to - Recipient address.
+ * @param {string} message.subject - Subject line.
+ * @param {string} message.text - Plain-text body.
+ * @returns {Promise<*>} Whatever the transport returns.
+ */
+async function sendMail({ to, subject, text }) {
+  return await transport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    date: new Date().toISOString(),
+  });
+}
+
+module.exports = { sendMail, setTransport, createOutboxTransport };
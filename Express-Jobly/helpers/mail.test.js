@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Unit tests for the mail helper.
+ * This module verifies that the outbox transport writes messages to disk and that
+ * sendMail uses whichever transport is currently set.
+ *
+ * @module mail.test
+ * @requires fs
+ * @requires os
+ * @requires path
+ * @requires ./mail
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { sendMail, setTransport, createOutboxTransport } = require("./mail");
+
+describe("createOutboxTransport", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-outbox-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /** Writes each message to its own JSON file. */
+  test("works", async function () {
+    const transport = createOutboxTransport(path.join(dir, "nested"));
+    const { file } = await transport.send({ to: "a@b.com", subject: "Hi", text: "Hello" });
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).toEqual({
+      to: "a@b.com",
+      subject: "Hi",
+      text: "Hello",
+    });
+    expect(fs.readdirSync(path.join(dir, "nested")).length).toEqual(1);
+  });
+});
+
+describe("sendMail", function () {
+  /** Sends through the current transport, adding from and date. */
+  test("works", async function () {
+    const sent = [];
+    const previous = setTransport({ send: async message => sent.push(message) });
+    try {
+      await sendMail({ to: "a@b.com", subject: "Hi", text: "Hello" });
+    } finally {
+      setTransport(previous);
+    }
+    expect(sent).toEqual([{
+      from: expect.any(String),
+      to: "a@b.com",
+      subject: "Hi",
+      text: "Hello",
+      date: expect.any(String),
+    }]);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Builds an OpenAPI 3.1 document for the API.
+ * The paths, methods and path parameters come from the Express routers
+ * themselves, whether a route needs a token from the auth middleware it runs,
+ * and its request body, query and parameters from the JSON schemas its
+ * validate middleware checks them against.
+ *
+ * @module openapi
+ * @requires ../package.json
+ */
+
+"use strict";
+
+const { version } = require("../package.json");
+
+/** Middleware that rejects requests without a valid token. */
+const AUTH_MIDDLEWARE = new Set(["ensureLoggedIn", "onlyAdmin", "ensureCorrectUserOrAdmin"]);
+
+/**
+ * Middleware that reads an admin-only query parameter, with the parameter
+ * and its description.
+ */
+const ADMIN_FLAGS = {
+  ensureAdminForDeleted: ["includeDeleted", "Admins only: include soft-deleted records."],
+  ensureAdminForClosed: ["includeClosed", "Admins only: include draft, closed and expired jobs."],
+};
+
+/** Keywords that only make sense at the top of a standalone schema file. */
+const STANDALONE_KEYWORDS = ["$schema", "$id"];
+
+/**
+ * Lists every route handled by the given routers.
+ *
+ * @param {Object<string, Object>} routers - Express routers by the path they are mounted at.
+ * @returns {Array<Object>} `[{ method, path, middleware, schemas }, ...]`, where
+ * `method` is lower case, `path` uses Express's `:param` syntax, `middleware`
+ * names the functions run before the handler, including router-wide ones, and
+ * `schemas` holds the `params`, `query` and `body` schemas of its validate
+ * middleware.
+ */
+function listRoutes(routers) {
+  const routes = [];
+  for (const [prefix, router] of Object.entries(routers)) {
+    const routerMiddleware = router.stack
+      .filter(layer => !layer.route)
+      .map(layer => layer.name);
+
+    for (const { route } of router.stack.filter(layer => layer.route)) {
+      const path = route.path === "/" ? prefix : `${prefix}${route.path}`;
+      const middleware = [...routerMiddleware, ...route.stack.map(layer => layer.name)];
+      const schemas = Object.assign({}, ...route.stack.map(layer => layer.handle.schemas));
+      for (const method of Object.keys(route.methods).filter(m => m !== "_all"))
+        routes.push({ method, path, middleware, schemas });
+    }
+  }
+  return routes;
+}
+
+/**
+ * Converts an Express path to an OpenAPI path template.
+ *
+ * @param {string} path - A path such as `/users/:username`.
+ * @returns {string} The template, such as `/users/{username}`.
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+/**
+ * Copies a schema without the keywords that only apply to a standalone file.
+ *
+ * @param {Object} schema - A JSON schema.
+ * @returns {Object} The schema, ready to embed in the document.
+ */
+function embeddable(schema) {
+  const copy = { ...schema };
+  for (const keyword of STANDALONE_KEYWORDS)
+    delete copy[keyword];
+  return copy;
+}
+
+/**
+ * Builds the OpenAPI document.
+ *
+ * `operations` describes each route, keyed by method and path as in
+ * `"GET /users/:username"`. Each operation may have:
+ * - `summary` - One line describing the route.
+ * - `params`, `query`, `body` - A schema describing that part of the request,
+ *   for routes that don't validate it themselves. `query` may also be a list
+ *   of schemas, whose properties are combined.
+ * - `bodyType` - The body's media type. Defaults to application/json.
+ * - `status` - The status of a successful response. Defaults to 200.
+ * - `response` - A schema for the JSON body of a successful response.
+ * - `produces` - Media types of a successful response other than JSON, which
+ *   are described as text.
+ *
+ * @param {Object<string, Object>} routers - Express routers by the path they are mounted at.
+ * @param {Object<string, Object>} operations - The operations, described above.
+ * @param {Object<string, Object>} [schemas={}] - Schemas the operations refer to as
+ * `#/components/schemas/<name>`, by name.
+ * @returns {Object} The OpenAPI document. Routes without an operation are left out.
+ * @throws {Error} If an operation names a route that doesn't exist.
+ */
+function buildOpenApi(routers, operations, schemas = {}) {
+  const components = {
+    schemas: {
+      Error: {
+        type: "object",
+        properties: {
+          error: {
+            type: "object",
+            properties: {
+              message: {
+                oneOf: [
+                  { type: "string" },
+                  { type: "array", items: { type: "string" } },
+                ],
+              },
+              status: { type: "integer" },
+              code: { type: "string" },
+              fields: {
+                type: "object",
+                additionalProperties: { type: "array", items: { type: "string" } },
+              },
+            },
+          },
+        },
+      },
+      ...schemas,
+    },
+    responses: {
+      Error: {
+        description: "The request failed. The message says why, and for invalid requests, `fields` lists the problems with each field.",
+        content: {
+          "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+        },
+      },
+    },
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+    },
+  };
+
+  /**
+   * A schema from `schemas/` becomes a $ref to the components, where it is
+   * added once under its file name; other schemas are used inline.
+   */
+  const schemaFor = schema => {
+    const name = schema.$id?.match(/^schemas\/(\w+)\.json$/)?.[1];
+    if (!name)
+      return schema;
+    components.schemas[name] ??= embeddable(schema);
+    return { $ref: `#/components/schemas/${name}` };
+  };
+
+  const paths = {};
+  const documented = new Set();
+
+  for (const { method, path, middleware, schemas } of listRoutes(routers)) {
+    const key = `${method.toUpperCase()} ${path}`;
+    const operation = operations[key];
+    if (!operation)
+      continue;
+    documented.add(key);
+
+    const paramsSchema = operation.params ?? schemas.params;
+    const parameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => {
+      const { description, ...schema } = paramsSchema?.properties?.[name] ?? { type: "string" };
+      return { name, in: "path", required: true, description, schema };
+    });
+
+    for (const querySchema of [].concat(operation.query ?? schemas.query ?? []))
+      for (const [name, property] of Object.entries(querySchema.properties)) {
+        const { description, ...schema } = property;
+        parameters.push({
+          name,
+          in: "query",
+          required: querySchema.required?.includes(name) ?? false,
+          description,
+          schema,
+        });
+      }
+
+    for (const [flagMiddleware, [name, description]] of Object.entries(ADMIN_FLAGS))
+      if (middleware.includes(flagMiddleware) && !parameters.some(p => p.name === name))
+        parameters.push({
+          name,
+          in: "query",
+          required: false,
+          description,
+          schema: { type: "string", enum: ["true", "false"] },
+        });
+
+    const status = operation.status ?? 200;
+    const content = {};
+    if (operation.produces)
+      for (const type of operation.produces)
+        content[type] = { schema: { type: "string" } };
+    else
+      content["application/json"] = operation.response ? { schema: operation.response } : {};
+
+    const tag = path.split("/")[1];
+    const entry = {
+      summary: operation.summary,
+      tags: [tag],
+      parameters,
+      responses: {
+        [status]: { description: status === 201 ? "Created" : "OK", content },
+        default: { $ref: "#/components/responses/Error" },
+      },
+    };
+
+    const body = operation.body ?? schemas.body;
+    if (body)
+      entry.requestBody = {
+        required: true,
+        content: {
+          [operation.bodyType ?? "application/json"]: { schema: schemaFor(body) },
+        },
+      };
+
+    if (middleware.some(name => AUTH_MIDDLEWARE.has(name)))
+      entry.security = [{ bearerAuth: [] }];
+
+    paths[toOpenApiPath(path)] ??= {};
+    paths[toOpenApiPath(path)][method] = entry;
+  }
+
+  for (const key of Object.keys(operations))
+    if (!documented.has(key))
+      throw new Error(`Documented route does not exist: ${key}`);
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Jobly API",
+      version,
+      description: "Companies, jobs and the users who apply to them.",
+    },
+    paths,
+    components,
+  };
+}
+
+module.exports = {
+  listRoutes,
+  toOpenApiPath,
+  buildOpenApi,
+};
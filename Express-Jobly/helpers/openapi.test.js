@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Unit tests for the OpenAPI helpers.
+ * This module verifies that routes are read from Express routers and turned
+ * into OpenAPI paths with their parameters, request bodies and security.
+ *
+ * @module openapi.test
+ * @requires express
+ * @requires ../middleware/validate
+ * @requires ./openapi
+ */
+
+"use strict";
+
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const { listRoutes, toOpenApiPath, buildOpenApi } = require("./openapi");
+
+/** Stand-ins for the auth middleware, which are recognised by name. */
+function ensureLoggedIn(req, res, next) { return next(); }
+function ensureAdminForDeleted(req, res, next) { return next(); }
+const handler = (req, res) => res.json({});
+
+/** A small router like the application's. */
+function sampleRouters() {
+  const things = express.Router();
+  things.get("/", ensureAdminForDeleted, validate({ query: SCHEMAS.thingFilter }), handler);
+  things.post("/:id/parts", ensureLoggedIn, validate({ body: SCHEMAS.partNew }), handler);
+
+  const admin = express.Router();
+  admin.use(ensureLoggedIn);
+  admin.delete("/cache", handler);
+
+  return { "/things": things, "/admin": admin };
+}
+
+const SCHEMAS = {
+  thingFilter: {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: "schemas/thingFilter.json",
+    type: "object",
+    properties: { nameLike: { type: "string", description: "Part of the name" } },
+  },
+  partNew: {
+    $id: "schemas/partNew.json",
+    type: "object",
+    properties: { name: { type: "string" } },
+    required: ["name"],
+  },
+};
+
+describe("listRoutes", function () {
+  /**
+   * Routes are listed with their full path, their middleware including
+   * router-wide middleware, and the schemas they validate against.
+   */
+  test("works", function () {
+    expect(listRoutes(sampleRouters())).toEqual([
+      {
+        method: "get",
+        path: "/things",
+        middleware: ["ensureAdminForDeleted", "validateRequest", "handler"],
+        schemas: { query: SCHEMAS.thingFilter },
+      },
+      {
+        method: "post",
+        path: "/things/:id/parts",
+        middleware: ["ensureLoggedIn", "validateRequest", "handler"],
+        schemas: { body: SCHEMAS.partNew },
+      },
+      { method: "delete", path: "/admin/cache", middleware: ["ensureLoggedIn", "handler"], schemas: {} },
+    ]);
+  });
+});
+
+describe("toOpenApiPath", function () {
+  /** Express parameters become path template parameters. */
+  test("works", function () {
+    expect(toOpenApiPath("/users/:username/jobs/:jobId")).toEqual("/users/{username}/jobs/{jobId}");
+  });
+});
+
+describe("buildOpenApi", function () {
+  const operations = {
+    "GET /things": { summary: "List things." },
+    "POST /things/:id/parts": { summary: "Add a part.", status: 201 },
+    "DELETE /admin/cache": {
+      summary: "Clear the cache.",
+      query: { type: "object", properties: { all: { type: "boolean" } } },
+    },
+  };
+
+  /** Query schemas become parameters, and body schemas become components. */
+  test("works", function () {
+    const doc = buildOpenApi(sampleRouters(), operations);
+    expect(doc.openapi).toEqual("3.1.0");
+
+    const list = doc.paths["/things"].get;
+    expect(list.parameters).toEqual([
+      { name: "nameLike", in: "query", required: false, description: "Part of the name", schema: { type: "string" } },
+      expect.objectContaining({ name: "includeDeleted", in: "query" }),
+    ]);
+    expect(list.security).toBeUndefined();
+
+    const add = doc.paths["/things/{id}/parts"].post;
+    expect(add.parameters).toEqual([
+      { name: "id", in: "path", required: true, schema: { type: "string" } },
+    ]);
+    expect(add.requestBody.content["application/json"].schema)
+      .toEqual({ $ref: "#/components/schemas/partNew" });
+    expect(doc.components.schemas.partNew).toEqual({
+      type: "object",
+      properties: { name: { type: "string" } },
+      required: ["name"],
+    });
+    expect(Object.keys(add.responses)).toEqual(["201", "default"]);
+    expect(add.security).toEqual([{ bearerAuth: [] }]);
+
+    const clear = doc.paths["/admin/cache"].delete;
+    expect(clear.parameters).toEqual([
+      { name: "all", in: "query", required: false, schema: { type: "boolean" } },
+    ]);
+    expect(clear.security).toEqual([{ bearerAuth: [] }]);
+  });
+
+  /** Response schemas describe successful responses, and may refer to shared schemas. */
+  test("works: responses", function () {
+    const thing = { type: "object", properties: { id: { type: "integer" } } };
+    const doc = buildOpenApi(sampleRouters(), {
+      ...operations,
+      "GET /things": {
+        summary: "List things.",
+        response: { type: "object", properties: { things: { type: "array", items: { $ref: "#/components/schemas/Thing" } } } },
+      },
+      "DELETE /admin/cache": { summary: "Clear the cache.", produces: ["text/csv"] },
+    }, { Thing: thing });
+
+    expect(doc.components.schemas.Thing).toEqual(thing);
+    expect(doc.paths["/things"].get.responses["200"].content).toEqual({
+      "application/json": {
+        schema: { type: "object", properties: { things: { type: "array", items: { $ref: "#/components/schemas/Thing" } } } },
+      },
+    });
+    expect(doc.paths["/admin/cache"].delete.responses["200"].content).toEqual({
+      "text/csv": { schema: { type: "string" } },
+    });
+    // Operations without a response schema say nothing about the body
+    expect(doc.paths["/things/{id}/parts"].post.responses["201"].content)
+      .toEqual({ "application/json": {} });
+  });
+
+  /** Routes without an operation are left out. */
+  test("skips undocumented routes", function () {
+    const { "DELETE /admin/cache": _, ...rest } = operations;
+    const doc = buildOpenApi(sampleRouters(), rest);
+    expect(doc.paths["/admin/cache"]).toBeUndefined();
+  });
+
+  /** An operation for a route that doesn't exist is an error. */
+  test("fails for operations without a route", function () {
+    expect(() => buildOpenApi(sampleRouters(),
+      { ...operations, "GET /nope": { summary: "Gone." } }))
+      .toThrow("Documented route does not exist: GET /nope");
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Helper functions for paginated listings.
+ * This module reads page options from a request's query string and builds the
+ * pagination metadata (total counts and next/prev links) returned with listings.
+ *
+ * @module pagination
+ * @requires ../config
+ */
+
+"use strict";
+
+const { DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT } = require("../config");
+
+/**
+ * Reads `page` and `limit` from a query object, applying defaults.
+ *
+ * @function getPageOptions
+ * @param {Object} query - The (already validated) request query.
+ * @param {number|string} [query.page] - 1-based page number.
+ * @param {number|string} [query.limit] - Number of results per page.
+ * @returns {{page: number, limit: number}} Page options, with `limit` capped at MAX_PAGE_LIMIT.
+ *
+ * @example
+ * getPageOptions({ page: "2" });
+ * // { page: 2, limit: 20 }
+ */
+function getPageOptions({ page, limit } = {}) {
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(MAX_PAGE_LIMIT,
+    Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_LIMIT));
+  return { page: pageNum, limit: limitNum };
+}
+
+/**
+ * Builds a link to another page of the current listing, keeping every other
+ * query parameter from the original request.
+ *
+ * @function pageLink
+ * @param {Object} req - Express request object.
+ * @param {number} page - The page to link to.
+ * @param {number} limit - The page size.
+ * @returns {string} A path with query string, e.g. `/jobs?titleLike=dev&page=2&limit=20`.
+ */
+function pageLink(req, page, limit) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === "page" || key === "limit")
+      continue;
+    for (const v of [].concat(value))
+      params.append(key, v);
+  }
+  params.set("page", page);
+  params.set("limit", limit);
+
+  const path = req.path === "/" ? "" : req.path;
+  return `${req.baseUrl}${path}?${params}`;
+}
+
+/**
+ * Builds the pagination metadata for a listing response.
+ *
+ * @function buildPagination
+ * @param {Object} req - Express request object, used to build next/prev links.
+ * @param {Object} options - Paging details.
+ * @param {number} options.page - The current page.
+ * @param {number} options.limit - The page size.
+ * @param {number} options.total - Total number of rows matching the filters.
+ * @returns {Object} `{ page, limit, total, totalPages, next, prev }` where `next`
+ * and `prev` are links or null when there is no such page.
+ */
+function buildPagination(req, { page, limit, total }) {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    next: page < totalPages ? pageLink(req, page + 1, limit) : null,
+    prev: page > 1 ? pageLink(req, Math.min(page - 1, Math.max(totalPages, 1)), limit) : null,
+  };
+}
+
+module.exports = { getPageOptions, buildPagination };
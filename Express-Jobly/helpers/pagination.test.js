@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Unit tests for the pagination helper functions.
+ * This module verifies that page options are read from the query string with
+ * sensible defaults and that pagination metadata includes correct totals and links.
+ *
+ * @module pagination.test
+ * @requires ./pagination
+ * @requires ../config
+ */
+
+"use strict";
+
+const { getPageOptions, buildPagination } = require("./pagination");
+const { DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT } = require("../config");
+
+describe("getPageOptions", function () {
+  /** Applies the default page and limit when none are given. */
+  test("works: defaults", function () {
+    expect(getPageOptions({})).toEqual({ page: 1, limit: DEFAULT_PAGE_LIMIT });
+  });
+
+  /** Parses string values from the query string. */
+  test("works: string input", function () {
+    expect(getPageOptions({ page: "3", limit: "5" })).toEqual({ page: 3, limit: 5 });
+  });
+
+  /** Caps the limit at MAX_PAGE_LIMIT. */
+  test("works: caps limit", function () {
+    expect(getPageOptions({ limit: 5000 })).toEqual({ page: 1, limit: MAX_PAGE_LIMIT });
+  });
+});
+
+describe("buildPagination", function () {
+  const req = {
+    baseUrl: "/jobs",
+    path: "/",
+    query: { titleLike: "dev", page: "2", limit: "2" },
+  };
+
+  /** Includes links to both neighbouring pages, keeping other filters. */
+  test("works: middle page", function () {
+    expect(buildPagination(req, { page: 2, limit: 2, total: 5 })).toEqual({
+      page: 2,
+      limit: 2,
+      total: 5,
+      totalPages: 3,
+      next: "/jobs?titleLike=dev&page=3&limit=2",
+      prev: "/jobs?titleLike=dev&page=1&limit=2",
+    });
+  });
+
+  /** Has no next link on the last page and no prev link on the first. */
+  test("works: single page", function () {
+    expect(buildPagination(req, { page: 1, limit: 20, total: 5 })).toEqual({
+      page: 1,
+      limit: 20,
+      total: 5,
+      totalPages: 1,
+      next: null,
+      prev: null,
+    });
+  });
+
+  /** Points prev at the last real page when the requested page is past the end. */
+  test("works: page past the end", function () {
+    const result = buildPagination(req, { page: 9, limit: 2, total: 5 });
+    expect(result.next).toBeNull();
+    expect(result.prev).toEqual("/jobs?titleLike=dev&page=3&limit=2");
+  });
+});
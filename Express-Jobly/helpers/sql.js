@@ -77,4 +77,83 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
\ No newline at end of file
+/**
+ * Generates the ORDER BY and LIMIT/OFFSET clauses for a paginated listing.
+ *
+ * @function sqlForSortAndPage
+ *
+ * @param {Object} options - The sorting and paging options.
+ * @param {string} [options.sortBy] - JavaScript name of the field to sort by.
+ * @param {string} [options.direction="asc"] - Sort direction, "asc" or "desc".
+ * @param {number} [options.page] - 1-based page number.
+ * @param {number} [options.limit] - Number of rows per page. When omitted, no LIMIT is applied.
+ * @param {Object} sortable - Maps sortable JavaScript field names to their SQL expressions.
+ * The first entry is used when `sortBy` is not provided.
+ * @param {string} tieBreaker - SQL expression appended to the ORDER BY so paging is stable.
+ * @param {number} [startIdx=0] - Number of placeholders already used by the query.
+ *
+ * @returns {Object} An object containing the SQL clause and values.
+ * @returns {string} returns.sql - The ORDER BY clause followed by any LIMIT/OFFSET.
+ * @returns {Array} returns.values - The values for the LIMIT/OFFSET placeholders.
+ *
+ * @throws {BadRequestError} Throws an error if `sortBy` or `direction` is not allowed.
+ *
+ * @example
+ * const result = sqlForSortAndPage(
+ *   { sortBy: 'salary', direction: 'desc', page: 2, limit: 10 },
+ *   { title: 'title', salary: 'salary' },
+ *   'id',
+ *   1);
+ * // result = {
+ * //   sql: ' ORDER BY salary DESC NULLS LAST, id LIMIT $2 OFFSET $3',
+ * //   values: [10, 10]
+ * // }
+ */
+function sqlForSortAndPage({ sortBy, direction, page, limit },
+  sortable,
+  tieBreaker,
+  startIdx = 0) {
+  const sortKey = sortBy === undefined
+    ? Object.keys(sortable)[0]
+    : sortBy;
+  if (!Object.hasOwn(sortable, sortKey))
+    throw new BadRequestError(`Cannot sort by: ${sortBy}`);
+
+  const dir = (direction || "asc").toLowerCase();
+  if (dir !== "asc" && dir !== "desc")
+    throw new BadRequestError(`Invalid sort direction: ${direction}`);
+
+  let sql = ` ORDER BY ${sortable[sortKey]} ${dir.toUpperCase()} NULLS LAST`;
+  if (tieBreaker)
+    sql += `, ${tieBreaker}`;
+
+  const values = [];
+  if (limit !== undefined) {
+    const pageNum = page === undefined ? 1 : +page;
+    sql += ` LIMIT $${startIdx + 1} OFFSET $${startIdx + 2}`;
+    values.push(+limit, (pageNum - 1) * +limit);
+  }
+
+  return { sql, values };
+}
+
+/**
+ * Generates the condition a job must meet to be listed and to accept
+ * applications: it has been published, isn't closed and hasn't expired.
+ *
+ * @function sqlJobIsOpen
+ *
+ * @param {string} [alias] - The name the query gives the jobs table, if any.
+ *
+ * @returns {string} The SQL condition.
+ *
+ * @example
+ * sqlJobIsOpen("j");
+ * // "j.status = 'open' AND (j.expires_at IS NULL OR j.expires_at > NOW())"
+ */
+function sqlJobIsOpen(alias) {
+  const prefix = alias ? `${alias}.` : "";
+  return `${prefix}status = 'open' AND (${prefix}expires_at IS NULL OR ${prefix}expires_at > NOW())`;
+}
+
+module.exports = { sqlForPartialUpdate, sqlForSortAndPage, sqlJobIsOpen };
\ No newline at end of file
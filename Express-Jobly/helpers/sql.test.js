@@ -15,7 +15,11 @@
 
 "use strict";
 
-const { sqlForPartialUpdate } = require('../helpers/sql');
+const {
+    sqlForPartialUpdate,
+    sqlForSortAndPage,
+    sqlJobIsOpen
+} = require('../helpers/sql');
 const { BadRequestError } = require('../expressError');
 const {
     commonBeforeAll,
@@ -286,4 +290,85 @@ describe('sqlForPartialUpdate', () => {
             values: [obj],
         });
     });
-});
\ No newline at end of file
+});
+
+/**
+ * Test suite for sqlForSortAndPage, which builds the ORDER BY and
+ * LIMIT/OFFSET clauses used by paginated listings.
+ */
+describe('sqlForSortAndPage', () => {
+    const sortable = { title: 'title', salary: 'salary' };
+
+    /**
+     * Defaults to the first sortable field, ascending, with no paging.
+     */
+    test('defaults to first sortable field', () => {
+        const result = sqlForSortAndPage({}, sortable, 'id');
+        expect(result).toEqual({
+            sql: ' ORDER BY title ASC NULLS LAST, id',
+            values: [],
+        });
+    });
+
+    /**
+     * Numbers the LIMIT/OFFSET placeholders after those already in use
+     * and computes the offset from the page number.
+     */
+    test('works with sort, direction and page', () => {
+        const result = sqlForSortAndPage(
+            { sortBy: 'salary', direction: 'desc', page: 3, limit: 10 },
+            sortable,
+            'id',
+            2
+        );
+        expect(result).toEqual({
+            sql: ' ORDER BY salary DESC NULLS LAST, id LIMIT $3 OFFSET $4',
+            values: [10, 20],
+        });
+    });
+
+    /**
+     * Treats a missing page as the first page and accepts string input.
+     */
+    test('defaults to page one', () => {
+        const result = sqlForSortAndPage({ limit: '5' }, sortable, 'id');
+        expect(result).toEqual({
+            sql: ' ORDER BY title ASC NULLS LAST, id LIMIT $1 OFFSET $2',
+            values: [5, 0],
+        });
+    });
+
+    /**
+     * Rejects sort fields that are not in the sortable map.
+     */
+    test('throws error on unknown sort field', () => {
+        expect(() => sqlForSortAndPage({ sortBy: 'nope' }, sortable, 'id'))
+            .toThrow(BadRequestError);
+    });
+
+    /**
+     * Rejects directions other than asc and desc.
+     */
+    test('throws error on invalid direction', () => {
+        expect(() => sqlForSortAndPage({ direction: 'sideways' }, sortable, 'id'))
+            .toThrow(BadRequestError);
+    });
+});
+
+describe('sqlJobIsOpen', () => {
+    /**
+     * Uses the bare column names when the jobs table has no alias.
+     */
+    test('works without an alias', () => {
+        expect(sqlJobIsOpen()).toEqual(
+            "status = 'open' AND (expires_at IS NULL OR expires_at > NOW())");
+    });
+
+    /**
+     * Qualifies each column with the alias.
+     */
+    test('works with an alias', () => {
+        expect(sqlJobIsOpen('j')).toEqual(
+            "j.status = 'open' AND (j.expires_at IS NULL OR j.expires_at > NOW())");
+    });
+});
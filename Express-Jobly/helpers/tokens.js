@@ -1,25 +1,31 @@
 /**
  * @fileoverview Helper module for creating JSON Web Tokens (JWT) for user authentication.
- * This module provides functionality to create tokens with user information and admin status.
+ * This module provides functionality to create short-lived access tokens with user
+ * information and admin status, and opaque refresh tokens used to obtain new ones.
  * 
  * @module tokens
+ * @requires crypto
  * @requires jsonwebtoken
  * @requires ../config
  */
 
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_TTL } = require("../config");
 
 /**
  * Creates a JSON Web Token (JWT) for a user.
  * 
- * This function generates a JWT containing the user's username and admin status.
- * It uses the SECRET_KEY from the config to sign the token.
+ * This function generates a JWT containing the user's username, admin status and
+ * the handles of the companies they recruit for.
+ * It uses the SECRET_KEY from the config to sign the token. The token expires
+ * after ACCESS_TOKEN_TTL and carries a unique `jti` so it can be revoked.
  * 
  * @function createToken
  * @param {Object} user - The user object for which to create a token.
  * @param {string} user.username - The username of the user.
  * @param {boolean} user.isAdmin - Whether the user has admin privileges.
+ * @param {string[]} [user.companies] - Handles of the companies the user is a member of.
  * @returns {string} A JSON Web Token containing the user's information.
  * @throws {AssertionError} If the user object does not have an isAdmin property.
  */
@@ -30,9 +36,34 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    companies: user.companies || [],
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
 }
 
-module.exports = { createToken };
+/**
+ * Creates a random, opaque refresh token. Only its hash is stored server-side.
+ * 
+ * @function createRefreshToken
+ * @returns {string} A 64-character hex string.
+ */
+function createRefreshToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Hashes a refresh token for storage and lookup.
+ * 
+ * @function hashToken
+ * @param {string} token - The raw refresh token.
+ * @returns {string} The SHA-256 hex digest of the token.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createRefreshToken, hashToken };
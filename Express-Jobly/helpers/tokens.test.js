@@ -11,7 +11,7 @@
  */
 
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, createRefreshToken, hashToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -24,8 +24,11 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      companies: [],
     });
   });
 
@@ -38,8 +41,11 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: true,
+      companies: [],
     });
   });
 
@@ -54,8 +60,45 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      companies: [],
     });
   });
+
+  /**
+   * Test case: Token creation for a company recruiter.
+   * @description Ensures the companies a user is a member of are carried in the payload.
+   */
+  test("works: company member", function () {
+    const token = createToken({ username: "test", isAdmin: false, companies: ["c1", "c2"] });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.companies).toEqual(["c1", "c2"]);
+  });
+
+  /**
+   * Test case: Tokens expire and are uniquely identified.
+   * @description Verifies each token gets its own jti and an expiry after it was issued.
+   */
+  test("works: expiry and unique jti", function () {
+    const first = jwt.verify(createToken({ username: "test", isAdmin: false }), SECRET_KEY);
+    const second = jwt.verify(createToken({ username: "test", isAdmin: false }), SECRET_KEY);
+    expect(first.exp).toBeGreaterThan(first.iat);
+    expect(first.jti).not.toEqual(second.jti);
+  });
+});
+
+describe("createRefreshToken", function () {
+  /**
+   * Test case: Refresh tokens are random and hash consistently.
+   */
+  test("works", function () {
+    const token = createRefreshToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(createRefreshToken()).not.toEqual(token);
+    expect(hashToken(token)).toEqual(hashToken(token));
+    expect(hashToken(token)).not.toEqual(token);
+  });
 });
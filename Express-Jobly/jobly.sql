@@ -5,7 +5,7 @@ DROP DATABASE jobly;
 CREATE DATABASE jobly;
 \connect jobly
 
-\i jobly-schema.sql
+\! npm run migrate
 \i jobly-seed.sql
 
 \echo 'Delete and recreate jobly_test db?'
@@ -15,4 +15,4 @@ DROP DATABASE jobly_test;
 CREATE DATABASE jobly_test;
 \connect jobly_test
 
-\i jobly-schema.sql
+\! NODE_ENV=test npm run migrate
@@ -1,12 +1,14 @@
 /**
  * @fileoverview Authentication middleware for Express applications.
  * This module provides functions for JWT authentication, ensuring user login,
- * admin access, and user-specific or admin access control.
+ * admin access, user-specific or admin access control, company recruiter
+ * or admin access control, and admin-only access to deleted records.
  * 
  * @module auth
  * @requires jsonwebtoken
  * @requires ../config
  * @requires ../expressError
+ * @requires ../models/authToken
  */
 
 "use strict";
@@ -14,23 +16,33 @@
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 const { UnauthorizedError } = require("../expressError");
+const AuthToken = require("../models/authToken");
 
 /**
  * Authenticates JWT from the request header.
  * If a valid token is found, it sets the user information in res.locals.user.
+ * Expired tokens, tokens issued without an expiry, revoked tokens and tokens
+ * of users who have since been deleted are ignored, leaving the request
+ * unauthenticated.
  * 
+ * @async
  * @function
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {function} next - Express next middleware function
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
     const authHeader = req?.headers?.authorization;
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (payload.exp === undefined)
+        return next();
+      if (await AuthToken.isAccessTokenRevoked(payload.jti, payload.username))
+        return next();
+      res.locals.user = payload;
     }
     return next();
   } catch (err) {
@@ -113,9 +125,95 @@ function ensureCorrectUserOrAdmin(req, res, next) {
   }
 }
 
+/**
+ * Creates middleware that lets through admins and members of one company.
+ * The company is found per request by `getHandle`, which may look it up
+ * asynchronously (for example from a job's ID). Memberships come from the token,
+ * so changes take effect when the user next gets a token.
+ * 
+ * @function
+ * @param {function(Object): (string|undefined|Promise<string|undefined>)} getHandle -
+ * Given the request, returns the handle of the company being acted on.
+ * @returns {function} Express middleware
+ * @throws {UnauthorizedError} If the user is neither an admin nor a member of the company
+ */
+function ensureAdminOrCompanyMember(getHandle) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (user?.isAdmin)
+        return next();
+      if (!user?.companies?.length)
+        throw new UnauthorizedError();
+
+      const handle = await getHandle(req);
+      if (!user.companies.includes(handle))
+        throw new UnauthorizedError();
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/**
+ * Reads the `includeDeleted` query parameter, which only admins may use to see
+ * soft-deleted records. Sets `res.locals.includeDeleted` to true when it is
+ * "true", and false otherwise.
+ * 
+ * @function
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Request query parameters
+ * @param {string} [req.query.includeDeleted] - "true" to include deleted records
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @throws {UnauthorizedError} If a user who isn't an admin asks for deleted records
+ * @returns {void}
+ */
+function ensureAdminForDeleted(req, res, next) {
+  try {
+    const includeDeleted = [true, "true"].includes(req.query?.includeDeleted);
+    if (includeDeleted && !res?.locals?.user?.isAdmin)
+      throw new UnauthorizedError();
+    res.locals.includeDeleted = includeDeleted;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Reads the `includeClosed` query parameter, which only admins may use to see
+ * draft, closed and expired jobs. Sets `res.locals.includeClosed` to true when
+ * it is "true", and false otherwise.
+ * 
+ * @function
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Request query parameters
+ * @param {string} [req.query.includeClosed] - "true" to include jobs that aren't open
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @throws {UnauthorizedError} If a user who isn't an admin asks for jobs that aren't open
+ * @returns {void}
+ */
+function ensureAdminForClosed(req, res, next) {
+  try {
+    const includeClosed = [true, "true"].includes(req.query?.includeClosed);
+    if (includeClosed && !res?.locals?.user?.isAdmin)
+      throw new UnauthorizedError();
+    res.locals.includeClosed = includeClosed;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
   onlyAdmin,
   ensureCorrectUserOrAdmin,
+  ensureAdminOrCompanyMember,
+  ensureAdminForDeleted,
+  ensureAdminForClosed,
 };
@@ -19,10 +19,18 @@ const { onlyAdmin } = require("../middleware/auth");
 const {
   authenticateJWT,
   ensureLoggedIn,
+  ensureAdminOrCompanyMember,
+  ensureAdminForDeleted,
+  ensureAdminForClosed,
 } = require("./auth");
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY,
+  { expiresIn: "15m" });
+const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong",
+  { expiresIn: "15m" });
+const expiredJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY,
+  { expiresIn: -10 });
+const noExpiryJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
 
 /**
  * Test suite for authenticateJWT middleware.
@@ -32,7 +40,7 @@ describe("authenticateJWT", function () {
   /**
    * Tests if authenticateJWT correctly processes a valid JWT in the header.
    */
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
     //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -41,10 +49,11 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
+        exp: expect.any(Number),
         username: "test",
         isAdmin: false,
       },
@@ -54,28 +63,56 @@ describe("authenticateJWT", function () {
   /**
    * Tests if authenticateJWT handles requests without an authorization header.
    */
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
   /**
    * Tests if authenticateJWT correctly handles an invalid JWT token.
    */
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  /**
+   * Tests if authenticateJWT ignores an expired JWT token.
+   */
+  test("works: expired token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  /**
+   * Tests if authenticateJWT ignores a JWT token issued without an expiry.
+   */
+  test("works: token without expiry", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${noExpiryJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 });
@@ -151,4 +188,165 @@ describe("ensureLoggedIn", function () {
       expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
     });
   });
+
+  describe("ensureAdminOrCompanyMember middleware", function () {
+    const middleware = ensureAdminOrCompanyMember(req => req.params.handle);
+
+    /**
+     * Tests that admins pass through without looking up the company.
+     */
+    test("allows admins to pass through", async function () {
+      const getHandle = jest.fn();
+      const req = { params: { handle: "c1" } };
+      const res = { locals: { user: { isAdmin: true, companies: [] } } };
+      const next = jest.fn();
+
+      await ensureAdminOrCompanyMember(getHandle)(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(getHandle).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Tests that members of the company pass through, including async lookups.
+     */
+    test("allows company members to pass through", async function () {
+      const req = { params: { handle: "c1" } };
+      const res = { locals: { user: { isAdmin: false, companies: ["c1"] } } };
+      const next = jest.fn();
+
+      await ensureAdminOrCompanyMember(async () => "c1")(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    /**
+     * Tests that members of other companies are blocked.
+     */
+    test("blocks members of other companies", async function () {
+      const req = { params: { handle: "c2" } };
+      const res = { locals: { user: { isAdmin: false, companies: ["c1"] } } };
+      const next = jest.fn();
+
+      await middleware(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+
+    /**
+     * Tests that users without memberships, or tokens without them, are blocked.
+     */
+    test("blocks non-members", async function () {
+      const req = { params: { handle: "c1" } };
+      const next = jest.fn();
+
+      await middleware(req, { locals: { user: { isAdmin: false } } }, next);
+      await middleware(req, { locals: {} }, next);
+
+      expect(next).toHaveBeenNthCalledWith(1, expect.any(UnauthorizedError));
+      expect(next).toHaveBeenNthCalledWith(2, expect.any(UnauthorizedError));
+    });
+
+    /**
+     * Tests that errors from the company lookup are passed on.
+     */
+    test("passes on lookup errors", async function () {
+      const req = { params: {} };
+      const res = { locals: { user: { isAdmin: false, companies: ["c1"] } } };
+      const next = jest.fn();
+      const error = new Error("lookup failed");
+
+      await ensureAdminOrCompanyMember(async () => { throw error; })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  /**
+   * Test suite for the ensureAdminForDeleted middleware.
+   */
+  describe("ensureAdminForDeleted middleware", function () {
+    /**
+     * Tests that admins can ask for deleted records.
+     */
+    test("lets admins include deleted records", function () {
+      const req = { query: { includeDeleted: "true" } };
+      const res = { locals: { user: { isAdmin: true } } };
+      const next = jest.fn();
+
+      ensureAdminForDeleted(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.locals.includeDeleted).toEqual(true);
+    });
+
+    /**
+     * Tests that anyone can leave deleted records out.
+     */
+    test("leaves deleted records out by default", function () {
+      const res = { locals: {} };
+      const next = jest.fn();
+
+      ensureAdminForDeleted({ query: { includeDeleted: "false" } }, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.locals.includeDeleted).toEqual(false);
+    });
+
+    /**
+     * Tests that other users can't ask for deleted records.
+     */
+    test("blocks non-admins", function () {
+      const req = { query: { includeDeleted: "true" } };
+      const next = jest.fn();
+
+      ensureAdminForDeleted(req, { locals: { user: { isAdmin: false } } }, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+  });
+
+  /**
+   * Test suite for the ensureAdminForClosed middleware.
+   */
+  describe("ensureAdminForClosed middleware", function () {
+    /**
+     * Tests that admins can ask for jobs that aren't open.
+     */
+    test("lets admins include closed jobs", function () {
+      const req = { query: { includeClosed: "true" } };
+      const res = { locals: { user: { isAdmin: true } } };
+      const next = jest.fn();
+
+      ensureAdminForClosed(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.locals.includeClosed).toEqual(true);
+    });
+
+    /**
+     * Tests that anyone can leave jobs that aren't open out.
+     */
+    test("leaves closed jobs out by default", function () {
+      const res = { locals: {} };
+      const next = jest.fn();
+
+      ensureAdminForClosed({ query: {} }, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.locals.includeClosed).toEqual(false);
+    });
+
+    /**
+     * Tests that other users can't ask for jobs that aren't open.
+     */
+    test("blocks non-admins", function () {
+      const req = { query: { includeClosed: "true" } };
+      const next = jest.fn();
+
+      ensureAdminForClosed(req, { locals: { user: { isAdmin: false } } }, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+  });
 });
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Request validation middleware.
+ * This module checks a request's route parameters, query string and body
+ * against JSON schemas before the handler runs. Route parameters and query
+ * values arrive as strings, so those a schema expects to be numbers or
+ * booleans are converted first. A request that fails is rejected with a
+ * ValidationError listing the problems with each field.
+ *
+ * Besides standard JSON Schema, an object schema may list `x-ranges`, pairs
+ * of properties such as `{ "min": "minSalary", "max": "maxSalary" }` where
+ * the minimum must not be more than the maximum.
+ *
+ * @module validate
+ * @requires jsonschema
+ * @requires ../expressError
+ */
+
+"use strict";
+
+const jsonschema = require("jsonschema");
+const { ValidationError } = require("../expressError");
+
+/** The parts of a request that can be validated, in the order they are checked. */
+const LOCATIONS = ["params", "query", "body"];
+
+/** Validates requests, with support for the x-ranges keyword. */
+const validator = new jsonschema.Validator();
+
+/**
+ * Checks the `x-ranges` keyword: for each `{ min, max }` pair where both
+ * values are numbers, the minimum must not be more than the maximum. The
+ * error is reported against the maximum.
+ *
+ * @param {*} instance - The value being validated.
+ * @param {Object} schema - The schema with the keyword.
+ * @param {Object} options - The validation options.
+ * @param {Object} ctx - The jsonschema context, holding the value's path.
+ * @returns {jsonschema.ValidatorResult|undefined} The errors found, if the value is an object.
+ */
+validator.attributes["x-ranges"] = function checkRanges(instance, schema, options, ctx) {
+  if (!instance || typeof instance !== "object")
+    return undefined;
+
+  const result = new jsonschema.ValidatorResult(instance, schema, options, ctx);
+  for (const { min, max } of schema["x-ranges"])
+    if (typeof instance[min] === "number" && typeof instance[max] === "number" &&
+      instance[min] > instance[max])
+      result.errors.push(new jsonschema.ValidationError(
+        `must be greater than or equal to ${min}`,
+        instance[max], schema, [...ctx.path, max], "x-ranges", min));
+  return result;
+};
+
+/**
+ * Lists the types a schema accepts, including those of its oneOf and anyOf
+ * branches.
+ *
+ * @param {Object} schema - A JSON schema.
+ * @returns {Set<string>} The accepted types; empty if the schema doesn't say.
+ */
+function typesOf(schema) {
+  const types = new Set([].concat(schema.type ?? []));
+  for (const branch of [...(schema.oneOf ?? []), ...(schema.anyOf ?? [])])
+    for (const type of typesOf(branch))
+      types.add(type);
+  return types;
+}
+
+/**
+ * Converts a string to the number or boolean a schema expects. Values the
+ * schema also accepts as strings, and values that don't convert cleanly, are
+ * left alone for the schema to judge.
+ *
+ * @param {*} value - A route parameter or query value.
+ * @param {Object} [schema={}] - The schema for the value.
+ * @returns {*} The converted value.
+ */
+function coerceValue(value, schema = {}) {
+  if (Array.isArray(value))
+    return value.map(item => coerceValue(item, schema.items));
+  if (typeof value !== "string")
+    return value;
+
+  const types = typesOf(schema);
+  if (types.has("string"))
+    return value;
+  if ((types.has("integer") || types.has("number")) &&
+    value.trim() !== "" && !Number.isNaN(Number(value)))
+    return Number(value);
+  if (types.has("boolean") && (value === "true" || value === "false"))
+    return value === "true";
+  return value;
+}
+
+/**
+ * Converts each of an object's values to the type its property's schema expects.
+ *
+ * @param {Object} values - Route parameters or query values.
+ * @param {Object} schema - The schema for the object.
+ * @returns {Object} A converted copy.
+ */
+function coerce(values, schema) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) =>
+    [key, coerceValue(value, schema.properties?.[key])]));
+}
+
+/**
+ * Groups jsonschema errors by the field they concern. Missing and unexpected
+ * properties are reported against that property; errors about the whole
+ * object are reported against the part of the request, e.g. "body".
+ *
+ * @param {Array<Object>} errors - The errors from jsonschema.validate.
+ * @param {string} location - "params", "query" or "body".
+ * @param {Object<string, string[]>} fields - Messages by field, added to.
+ */
+function addFieldErrors(errors, location, fields) {
+  for (const error of errors) {
+    let path = error.path;
+    let message = error.message;
+    if (error.name === "required") {
+      path = [...path, error.argument];
+      message = "is required";
+    } else if (error.name === "additionalProperties") {
+      path = [...path, error.argument];
+      message = "is not allowed";
+    }
+
+    const field = path.reduce((name, part) =>
+      typeof part === "number" ? `${name}[${part}]` : name ? `${name}.${part}` : part, "")
+      || location;
+    (fields[field] ??= []).push(message);
+  }
+}
+
+/**
+ * Creates middleware that validates a request against JSON schemas.
+ *
+ * Route parameters and the query string are converted to the types their
+ * schemas expect, and the converted values replace `req.params` and
+ * `req.query` for the handlers that follow. The schemas are kept on the
+ * middleware as `schemas` so the API documentation can describe the route.
+ *
+ * @function
+ * @param {Object} schemas - The schemas to check against.
+ * @param {Object} [schemas.params] - The schema for the route parameters.
+ * @param {Object} [schemas.query] - The schema for the query string.
+ * @param {Object} [schemas.body] - The schema for the body.
+ * @returns {Function} The middleware.
+ *
+ * @example
+ * router.get("/", validate({ query: companyFilterSchema }), handler);
+ */
+function validate(schemas) {
+  function validateRequest(req, res, next) {
+    const fields = {};
+    for (const location of LOCATIONS) {
+      const schema = schemas[location];
+      if (!schema)
+        continue;
+
+      let values = req[location] ?? {};
+      if (location !== "body")
+        values = coerce(values, schema);
+      addFieldErrors(validator.validate(values, schema).errors, location, fields);
+
+      // req.query is a getter that parses the URL each time, so it is shadowed
+      if (location === "query")
+        Object.defineProperty(req, "query", { value: values, configurable: true, enumerable: true, writable: true });
+      else if (location === "params")
+        req.params = values;
+    }
+
+    if (Object.keys(fields).length)
+      return next(new ValidationError(fields));
+    return next();
+  }
+
+  validateRequest.schemas = schemas;
+  return validateRequest;
+}
+
+module.exports = {
+  validate,
+  coerceValue,
+};
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Test suite for the request validation middleware.
+ * This module verifies that route parameters and query values are converted
+ * to the types their schemas expect, that valid requests pass through with
+ * the converted values, and that invalid ones are rejected with each field's
+ * problems.
+ *
+ * @module validate.test
+ * @requires ../expressError
+ * @requires ./validate
+ * @requires ../schemas/companyFilter.json
+ */
+
+"use strict";
+
+const { ValidationError } = require("../expressError");
+const { validate, coerceValue } = require("./validate");
+const companyFilterSchema = require("../schemas/companyFilter.json");
+
+const bodySchema = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    tags: { type: "array", items: { type: "string", maxLength: 3 } },
+  },
+  required: ["name"],
+  additionalProperties: false,
+};
+
+/** Runs the middleware, returning what it passed to next. */
+function run(middleware, req) {
+  let passed;
+  middleware(req, {}, err => { passed = err; });
+  return passed;
+}
+
+describe("coerceValue", function () {
+  /** Numbers and booleans are converted when that is what the schema wants. */
+  test("works", function () {
+    expect(coerceValue("12", { type: "integer" })).toEqual(12);
+    expect(coerceValue("1.5", { type: "number" })).toEqual(1.5);
+    expect(coerceValue("true", { type: "boolean" })).toEqual(true);
+    expect(coerceValue("false", { oneOf: [{ type: "boolean" }, { type: "null" }] })).toEqual(false);
+    expect(coerceValue(["1", "2"], { type: "array", items: { type: "integer" } })).toEqual([1, 2]);
+  });
+
+  /** Strings the schema accepts as strings, and those that don't convert, are left alone. */
+  test("leaves other values alone", function () {
+    expect(coerceValue("12", { type: "string" })).toEqual("12");
+    expect(coerceValue("12", { oneOf: [{ type: "integer" }, { type: "string" }] })).toEqual("12");
+    expect(coerceValue("twelve", { type: "integer" })).toEqual("twelve");
+    expect(coerceValue("", { type: "integer" })).toEqual("");
+    expect(coerceValue("yes", { type: "boolean" })).toEqual("yes");
+    expect(coerceValue("12")).toEqual("12");
+  });
+});
+
+describe("validate", function () {
+  /** A valid request passes, with its query converted for the handler. */
+  test("works: query", function () {
+    const req = { query: { minEmployees: "2", includeDeleted: "true", nameLike: "c" } };
+    expect(run(validate({ query: companyFilterSchema }), req)).toBeUndefined();
+    expect(req.query).toEqual({ minEmployees: 2, includeDeleted: true, nameLike: "c" });
+  });
+
+  /** Route parameters are converted too. */
+  test("works: params", function () {
+    const req = { params: { id: "7" } };
+    const schema = { type: "object", properties: { id: { type: "integer", minimum: 0 } } };
+    expect(run(validate({ params: schema }), req)).toBeUndefined();
+    expect(req.params).toEqual({ id: 7 });
+  });
+
+  /** A valid body passes unchanged. */
+  test("works: body", function () {
+    const req = { body: { name: "x", tags: ["a"] } };
+    expect(run(validate({ body: bodySchema }), req)).toBeUndefined();
+  });
+
+  /** Problems are reported against the field they concern. */
+  test("reports each field's problems", function () {
+    const err = run(validate({ body: bodySchema }),
+      { body: { tags: ["abcd", 5], extra: 1 } });
+    expect(err).toBeInstanceOf(ValidationError);
+    expect(err.status).toEqual(400);
+    expect(err.code).toEqual("VALIDATION_FAILED");
+    expect(err.fields).toEqual({
+      name: ["is required"],
+      extra: ["is not allowed"],
+      "tags[0]": ["does not meet maximum length of 3"],
+      "tags[1]": ["is not of a type(s) string"],
+    });
+    expect(err.message).toEqual(expect.arrayContaining(["name is required", "extra is not allowed"]));
+  });
+
+  /** A missing body is checked as an empty one. */
+  test("checks a missing body", function () {
+    const err = run(validate({ body: bodySchema }), {});
+    expect(err.fields).toEqual({ name: ["is required"] });
+  });
+
+  /** Problems with the whole value are reported against that part of the request. */
+  test("reports problems with the whole value", function () {
+    const err = run(validate({ body: bodySchema }), { body: ["not", "an", "object"] });
+    expect(Object.keys(err.fields)).toEqual(["body"]);
+  });
+
+  /** Query values that don't convert fail validation. */
+  test("rejects values that don't convert", function () {
+    const err = run(validate({ query: companyFilterSchema }),
+      { query: { minEmployees: "lots", page: "0" } });
+    expect(err.fields).toEqual({
+      minEmployees: ["is not of a type(s) integer"],
+      page: ["must be greater than or equal to 1"],
+    });
+  });
+
+  /** A range whose minimum is above its maximum is reported against the maximum. */
+  test("checks x-ranges", function () {
+    const schema = {
+      type: "object",
+      properties: { low: { type: "integer" }, high: { type: "integer" } },
+      "x-ranges": [{ min: "low", max: "high" }],
+    };
+    expect(run(validate({ query: schema }), { query: { low: "2", high: "2" } })).toBeUndefined();
+    expect(run(validate({ query: schema }), { query: { low: "2" } })).toBeUndefined();
+    const err = run(validate({ query: schema }), { query: { low: "3", high: "2" } });
+    expect(err.fields).toEqual({ high: ["must be greater than or equal to low"] });
+  });
+
+  /** The schemas are kept for the API documentation. */
+  test("exposes its schemas", function () {
+    expect(validate({ body: bodySchema }).schemas).toEqual({ body: bodySchema });
+  });
+});
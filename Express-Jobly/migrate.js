@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Versioned database migrations.
+ *
+ * Migrations live in ./migrations as pairs of SQL files named
+ * `<version>_<name>.up.sql` and `<version>_<name>.down.sql`, e.g.
+ * `002_add_job_status.up.sql`. Versions are applied in numeric order and
+ * recorded in the schema_migrations table, so each one runs only once.
+ * Every migration runs in its own transaction.
+ *
+ * Usage:
+ *   npm run migrate                  Apply all pending migrations.
+ *   npm run migrate:down [-- steps]  Roll back the latest migration, or the latest `steps`.
+ *   npm run migrate:status           List migrations and whether each is applied.
+ *
+ * @module migrate
+ * @requires fs
+ * @requires path
+ * @requires ./db
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+
+/** Where the migration files are kept. */
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/** Matches a migration file name, capturing its version, name and direction. */
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+/**
+ * Key for the advisory lock held while migrating, so that two processes
+ * (such as parallel test suites) never apply the same migration at once.
+ */
+const MIGRATION_LOCK_KEY = 4201501;
+
+/**
+ * Formats a migration as it appears in its file names, e.g. "001_initial_schema".
+ *
+ * @param {Object} migration - Its version and name.
+ * @returns {string} The label.
+ */
+function label({ version, name }) {
+  return `${String(version).padStart(3, "0")}_${name}`;
+}
+
+/**
+ * Reads the migrations in a directory.
+ *
+ * @param {string} [dir=MIGRATIONS_DIR] - The directory to read.
+ * @returns {Array<Object>} `[{ version, name, up, down }, ...]` in version order,
+ * where `up` and `down` are file paths.
+ * @throws {Error} If two migrations share a version or one has no up file.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match)
+      continue;
+
+    const [, digits, name, direction] = match;
+    const version = +digits;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name)
+      throw new Error(`Duplicate migration version ${version}: ${migration.name} and ${name}`);
+    if (migration[direction])
+      throw new Error(`Duplicate ${direction} migration for version ${version}`);
+
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations)
+    if (!migration.up)
+      throw new Error(`Migration ${label(migration)} has no up file`);
+  return migrations;
+}
+
+/**
+ * Runs `fn` with a client that holds the migration lock, creating the
+ * schema_migrations table first if needed.
+ *
+ * @async
+ * @param {Function} fn - Called with the client; its result is returned.
+ * @returns {Promise<*>} Whatever `fn` returns.
+ */
+async function withMigrationLock(fn) {
+  const client = await db.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    try {
+      await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+        )`);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lists the applied migrations, oldest first.
+ *
+ * @async
+ * @param {Object} client - A connected client.
+ * @returns {Promise<Array<Object>>} `[{ version, name, appliedAt }, ...]`
+ */
+async function appliedMigrations(client) {
+  const result = await client.query(
+    `SELECT
+      version,
+      name,
+      applied_at AS "appliedAt"
+    FROM
+      schema_migrations
+    ORDER BY
+      version`);
+  return result.rows;
+}
+
+/**
+ * Runs one migration file in a transaction and records the result.
+ *
+ * @async
+ * @param {Object} client - A connected client.
+ * @param {Object} migration - As returned by loadMigrations.
+ * @param {string} direction - "up" or "down".
+ * @returns {Promise<void>}
+ * @throws {Error} If the SQL fails; the transaction is rolled back.
+ */
+async function runMigration(client, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], "utf8");
+
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    if (direction === "up")
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name]);
+    else
+      await client.query(
+        "DELETE FROM schema_migrations WHERE version = $1",
+        [migration.version]);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw new Error(
+      `Migration ${label(migration)} ${direction} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Applies every migration that hasn't been applied yet, in version order.
+ *
+ * @async
+ * @param {Object} [options={}]
+ * @param {string} [options.dir=MIGRATIONS_DIR] - Where the migration files are.
+ * @returns {Promise<Array<string>>} The migrations applied, e.g. `["001_initial_schema"]`.
+ * @throws {Error} If a migration fails. Those before it stay applied.
+ */
+async function migrateUp({ dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(async client => {
+    const applied = new Set((await appliedMigrations(client)).map(m => m.version));
+    const done = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version))
+        continue;
+      await runMigration(client, migration, "up");
+      done.push(label(migration));
+    }
+    return done;
+  });
+}
+
+/**
+ * Rolls back the most recently applied migrations, newest first.
+ *
+ * @async
+ * @param {number} [steps=1] - How many migrations to roll back.
+ * @param {Object} [options={}]
+ * @param {string} [options.dir=MIGRATIONS_DIR] - Where the migration files are.
+ * @returns {Promise<Array<string>>} The migrations rolled back.
+ * @throws {Error} If an applied migration has no down file, or one fails.
+ */
+async function migrateDown(steps = 1, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = new Map(loadMigrations(dir).map(m => [m.version, m]));
+
+  return withMigrationLock(async client => {
+    const latest = (await appliedMigrations(client)).reverse().slice(0, steps);
+    const done = [];
+    for (const applied of latest) {
+      const migration = migrations.get(applied.version);
+      if (!migration?.down)
+        throw new Error(`Migration ${label(applied)} has no down file`);
+      await runMigration(client, migration, "down");
+      done.push(label(migration));
+    }
+    return done;
+  });
+}
+
+/**
+ * Lists every migration file and whether it has been applied.
+ *
+ * @async
+ * @param {Object} [options={}]
+ * @param {string} [options.dir=MIGRATIONS_DIR] - Where the migration files are.
+ * @returns {Promise<Array<Object>>} `[{ version, name, appliedAt }, ...]` in
+ * version order, where `appliedAt` is null for pending migrations.
+ */
+async function migrationStatus({ dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(async client => {
+    const applied = new Map(
+      (await appliedMigrations(client)).map(m => [m.version, m.appliedAt]));
+    return migrations.map(({ version, name }) => ({
+      version,
+      name,
+      appliedAt: applied.get(version) || null,
+    }));
+  });
+}
+
+if (require.main === module) {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  /** Runs the requested command and prints what it did. */
+  const commands = {
+    async up() {
+      const done = await migrateUp();
+      console.log(done.length ? `Applied: ${done.join(", ")}` : "No pending migrations.");
+    },
+    async down() {
+      const steps = arg === undefined ? 1 : +arg;
+      if (!Number.isInteger(steps) || steps < 1)
+        throw new Error(`Invalid number of steps: ${arg}`);
+      const done = await migrateDown(steps);
+      console.log(done.length ? `Rolled back: ${done.join(", ")}` : "No migrations to roll back.");
+    },
+    async status() {
+      for (const migration of await migrationStatus())
+        console.log(`${label(migration)}  ` + (migration.appliedAt
+          ? `applied ${migration.appliedAt.toISOString()}`
+          : "pending"));
+    },
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command: ${command}. Use up, down or status.`);
+    process.exit(1);
+  }
+
+  // The pool keeps the client db.js connects at load, so exit rather than
+  // waiting on db.end().
+  commands[command]()
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus };
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Test suite for the migration runner.
+ * These tests use migrations in a temporary directory, with versions well
+ * above the real ones, and roll them back afterwards.
+ *
+ * @module migrate.test
+ * @requires fs
+ * @requires os
+ * @requires path
+ * @requires ./db
+ * @requires ./migrate
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("./db");
+const {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus
+} = require("./migrate");
+
+let dir;
+
+/** Writes a migration file into the temporary directory. */
+function write(file, sql) {
+  fs.writeFileSync(path.join(dir, file), sql);
+}
+
+/** Whether the given table exists in the test database. */
+async function tableExists(table) {
+  const result = await db.query("SELECT to_regclass($1) AS oid", [table]);
+  return result.rows[0].oid !== null;
+}
+
+beforeAll(async function () {
+  await migrateUp();
+});
+
+beforeEach(function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+  write("9001_widgets.up.sql", "CREATE TABLE migrate_test_widgets (id INTEGER);");
+  write("9001_widgets.down.sql", "DROP TABLE migrate_test_widgets;");
+  write("9002_gadgets.up.sql", "CREATE TABLE migrate_test_gadgets (id INTEGER);");
+  write("9002_gadgets.down.sql", "DROP TABLE migrate_test_gadgets;");
+  write("README.md", "Not a migration.");
+});
+
+afterEach(async function () {
+  await db.query("DROP TABLE IF EXISTS migrate_test_widgets, migrate_test_gadgets");
+  await db.query("DELETE FROM schema_migrations WHERE version >= 9000");
+  fs.rmSync(dir, { recursive: true });
+});
+
+afterAll(function () {
+  db.end();
+});
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  /** Migrations are paired up and sorted by version; other files are ignored. */
+  test("works", function () {
+    write("900_first.up.sql", "SELECT 1;");
+    expect(loadMigrations(dir)).toEqual([
+      { version: 900, name: "first", up: path.join(dir, "900_first.up.sql") },
+      {
+        version: 9001,
+        name: "widgets",
+        up: path.join(dir, "9001_widgets.up.sql"),
+        down: path.join(dir, "9001_widgets.down.sql"),
+      },
+      {
+        version: 9002,
+        name: "gadgets",
+        up: path.join(dir, "9002_gadgets.up.sql"),
+        down: path.join(dir, "9002_gadgets.down.sql"),
+      },
+    ]);
+  });
+
+  /** Two migrations can't share a version. */
+  test("fails on duplicate version", function () {
+    write("9001_other.up.sql", "SELECT 1;");
+    expect(() => loadMigrations(dir)).toThrow(/Duplicate migration version 9001/);
+  });
+
+  /** A down file needs a matching up file. */
+  test("fails without up file", function () {
+    write("9003_orphan.down.sql", "SELECT 1;");
+    expect(() => loadMigrations(dir)).toThrow(/9003_orphan has no up file/);
+  });
+
+  /** The real migrations load. */
+  test("works for the real migrations", function () {
+    expect(loadMigrations()[0]).toEqual(expect.objectContaining({
+      version: 1,
+      name: "initial_schema",
+    }));
+  });
+});
+
+/************************************** migrateUp / migrateDown */
+
+describe("migrateUp and migrateDown", function () {
+  /** Pending migrations are applied once, in order, and can be rolled back. */
+  test("works", async function () {
+    expect(await migrateUp({ dir })).toEqual(["9001_widgets", "9002_gadgets"]);
+    expect(await tableExists("migrate_test_widgets")).toBe(true);
+    expect(await tableExists("migrate_test_gadgets")).toBe(true);
+    expect(await migrateUp({ dir })).toEqual([]);
+
+    expect(await migrateDown(1, { dir })).toEqual(["9002_gadgets"]);
+    expect(await tableExists("migrate_test_gadgets")).toBe(false);
+    expect(await tableExists("migrate_test_widgets")).toBe(true);
+
+    expect(await migrateDown(1, { dir })).toEqual(["9001_widgets"]);
+    expect(await tableExists("migrate_test_widgets")).toBe(false);
+  });
+
+  /** A failing migration is rolled back and stops the run. */
+  test("stops at a failing migration", async function () {
+    write("9002_gadgets.up.sql",
+      "CREATE TABLE migrate_test_gadgets (id INTEGER); SELECT nope;");
+    await expect(migrateUp({ dir })).rejects.toThrow(/9002_gadgets up failed/);
+    expect(await tableExists("migrate_test_widgets")).toBe(true);
+    expect(await tableExists("migrate_test_gadgets")).toBe(false);
+
+    const status = await migrationStatus({ dir });
+    expect(status.map(m => m.appliedAt === null)).toEqual([false, true]);
+  });
+
+  /** An applied migration without a down file can't be rolled back. */
+  test("down fails without down file", async function () {
+    await migrateUp({ dir });
+    fs.unlinkSync(path.join(dir, "9002_gadgets.down.sql"));
+    await expect(migrateDown(1, { dir })).rejects.toThrow(/9002_gadgets has no down file/);
+    expect(await tableExists("migrate_test_gadgets")).toBe(true);
+  });
+});
+
+/************************************** migrationStatus */
+
+describe("migrationStatus", function () {
+  /** Lists each migration with when it was applied, or null if pending. */
+  test("works", async function () {
+    write("9002_gadgets.up.sql", "SELECT nope;");
+    await migrateUp({ dir }).catch(() => null);
+    expect(await migrationStatus({ dir })).toEqual([
+      { version: 9001, name: "widgets", appliedAt: expect.any(Date) },
+      { version: 9002, name: "gadgets", appliedAt: null },
+    ]);
+  });
+});
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS audit_log, company_members, email_verification_tokens,
+  password_reset_tokens, revoked_tokens, refresh_tokens, application_status_changes,
+  applications, jobs, users, companies CASCADE;
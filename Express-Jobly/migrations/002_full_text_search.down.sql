@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS jobs_search_vector_idx, companies_search_vector_idx;
+
+ALTER TABLE jobs DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE companies DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,16 @@
+-- Full-text search over companies and jobs. The vectors are generated from
+-- the columns they cover, so they never fall out of step with them. A
+-- company's name outranks its description.
+
+ALTER TABLE companies ADD COLUMN search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')
+  ) STORED;
+
+CREATE INDEX companies_search_vector_idx ON companies USING GIN (search_vector);
+
+ALTER TABLE jobs ADD COLUMN search_vector tsvector
+  GENERATED ALWAYS AS (setweight(to_tsvector('english', title), 'A')) STORED;
+
+CREATE INDEX jobs_search_vector_idx ON jobs USING GIN (search_vector);
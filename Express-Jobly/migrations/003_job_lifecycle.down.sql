@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS jobs_status_expires_at_idx;
+
+ALTER TABLE jobs
+  DROP CONSTRAINT IF EXISTS jobs_posted_unless_draft,
+  DROP COLUMN IF EXISTS expires_at,
+  DROP COLUMN IF EXISTS posted_at,
+  DROP COLUMN IF EXISTS status;
@@ -0,0 +1,13 @@
+-- Jobs move from draft to open when published, and from open to closed when
+-- filled. An open job stops being listed once it expires. Existing jobs are
+-- taken to have been posted when this migration runs.
+
+ALTER TABLE jobs
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('draft', 'open', 'closed')),
+  ADD COLUMN posted_at TIMESTAMP DEFAULT NOW(),
+  ADD COLUMN expires_at TIMESTAMP,
+  ADD CONSTRAINT jobs_posted_unless_draft
+    CHECK (status = 'draft' OR posted_at IS NOT NULL);
+
+CREATE INDEX jobs_status_expires_at_idx ON jobs (status, expires_at);
@@ -0,0 +1,14 @@
+-- The last run of each background task, one row per task name. Rows are
+-- created on a task's first run, so a task that has never run has none.
+
+CREATE TABLE IF NOT EXISTS scheduled_tasks (
+  name TEXT PRIMARY KEY,
+  last_status TEXT NOT NULL
+    CHECK (last_status IN ('running', 'succeeded', 'failed')),
+  last_trigger TEXT NOT NULL
+    CHECK (last_trigger IN ('schedule', 'manual')),
+  last_started_at TIMESTAMP NOT NULL,
+  last_finished_at TIMESTAMP,
+  last_result JSONB,
+  last_error TEXT
+);
@@ -0,0 +1,10 @@
+-- Jobs a user has bookmarked to look at later.
+
+CREATE TABLE IF NOT EXISTS saved_jobs (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  saved_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, job_id)
+);
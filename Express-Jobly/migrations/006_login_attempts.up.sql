@@ -0,0 +1,9 @@
+-- Failed login counts for the login throttle, keyed by username or IP address,
+-- so every server sees the same counts. Rows are only read until they expire.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL,
+  last_failure_at TIMESTAMP NOT NULL,
+  expires_at TIMESTAMP NOT NULL
+);
@@ -0,0 +1,2 @@
+ALTER TABLE scheduled_tasks DROP COLUMN IF EXISTS last_run_id;
+DROP TABLE IF EXISTS scheduled_task_runs;
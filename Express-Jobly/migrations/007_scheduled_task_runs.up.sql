@@ -0,0 +1,37 @@
+-- Every run of each background task, kept alongside the last run in
+-- scheduled_tasks. The last run points at its row here so it can be finished.
+
+CREATE TABLE IF NOT EXISTS scheduled_task_runs (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL
+    CHECK (status IN ('running', 'succeeded', 'failed')),
+  trigger TEXT NOT NULL
+    CHECK (trigger IN ('schedule', 'manual')),
+  started_at TIMESTAMP NOT NULL,
+  finished_at TIMESTAMP,
+  result JSONB,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS scheduled_task_runs_name_started_at_idx
+  ON scheduled_task_runs (name, started_at DESC);
+
+ALTER TABLE scheduled_tasks
+  ADD COLUMN IF NOT EXISTS last_run_id INTEGER
+    REFERENCES scheduled_task_runs ON DELETE SET NULL;
+
+-- Keep the runs already recorded as the first of each task's history.
+WITH runs AS (
+  INSERT INTO scheduled_task_runs
+    (name, status, trigger, started_at, finished_at, result, error)
+  SELECT name, last_status, last_trigger, last_started_at, last_finished_at,
+    last_result, last_error
+  FROM scheduled_tasks
+  WHERE last_run_id IS NULL
+  RETURNING id, name
+)
+UPDATE scheduled_tasks t
+SET last_run_id = runs.id
+FROM runs
+WHERE runs.name = t.name;
@@ -7,6 +7,7 @@
  * @requires bcrypt
  * @requires ../db
  * @requires ../config
+ * @requires ../migrate
  */
 
 const bcrypt = require("bcrypt");
@@ -14,13 +15,15 @@ const bcrypt = require("bcrypt");
 const db = require("../db.js");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 const { createToken } = require("../helpers/tokens");
+const { migrateUp } = require("../migrate");
 
 // create testJobId's and getTestJobIds() for testing job applications
 const testJobIds = [];
 const getTestJobIds = () => [...testJobIds];
 
 /**
- * Sets up the test database by truncating existing tables and inserting sample data.
+ * Sets up the test database by applying any pending migrations, truncating
+ * existing tables and inserting sample data.
  * This function should be called before all tests in a test suite.
  * 
  * @async
@@ -28,11 +31,14 @@ const getTestJobIds = () => [...testJobIds];
  * @returns {Promise<void>}
  */
 async function commonBeforeAll() {
+  await migrateUp();
   await db.query('TRUNCATE TABLE applications RESTART IDENTITY CASCADE');
   await db.query('TRUNCATE TABLE jobs RESTART IDENTITY CASCADE');
   await db.query("ALTER SEQUENCE jobs_id_seq RESTART WITH 1");
   await db.query('TRUNCATE TABLE users RESTART IDENTITY CASCADE');
   await db.query('TRUNCATE TABLE companies RESTART IDENTITY CASCADE');
+  await db.query('TRUNCATE TABLE audit_log RESTART IDENTITY');
+  await db.query('TRUNCATE TABLE scheduled_tasks, scheduled_task_runs RESTART IDENTITY');
 
   await db.query(`
     INSERT INTO 
@@ -55,11 +61,12 @@ async function commonBeforeAll() {
       first_name,
       last_name,
       email,
-      is_admin)
+      is_admin,
+      email_verified)
     VALUES 
-      ('u1', $1, 'U1F', 'U1L', 'u1@email.com', FALSE),
-      ('u2', $2, 'U2F', 'U2L', 'u2@email.com', FALSE),
-      ('a1', $3, 'A1F', 'A1L', 'a1@email.com', TRUE)
+      ('u1', $1, 'U1F', 'U1L', 'u1@email.com', FALSE, TRUE),
+      ('u2', $2, 'U2F', 'U2L', 'u2@email.com', FALSE, TRUE),
+      ('a1', $3, 'A1F', 'A1L', 'a1@email.com', TRUE, TRUE)
     RETURNING 
       username`,
     [
@@ -87,8 +94,38 @@ async function commonBeforeAll() {
   console.log("testJobIds after insertion:", testJobIds);
 }
 
+/** The client holding the current test's transaction, between commonBeforeEach and commonAfterEach. */
+let testClient = null;
+
+/** Counts the savepoints taken, so each client handed out gets its own name. */
+let savepoints = 0;
+
+/**
+ * Wraps the test's client for code that runs its own transaction on a client
+ * from `db.connect()`. Its BEGIN, COMMIT and ROLLBACK become a savepoint
+ * inside the test's transaction, so they don't end it, and releasing it does
+ * nothing.
+ *
+ * @param {pg.Client} client - The client holding the test's transaction.
+ * @returns {Object} A stand-in for a pool client.
+ */
+function savepointClient(client) {
+  const savepoint = `test_savepoint_${++savepoints}`;
+  const statements = {
+    BEGIN: `SAVEPOINT ${savepoint}`,
+    COMMIT: `RELEASE SAVEPOINT ${savepoint}`,
+    ROLLBACK: `ROLLBACK TO SAVEPOINT ${savepoint}`,
+  };
+  return {
+    query: (text, ...rest) => client.query(statements[text] || text, ...rest),
+    release: () => undefined,
+  };
+}
+
 /**
- * Starts a new database transaction.
+ * Starts a new database transaction on a client of its own, and sends every
+ * query made through `db` to it until commonAfterEach, including those on
+ * clients from `db.connect()`.
  * This function should be called before each individual test.
  * 
  * @async
@@ -96,11 +133,15 @@ async function commonBeforeAll() {
  * @returns {Promise<void>}
  */
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  testClient = await db.connect();
+  await testClient.query("BEGIN");
+  db.query = (...args) => testClient.query(...args);
+  db.connect = async () => savepointClient(testClient);
 }
 
 /**
- * Rolls back the current database transaction.
+ * Rolls back the current database transaction and gives `db` back its own
+ * connections.
  * This function should be called after each individual test to undo any changes made during the test.
  * 
  * @async
@@ -108,7 +149,15 @@ async function commonBeforeEach() {
  * @returns {Promise<void>}
  */
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  // Removing the overrides uncovers the pool's own methods again.
+  delete db.query;
+  delete db.connect;
+  try {
+    await testClient.query("ROLLBACK");
+  } finally {
+    testClient.release();
+    testClient = null;
+  }
 }
 
 /**
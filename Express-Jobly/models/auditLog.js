@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Defines the AuditLog class for recording and listing changes
+ * made to companies, jobs and users. Each entry stores who made the change,
+ * what kind of change it was, which record it touched, and the fields that
+ * changed as before/after JSON.
+ *
+ * @module AuditLog
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ../helpers/sql
+ */
+
+"use strict";
+
+const db = require("../db");
+const { ExpressError } = require("../expressError");
+const { sqlForSortAndPage } = require("../helpers/sql");
+
+/** Entries are always listed newest first. */
+const AUDIT_SORT_COLUMNS = { createdAt: "created_at" };
+
+/** Matches a date with no time, e.g. "2024-05-01". */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reduces two snapshots of a record to the fields that differ.
+ *
+ * Only the fields present in `after` are compared, so an update that returns
+ * fewer fields than were loaded beforehand doesn't look like it removed them.
+ * For creates and deletes, where one side is missing, the other side is kept whole.
+ *
+ * @param {Object|null} before - The record before the change.
+ * @param {Object|null} after - The record after the change.
+ * @returns {Object} `{ before, after }` holding only the changed fields.
+ */
+function diffSnapshots(before, after) {
+  if (!before || !after)
+    return { before: before || null, after: after || null };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const [key, value] of Object.entries(after)) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      changedBefore[key] = before[key] === undefined ? null : before[key];
+      changedAfter[key] = value;
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Builds the WHERE clause for the audit log filters.
+ *
+ * @param {Object} filters - The filters to apply.
+ * @param {string} [filters.actor] - Username that made the change.
+ * @param {string} [filters.entity] - "company", "job" or "user".
+ * @param {string} [filters.entityId] - Handle, id or username of the record.
+ * @param {string} [filters.action] - "create", "update", "delete" or "restore".
+ * @param {string} [filters.from] - Only entries at or after this date/time.
+ * @param {string} [filters.to] - Only entries at or before this date/time.
+ * A date without a time includes the whole of that day.
+ * @returns {Object} `{ where, values }` where `where` is empty when there are no filters.
+ */
+function auditWhereClause({ actor, entity, entityId, action, from, to }) {
+  const conditions = [];
+  const values = [];
+
+  for (const [column, value] of [
+    ["actor", actor],
+    ["entity", entity],
+    ["entity_id", entityId],
+    ["action", action]]) {
+    if (value !== undefined) {
+      conditions.push(`${column} = $${values.length + 1}`);
+      values.push(`${value}`);
+    }
+  }
+
+  if (from !== undefined) {
+    conditions.push(`created_at >= $${values.length + 1}`);
+    values.push(from);
+  }
+
+  if (to !== undefined) {
+    conditions.push(DATE_ONLY.test(to)
+      ? `created_at < $${values.length + 1}::date + 1`
+      : `created_at <= $${values.length + 1}`);
+    values.push(to);
+  }
+
+  const where = conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "";
+  return { where, values };
+}
+
+/**
+ * Class representing audit log operations.
+ * @class
+ */
+class AuditLog {
+  /**
+   * Record a change. For updates only the fields that changed are stored.
+   *
+   * @static
+   * @async
+   * @param {Object} entry - The change to record.
+   * @param {string} entry.actor - Username of whoever made the change.
+   * @param {string} entry.action - "create", "update", "delete" or "restore".
+   * @param {string} entry.entity - "company", "job" or "user".
+   * @param {string|number} entry.entityId - Handle, id or username of the record.
+   * @param {Object|null} [entry.before] - The record before the change; omit for creates and restores.
+   * @param {Object|null} [entry.after] - The record after the change; omit for deletes.
+   * @param {Object} [client=db] - A client to record the entry with, so that it
+   * is part of the caller's transaction.
+   * @returns {Promise<Object>} `{ id, actor, action, entity, entityId, before, after, createdAt }`
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async record({ actor, action, entity, entityId, before = null, after = null },
+    client = db) {
+    const diff = diffSnapshots(before, after);
+
+    let result;
+    try {
+      result = await client.query(
+        `INSERT INTO audit_log
+          (actor, action, entity, entity_id, before, after)
+        VALUES
+          ($1, $2, $3, $4, $5, $6)
+        RETURNING
+          id,
+          actor,
+          action,
+          entity,
+          entity_id AS "entityId",
+          before,
+          after,
+          created_at AS "createdAt"`,
+        [actor, action, entity, `${entityId}`,
+          diff.before && JSON.stringify(diff.before),
+          diff.after && JSON.stringify(diff.after)]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Find audit log entries, newest first.
+   *
+   * @static
+   * @async
+   * @param {Object} [filters={}] - Filters as accepted by auditWhereClause.
+   * @param {number} [filters.page] - 1-based page number.
+   * @param {number} [filters.limit] - Entries per page. When omitted, all entries are returned.
+   * @returns {Promise<Array<Object>>} `[{ id, actor, action, entity, entityId, before, after, createdAt }, ...]`
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async findAll(filters = {}) {
+    const { page, limit } = filters;
+    const { where, values } = auditWhereClause(filters);
+    const sortAndPage = sqlForSortAndPage({ direction: "desc", page, limit },
+      AUDIT_SORT_COLUMNS,
+      "id DESC",
+      values.length);
+
+    let result;
+    try {
+      result = await db.query(
+        `SELECT
+          id,
+          actor,
+          action,
+          entity,
+          entity_id AS "entityId",
+          before,
+          after,
+          created_at AS "createdAt"
+        FROM
+          audit_log${where}${sortAndPage.sql}`,
+        [...values, ...sortAndPage.values]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows;
+  }
+
+  /**
+   * Count the audit log entries matching the given filters.
+   *
+   * @static
+   * @async
+   * @param {Object} [filters={}] - The same filters accepted by findAll.
+   * Paging options are ignored.
+   * @returns {Promise<number>} The number of matching entries.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async count(filters = {}) {
+    const { where, values } = auditWhereClause(filters);
+
+    let result;
+    try {
+      result = await db.query(
+        `SELECT
+          COUNT(*) AS "total"
+        FROM
+          audit_log${where}`,
+        values);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return +result.rows[0].total;
+  }
+}
+
+module.exports = AuditLog;
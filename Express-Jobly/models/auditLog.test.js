@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Test suite for the AuditLog class.
+ * This module contains unit tests for recording changes and for listing and
+ * counting audit log entries with filters and paging.
+ *
+ * @module AuditLogTest
+ * @requires ../db
+ * @requires ./auditLog
+ * @requires ./_testCommon
+ */
+
+"use strict";
+
+const db = require("../db.js");
+const AuditLog = require("./auditLog");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/**
+ * Inserts three entries made on different days.
+ */
+async function insertEntries() {
+  await db.query(`
+    INSERT INTO audit_log
+      (actor, action, entity, entity_id, before, after, created_at)
+    VALUES
+      ('a1', 'create', 'company', 'c1', NULL, '{"name": "C1"}', '2024-01-01 09:00'),
+      ('a1', 'update', 'job', '1', '{"title": "j1"}', '{"title": "J1"}', '2024-01-02 09:00'),
+      ('u1', 'delete', 'user', 'u2', '{"username": "u2"}', NULL, '2024-01-03 09:00')`);
+}
+
+/************************************** record */
+
+describe("record", function () {
+  /** Test that creates keep the whole new record */
+  test("works for create", async function () {
+    const entry = await AuditLog.record({
+      actor: "a1",
+      action: "create",
+      entity: "job",
+      entityId: 7,
+      after: { title: "New", salary: 100 },
+    });
+    expect(entry).toEqual({
+      id: expect.any(Number),
+      actor: "a1",
+      action: "create",
+      entity: "job",
+      entityId: "7",
+      before: null,
+      after: { title: "New", salary: 100 },
+      createdAt: expect.any(Date),
+    });
+  });
+
+  /** Test that updates keep only the fields that changed */
+  test("works for update", async function () {
+    const entry = await AuditLog.record({
+      actor: "a1",
+      action: "update",
+      entity: "user",
+      entityId: "u1",
+      before: { username: "u1", isAdmin: false, emailVerified: true },
+      after: { username: "u1", isAdmin: true, password: "[redacted]" },
+    });
+    expect(entry.before).toEqual({ isAdmin: false, password: null });
+    expect(entry.after).toEqual({ isAdmin: true, password: "[redacted]" });
+  });
+
+  /** Test that deletes keep the whole old record */
+  test("works for delete", async function () {
+    const entry = await AuditLog.record({
+      actor: "a1",
+      action: "delete",
+      entity: "company",
+      entityId: "c1",
+      before: { handle: "c1", name: "C1" },
+    });
+    expect(entry.before).toEqual({ handle: "c1", name: "C1" });
+    expect(entry.after).toBeNull();
+  });
+});
+
+/************************************** findAll / count */
+
+describe("findAll", function () {
+  /** Test listing all entries, newest first */
+  test("works: no filter", async function () {
+    await insertEntries();
+    const entries = await AuditLog.findAll();
+    expect(entries.map(e => e.entityId)).toEqual(["u2", "1", "c1"]);
+    expect(entries[1]).toEqual({
+      id: expect.any(Number),
+      actor: "a1",
+      action: "update",
+      entity: "job",
+      entityId: "1",
+      before: { title: "j1" },
+      after: { title: "J1" },
+      createdAt: new Date("2024-01-02 09:00"),
+    });
+  });
+
+  /** Test filtering by actor, entity, entity id and action */
+  test("works: filters", async function () {
+    await insertEntries();
+    expect((await AuditLog.findAll({ actor: "a1" })).map(e => e.entityId))
+      .toEqual(["1", "c1"]);
+    expect((await AuditLog.findAll({ entity: "user" })).map(e => e.entityId))
+      .toEqual(["u2"]);
+    expect((await AuditLog.findAll({ entity: "job", entityId: "1" })).length)
+      .toEqual(1);
+    expect((await AuditLog.findAll({ action: "create", actor: "u1" })))
+      .toEqual([]);
+  });
+
+  /** Test filtering by date range; a bare "to" date includes that whole day */
+  test("works: date range", async function () {
+    await insertEntries();
+    expect((await AuditLog.findAll({ from: "2024-01-02" })).map(e => e.entityId))
+      .toEqual(["u2", "1"]);
+    expect((await AuditLog.findAll({ to: "2024-01-02" })).map(e => e.entityId))
+      .toEqual(["1", "c1"]);
+    expect((await AuditLog.findAll({ to: "2024-01-02T08:00:00" })).map(e => e.entityId))
+      .toEqual(["c1"]);
+  });
+
+  /** Test paging */
+  test("works: paging", async function () {
+    await insertEntries();
+    const entries = await AuditLog.findAll({ page: 2, limit: 2 });
+    expect(entries.map(e => e.entityId)).toEqual(["c1"]);
+  });
+});
+
+describe("count", function () {
+  /** Test counting with and without filters */
+  test("works", async function () {
+    await insertEntries();
+    expect(await AuditLog.count()).toEqual(3);
+    expect(await AuditLog.count({ actor: "a1", page: 2, limit: 1 })).toEqual(2);
+    expect(await AuditLog.count({ from: "2024-02-01" })).toEqual(0);
+  });
+});
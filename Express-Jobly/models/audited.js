@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Audited versions of the company, job and user mutations.
+ * Each function takes the username of whoever is making the change, performs
+ * it through the model, and records it in the audit log with the record's
+ * state before and after. Routes call these instead of the model methods so
+ * that every change made through the API leaves a trace.
+ *
+ * @module audited
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ./auditLog
+ * @requires ./authToken
+ * @requires ./company
+ * @requires ./job
+ * @requires ./user
+ */
+
+"use strict";
+
+const db = require("../db");
+const { ExpressError } = require("../expressError");
+const AuditLog = require("./auditLog");
+const AuthToken = require("./authToken");
+const Company = require("./company");
+const Job = require("./job");
+const User = require("./user");
+
+/** Stored in place of a new password, which is never logged. */
+const REDACTED = "[redacted]";
+
+/**
+ * The fields kept in the audit log for each entity. Related records, such as
+ * a company's jobs, are left out.
+ */
+const SNAPSHOT_FIELDS = {
+  company: ["handle", "name", "description", "numEmployees", "logoUrl"],
+  job: ["title", "salary", "equity", "companyHandle", "status", "expiresAt"],
+  user: ["username", "firstName", "lastName", "email", "isAdmin", "emailVerified"],
+};
+
+/**
+ * Copies an entity's audited fields from a record.
+ *
+ * @param {string} entity - "company", "job" or "user".
+ * @param {Object} record - The record as returned by its model.
+ * @returns {Object} The audited fields that are present on the record.
+ */
+function snapshot(entity, record) {
+  const result = {};
+  for (const field of SNAPSHOT_FIELDS[entity])
+    if (record[field] !== undefined)
+      result[field] = record[field];
+  return result;
+}
+
+/**
+ * Creates a company and records it.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {Object} data - As accepted by Company.create.
+ * @returns {Promise<Object>} The new company.
+ */
+async function createCompany(actor, data) {
+  const company = await Company.create(data);
+  await AuditLog.record({
+    actor, action: "create", entity: "company", entityId: company.handle,
+    after: snapshot("company", company),
+  });
+  return company;
+}
+
+/**
+ * Updates a company and records the fields that changed.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {string} handle - The company's handle.
+ * @param {Object} data - As accepted by Company.update.
+ * @returns {Promise<Object>} The updated company.
+ * @throws {NotFoundError} If the company doesn't exist.
+ */
+async function updateCompany(actor, handle, data) {
+  const before = await Company.get(handle);
+  const company = await Company.update(handle, data);
+  await AuditLog.record({
+    actor, action: "update", entity: "company", entityId: handle,
+    before: snapshot("company", before),
+    after: snapshot("company", company),
+  });
+  return company;
+}
+
+/**
+ * Deletes a company and records what it was.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {string} handle - The company's handle.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the company doesn't exist.
+ */
+async function removeCompany(actor, handle) {
+  const before = await Company.get(handle);
+  await Company.remove(handle);
+  await AuditLog.record({
+    actor, action: "delete", entity: "company", entityId: handle,
+    before: snapshot("company", before),
+  });
+}
+
+/**
+ * Restores a deleted company and records it.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {string} handle - The company's handle.
+ * @returns {Promise<Object>} The restored company.
+ * @throws {NotFoundError} If there is no deleted company with that handle.
+ */
+async function restoreCompany(actor, handle) {
+  const company = await Company.restore(handle);
+  await AuditLog.record({
+    actor, action: "restore", entity: "company", entityId: handle,
+    after: snapshot("company", company),
+  });
+  return company;
+}
+
+/**
+ * Creates a job and records it.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {Object} data - As accepted by Job.create.
+ * @returns {Promise<Object>} The new job.
+ */
+async function createJob(actor, data) {
+  const job = await Job.create(data);
+  await AuditLog.record({
+    actor, action: "create", entity: "job", entityId: job.id,
+    after: snapshot("job", job),
+  });
+  return job;
+}
+
+/**
+ * Updates a job and records the fields that changed.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {number|string} id - The job's id.
+ * @param {Object} data - As accepted by Job.update.
+ * @returns {Promise<Object>} The updated job.
+ * @throws {NotFoundError} If the job doesn't exist.
+ */
+async function updateJob(actor, id, data) {
+  const before = await Job.get(id);
+  const job = await Job.update(id, data);
+  await AuditLog.record({
+    actor, action: "update", entity: "job", entityId: id,
+    before: snapshot("job", before),
+    after: snapshot("job", job),
+  });
+  return job;
+}
+
+/**
+ * Deletes a job and records what it was.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {number|string} id - The job's id.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the job doesn't exist.
+ */
+async function removeJob(actor, id) {
+  const before = await Job.get(id);
+  await Job.remove(id);
+  await AuditLog.record({
+    actor, action: "delete", entity: "job", entityId: id,
+    before: snapshot("job", before),
+  });
+}
+
+/**
+ * Restores a deleted job and records it.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {number|string} id - The job's id.
+ * @returns {Promise<Object>} The restored job.
+ * @throws {NotFoundError} If there is no deleted job with that id.
+ */
+async function restoreJob(actor, id) {
+  const job = await Job.restore(id);
+  await AuditLog.record({
+    actor, action: "restore", entity: "job", entityId: id,
+    after: snapshot("job", job),
+  });
+  return job;
+}
+
+/**
+ * Moves a job along its lifecycle and records the change as an update.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {number|string} id - The job's id.
+ * @param {string} change - "publish", "close" or "reopen", as for Job.changeStatus.
+ * @param {string|null} [expiresAt] - A new expiry date for a job being opened.
+ * @returns {Promise<Object>} The job after the change.
+ * @throws {BadRequestError} If the job's status doesn't allow the change.
+ * @throws {NotFoundError} If the job doesn't exist.
+ */
+async function changeJobStatus(actor, id, change, expiresAt) {
+  const before = await Job.get(id);
+  const job = await Job.changeStatus(id, change, expiresAt);
+  await AuditLog.record({
+    actor, action: "update", entity: "job", entityId: id,
+    before: snapshot("job", before),
+    after: snapshot("job", job),
+  });
+  return job;
+}
+
+/**
+ * Registers a user and records it. The password is not logged.
+ *
+ * @async
+ * @param {string} actor - Username making the change; the new user's own
+ * username when they sign themselves up.
+ * @param {Object} data - As accepted by User.register.
+ * @returns {Promise<Object>} The new user.
+ */
+async function registerUser(actor, data) {
+  const user = await User.register(data);
+  await AuditLog.record({
+    actor, action: "create", entity: "user", entityId: user.username,
+    after: snapshot("user", user),
+  });
+  return user;
+}
+
+/**
+ * Updates a user and records the fields that changed. A password change is
+ * recorded without the password itself.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {string} username - The user to update.
+ * @param {Object} data - As accepted by User.update.
+ * @param {Object} [client=db] - A client to make the change with, so that it
+ * is part of the caller's transaction.
+ * @returns {Promise<Object>} The updated user.
+ * @throws {NotFoundError} If the user doesn't exist.
+ */
+async function updateUser(actor, username, data, client = db) {
+  const before = await User.get(username, {}, client);
+  const user = await User.update(username, data, client);
+  const after = snapshot("user", user);
+  if (data.password !== undefined)
+    after.password = REDACTED;
+  await AuditLog.record({
+    actor, action: "update", entity: "user", entityId: username,
+    before: snapshot("user", before),
+    after,
+  }, client);
+  return user;
+}
+
+/**
+ * Sets a new password with a reset token and records the change. Using up the
+ * token, changing the password, revoking the user's refresh tokens and
+ * unlocking their account happen in one transaction, so if any step fails the
+ * token can be used again and nothing else has changed.
+ *
+ * @async
+ * @param {string} token - The raw password reset token.
+ * @param {string} password - The new password.
+ * @returns {Promise<string>} The username whose password was reset.
+ * @throws {BadRequestError} If the token is unknown, expired or already used.
+ * @throws {ExpressError} If there is a database error.
+ */
+async function resetPassword(token, password) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const username = await AuthToken.consumePasswordResetToken(token, client);
+    await updateUser(username, username, { password }, client);
+    await AuthToken.revokeAllForUser(username, client);
+    await User.clearLockout(username, client);
+    await client.query("COMMIT");
+    return username;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    if (err instanceof ExpressError)
+      throw err;
+    throw new ExpressError(err, 500);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Deletes a user and records what they were.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {string} username - The user to delete.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user doesn't exist.
+ */
+async function removeUser(actor, username) {
+  const before = await User.get(username);
+  await User.remove(username);
+  await AuditLog.record({
+    actor, action: "delete", entity: "user", entityId: username,
+    before: snapshot("user", before),
+  });
+}
+
+/**
+ * Restores a deleted user and records it.
+ *
+ * @async
+ * @param {string} actor - Username making the change.
+ * @param {string} username - The user to restore.
+ * @returns {Promise<Object>} The restored user.
+ * @throws {NotFoundError} If there is no deleted user with that username.
+ */
+async function restoreUser(actor, username) {
+  const user = await User.restore(username);
+  await AuditLog.record({
+    actor, action: "restore", entity: "user", entityId: username,
+    after: snapshot("user", user),
+  });
+  return user;
+}
+
+module.exports = {
+  snapshot,
+  createCompany,
+  updateCompany,
+  removeCompany,
+  restoreCompany,
+  createJob,
+  updateJob,
+  removeJob,
+  restoreJob,
+  changeJobStatus,
+  registerUser,
+  updateUser,
+  resetPassword,
+  removeUser,
+  restoreUser,
+};
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Test suite for the audited company, job and user mutations.
+ * This module checks that each change is made and recorded in the audit log
+ * with the right actor and before/after fields.
+ *
+ * @module auditedTest
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ./audited
+ * @requires ./auditLog
+ * @requires ./authToken
+ * @requires ./user
+ * @requires ./_testCommon
+ */
+
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const audited = require("./audited");
+const AuditLog = require("./auditLog");
+const AuthToken = require("./authToken");
+const User = require("./user");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  getTestJobIds
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** companies */
+
+describe("companies", function () {
+  /** Test that a company update records only the changed fields */
+  test("updateCompany", async function () {
+    const company = await audited.updateCompany("a1", "c1", { name: "New" });
+    expect(company.name).toEqual("New");
+    expect(await AuditLog.findAll()).toEqual([
+      expect.objectContaining({
+        actor: "a1",
+        action: "update",
+        entity: "company",
+        entityId: "c1",
+        before: { name: "C1" },
+        after: { name: "New" },
+      }),
+    ]);
+  });
+
+  /** Test that a company delete records the deleted company */
+  test("removeCompany", async function () {
+    await audited.removeCompany("a1", "c2");
+    const [entry] = await AuditLog.findAll();
+    expect(entry.action).toEqual("delete");
+    expect(entry.before).toEqual({
+      handle: "c2",
+      name: "C2",
+      description: "Desc2",
+      numEmployees: 2,
+      logoUrl: "http://c2.img",
+    });
+    expect(entry.after).toBeNull();
+  });
+
+  /** Test that restoring a company is recorded */
+  test("restoreCompany", async function () {
+    await audited.removeCompany("a1", "c2");
+    await audited.restoreCompany("a1", "c2");
+    const [entry] = await AuditLog.findAll();
+    expect(entry).toEqual(expect.objectContaining({
+      action: "restore",
+      entityId: "c2",
+      before: null,
+      after: expect.objectContaining({ handle: "c2", name: "C2" }),
+    }));
+  });
+
+  /** Test that nothing is recorded for a missing company */
+  test("removeCompany: not found", async function () {
+    await expect(audited.removeCompany("a1", "nope")).rejects.toThrow(NotFoundError);
+    expect(await AuditLog.count()).toEqual(0);
+  });
+});
+
+/************************************** jobs */
+
+describe("jobs", function () {
+  /** Test that a new job is recorded under its id */
+  test("createJob", async function () {
+    const job = await audited.createJob("u1",
+      { title: "New", salary: 50, equity: "0", companyHandle: "c1" });
+    const [entry] = await AuditLog.findAll({ entity: "job" });
+    expect(entry).toEqual(expect.objectContaining({
+      actor: "u1",
+      action: "create",
+      entityId: `${job.id}`,
+      before: null,
+      after: {
+        title: "New", salary: 50, equity: "0", companyHandle: "c1",
+        status: "open", expiresAt: null,
+      },
+    }));
+  });
+
+  /** Test that a job update records only the changed fields */
+  test("updateJob", async function () {
+    const id = getTestJobIds()[0];
+    await audited.updateJob("a1", id, { salary: 1 });
+    const [entry] = await AuditLog.findAll();
+    expect(entry.before).toEqual({ salary: 100000 });
+    expect(entry.after).toEqual({ salary: 1 });
+  });
+
+  /** Test that a job delete records the deleted job */
+  test("removeJob", async function () {
+    const id = getTestJobIds()[2];
+    await audited.removeJob("a1", id);
+    const [entry] = await AuditLog.findAll();
+    expect(entry.entityId).toEqual(`${id}`);
+    expect(entry.before).toEqual({
+      title: "j3", salary: 300000, equity: "0", companyHandle: "c3",
+      status: "open", expiresAt: null,
+    });
+  });
+
+  /** Test that a lifecycle change is recorded as an update of the status */
+  test("changeJobStatus", async function () {
+    const id = getTestJobIds()[0];
+    const job = await audited.changeJobStatus("a1", id, "close");
+    expect(job.status).toEqual("closed");
+    const [entry] = await AuditLog.findAll();
+    expect(entry.action).toEqual("update");
+    expect(entry.before).toEqual({ status: "open" });
+    expect(entry.after).toEqual({ status: "closed" });
+  });
+});
+
+/************************************** users */
+
+describe("users", function () {
+  /** Test that registering records the user without their password */
+  test("registerUser", async function () {
+    await audited.registerUser("new", {
+      username: "new",
+      password: "password",
+      firstName: "N",
+      lastName: "U",
+      email: "new@email.com",
+      isAdmin: false,
+    });
+    const [entry] = await AuditLog.findAll();
+    expect(entry.actor).toEqual("new");
+    expect(entry.after).toEqual({
+      username: "new",
+      firstName: "N",
+      lastName: "U",
+      email: "new@email.com",
+      isAdmin: false,
+    });
+  });
+
+  /** Test that promoting a user and changing their password is recorded */
+  test("updateUser", async function () {
+    await audited.updateUser("a1", "u1", { isAdmin: true, password: "newpassword" });
+    const [entry] = await AuditLog.findAll();
+    expect(entry.before).toEqual({ isAdmin: false, password: null });
+    expect(entry.after).toEqual({ isAdmin: true, password: "[redacted]" });
+  });
+
+  /** Test that a reset sets the password, revokes sessions and unlocks the account */
+  test("resetPassword", async function () {
+    const refreshToken = await AuthToken.issueRefreshToken("u1");
+    await db.query(
+      "UPDATE users SET failed_login_attempts = 5, locked_until = NOW() + INTERVAL '10 minutes' WHERE username = 'u1'");
+    const token = await AuthToken.issuePasswordResetToken("u1");
+
+    expect(await audited.resetPassword(token, "newpassword")).toEqual("u1");
+
+    expect((await User.authenticate("u1", "newpassword")).username).toEqual("u1");
+    await expect(AuthToken.rotateRefreshToken(refreshToken)).rejects.toThrow();
+    const [entry] = await AuditLog.findAll({ entity: "user", action: "update" });
+    expect(entry.actor).toEqual("u1");
+    expect(entry.after).toEqual({ password: "[redacted]" });
+    await expect(audited.resetPassword(token, "otherpassword"))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  /** Test that nothing changes, and the token still works, if a step fails */
+  test("resetPassword: rolls back if a step fails", async function () {
+    const refreshToken = await AuthToken.issueRefreshToken("u1");
+    const token = await AuthToken.issuePasswordResetToken("u1");
+    const spy = jest.spyOn(AuthToken, "revokeAllForUser")
+      .mockRejectedValueOnce(new Error("Test error"));
+    try {
+      await expect(audited.resetPassword(token, "newpassword")).rejects.toThrow("Test error");
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+    expect(await AuditLog.findAll()).toEqual([]);
+    expect(await AuthToken.revokeRefreshToken(refreshToken)).toEqual(true);
+    expect(await audited.resetPassword(token, "newpassword")).toEqual("u1");
+  });
+
+  /** Test that a user delete records the deleted user */
+  test("removeUser", async function () {
+    await audited.removeUser("a1", "u2");
+    const [entry] = await AuditLog.findAll({ entity: "user", action: "delete" });
+    expect(entry.entityId).toEqual("u2");
+    expect(entry.before.email).toEqual("u2@email.com");
+  });
+});
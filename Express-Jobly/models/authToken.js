@@ -0,0 +1,358 @@
+/**
+ * @fileoverview Defines the AuthToken class for server-side token state.
+ * This module stores refresh tokens (hashed) so they can be rotated and revoked,
+ * keeps a list of revoked access tokens until they would have expired anyway, and
+ * stores single-use password reset and email verification tokens (hashed).
+ *
+ * @module AuthToken
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ../helpers/tokens
+ * @requires ../config
+ */
+
+"use strict";
+
+const db = require("../db");
+const {
+  UnauthorizedError,
+  BadRequestError,
+  ExpressError
+} = require("../expressError");
+const { createRefreshToken, hashToken } = require("../helpers/tokens");
+const {
+  REFRESH_TOKEN_TTL_DAYS,
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS
+} = require("../config");
+
+/**
+ * Issues a single-use token stored in `table`, marking any earlier unused
+ * tokens for the same user as used.
+ *
+ * @param {string} table - The token table (password_reset_tokens or email_verification_tokens).
+ * @param {string} username - The user the token is for.
+ * @param {number} minutes - How long the token stays valid.
+ * @returns {Promise<string>} The raw token. Only its hash is stored.
+ * @throws {ExpressError} If there is a database error.
+ */
+async function issueSingleUseToken(table, username, minutes) {
+  const token = createRefreshToken();
+  try {
+    await db.query(
+      `UPDATE ${table}
+      SET used_at = NOW()
+      WHERE username = $1 AND used_at IS NULL`,
+      [username]);
+    await db.query(
+      `INSERT INTO ${table}
+        (username, token_hash, expires_at)
+      VALUES
+        ($1, $2, NOW() + make_interval(mins => $3))`,
+      [username, hashToken(token), minutes]);
+  } catch (err) {
+    throw new ExpressError(err, 500);
+  }
+  return token;
+}
+
+/**
+ * Marks a single-use token in `table` as used, if it is still valid.
+ *
+ * @param {string} table - The token table (password_reset_tokens or email_verification_tokens).
+ * @param {string} token - The raw token.
+ * @param {Object} [client=db] - A client to use the token with, so that it is
+ * part of the caller's transaction.
+ * @returns {Promise<string|null>} The token's username, or null if it was unknown,
+ * expired or already used.
+ * @throws {ExpressError} If there is a database error.
+ */
+async function consumeSingleUseToken(table, token, client = db) {
+  let result;
+  try {
+    result = await client.query(
+      `UPDATE ${table}
+      SET used_at = NOW()
+      WHERE token_hash = $1
+        AND used_at IS NULL
+        AND expires_at > NOW()
+      RETURNING username`,
+      [hashToken(token)]);
+  } catch (err) {
+    throw new ExpressError(err, 500);
+  }
+  return result.rows.length ? result.rows[0].username : null;
+}
+
+/**
+ * Class representing server-side authentication token operations.
+ */
+class AuthToken {
+  /**
+   * Issue a new refresh token for a user.
+   *
+   * @param {string} username - The user the token belongs to.
+   * @returns {Promise<string>} The raw refresh token. Only its hash is stored.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async issueRefreshToken(username) {
+    const token = createRefreshToken();
+    try {
+      await db.query(
+        `INSERT INTO refresh_tokens
+          (username, token_hash, expires_at)
+        VALUES
+          ($1, $2, NOW() + make_interval(days => $3))`,
+        [username, hashToken(token), REFRESH_TOKEN_TTL_DAYS]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return token;
+  }
+
+  /**
+   * Exchange a refresh token for a new one. The old token is revoked.
+   *
+   * Presenting a token that was already revoked means it was stolen or replayed,
+   * so every refresh token for that user is revoked.
+   *
+   * @param {string} token - The raw refresh token.
+   * @returns {Promise<Object>} `{ username, refreshToken }` with the replacement token.
+   * @throws {UnauthorizedError} If the token is unknown, expired or already revoked.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async rotateRefreshToken(token) {
+    let result;
+    try {
+      result = await db.query(
+        `SELECT
+          id,
+          username,
+          revoked_at AS "revokedAt",
+          expires_at < NOW() AS "expired"
+        FROM
+          refresh_tokens
+        WHERE
+          token_hash = $1`,
+        [hashToken(token)]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    const found = result.rows[0];
+    if (!found)
+      throw new UnauthorizedError("Invalid refresh token");
+
+    if (found.revokedAt) {
+      await AuthToken.revokeAllForUser(found.username);
+      throw new UnauthorizedError("Refresh token has been revoked");
+    }
+
+    if (found.expired)
+      throw new UnauthorizedError("Refresh token has expired");
+
+    let revoked;
+    try {
+      revoked = await db.query(
+        `UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING id`,
+        [found.id]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    // Another request rotated this token first
+    if (!revoked.rows.length) {
+      await AuthToken.revokeAllForUser(found.username);
+      throw new UnauthorizedError("Refresh token has been revoked");
+    }
+
+    const refreshToken = await AuthToken.issueRefreshToken(found.username);
+    return { username: found.username, refreshToken };
+  }
+
+  /**
+   * Revoke a single refresh token.
+   *
+   * @param {string} token - The raw refresh token.
+   * @returns {Promise<boolean>} True if an active token was revoked.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async revokeRefreshToken(token) {
+    let result;
+    try {
+      result = await db.query(
+        `UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE token_hash = $1 AND revoked_at IS NULL
+        RETURNING id`,
+        [hashToken(token)]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Revoke every active refresh token belonging to a user.
+   *
+   * @param {string} username - The user whose tokens are revoked.
+   * @param {Object} [client=db] - A client to revoke the tokens with, so that
+   * it is part of the caller's transaction.
+   * @returns {Promise<number>} The number of tokens revoked.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async revokeAllForUser(username, client = db) {
+    let result;
+    try {
+      result = await client.query(
+        `UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke an access token before it expires. Entries for tokens that have
+   * since expired are cleared out at the same time.
+   *
+   * @param {string} jti - The token's unique ID.
+   * @param {number} exp - The token's expiry, in seconds since the epoch.
+   * @returns {Promise<void>}
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async revokeAccessToken(jti, exp) {
+    try {
+      await db.query(
+        `DELETE FROM revoked_tokens WHERE expires_at < NOW()`);
+      await db.query(
+        `INSERT INTO revoked_tokens
+          (jti, expires_at)
+        VALUES
+          ($1, to_timestamp($2))
+        ON CONFLICT (jti) DO NOTHING`,
+        [jti, exp]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+  }
+
+  /**
+   * Check whether an access token has been revoked. A token also stops working
+   * as soon as its user is deleted, rather than when it expires.
+   *
+   * @param {string} [jti] - The token's unique ID.
+   * @param {string} username - The user the token was issued to.
+   * @returns {Promise<boolean>} True if the token was revoked or its user deleted.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async isAccessTokenRevoked(jti, username) {
+    let result;
+    try {
+      result = await db.query(
+        `SELECT
+          EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $1)
+          OR EXISTS (SELECT 1 FROM users WHERE username = $2 AND deleted_at IS NOT NULL)
+          AS "revoked"`,
+        [jti ?? null, username]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows[0].revoked;
+  }
+
+  /**
+   * Issue a password reset token for a user. Any earlier unused reset tokens
+   * for the user stop working.
+   *
+   * @param {string} username - The user resetting their password.
+   * @returns {Promise<string>} The raw reset token. Only its hash is stored.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async issuePasswordResetToken(username) {
+    return await issueSingleUseToken("password_reset_tokens", username,
+      PASSWORD_RESET_TTL_MINUTES);
+  }
+
+  /**
+   * Use up a password reset token.
+   *
+   * @param {string} token - The raw reset token.
+   * @param {Object} [client=db] - A client to use the token with, so that it
+   * is part of the caller's transaction.
+   * @returns {Promise<string>} The username the token was issued for.
+   * @throws {BadRequestError} If the token is unknown, expired or already used.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async consumePasswordResetToken(token, client = db) {
+    const username = await consumeSingleUseToken("password_reset_tokens", token, client);
+    if (!username)
+      throw new BadRequestError("Invalid or expired password reset token");
+    return username;
+  }
+
+  /**
+   * Issue an email verification token for a user. Any earlier unused
+   * verification tokens for the user stop working.
+   *
+   * @param {string} username - The user verifying their email address.
+   * @returns {Promise<string>} The raw verification token. Only its hash is stored.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async issueEmailVerificationToken(username) {
+    return await issueSingleUseToken("email_verification_tokens", username,
+      EMAIL_VERIFICATION_TTL_HOURS * 60);
+  }
+
+  /**
+   * Use up an email verification token.
+   *
+   * @param {string} token - The raw verification token.
+   * @returns {Promise<string>} The username the token was issued for.
+   * @throws {BadRequestError} If the token is unknown, expired or already used.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async consumeEmailVerificationToken(token) {
+    const username = await consumeSingleUseToken("email_verification_tokens", token);
+    if (!username)
+      throw new BadRequestError("Invalid or expired email verification token");
+    return username;
+  }
+
+  /**
+   * Delete tokens that can no longer be used: expired refresh tokens, revoked
+   * access tokens past their expiry, and reset and verification tokens that
+   * have expired or been used.
+   *
+   * Revoked refresh tokens are kept until they expire, since presenting one
+   * is how a stolen token is detected.
+   *
+   * @returns {Promise<Object>} `{ refreshTokens, revokedTokens,
+   * passwordResetTokens, emailVerificationTokens }`, the number deleted from each.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async purgeExpired() {
+    const counts = {};
+    try {
+      for (const [key, table, condition] of [
+        ["refreshTokens", "refresh_tokens", "expires_at < NOW()"],
+        ["revokedTokens", "revoked_tokens", "expires_at < NOW()"],
+        ["passwordResetTokens", "password_reset_tokens", "expires_at < NOW() OR used_at IS NOT NULL"],
+        ["emailVerificationTokens", "email_verification_tokens", "expires_at < NOW() OR used_at IS NOT NULL"]]) {
+        const result = await db.query(`DELETE FROM ${table} WHERE ${condition}`);
+        counts[key] = result.rowCount;
+      }
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return counts;
+  }
+}
+
+module.exports = AuthToken;
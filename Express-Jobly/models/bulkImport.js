@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Bulk import of companies and jobs, such as rows read from a
+ * CSV upload.
+ *
+ * All rows are written in one transaction, each under its own savepoint so
+ * that a row the database refuses is reported instead of aborting the rest.
+ * The transaction is committed only if no row was rejected and this isn't a
+ * dry run; otherwise nothing is saved, but the report still shows what each
+ * row would have done. Every change is recorded in the audit log as part of
+ * the same transaction.
+ *
+ * @module bulkImport
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ../helpers/sql
+ * @requires ./auditLog
+ * @requires ./audited
+ */
+
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, ExpressError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const AuditLog = require("./auditLog");
+const { snapshot } = require("./audited");
+
+/** Columns returned for an imported company. */
+const COMPANY_COLUMNS = `
+  handle,
+  name,
+  description,
+  num_employees AS "numEmployees",
+  logo_url AS "logoUrl"`;
+
+/** Columns returned for an imported job. */
+const JOB_COLUMNS = `
+  id,
+  title,
+  salary,
+  equity,
+  company_handle AS "companyHandle",
+  status,
+  expires_at AS "expiresAt"`;
+
+/**
+ * Creates a company, or updates the one with the same handle.
+ *
+ * @async
+ * @param {Object} client - The transaction's client.
+ * @param {Object} data - `{ handle, name, description, numEmployees, logoUrl }`
+ * @returns {Promise<Object>} `{ status, key, before, after }`
+ * @throws {BadRequestError} If the company is soft-deleted, or is new and has no description.
+ */
+async function upsertCompany(client, { handle, ...data }) {
+  const existing = await client.query(
+    `SELECT ${COMPANY_COLUMNS}, deleted_at AS "deletedAt"
+    FROM companies
+    WHERE handle = $1
+    FOR UPDATE`,
+    [handle]);
+  const before = existing.rows[0];
+
+  if (before?.deletedAt)
+    throw new BadRequestError(`Company ${handle} is deleted; restore it first`);
+
+  if (!before) {
+    if (data.description === undefined)
+      throw new BadRequestError("A new company needs a description");
+    const result = await client.query(
+      `INSERT INTO companies
+        (handle, name, description, num_employees, logo_url)
+      VALUES
+        ($1, $2, $3, $4, $5)
+      RETURNING ${COMPANY_COLUMNS}`,
+      [handle, data.name, data.description, data.numEmployees, data.logoUrl]);
+    return { status: "created", key: handle, before: null, after: result.rows[0] };
+  }
+
+  const { setCols, values } = sqlForPartialUpdate(data, {
+    numEmployees: "num_employees",
+    logoUrl: "logo_url",
+  });
+  const result = await client.query(
+    `UPDATE companies
+    SET ${setCols}
+    WHERE handle = $${values.length + 1}
+    RETURNING ${COMPANY_COLUMNS}`,
+    [...values, handle]);
+  return { status: "updated", key: handle, before, after: result.rows[0] };
+}
+
+/**
+ * Creates a job, or updates the job with the given id.
+ *
+ * @async
+ * @param {Object} client - The transaction's client.
+ * @param {Object} data - `{ id, title, salary, equity, companyHandle, status,
+ * expiresAt }`, where `id` is left out for a new job. A new job is open unless
+ * its status is "draft"; an existing job's status can only be changed through
+ * its publish, close and reopen routes.
+ * @returns {Promise<Object>} `{ status, key, before, after }`
+ * @throws {BadRequestError} If the company doesn't exist, the job doesn't
+ * exist, the job belongs to a different company, the row changes an existing
+ * job's status, or the expiry date has passed.
+ */
+async function upsertJob(client, { id, companyHandle, status, ...data }) {
+  if (data.expiresAt != null && new Date(data.expiresAt) <= new Date())
+    throw new BadRequestError("expiresAt must be in the future");
+
+  if (id === undefined) {
+    const company = await client.query(
+      `SELECT handle
+      FROM companies
+      WHERE handle = $1
+        AND deleted_at IS NULL`,
+      [companyHandle]);
+    if (!company.rows[0])
+      throw new BadRequestError(`Company not found: ${companyHandle}`);
+
+    const result = await client.query(
+      `INSERT INTO jobs
+        (title, salary, equity, company_handle, status, posted_at, expires_at)
+      VALUES
+        ($1, $2, $3, $4, $5, CASE WHEN $5 = 'open' THEN NOW() END, $6)
+      RETURNING ${JOB_COLUMNS}`,
+      [data.title, data.salary, data.equity, companyHandle, status || "open",
+        data.expiresAt || null]);
+    const job = result.rows[0];
+    return { status: "created", key: job.id, before: null, after: job };
+  }
+
+  const existing = await client.query(
+    `SELECT ${JOB_COLUMNS}
+    FROM jobs
+    WHERE id = $1
+      AND deleted_at IS NULL
+    FOR UPDATE`,
+    [id]);
+  const before = existing.rows[0];
+
+  if (!before)
+    throw new BadRequestError(`Job not found: ${id}`);
+  if (before.companyHandle !== companyHandle)
+    throw new BadRequestError(`Job ${id} belongs to ${before.companyHandle}`);
+  if (status !== undefined && status !== before.status)
+    throw new BadRequestError(
+      `Job ${id} is ${before.status}; publish, close or reopen it to change its status`);
+
+  const { setCols, values } = sqlForPartialUpdate(data, { expiresAt: "expires_at" });
+  const result = await client.query(
+    `UPDATE jobs
+    SET ${setCols}
+    WHERE id = $${values.length + 1}
+    RETURNING ${JOB_COLUMNS}`,
+    [...values, id]);
+  return { status: "updated", key: id, before, after: result.rows[0] };
+}
+
+/**
+ * Writes rows in one transaction and reports what happened to each.
+ *
+ * @async
+ * @param {string} actor - Username making the import.
+ * @param {string} entity - "company" or "job".
+ * @param {string} keyField - The report field naming each row's record: "handle" or "id".
+ * @param {Function} upsert - upsertCompany or upsertJob.
+ * @param {Array<Object>} rows - `[{ line, data, errors }, ...]`; rows with
+ * errors are reported as rejected without being written.
+ * @param {boolean} dryRun - Roll back even if every row succeeds.
+ * @returns {Promise<Object>} The report; see importCompanies.
+ * @throws {ExpressError} If there is a database error outside of a row.
+ */
+async function importRows(actor, entity, keyField, upsert, rows, dryRun) {
+  const report = [];
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    for (const { line, data, errors } of rows) {
+      const entry = { line };
+      if (data[keyField] !== undefined)
+        entry[keyField] = data[keyField];
+      report.push(entry);
+
+      if (errors?.length) {
+        Object.assign(entry, { status: "rejected", errors });
+        continue;
+      }
+
+      await client.query("SAVEPOINT import_row");
+      try {
+        const { status, key, before, after } = await upsert(client, data);
+        await AuditLog.record({
+          actor,
+          action: status === "created" ? "create" : "update",
+          entity,
+          entityId: key,
+          before: before && snapshot(entity, before),
+          after: snapshot(entity, after),
+        }, client);
+        await client.query("RELEASE SAVEPOINT import_row");
+        Object.assign(entry, { status, [keyField]: key });
+      } catch (err) {
+        await client.query("ROLLBACK TO SAVEPOINT import_row");
+        Object.assign(entry, { status: "rejected", errors: [err.detail || err.message] });
+      }
+    }
+
+    const count = status => report.filter(entry => entry.status === status).length;
+    const summary = {
+      created: count("created"),
+      updated: count("updated"),
+      rejected: count("rejected"),
+    };
+    const committed = !dryRun && summary.rejected === 0;
+    await client.query(committed ? "COMMIT" : "ROLLBACK");
+
+    return { dryRun, committed, ...summary, rows: report };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw new ExpressError(err, 500);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Imports companies, creating new handles and updating existing ones.
+ * Columns left out of a row are left unchanged on an existing company.
+ *
+ * @async
+ * @param {string} actor - Username making the import.
+ * @param {Array<Object>} rows - `[{ line, data, errors }, ...]` where `data`
+ * is `{ handle, name, description, numEmployees, logoUrl }`.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.dryRun=false] - Report without saving anything.
+ * @returns {Promise<Object>} `{ dryRun, committed, created, updated, rejected, rows }`
+ * where `rows` is `[{ line, handle, status, errors }, ...]` and `status` is
+ * "created", "updated" or "rejected".
+ * @throws {ExpressError} If there is a database error outside of a row.
+ */
+async function importCompanies(actor, rows, { dryRun = false } = {}) {
+  return importRows(actor, "company", "handle", upsertCompany, rows, dryRun);
+}
+
+/**
+ * Imports jobs. Rows with an id update that job, which must belong to the
+ * row's company; rows without one create a new job.
+ *
+ * @async
+ * @param {string} actor - Username making the import.
+ * @param {Array<Object>} rows - `[{ line, data, errors }, ...]` where `data`
+ * is `{ id, title, salary, equity, companyHandle }`.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.dryRun=false] - Report without saving anything.
+ * @returns {Promise<Object>} As for importCompanies, with each row's job `id`
+ * in place of a handle.
+ * @throws {ExpressError} If there is a database error outside of a row.
+ */
+async function importJobs(actor, rows, { dryRun = false } = {}) {
+  return importRows(actor, "job", "id", upsertJob, rows, dryRun);
+}
+
+module.exports = { importCompanies, importJobs };
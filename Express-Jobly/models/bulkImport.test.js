@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Test suite for bulk imports of companies and jobs.
+ * This module checks that rows are created or updated, that rejected rows and
+ * dry runs save nothing, and that each change is recorded in the audit log.
+ *
+ * @module bulkImportTest
+ * @requires ../db
+ * @requires ./bulkImport
+ * @requires ./auditLog
+ * @requires ./_testCommon
+ */
+
+"use strict";
+
+const db = require("../db");
+const { importCompanies, importJobs } = require("./bulkImport");
+const AuditLog = require("./auditLog");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  getTestJobIds
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** The sample companies' handles, in order. */
+async function companyHandles() {
+  const result = await db.query("SELECT handle FROM companies ORDER BY handle");
+  return result.rows.map(r => r.handle);
+}
+
+/************************************** importCompanies */
+
+describe("importCompanies", function () {
+  const rows = [
+    { line: 2, data: { handle: "new", name: "New", description: "Desc", numEmployees: 5 } },
+    { line: 3, data: { handle: "c1", name: "C1-new", logoUrl: "http://new.img" } },
+  ];
+
+  /** New handles are created and existing ones updated */
+  test("works", async function () {
+    const report = await importCompanies("a1", rows);
+    expect(report).toEqual({
+      dryRun: false,
+      committed: true,
+      created: 1,
+      updated: 1,
+      rejected: 0,
+      rows: [
+        { line: 2, handle: "new", status: "created" },
+        { line: 3, handle: "c1", status: "updated" },
+      ],
+    });
+
+    const result = await db.query(
+      "SELECT name, description, logo_url FROM companies WHERE handle = 'c1'");
+    expect(result.rows[0]).toEqual(
+      { name: "C1-new", description: "Desc1", logo_url: "http://new.img" });
+    expect(await companyHandles()).toEqual(["c1", "c2", "c3", "new"]);
+  });
+
+  /** Each change is recorded in the audit log */
+  test("records changes", async function () {
+    await importCompanies("a1", rows);
+    const entries = await AuditLog.findAll({ entity: "company" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "a1",
+        action: "update",
+        entityId: "c1",
+        before: { name: "C1", logoUrl: "http://c1.img" },
+        after: { name: "C1-new", logoUrl: "http://new.img" },
+      }),
+      expect.objectContaining({
+        action: "create",
+        entityId: "new",
+        after: {
+          handle: "new",
+          name: "New",
+          description: "Desc",
+          numEmployees: 5,
+          logoUrl: null,
+        },
+      }),
+    ]);
+  });
+
+  /** A dry run reports what would happen but saves nothing */
+  test("dry run", async function () {
+    const report = await importCompanies("a1", rows, { dryRun: true });
+    expect(report).toEqual(expect.objectContaining(
+      { dryRun: true, committed: false, created: 1, updated: 1, rejected: 0 }));
+    expect(await companyHandles()).toEqual(["c1", "c2", "c3"]);
+    expect(await AuditLog.count()).toEqual(0);
+  });
+
+  /** Rows the database refuses are rejected, and then nothing is saved */
+  test("rejects rows and saves nothing", async function () {
+    const report = await importCompanies("a1", [
+      ...rows,
+      { line: 4, data: { handle: "dup", name: "C2", description: "Desc" } },
+      { line: 5, data: { handle: "nodesc", name: "No Desc" } },
+      { line: 6, data: { handle: "bad" }, errors: ["instance requires property \"name\""] },
+    ]);
+    expect(report).toEqual(expect.objectContaining(
+      { committed: false, created: 1, updated: 1, rejected: 3 }));
+    expect(report.rows.slice(2)).toEqual([
+      { line: 4, handle: "dup", status: "rejected", errors: [expect.stringContaining("C2")] },
+      { line: 5, handle: "nodesc", status: "rejected", errors: ["A new company needs a description"] },
+      { line: 6, handle: "bad", status: "rejected", errors: ["instance requires property \"name\""] },
+    ]);
+    expect(await companyHandles()).toEqual(["c1", "c2", "c3"]);
+  });
+
+  /** A soft-deleted company can't be imported over */
+  test("rejects deleted companies", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'");
+    const report = await importCompanies("a1", [rows[1]]);
+    expect(report.rows[0].errors).toEqual(["Company c1 is deleted; restore it first"]);
+  });
+});
+
+/************************************** importJobs */
+
+describe("importJobs", function () {
+  /** Rows without an id are created; rows with one update that job */
+  test("works", async function () {
+    const [j1] = getTestJobIds();
+    const report = await importJobs("a1", [
+      { line: 2, data: { title: "New", companyHandle: "c2", salary: 10 } },
+      { line: 3, data: { id: j1, title: "j1-new", companyHandle: "c1", equity: "0.5" } },
+    ]);
+    expect(report).toEqual(expect.objectContaining(
+      { committed: true, created: 1, updated: 1, rejected: 0 }));
+    expect(report.rows).toEqual([
+      { line: 2, id: expect.any(Number), status: "created" },
+      { line: 3, id: j1, status: "updated" },
+    ]);
+
+    const result = await db.query(
+      "SELECT title, salary, equity FROM jobs WHERE id = ANY($1) ORDER BY id",
+      [[j1, report.rows[0].id]]);
+    expect(result.rows).toEqual([
+      { title: "j1-new", salary: 100000, equity: "0.5" },
+      { title: "New", salary: 10, equity: null },
+    ]);
+
+    const [update] = await AuditLog.findAll({ entity: "job", action: "update" });
+    expect(update.before).toEqual({ title: "j1", equity: "0.1" });
+  });
+
+  /** New jobs can be drafts and expire; open ones are posted when created */
+  test("works: status and expiry on create", async function () {
+    const expiresAt = new Date(Date.now() + 86400000).toISOString();
+    const report = await importJobs("a1", [
+      { line: 2, data: { title: "Draft", companyHandle: "c1", status: "draft" } },
+      { line: 3, data: { title: "Open", companyHandle: "c1", status: "open", expiresAt } },
+      { line: 4, data: { title: "Default", companyHandle: "c1" } },
+    ]);
+    expect(report.committed).toBe(true);
+
+    const result = await db.query(
+      `SELECT title, status, posted_at IS NOT NULL AS "posted", expires_at AS "expiresAt"
+      FROM jobs WHERE id = ANY($1) ORDER BY id`,
+      [report.rows.map(row => row.id)]);
+    expect(result.rows).toEqual([
+      { title: "Draft", status: "draft", posted: false, expiresAt: null },
+      { title: "Open", status: "open", posted: true, expiresAt: new Date(expiresAt) },
+      { title: "Default", status: "open", posted: true, expiresAt: null },
+    ]);
+  });
+
+  /** Existing jobs can have their expiry changed, but not their status */
+  test("works: expiry and status on update", async function () {
+    const [j1, j2] = getTestJobIds();
+    const expiresAt = new Date(Date.now() + 86400000).toISOString();
+    const report = await importJobs("a1", [
+      { line: 2, data: { id: j1, title: "j1", companyHandle: "c1", status: "open", expiresAt } },
+      { line: 3, data: { id: j2, title: "j2", companyHandle: "c2", status: "draft" } },
+    ]);
+    expect(report.rows).toEqual([
+      { line: 2, id: j1, status: "updated" },
+      {
+        line: 3, id: j2, status: "rejected",
+        errors: [`Job ${j2} is open; publish, close or reopen it to change its status`],
+      },
+    ]);
+
+    await importJobs("a1", [
+      { line: 2, data: { id: j1, title: "j1", companyHandle: "c1", status: "open", expiresAt } },
+    ]);
+    const result = await db.query(
+      `SELECT status, expires_at AS "expiresAt" FROM jobs WHERE id = $1`, [j1]);
+    expect(result.rows).toEqual([{ status: "open", expiresAt: new Date(expiresAt) }]);
+  });
+
+  /** Rows that expire in the past are rejected */
+  test("rejects a past expiry", async function () {
+    const [j1] = getTestJobIds();
+    const expiresAt = new Date(Date.now() - 86400000).toISOString();
+    const report = await importJobs("a1", [
+      { line: 2, data: { title: "New", companyHandle: "c1", expiresAt } },
+      { line: 3, data: { id: j1, title: "j1", companyHandle: "c1", expiresAt } },
+    ]);
+    expect(report.rows.map(row => row.errors)).toEqual([
+      ["expiresAt must be in the future"],
+      ["expiresAt must be in the future"],
+    ]);
+  });
+
+  /** Unknown companies, unknown jobs and moving a job between companies are rejected */
+  test("rejects bad rows", async function () {
+    const [j1] = getTestJobIds();
+    const report = await importJobs("a1", [
+      { line: 2, data: { title: "New", companyHandle: "nope" } },
+      { line: 3, data: { id: 0, title: "New", companyHandle: "c1" } },
+      { line: 4, data: { id: j1, title: "New", companyHandle: "c2" } },
+    ]);
+    expect(report.rows.map(row => row.errors)).toEqual([
+      ["Company not found: nope"],
+      ["Job not found: 0"],
+      [`Job ${j1} belongs to c1`],
+    ]);
+    expect(report.committed).toBe(false);
+  });
+});
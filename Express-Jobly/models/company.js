@@ -7,6 +7,7 @@
  * @requires ../db
  * @requires ../expressError
  * @requires ../helpers/sql
+ * @requires ../helpers/export
  */
 
 "use strict";
@@ -17,7 +18,108 @@ const {
   NotFoundError, 
   ExpressError 
 } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { 
+  sqlForPartialUpdate, 
+  sqlForSortAndPage,
+  sqlJobIsOpen 
+} = require("../helpers/sql");
+const { streamQuery } = require("../helpers/export");
+
+/**
+ * Fields companies can be sorted by, mapped to their SQL columns.
+ * The first entry is the default sort.
+ * @type {Object<string, string>}
+ */
+const COMPANY_SORT_COLUMNS = {
+  name: "name",
+  handle: "handle",
+  numEmployees: "num_employees",
+  openJobCount: `"openJobCount"`,
+};
+
+/**
+ * The FROM and WHERE of a subquery for a company's open jobs, those
+ * applicants can see and apply to, correlated with the outer query's
+ * `companies` row.
+ * @type {string}
+ */
+const OPEN_JOBS = `FROM jobs
+      WHERE jobs.company_handle = companies.handle AND jobs.deleted_at IS NULL
+        AND ${sqlJobIsOpen("jobs")}`;
+
+/**
+ * Builds the WHERE clause shared by Company.findAll and Company.count.
+ * 
+ * @param {Object} filters - The filter criteria.
+ * @param {number} [filters.minEmployees] - The minimum number of employees.
+ * @param {number} [filters.maxEmployees] - The maximum number of employees.
+ * @param {string} [filters.nameLike] - Partial name match (case-insensitive).
+ * @param {boolean} [filters.hasOpenJobs] - true for only companies with open jobs,
+ * false for only those without.
+ * @param {boolean} [filters.includeDeleted=false] - Include soft-deleted companies.
+ * @returns {{where: string, values: Array}} The WHERE clause (or an empty string) and its values.
+ */
+function companyWhereClause({ minEmployees, maxEmployees, nameLike, hasOpenJobs, includeDeleted }) {
+  const conditions = [];
+  const values = [];
+
+  if (!includeDeleted)
+    conditions.push(`deleted_at IS NULL`);
+
+  if (minEmployees !== undefined) {
+    conditions.push(`num_employees >= $${values.length + 1}`);
+    values.push(minEmployees);
+  }
+
+  if (maxEmployees !== undefined) {
+    conditions.push(`num_employees <= $${values.length + 1}`);
+    values.push(maxEmployees);
+  }
+
+  if (nameLike !== undefined) {
+    conditions.push(`LOWER(name) LIKE '%' || LOWER($${values.length + 1}) || '%'`);
+    values.push(nameLike);
+  }
+
+  if (hasOpenJobs !== undefined)
+    conditions.push(`${hasOpenJobs ? "" : "NOT "}EXISTS (SELECT 1 ${OPEN_JOBS})`);
+
+  const where = conditions.length > 0
+    ? " WHERE " + conditions.join(" AND ")
+    : "";
+
+  return { where, values };
+}
+
+/**
+ * Builds the query shared by Company.findAll and Company.exportAll.
+ *
+ * @param {Object} filters - The filter, sort and paging options accepted by findAll.
+ * @returns {{text: string, values: Array}} The SELECT and its values.
+ * @throws {BadRequestError} If the sort field or direction is invalid.
+ */
+function companyListQuery(filters) {
+  const { where, values } = companyWhereClause(filters);
+  const sortAndPage = sqlForSortAndPage(filters,
+    COMPANY_SORT_COLUMNS,
+    "handle",
+    values.length);
+
+  return {
+    text: `
+    SELECT 
+      handle, 
+      name, 
+      description, 
+      num_employees AS "numEmployees", 
+      logo_url AS "logoUrl",
+      (SELECT COUNT(*)::int ${OPEN_JOBS}) AS "openJobCount"${filters.includeDeleted ? `,
+      deleted_at AS "deletedAt"` : ""}
+    FROM 
+      companies${where}${sortAndPage.sql}`,
+    values: [...values, ...sortAndPage.values],
+  };
+}
 
 /**
  * @class Company
@@ -111,54 +213,78 @@ class Company {
    * @param {number} [filters.minEmployees] - The minimum number of employees.
    * @param {number} [filters.maxEmployees] - The maximum number of employees.
    * @param {string} [filters.nameLike] - Partial name match (case-insensitive).
-   * @returns {Promise<Array<Object>>} An array of company objects.
+   * @param {boolean} [filters.hasOpenJobs] - true for only companies with open jobs,
+   * false for only those without.
+   * @param {string} [filters.sortBy="name"] - Field to sort by: name, handle, numEmployees or openJobCount.
+   * @param {string} [filters.direction="asc"] - Sort direction, asc or desc.
+   * @param {number} [filters.page=1] - 1-based page number, used with `limit`.
+   * @param {number} [filters.limit] - Page size. All matching companies are returned when omitted.
+   * @param {boolean} [filters.includeDeleted=false] - Include soft-deleted companies.
+   * Each company then also has a `deletedAt`, null unless it was deleted.
+   * @returns {Promise<Array<Object>>} An array of company objects: handle, name,
+   * description, numEmployees, logoUrl and openJobCount, the number of jobs
+   * that aren't deleted.
+   * @throws {BadRequestError} If the sort field or direction is invalid.
    * @throws {ExpressError} If there's an error during the database operation.
    */
   static async findAll(filters = {}) {
-    const { minEmployees, maxEmployees, nameLike } = filters;
-
-    let query = `
-    SELECT 
-      handle, 
-      name, 
-      description, 
-      num_employees AS "numEmployees", 
-      logo_url AS "logoUrl"
-    FROM 
-      companies`;
-
-    const conditions = [];
-    const values = [];
+    const { text, values } = companyListQuery(filters);
 
-    if (minEmployees !== undefined) {
-      conditions.push(`num_employees >= $${values.length + 1}`);
-      values.push(minEmployees);
-    }
-
-    if (maxEmployees !== undefined) {
-      conditions.push(`num_employees <= $${values.length + 1}`);
-      values.push(maxEmployees);
-    }
+    let companiesRes;
 
-    if (nameLike !== undefined) {
-      conditions.push(`LOWER(name) LIKE '%' || LOWER($${values.length + 1}) || '%'`);
-      values.push(nameLike);
+    try {
+      companiesRes = await db.query(text, values);
+    } catch (err) {
+      throw new ExpressError(err);
     }
 
-    if (conditions.length > 0)
-      query += " WHERE " + conditions.join(" AND ");
+    return companiesRes.rows;
+  }
 
-    query += " ORDER BY name";
+  /**
+   * Streams every company matching the given criteria, a batch at a time,
+   * through a database cursor.
+   *
+   * @static
+   * @async
+   * @param {Object} filters - The same filter and sort criteria accepted by findAll.
+   * Paging options are ignored.
+   * @param {Function} onBatch - Called with `(companies, columns)` for each batch.
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} If the sort field or direction is invalid.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async exportAll(filters, onBatch) {
+    const { page, limit, ...rest } = filters;
+    await streamQuery(companyListQuery(rest), onBatch);
+  }
 
-    let companiesRes;
+  /**
+   * Counts the companies matching the given search criteria.
+   * 
+   * @static
+   * @async
+   * @param {Object} [filters={}] - The same filter criteria accepted by findAll.
+   * Sorting and paging options are ignored.
+   * @returns {Promise<number>} The number of matching companies.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async count(filters = {}) {
+    const { where, values } = companyWhereClause(filters);
 
+    let countRes;
     try {
-      companiesRes = await db.query(query, values);
+      countRes = await db.query(
+        `SELECT 
+          COUNT(*) AS "total"
+        FROM 
+          companies${where}`,
+        values);
     } catch (err) {
       throw new ExpressError(err);
     }
 
-    return companiesRes.rows;
+    return +countRes.rows[0].total;
   }
 
   /**
@@ -167,11 +293,17 @@ class Company {
    * @static
    * @async
    * @param {string} handle - The unique handle of the company to retrieve.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.includeDeleted=false] - Find the company, and list its
+   * jobs, even if soft-deleted. The company then also has a `deletedAt`.
+   * @param {boolean} [options.includeClosed=false] - Also list draft, closed and expired
+   * jobs, each with its `status`, `postedAt` and `expiresAt`. Otherwise only open jobs
+   * that haven't expired are listed.
    * @returns {Promise<Object>} The company object with associated jobs.
    * @throws {NotFoundError} If no company is found with the given handle.
    * @throws {ExpressError} If there's an error during the database operation.
    */
-  static async get(handle) {
+  static async get(handle, { includeDeleted = false, includeClosed = false } = {}) {
     if (!handle)
       throw new NotFoundError(`No company: ${handle}`);
     let companyRes;
@@ -183,17 +315,26 @@ class Company {
           c.description,
           c.num_employees AS "numEmployees",
           c.logo_url AS "logoUrl",
+          c.deleted_at AS "deletedAt",
           j.id,
           j.title,
           j.salary,
-          j.equity
+          j.equity,
+          j.status,
+          j.posted_at AS "postedAt",
+          j.expires_at AS "expiresAt"
         FROM 
           companies c
         LEFT JOIN 
           jobs j ON c.handle = j.company_handle
+            AND ($2 OR j.deleted_at IS NULL)
+            AND ($3 OR (${sqlJobIsOpen("j")}))
         WHERE 
-          c.handle = $1`,
-        [handle]
+          c.handle = $1
+          AND ($2 OR c.deleted_at IS NULL)
+        ORDER BY
+          j.id`,
+        [handle, includeDeleted, includeClosed]
       );
     } catch (err) {
       throw new ExpressError(err);
@@ -210,7 +351,12 @@ class Company {
       id: row.id,
       title: row.title,
       salary: row.salary,
-      equity: row.equity
+      equity: row.equity,
+      ...(includeClosed && {
+        status: row.status,
+        postedAt: row.postedAt,
+        expiresAt: row.expiresAt,
+      }),
     }));
 
     // Remove null entries (in case of no jobs)
@@ -223,6 +369,7 @@ class Company {
       description: companyData.description,
       numEmployees: companyData.numEmployees,
       logoUrl: companyData.logoUrl,
+      ...(includeDeleted && { deletedAt: companyData.deletedAt }),
       jobs: filteredJobs
     };
   }
@@ -239,7 +386,7 @@ class Company {
    * @param {number} [data.numEmployees] - The updated number of employees.
    * @param {string} [data.logoUrl] - The updated URL to the company's logo.
    * @returns {Promise<Object>} The updated company object.
-   * @throws {NotFoundError} If no company is found with the given handle.
+   * @throws {NotFoundError} If no company is found with the given handle, or it was deleted.
    * @throws {ExpressError} If there's an error during the database operation.
    */
   static async update(handle, data) {
@@ -258,6 +405,7 @@ class Company {
       ${setCols} 
     WHERE 
       handle = ${handleVarIdx} 
+      AND deleted_at IS NULL
     RETURNING 
       handle, 
       name, 
@@ -280,22 +428,26 @@ class Company {
   }
 
   /**
-   * Removes a specific company from the database.
+   * Soft-deletes a company. It, and its jobs, are hidden until the company is
+   * restored or purged. Applications to its jobs are kept.
    * 
    * @static
    * @async
    * @param {string} handle - The unique handle of the company to remove.
-   * @throws {NotFoundError} If no company is found with the given handle.
+   * @throws {NotFoundError} If no company is found with the given handle, or it was already deleted.
    * @throws {ExpressError} If there's an error during the database operation.
    */
   static async remove(handle) {
     let removeResult;
     try {
       removeResult = await db.query(
-        `DELETE FROM 
+        `UPDATE 
         companies
+      SET 
+        deleted_at = NOW()
       WHERE 
         handle = $1
+        AND deleted_at IS NULL
       RETURNING 
         handle`,
         [handle]);
@@ -306,6 +458,71 @@ class Company {
       removeResult?.rows?.length === 0)
       throw new NotFoundError(`No company: ${handle}`);
   }
+
+  /**
+   * Restores a soft-deleted company.
+   * 
+   * @static
+   * @async
+   * @param {string} handle - The unique handle of the company to restore.
+   * @returns {Promise<Object>} The restored company object.
+   * @throws {NotFoundError} If no deleted company is found with the given handle.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async restore(handle) {
+    let restoreResult;
+    try {
+      restoreResult = await db.query(
+        `UPDATE 
+        companies
+      SET 
+        deleted_at = NULL
+      WHERE 
+        handle = $1
+        AND deleted_at IS NOT NULL
+      RETURNING 
+        handle, 
+        name, 
+        description, 
+        num_employees AS "numEmployees", 
+        logo_url AS "logoUrl"`,
+        [handle]);
+    } catch (err) {
+      throw new ExpressError(err);
+    }
+    if (restoreResult === undefined ||
+      restoreResult?.rows?.length === 0)
+      throw new NotFoundError(`No deleted company: ${handle}`);
+
+    return restoreResult.rows[0];
+  }
+
+  /**
+   * Permanently deletes companies that were soft-deleted more than `days` days ago,
+   * along with their jobs and the applications to them.
+   * 
+   * @static
+   * @async
+   * @param {number} days - The retention period in days.
+   * @returns {Promise<string[]>} The handles of the purged companies.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async purge(days) {
+    let purgeResult;
+    try {
+      purgeResult = await db.query(
+        `DELETE FROM 
+        companies
+      WHERE 
+        deleted_at < NOW() - make_interval(days => $1)
+      RETURNING 
+        handle`,
+        [days]);
+    } catch (err) {
+      throw new ExpressError(err);
+    }
+    return purgeResult.rows.map(r => r.handle);
+  }
 }
 
 module.exports = Company;
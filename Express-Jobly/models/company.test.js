@@ -93,6 +93,7 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        openJobCount: 1,
       },
       {
         handle: "c2",
@@ -100,6 +101,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
       {
         handle: "c3",
@@ -107,6 +109,7 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        openJobCount: 1,
       },
     ]);
   });
@@ -121,6 +124,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
       {
         handle: "c3",
@@ -128,6 +132,7 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        openJobCount: 1,
       },
     ]);
   });
@@ -142,6 +147,7 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        openJobCount: 1,
       },
       {
         handle: "c2",
@@ -149,6 +155,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
     ]);
   });
@@ -163,6 +170,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
     ]);
   });
@@ -177,6 +185,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
     ]);
   });
@@ -191,6 +200,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
       {
         handle: "c3",
@@ -198,6 +208,7 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        openJobCount: 1,
       },
     ]);
   });
@@ -212,6 +223,7 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        openJobCount: 1,
       },
       {
         handle: "c2",
@@ -219,6 +231,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
     ]);
   });
@@ -233,6 +246,7 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        openJobCount: 1,
       },
       {
         handle: "c2",
@@ -240,6 +254,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
       {
         handle: "c3",
@@ -247,6 +262,7 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        openJobCount: 1,
       },
     ]);
   });
@@ -261,6 +277,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        openJobCount: 1,
       },
       {
         handle: "c3",
@@ -268,9 +285,91 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        openJobCount: 1,
       },
     ]);
   });
+  /** Tests sorting companies by number of employees in descending order. */
+  test("works: sortBy numEmployees desc", async function () {
+    let companies = await Company.findAll({ sortBy: "numEmployees", direction: "desc" });
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  /** Tests filtering and sorting by open jobs, which leave out deleted jobs. */
+  test("works: hasOpenJobs and openJobCount", async function () {
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE company_handle = 'c2'");
+    await db.query("INSERT INTO jobs (title, company_handle) VALUES ('j4', 'c3')");
+
+    let companies = await Company.findAll({ hasOpenJobs: true });
+    expect(companies.map(c => [c.handle, c.openJobCount])).toEqual([["c1", 1], ["c3", 2]]);
+    companies = await Company.findAll({ hasOpenJobs: false });
+    expect(companies.map(c => [c.handle, c.openJobCount])).toEqual([["c2", 0]]);
+    expect(await Company.count({ hasOpenJobs: true })).toEqual(2);
+
+    companies = await Company.findAll({ sortBy: "openJobCount", direction: "desc" });
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c1", "c2"]);
+  });
+
+  /** Tests that closed and expired jobs aren't counted as open. */
+  test("works: openJobCount leaves out closed and expired jobs", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE company_handle = 'c1'");
+    await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE company_handle = 'c2'");
+
+    const companies = await Company.findAll({ hasOpenJobs: true });
+    expect(companies.map(c => [c.handle, c.openJobCount])).toEqual([["c3", 1]]);
+  });
+
+  /** Tests retrieving a single page of companies. */
+  test("works: page and limit", async function () {
+    let companies = await Company.findAll({ page: 2, limit: 2 });
+    expect(companies).toEqual([
+      {
+        handle: "c3",
+        name: "C3",
+        description: "Desc3",
+        numEmployees: 3,
+        logoUrl: "http://c3.img",
+        openJobCount: 1,
+      },
+    ]);
+  });
+
+  /** Throws a BadRequestError for an unknown sort direction. */
+  test("bad request with invalid direction", async function () {
+    try {
+      await Company.findAll({ direction: "sideways" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/** Tests for streaming companies for an export. */
+describe("exportAll", function () {
+  /** Streams matching companies in the findAll order, ignoring paging. */
+  test("works", async function () {
+    const onBatch = jest.fn();
+    await Company.exportAll(
+      { minEmployees: 2, sortBy: "name", direction: "desc", page: 2, limit: 1 }, onBatch);
+    expect(onBatch).toHaveBeenCalledTimes(1);
+    const [rows, columns] = onBatch.mock.calls[0];
+    expect(columns).toEqual(["handle", "name", "description", "numEmployees", "logoUrl", "openJobCount"]);
+    expect(rows.map(c => c.handle)).toEqual(["c3", "c2"]);
+  });
+});
+
+/** Tests for counting companies with optional filters. */
+describe("count", function () {
+  /** Counts every company when no filter is applied. */
+  test("works: no filter", async function () {
+    expect(await Company.count()).toEqual(3);
+  });
+
+  /** Counts only companies matching the filters. */
+  test("works: with filter", async function () {
+    expect(await Company.count({ maxEmployees: 2 })).toEqual(2);
+  });
 });
 
 /** Tests for retrieving a company by handle from the database. */
@@ -288,6 +387,23 @@ describe("get", function () {
     });
   });
 
+  /** Lists only open jobs unless asked for the rest, with their status. */
+  test("works: includeClosed", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE company_handle = 'c1'");
+    expect((await Company.get("c1")).jobs).toEqual([]);
+
+    const company = await Company.get("c1", { includeClosed: true });
+    expect(company.jobs).toEqual([{
+      id: expect.any(Number),
+      title: "j1",
+      salary: 100000,
+      equity: "0.1",
+      status: "closed",
+      postedAt: expect.any(Date),
+      expiresAt: null,
+    }]);
+  });
+
   /** Throws a NotFoundError if no company is found. */
   test("not found if no such company", async function () {
     try {
@@ -427,12 +543,27 @@ describe("update", function () {
 
 /** Tests for removing a company from the database. */
 describe("remove", function () {
-  /** Ensures the removal of an existing company works correctly. */
+  /** Ensures the company is soft-deleted and hidden, along with its jobs. */
   test("works", async function () {
     await Company.remove("c1");
     const res = await db.query(
-        "SELECT handle FROM companies WHERE handle='c1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM companies WHERE handle='c1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+    await expect(Company.get("c1")).rejects.toThrow(NotFoundError);
+    expect((await Company.findAll()).map(c => c.handle)).toEqual(["c2", "c3"]);
+    expect(await Company.count()).toEqual(2);
+    const jobs = await db.query(
+        `SELECT id FROM jobs
+        WHERE company_handle='c1'
+          AND company_handle IN (SELECT handle FROM companies WHERE deleted_at IS NULL)`);
+    expect(jobs.rows.length).toEqual(0);
+  });
+
+  /** Throws a NotFoundError if the company was already deleted. */
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    await expect(Company.remove("c1")).rejects.toThrow(NotFoundError);
+    await expect(Company.update("c1", { name: "New" })).rejects.toThrow(NotFoundError);
   });
 
   /** Throws a NotFoundError if no company is found to remove. */
@@ -445,3 +576,66 @@ describe("remove", function () {
     }
   });
 });
+
+/** Tests for finding soft-deleted companies. */
+describe("includeDeleted", function () {
+  /** Lists deleted companies, with when they were deleted. */
+  test("findAll and count include deleted companies", async function () {
+    await Company.remove("c2");
+    const companies = await Company.findAll({ includeDeleted: true });
+    expect(companies.map(c => [c.handle, c.deletedAt])).toEqual([
+      ["c1", null],
+      ["c2", expect.any(Date)],
+      ["c3", null],
+    ]);
+    expect(await Company.count({ includeDeleted: true })).toEqual(3);
+  });
+
+  /** Gets a deleted company. */
+  test("get finds a deleted company", async function () {
+    await Company.remove("c1");
+    const company = await Company.get("c1", { includeDeleted: true });
+    expect(company.handle).toEqual("c1");
+    expect(company.deletedAt).toEqual(expect.any(Date));
+    expect(company.jobs.length).toEqual(1);
+  });
+});
+
+/** Tests for restoring a soft-deleted company. */
+describe("restore", function () {
+  /** Restores a deleted company. */
+  test("works", async function () {
+    await Company.remove("c1");
+    const company = await Company.restore("c1");
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+    });
+    expect((await Company.get("c1")).jobs.length).toEqual(1);
+  });
+
+  /** Throws a NotFoundError if the company isn't deleted. */
+  test("not found if not deleted", async function () {
+    await expect(Company.restore("c1")).rejects.toThrow(NotFoundError);
+    await expect(Company.restore("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/** Tests for purging old soft-deleted companies. */
+describe("purge", function () {
+  /** Only removes companies deleted before the retention period. */
+  test("works", async function () {
+    await Company.remove("c1");
+    await Company.remove("c2");
+    await db.query(
+        "UPDATE companies SET deleted_at = NOW() - INTERVAL '31 days' WHERE handle='c1'");
+    expect(await Company.purge(30)).toEqual(["c1"]);
+    const res = await db.query("SELECT handle FROM companies ORDER BY handle");
+    expect(res.rows.map(r => r.handle)).toEqual(["c2", "c3"]);
+    const jobs = await db.query("SELECT id FROM jobs WHERE company_handle='c1'");
+    expect(jobs.rows.length).toEqual(0);
+  });
+});
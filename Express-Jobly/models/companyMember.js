@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Defines the CompanyMember class for company recruiter memberships.
+ * A user who is a member of a company can manage that company's jobs and profile
+ * without being an admin. Admins add and remove members.
+ *
+ * @module CompanyMember
+ * @requires ../db
+ * @requires ../expressError
+ */
+
+"use strict";
+
+const db = require("../db");
+const {
+  BadRequestError,
+  NotFoundError,
+  ExpressError
+} = require("../expressError");
+
+/**
+ * Checks that a row exists, throwing a NotFoundError if it doesn't.
+ *
+ * @param {string} sql - A query selecting the row by `$1`.
+ * @param {string} value - The value to look up.
+ * @param {string} message - The NotFoundError message.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If no row is found.
+ * @throws {ExpressError} If there is a database error.
+ */
+async function ensureExists(sql, value, message) {
+  let result;
+  try {
+    result = await db.query(sql, [value]);
+  } catch (err) {
+    throw new ExpressError(err, 500);
+  }
+  if (!result.rows.length)
+    throw new NotFoundError(message);
+}
+
+/**
+ * Class representing company membership operations.
+ * @class
+ */
+class CompanyMember {
+  /**
+   * Make a user a member of a company.
+   *
+   * @static
+   * @async
+   * @param {string} handle - The company's handle.
+   * @param {string} username - The user to add.
+   * @returns {Promise<Object>} `{ username, companyHandle }`
+   * @throws {NotFoundError} If the company or user doesn't exist.
+   * @throws {BadRequestError} If the user is already a member.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async add(handle, username) {
+    await ensureExists(`SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`,
+      handle, `No company: ${handle}`);
+    await ensureExists(`SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`,
+      username, `No user: ${username}`);
+
+    let result;
+    try {
+      result = await db.query(
+        `INSERT INTO company_members
+          (username, company_handle)
+        VALUES
+          ($1, $2)
+        ON CONFLICT DO NOTHING
+        RETURNING
+          username,
+          company_handle AS "companyHandle"`,
+        [username, handle]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    if (!result.rows.length)
+      throw new BadRequestError(`${username} is already a member of ${handle}`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Remove a user from a company.
+   *
+   * @static
+   * @async
+   * @param {string} handle - The company's handle.
+   * @param {string} username - The user to remove.
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the user isn't a member of the company.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async remove(handle, username) {
+    let result;
+    try {
+      result = await db.query(
+        `DELETE FROM company_members
+        WHERE company_handle = $1 AND username = $2
+        RETURNING username`,
+        [handle, username]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    if (!result.rows.length)
+      throw new NotFoundError(`${username} is not a member of ${handle}`);
+  }
+
+  /**
+   * List a company's members.
+   *
+   * @static
+   * @async
+   * @param {string} handle - The company's handle.
+   * @returns {Promise<Array<Object>>} `[{ username, firstName, lastName, email, addedAt }, ...]`
+   * ordered by username.
+   * @throws {NotFoundError} If the company doesn't exist.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async findForCompany(handle) {
+    await ensureExists(`SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`,
+      handle, `No company: ${handle}`);
+
+    let result;
+    try {
+      result = await db.query(
+        `SELECT
+          u.username,
+          u.first_name AS "firstName",
+          u.last_name AS "lastName",
+          u.email,
+          m.added_at AS "addedAt"
+        FROM
+          company_members AS m
+          JOIN users AS u ON u.username = m.username
+        WHERE
+          m.company_handle = $1
+        ORDER BY
+          u.username`,
+        [handle]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows;
+  }
+
+  /**
+   * List the handles of the companies a user is a member of.
+   *
+   * @static
+   * @async
+   * @param {string} username - The user.
+   * @returns {Promise<string[]>} Company handles, in order. Empty if none.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async companiesForUser(username) {
+    let result;
+    try {
+      result = await db.query(
+        `SELECT company_handle AS "companyHandle"
+        FROM company_members
+        WHERE username = $1
+        ORDER BY company_handle`,
+        [username]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows.map(r => r.companyHandle);
+  }
+}
+
+module.exports = CompanyMember;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Test suite for the CompanyMember class.
+ * This module contains unit tests for adding, listing and removing the users
+ * who recruit for a company.
+ *
+ * @module CompanyMemberTest
+ * @requires ../expressError
+ * @requires ./companyMember
+ * @requires ./_testCommon
+ */
+
+"use strict";
+
+const {
+  BadRequestError,
+  NotFoundError
+} = require("../expressError");
+const CompanyMember = require("./companyMember");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Testing suite for CompanyMember functionalities */
+describe("CompanyMember", function () {
+  /** Test adding a member and listing them */
+  test("add and findForCompany", async function () {
+    const member = await CompanyMember.add("c1", "u1");
+    expect(member).toEqual({ username: "u1", companyHandle: "c1" });
+    expect(await CompanyMember.findForCompany("c1")).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        addedAt: expect.any(Date),
+      },
+    ]);
+    expect(await CompanyMember.findForCompany("c2")).toEqual([]);
+  });
+
+  /** Test adding the same member twice */
+  test("add fails for existing member", async function () {
+    await CompanyMember.add("c1", "u1");
+    await expect(CompanyMember.add("c1", "u1")).rejects.toThrow(BadRequestError);
+  });
+
+  /** Test adding to a missing company or a missing user */
+  test("add fails for missing company or user", async function () {
+    await expect(CompanyMember.add("nope", "u1")).rejects.toThrow(NotFoundError);
+    await expect(CompanyMember.add("c1", "nope")).rejects.toThrow(NotFoundError);
+  });
+
+  /** Test listing the companies a user recruits for */
+  test("companiesForUser", async function () {
+    await CompanyMember.add("c2", "u1");
+    await CompanyMember.add("c1", "u1");
+    expect(await CompanyMember.companiesForUser("u1")).toEqual(["c1", "c2"]);
+    expect(await CompanyMember.companiesForUser("u2")).toEqual([]);
+  });
+
+  /** Test removing a member */
+  test("remove", async function () {
+    await CompanyMember.add("c1", "u1");
+    await CompanyMember.remove("c1", "u1");
+    expect(await CompanyMember.companiesForUser("u1")).toEqual([]);
+    await expect(CompanyMember.remove("c1", "u1")).rejects.toThrow(NotFoundError);
+  });
+
+  /** Test listing members of a missing company */
+  test("findForCompany fails for missing company", async function () {
+    await expect(CompanyMember.findForCompany("nope")).rejects.toThrow(NotFoundError);
+  });
+});
@@ -7,6 +7,7 @@
  * @requires ../db
  * @requires ../expressError
  * @requires ../helpers/sql
+ * @requires ../helpers/export
  */
 
 "use strict";
@@ -17,7 +18,176 @@ const {
   NotFoundError, 
   ExpressError 
 } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { 
+  sqlForPartialUpdate, 
+  sqlForSortAndPage,
+  sqlJobIsOpen 
+} = require("../helpers/sql");
+const { streamQuery } = require("../helpers/export");
+
+/**
+ * Fields jobs can be sorted by, mapped to their SQL columns.
+ * The first entry is the default sort.
+ * @type {Object<string, string>}
+ */
+const JOB_SORT_COLUMNS = {
+  title: "title",
+  salary: "salary",
+  equity: "equity",
+  companyHandle: "company_handle",
+  postedAt: "posted_at",
+};
+
+/**
+ * The columns returned for a single job, including where it is in its lifecycle.
+ * @type {string}
+ */
+const JOB_COLUMNS = `
+          id, 
+          title, 
+          salary, 
+          equity, 
+          company_handle AS "companyHandle",
+          status,
+          posted_at AS "postedAt",
+          expires_at AS "expiresAt"`;
+
+/**
+ * The lifecycle changes an admin can make, with the status each one moves a
+ * job from and to. A job starts as a draft or open; publishing a draft sets
+ * when it was posted.
+ * @type {Object<string, {from: string, to: string}>}
+ */
+const STATUS_CHANGES = {
+  publish: { from: "draft", to: "open" },
+  close: { from: "open", to: "closed" },
+  reopen: { from: "closed", to: "open" },
+};
+
+/**
+ * Checks that a new expiry date hasn't already passed.
+ * 
+ * @param {string|Date|null|undefined} expiresAt - The expiry date, if one is being set.
+ * @throws {BadRequestError} If the date is in the past.
+ */
+function ensureFutureExpiry(expiresAt) {
+  if (expiresAt != null && new Date(expiresAt) <= new Date())
+    throw new BadRequestError("expiresAt must be in the future");
+}
+
+/**
+ * Build the WHERE clause shared by Job.findAll and Job.count.
+ * 
+ * @param {Object} filters - The query parameters for filtering.
+ * @param {number} [filters.minSalary] - The minimum salary.
+ * @param {number} [filters.maxSalary] - The maximum salary.
+ * @param {boolean} [filters.hasEquity] - Whether the job has equity.
+ * @param {number} [filters.minEquity] - The least equity.
+ * @param {number} [filters.maxEquity] - The most equity.
+ * @param {string} [filters.title] - Exact title match.
+ * @param {string} [filters.titleLike] - Partial title match (case-insensitive).
+ * @param {string|string[]} [filters.companyHandle] - Only jobs at this company, or these companies.
+ * @param {number} [filters.minEmployees] - Only jobs at companies with at least this many employees.
+ * @param {number} [filters.maxEmployees] - Only jobs at companies with at most this many employees.
+ * @param {boolean} [filters.includeDeleted=false] - Include soft-deleted jobs, and
+ * the jobs of soft-deleted companies.
+ * @param {boolean} [filters.includeClosed=false] - Include draft, closed and expired jobs.
+ * @returns {{where: string, values: Array}} The WHERE clause (or an empty string) and its values.
+ */
+function jobWhereClause({ minSalary, maxSalary, hasEquity, minEquity, maxEquity, title, titleLike,
+  companyHandle, minEmployees, maxEmployees, includeDeleted, includeClosed }) {
+  const conditions = [];
+  const values = [];
+
+  if (!includeDeleted)
+    conditions.push(`deleted_at IS NULL AND company_handle IN
+        (SELECT handle FROM companies WHERE deleted_at IS NULL)`);
+
+  if (!includeClosed)
+    conditions.push(sqlJobIsOpen());
+
+  for (const [condition, value] of [
+    ["salary >=", minSalary],
+    ["salary <=", maxSalary],
+    ["equity >=", minEquity],
+    ["equity <=", maxEquity]]) {
+    if (value !== undefined) {
+      conditions.push(`${condition} $${values.length + 1}`);
+      values.push(value);
+    }
+  }
+
+  if (companyHandle !== undefined) {
+    conditions.push(`company_handle = ANY($${values.length + 1})`);
+    values.push([].concat(companyHandle).map(handle => handle.toLowerCase()));
+  }
+
+  // The size filters apply to the company offering the job
+  const sizeConditions = [];
+  if (minEmployees !== undefined) {
+    sizeConditions.push(`num_employees >= $${values.length + 1}`);
+    values.push(minEmployees);
+  }
+  if (maxEmployees !== undefined) {
+    sizeConditions.push(`num_employees <= $${values.length + 1}`);
+    values.push(maxEmployees);
+  }
+  if (sizeConditions.length)
+    conditions.push(`company_handle IN
+        (SELECT handle FROM companies WHERE ${sizeConditions.join(" AND ")})`);
+
+  if (titleLike !== undefined) {
+    conditions.push(`LOWER(title) LIKE '%' || LOWER($${values.length + 1}) || '%'`);
+    values.push(titleLike);
+  }
+
+  if (title !== undefined) {
+    conditions.push(`title = $${values.length + 1}`);
+    values.push(title);
+  }
+
+  if (hasEquity === true ||
+    hasEquity == 'true') {
+    conditions.push(`equity > 0`);
+  }
+
+  const where = conditions.length > 0
+    ? " WHERE " + conditions.join(" AND ")
+    : "";
+
+  return { where, values };
+}
+
+/**
+ * Build the query shared by Job.findAll and Job.exportAll.
+ * 
+ * @param {Object} filters - The filter, sort and paging options accepted by findAll.
+ * @returns {{text: string, values: Array}} The SELECT and its values.
+ * @throws {BadRequestError} If the sort field or direction is invalid.
+ */
+function jobListQuery(filters) {
+  const { where, values } = jobWhereClause(filters);
+  const sortAndPage = sqlForSortAndPage(filters,
+    JOB_SORT_COLUMNS,
+    "id",
+    values.length);
+
+  return {
+    text: `
+      SELECT 
+        id, 
+        title, 
+        salary, 
+        equity, 
+        company_handle AS "companyHandle"${filters.includeClosed ? `,
+        status,
+        posted_at AS "postedAt",
+        expires_at AS "expiresAt"` : ""}${filters.includeDeleted ? `,
+        deleted_at AS "deletedAt"` : ""}
+      FROM jobs${where}${sortAndPage.sql}`,
+    values: [...values, ...sortAndPage.values],
+  };
+}
 
 /**
  * Class representing a job.
@@ -31,14 +201,20 @@ class Job {
   * @param {number} jobData.salary - The job salary.
   * @param {string} jobData.equity - The job equity.
   * @param {string} jobData.companyHandle - The handle of the company offering the job.
-  * @returns {Promise<Object>} The created job object.
-  * @throws {BadRequestError} If the company handle is null or the company is not found.
+  * @param {string} [jobData.status="open"] - "draft" to save the job without listing it
+  * until it is published, or "open" to post it now.
+  * @param {string} [jobData.expiresAt] - When the job stops being listed. It never expires when omitted.
+  * @returns {Promise<Object>} The created job object, with its status, postedAt and expiresAt.
+  * @throws {BadRequestError} If the company handle is null or the company is not found or was deleted,
+  * or the expiry date has passed.
   * @throws {ExpressError} If there is a database error.
   */
-  static async create({ title, salary, equity, companyHandle }) {
+  static async create({ title, salary, equity, companyHandle, status = "open", expiresAt = null }) {
     if (companyHandle == null)
       throw new BadRequestError("Company Handle is null. Please locate a company.");
 
+    ensureFutureExpiry(expiresAt);
+
     let companyCheck;
     try {
       companyCheck = await db.query(
@@ -47,7 +223,8 @@ class Job {
         FROM 
           companies
         WHERE 
-          handle = $1`,
+          handle = $1
+          AND deleted_at IS NULL`,
         [companyHandle]);
     } catch (err) {
       throw new ExpressError(err, 500);
@@ -68,20 +245,20 @@ class Job {
           (title, 
           salary, 
           equity, 
-          company_handle)
+          company_handle,
+          status,
+          posted_at,
+          expires_at)
         VALUES 
-          ($1, $2, $3, $4)
-        RETURNING 
-          id, 
-          title, 
-          salary, 
-          equity, 
-          company_handle AS "companyHandle"`,
+          ($1, $2, $3, $4, $5, CASE WHEN $5 = 'open' THEN NOW() END, $6)
+        RETURNING ${JOB_COLUMNS}`,
         [
           title,
           salary,
           equity,
-          companyHandle
+          companyHandle,
+          status,
+          expiresAt
         ],
       );
     } catch (err) {
@@ -105,65 +282,92 @@ class Job {
    * 
    * @param {Object} [filters] - The query parameters for filtering.
    * @param {number} [filters.minSalary] - The minimum salary.
+   * @param {number} [filters.maxSalary] - The maximum salary.
    * @param {boolean} [filters.hasEquity] - Whether the job has equity.
+   * @param {number} [filters.minEquity] - The least equity.
+   * @param {number} [filters.maxEquity] - The most equity.
+   * @param {string} [filters.title] - Exact title match.
    * @param {string} [filters.titleLike] - Partial title match (case-insensitive).
+   * @param {string|string[]} [filters.companyHandle] - Only jobs at this company, or these companies.
+   * @param {number} [filters.minEmployees] - Only jobs at companies with at least this many employees.
+   * @param {number} [filters.maxEmployees] - Only jobs at companies with at most this many employees.
+   * @param {string} [filters.sortBy="title"] - Field to sort by: title, salary, equity, companyHandle
+   * or postedAt.
+   * @param {string} [filters.direction="asc"] - Sort direction, asc or desc.
+   * @param {number} [filters.page=1] - 1-based page number, used with `limit`.
+   * @param {number} [filters.limit] - Page size. All matching jobs are returned when omitted.
+   * @param {boolean} [filters.includeDeleted=false] - Include soft-deleted jobs and the
+   * jobs of soft-deleted companies. Each job then also has a `deletedAt`.
+   * @param {boolean} [filters.includeClosed=false] - Include draft, closed and expired jobs.
+   * Each job then also has a `status`, `postedAt` and `expiresAt`. Otherwise only open
+   * jobs that haven't expired are found.
    * @returns {Promise<Array>} An array of job objects.
+   * @throws {BadRequestError} If the sort field or direction is invalid.
    */
   static async findAll(filters = {}) {
+    const { text, values } = jobListQuery(filters);
+    const jobsRes = await db.query(text, values);
+    return jobsRes.rows;
+  }
 
-    const { minSalary, hasEquity, title, titleLike } = filters;
-    let query = `
-      SELECT 
-        id, 
-        title, 
-        salary, 
-        equity, 
-        company_handle AS "companyHandle"
-      FROM jobs
-    `;
-
-    const conditions = [];
-    const values = [];
-
-    if (minSalary !== undefined) {
-      conditions.push(`salary >= $${values.length + 1}`);
-      values.push(minSalary);
-    }
-
-    if (titleLike !== undefined) {
-      conditions.push(`LOWER(title) LIKE '%' || LOWER($${values.length + 1}) || '%'`);
-      values.push(titleLike);
-    }
-
-    if (title !== undefined) {
-      conditions.push(`title = $${values.length + 1}`);
-      values.push(title);
-    }
+  /**
+   * Stream every job matching the given criteria, a batch at a time,
+   * through a database cursor.
+   * 
+   * @param {Object} filters - The same filter and sort criteria accepted by findAll.
+   * Paging options are ignored.
+   * @param {Function} onBatch - Called with `(jobs, columns)` for each batch.
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} If the sort field or direction is invalid.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async exportAll(filters, onBatch) {
+    const { page, limit, ...rest } = filters;
+    await streamQuery(jobListQuery(rest), onBatch);
+  }
 
-    if (hasEquity === true ||
-      hasEquity == 'true') {
-      conditions.push(`equity > 0`);
-    }
+  /**
+   * Count the jobs matching the given search criteria.
+   * 
+   * @param {Object} [filters] - The same filter criteria accepted by findAll.
+   * Sorting and paging options are ignored.
+   * @returns {Promise<number>} The number of matching jobs.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async count(filters = {}) {
+    const { where, values } = jobWhereClause(filters);
 
-    if (conditions.length > 0) {
-      query += " WHERE " + conditions.join(" AND ");
+    let countRes;
+    try {
+      countRes = await db.query(
+        `SELECT 
+          COUNT(*) AS "total"
+        FROM 
+          jobs${where}`,
+        values);
+    } catch (err) {
+      throw new ExpressError(err, 500);
     }
 
-    query += " ORDER BY title";
-
-    const jobsRes = await db.query(query, values);
-    return jobsRes.rows;
+    return +countRes.rows[0].total;
   }
 
   /**
-   * Retrieve details of a specific job by its ID.
+   * Retrieve details of a specific job by its ID, including the company
+   * offering it.
    * 
    * @param {number} id - The unique ID of the job to retrieve.
-   * @returns {Promise<Object>} The job object.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.includeDeleted=false] - Find the job even if it, or
+   * its company, was soft-deleted. The job then also has a `deletedAt`.
+   * @param {boolean} [options.onlyOpen=false] - Only find the job if it is open, as
+   * it is listed by findAll; draft, closed and expired jobs are otherwise found too.
+   * @returns {Promise<Object>} The job object, with its status, postedAt and expiresAt,
+   * and an embedded `company` object: { handle, name, description, numEmployees, logoUrl }.
    * @throws {NotFoundError} If the job is not found.
    * @throws {ExpressError} If there is a database error.
    */
-  static async get(id) {
+  static async get(id, { includeDeleted = false, onlyOpen = false } = {}) {
     if (id === undefined)
       throw new NotFoundError(`No job for ID: ${id}`);
 
@@ -173,15 +377,27 @@ class Job {
     try {
       jobRes = await db.query(
         `SELECT 
-          title,
-          salary,
-          equity,
-          company_handle AS "companyHandle"
+          j.title,
+          j.salary,
+          j.equity,
+          j.company_handle AS "companyHandle",
+          j.status,
+          j.posted_at AS "postedAt",
+          j.expires_at AS "expiresAt",
+          c.name,
+          c.description,
+          c.num_employees AS "numEmployees",
+          c.logo_url AS "logoUrl",
+          j.deleted_at AS "deletedAt"
         FROM 
-          jobs
+          jobs j
+        JOIN 
+          companies c ON c.handle = j.company_handle
         WHERE 
-          id = $1`,
-        [id]
+          j.id = $1
+          AND ($2 OR (j.deleted_at IS NULL AND c.deleted_at IS NULL))
+          AND (NOT $3 OR (${sqlJobIsOpen("j")}))`,
+        [id, includeDeleted, onlyOpen]
       );
     } catch (err) {
       throw new ExpressError(err, 500);
@@ -192,13 +408,24 @@ class Job {
       throw new NotFoundError(`No job was found for ID: ${id}`);
 
     const job = jobRes.rows[0];
-    // Return job data with jobs
+    // Return job data with its company
     return {
       id: id,
       title: job.title,
       salary: job.salary,
       equity: job.equity,
       companyHandle: job.companyHandle,
+      status: job.status,
+      postedAt: job.postedAt,
+      expiresAt: job.expiresAt,
+      ...(includeDeleted && { deletedAt: job.deletedAt }),
+      company: {
+        handle: job.companyHandle,
+        name: job.name,
+        description: job.description,
+        numEmployees: job.numEmployees,
+        logoUrl: job.logoUrl,
+      },
     };
   }
 
@@ -206,17 +433,21 @@ class Job {
    * Update an existing job's information.
    * 
    * @param {number} id - The unique ID of the job to update.
-   * @param {Object} data - The job data to update.
+   * @param {Object} data - The job data to update. `expiresAt` may be null to
+   * stop the job expiring.
    * @returns {Promise<Object>} The updated job object.
-   * @throws {NotFoundError} If the job is not found.
+   * @throws {BadRequestError} If the new expiry date has passed.
+   * @throws {NotFoundError} If the job is not found or was deleted.
    */
   static async update(id, data) {
+    ensureFutureExpiry(data.expiresAt);
     const { setCols, values } = sqlForPartialUpdate(
       data,
       {
         title: "title",
         salary: "salary",
         equity: "equity",
+        expiresAt: "expires_at",
       });
     const handleVarIdx = "$" + (values.length + 1);
 
@@ -227,12 +458,8 @@ class Job {
       ${setCols} 
     WHERE 
       id = ${handleVarIdx} 
-    RETURNING 
-      id, 
-      title, 
-      salary, 
-      equity, 
-      company_handle AS "companyHandle"`;
+      AND deleted_at IS NULL
+    RETURNING ${JOB_COLUMNS}`;
     const result = await db.query(querySql, [...values, id]);
 
     const job = result.rows[0];
@@ -243,19 +470,23 @@ class Job {
   }
 
   /**
-   * Delete a specific job by its ID.
+   * Soft-delete a specific job by its ID. It is hidden until restored or
+   * purged, and applications to it are kept.
    * 
    * @param {number} id - The unique ID of the job to delete.
-   * @throws {NotFoundError} If the job is not found.
+   * @throws {NotFoundError} If the job is not found or was already deleted.
    */
   static async remove(id) {
     let jobRemovalResult;
     try {
       jobRemovalResult = await db.query(
-        `DELETE FROM 
+        `UPDATE 
           jobs
+        SET 
+          deleted_at = NOW()
         WHERE 
           id = $1
+          AND deleted_at IS NULL
         RETURNING 
           id`,
         [id]);
@@ -271,6 +502,186 @@ class Job {
     if (!job)
       throw new NotFoundError(`No job: ${id}`);
   }
+
+  /**
+   * Restore a soft-deleted job.
+   * 
+   * @param {number} id - The unique ID of the job to restore.
+   * @returns {Promise<Object>} The restored job object.
+   * @throws {NotFoundError} If no deleted job is found with the given ID.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async restore(id) {
+    let result;
+    try {
+      result = await db.query(
+        `UPDATE 
+          jobs
+        SET 
+          deleted_at = NULL
+        WHERE 
+          id = $1
+          AND deleted_at IS NOT NULL
+        RETURNING ${JOB_COLUMNS}`,
+        [id]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    const job = result.rows[0];
+
+    if (!job)
+      throw new NotFoundError(`No deleted job: ${id}`);
+
+    return job;
+  }
+
+  /**
+   * Publish a draft job, listing it from now on.
+   * 
+   * @param {number} id - The unique ID of the job to publish.
+   * @param {Object} [options={}]
+   * @param {string|null} [options.expiresAt] - When the job stops being listed. An
+   * expiry that hasn't passed is kept when this is omitted; otherwise the job never expires.
+   * @returns {Promise<Object>} The published job.
+   * @throws {BadRequestError} If the job isn't a draft or the expiry date has passed.
+   * @throws {NotFoundError} If the job is not found or was deleted.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async publish(id, { expiresAt } = {}) {
+    return await Job.changeStatus(id, "publish", expiresAt);
+  }
+
+  /**
+   * Close an open job, such as once it is filled. It is no longer listed and
+   * stops accepting applications.
+   * 
+   * @param {number} id - The unique ID of the job to close.
+   * @returns {Promise<Object>} The closed job.
+   * @throws {BadRequestError} If the job isn't open.
+   * @throws {NotFoundError} If the job is not found or was deleted.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async close(id) {
+    return await Job.changeStatus(id, "close");
+  }
+
+  /**
+   * Reopen a closed job. It keeps the date it was first posted.
+   * 
+   * @param {number} id - The unique ID of the job to reopen.
+   * @param {Object} [options={}]
+   * @param {string|null} [options.expiresAt] - When the job stops being listed, as for publish.
+   * @returns {Promise<Object>} The reopened job.
+   * @throws {BadRequestError} If the job isn't closed or the expiry date has passed.
+   * @throws {NotFoundError} If the job is not found or was deleted.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async reopen(id, { expiresAt } = {}) {
+    return await Job.changeStatus(id, "reopen", expiresAt);
+  }
+
+  /**
+   * Move a job along its lifecycle, as listed in STATUS_CHANGES.
+   * 
+   * @param {number} id - The unique ID of the job.
+   * @param {string} change - "publish", "close" or "reopen".
+   * @param {string|null} [expiresAt] - A new expiry date for a job being opened.
+   * @returns {Promise<Object>} The job after the change.
+   * @throws {BadRequestError} If the job's status doesn't allow the change or the
+   * expiry date has passed.
+   * @throws {NotFoundError} If the job is not found or was deleted.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async changeStatus(id, change, expiresAt) {
+    const { from, to } = STATUS_CHANGES[change];
+    ensureFutureExpiry(expiresAt);
+
+    // A job being opened keeps an expiry that is still ahead unless given a
+    // new one, and never opens already expired.
+    const sets = to === "open"
+      ? `,
+          posted_at = COALESCE(posted_at, NOW()),
+          expires_at = CASE WHEN expires_at > NOW() THEN COALESCE($4, expires_at) ELSE $4 END`
+      : "";
+
+    let result;
+    try {
+      result = await db.query(
+        `UPDATE 
+          jobs
+        SET 
+          status = $2${sets}
+        WHERE 
+          id = $1
+          AND status = $3
+          AND deleted_at IS NULL
+        RETURNING ${JOB_COLUMNS}`,
+        to === "open" ? [id, to, from, expiresAt ?? null] : [id, to, from]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    if (result.rows.length)
+      return result.rows[0];
+
+    const job = await Job.get(id);
+    throw new BadRequestError(`Cannot ${change} a job that is ${job.status}`);
+  }
+
+  /**
+   * Close open jobs whose expiry date has passed. They already stopped being
+   * listed when they expired; this brings their status into line.
+   * 
+   * @returns {Promise<number[]>} The IDs of the closed jobs.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async closeExpired() {
+    let result;
+    try {
+      result = await db.query(
+        `UPDATE 
+          jobs
+        SET 
+          status = 'closed'
+        WHERE 
+          status = 'open'
+          AND expires_at <= NOW()
+          AND deleted_at IS NULL
+        RETURNING 
+          id`);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return result.rows.map(r => r.id);
+  }
+
+  /**
+   * Permanently delete jobs that were soft-deleted more than `days` days ago,
+   * along with the applications to them.
+   * 
+   * @param {number} days - The retention period in days.
+   * @returns {Promise<number[]>} The IDs of the purged jobs.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async purge(days) {
+    let result;
+    try {
+      result = await db.query(
+        `DELETE FROM 
+          jobs
+        WHERE 
+          deleted_at < NOW() - make_interval(days => $1)
+        RETURNING 
+          id`,
+        [days]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return result.rows.map(r => r.id);
+  }
 }
 
 
@@ -54,6 +54,9 @@ describe("create", function () {
       salary: 50000,
       equity: "0.05",
       companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      expiresAt: null,
     });
 
     const result = await db.query(
@@ -73,6 +76,27 @@ describe("create", function () {
     ]);
   });
 
+  /**
+   * Test that a draft isn't posted or listed until it is published.
+   */
+  test("works: draft with an expiry", async function () {
+    const expiresAt = new Date(Date.now() + 86400000);
+    let job = await Job.create({ ...newJob, status: "draft", expiresAt });
+    expect(job).toEqual(expect.objectContaining({
+      status: "draft",
+      postedAt: null,
+      expiresAt: expect.any(Date),
+    }));
+    expect((await Job.findAll()).map(j => j.title)).not.toContain("New Job");
+  });
+
+  /**
+   * Test that a job can't be created already expired.
+   */
+  test("bad request if already expired", async function () {
+    await expect(Job.create({ ...newJob, expiresAt: "2000-01-01T00:00:00Z" }))
+      .rejects.toThrow(BadRequestError);
+  });
 });
 
 /**
@@ -157,6 +181,37 @@ describe("findAll", function () {
     ]);
   });
 
+  /**
+   * Test for retrieving jobs within salary and equity ranges.
+   */
+  test("works: filter by salary and equity ranges", async function () {
+    let jobs = await Job.findAll({ minSalary: 150000, maxSalary: 300000 });
+    expect(jobs.map(j => j.title)).toEqual(["j2", "j3"]);
+    jobs = await Job.findAll({ minEquity: 0.1, maxEquity: 0.15 });
+    expect(jobs.map(j => j.title)).toEqual(["j1"]);
+  });
+
+  /**
+   * Test for retrieving the jobs of one or more companies.
+   */
+  test("works: filter by companyHandle", async function () {
+    let jobs = await Job.findAll({ companyHandle: "C2" });
+    expect(jobs.map(j => j.title)).toEqual(["j2"]);
+    jobs = await Job.findAll({ companyHandle: ["c1", "c3"] });
+    expect(jobs.map(j => j.title)).toEqual(["j1", "j3"]);
+  });
+
+  /**
+   * Test for retrieving jobs by the size of the company offering them.
+   */
+  test("works: filter by company size", async function () {
+    let jobs = await Job.findAll({ minEmployees: 2 });
+    expect(jobs.map(j => j.title)).toEqual(["j2", "j3"]);
+    jobs = await Job.findAll({ minEmployees: 1, maxEmployees: 2 });
+    expect(jobs.map(j => j.title)).toEqual(["j1", "j2"]);
+    expect(await Job.count({ maxEmployees: 1 })).toEqual(1);
+  });
+
   /**
    * Test for retrieving jobs with titles like a specified string.
    */
@@ -186,6 +241,79 @@ describe("findAll", function () {
       },
     ]);
   });
+  /**
+   * Test for sorting jobs by salary in descending order.
+   */
+  test("works: sortBy salary desc", async function () {
+    let jobs = await Job.findAll({ sortBy: "salary", direction: "desc" });
+    expect(jobs.map(j => j.title)).toEqual(["j3", "j2", "j1"]);
+  });
+
+  /**
+   * Test for retrieving a single page of jobs.
+   */
+  test("works: page and limit", async function () {
+    let jobs = await Job.findAll({ page: 2, limit: 2 });
+    expect(jobs).toEqual([
+      {
+        id: expect.any(Number),
+        title: "j3",
+        salary: 300000,
+        equity: "0",
+        companyHandle: "c3",
+      },
+    ]);
+  });
+
+  /**
+   * Test that an unknown sort field is rejected.
+   */
+  test("bad request with invalid sortBy", async function () {
+    try {
+      await Job.findAll({ sortBy: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/**
+ * Test suite for the Job.exportAll method.
+ * Tests streaming job records for an export.
+ */
+describe("exportAll", function () {
+  /**
+   * Test that matching jobs are streamed in the findAll order, ignoring paging.
+   */
+  test("works", async function () {
+    const onBatch = jest.fn();
+    await Job.exportAll({ minSalary: 150000, page: 2, limit: 1 }, onBatch);
+    expect(onBatch).toHaveBeenCalledTimes(1);
+    const [rows, columns] = onBatch.mock.calls[0];
+    expect(columns).toEqual(["id", "title", "salary", "equity", "companyHandle"]);
+    expect(rows.map(j => j.title)).toEqual(["j2", "j3"]);
+  });
+});
+
+/**
+ * Test suite for the Job.count method.
+ * Tests counting job records with and without filters.
+ */
+describe("count", function () {
+  /**
+   * Test for counting all jobs without any filters.
+   */
+  test("works: no filter", async function () {
+    expect(await Job.count()).toEqual(3);
+  });
+
+  /**
+   * Test for counting jobs matching a filter, ignoring paging options.
+   */
+  test("works: with filter", async function () {
+    expect(await Job.count({ minSalary: 150000, page: 2, limit: 1 })).toEqual(2);
+  });
 });
 
 /**
@@ -204,6 +332,16 @@ describe("get", function () {
       salary: 100000,
       equity: "0.1",
       companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      expiresAt: null,
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
     });
   });
 
@@ -219,6 +357,19 @@ describe("get", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  /**
+   * Test that onlyOpen leaves out draft, closed and expired jobs.
+   */
+  test("onlyOpen", async function () {
+    await db.query("UPDATE jobs SET status = 'draft', posted_at = NULL WHERE id = 1");
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = 2");
+    await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 3");
+    for (const id of [1, 2, 3]) {
+      expect((await Job.get(id)).id).toEqual(id);
+      await expect(Job.get(id, { onlyOpen: true })).rejects.toThrow(NotFoundError);
+    }
+  });
 });
 
 /**
@@ -244,6 +395,9 @@ describe("update", function () {
       salary: 60000,
       equity: "0.1",
       companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      expiresAt: null,
     });
 
     const result = await db.query(
@@ -285,6 +439,17 @@ describe("update", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  /**
+   * Test that the expiry can be moved, but not into the past.
+   */
+  test("works: expiresAt", async function () {
+    const expiresAt = new Date(Date.now() + 86400000);
+    expect((await Job.update(1, { expiresAt })).expiresAt).toEqual(expect.any(Date));
+    expect((await Job.update(1, { expiresAt: null })).expiresAt).toEqual(null);
+    await expect(Job.update(1, { expiresAt: "2000-01-01T00:00:00Z" }))
+      .rejects.toThrow(BadRequestError);
+  });
 });
 
 /**
@@ -294,13 +459,25 @@ describe("update", function () {
 describe("remove", function () {
   /**
    * Test for successful removal of a job.
-   * Ensures the job is no longer in the database.
+   * Ensures the job is soft-deleted and no longer found.
    */
   test("works", async function () {
     await Job.remove(1);
     const res = await db.query(
-      "SELECT id FROM jobs WHERE id=1");
-    expect(res.rows.length).toEqual(0);
+      "SELECT deleted_at FROM jobs WHERE id=1");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+    await expect(Job.get(1)).rejects.toThrow(NotFoundError);
+    expect((await Job.findAll()).map(j => j.title)).toEqual(["j2", "j3"]);
+    expect(await Job.count()).toEqual(2);
+  });
+
+  /**
+   * Test that a deleted job can't be deleted again or updated.
+   */
+  test("not found if already deleted", async function () {
+    await Job.remove(1);
+    await expect(Job.remove(1)).rejects.toThrow(NotFoundError);
+    await expect(Job.update(1, { title: "New" })).rejects.toThrow(NotFoundError);
   });
 
   /**
@@ -315,4 +492,180 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
-});
\ No newline at end of file
+});
+
+/**
+ * Test suite for finding soft-deleted jobs.
+ */
+describe("includeDeleted", function () {
+  /**
+   * Test that jobs of a deleted company are hidden unless asked for.
+   */
+  test("hides jobs of deleted companies", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle='c2'");
+    expect((await Job.findAll()).map(j => j.title)).toEqual(["j1", "j3"]);
+    await expect(Job.get(2)).rejects.toThrow(NotFoundError);
+    await expect(Job.create({ title: "New", salary: 1, equity: "0", companyHandle: "c2" }))
+      .rejects.toThrow(BadRequestError);
+    expect((await Job.findAll({ includeDeleted: true })).map(j => j.title))
+      .toEqual(["j1", "j2", "j3"]);
+  });
+
+  /**
+   * Test that deleted jobs are listed and found, with when they were deleted.
+   */
+  test("finds deleted jobs", async function () {
+    await Job.remove(1);
+    const jobs = await Job.findAll({ includeDeleted: true });
+    expect(jobs.map(j => [j.title, j.deletedAt])).toEqual([
+      ["j1", expect.any(Date)],
+      ["j2", null],
+      ["j3", null],
+    ]);
+    expect(await Job.count({ includeDeleted: true })).toEqual(3);
+    const job = await Job.get(1, { includeDeleted: true });
+    expect(job.deletedAt).toEqual(expect.any(Date));
+  });
+});
+
+/**
+ * Test suite for listing jobs that aren't open.
+ */
+describe("includeClosed", function () {
+  /**
+   * Test that draft, closed and expired jobs are only listed when asked for,
+   * with where each is in its lifecycle.
+   */
+  test("hides jobs that aren't open", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = 1");
+    await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 2");
+    expect((await Job.findAll()).map(j => j.title)).toEqual(["j3"]);
+    expect(await Job.count()).toEqual(1);
+
+    const jobs = await Job.findAll({ includeClosed: true });
+    expect(jobs.map(j => [j.title, j.status, j.expiresAt])).toEqual([
+      ["j1", "closed", null],
+      ["j2", "open", expect.any(Date)],
+      ["j3", "open", null],
+    ]);
+    expect(await Job.count({ includeClosed: true })).toEqual(3);
+  });
+});
+
+/**
+ * Test suite for publishing, closing and reopening jobs.
+ */
+describe("lifecycle", function () {
+  /**
+   * Test that a draft is posted when published, and keeps its expiry.
+   */
+  test("publish works", async function () {
+    const draft = await Job.create({ title: "Draft", companyHandle: "c1", status: "draft",
+      expiresAt: new Date(Date.now() + 86400000) });
+    const job = await Job.publish(draft.id);
+    expect(job).toEqual(expect.objectContaining({
+      status: "open",
+      postedAt: expect.any(Date),
+      expiresAt: draft.expiresAt,
+    }));
+    expect((await Job.findAll()).map(j => j.title)).toContain("Draft");
+  });
+
+  /**
+   * Test that a closed job reopens with its original posting date, and that
+   * an expired job is given the new expiry, or none.
+   */
+  test("close and reopen work", async function () {
+    const { postedAt } = await Job.get(1);
+    expect((await Job.close(1)).status).toEqual("closed");
+    expect((await Job.findAll()).map(j => j.title)).toEqual(["j2", "j3"]);
+
+    await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 1");
+    const job = await Job.reopen(1);
+    expect(job).toEqual(expect.objectContaining({ status: "open", postedAt, expiresAt: null }));
+    expect((await Job.findAll()).map(j => j.title)).toEqual(["j1", "j2", "j3"]);
+  });
+
+  /**
+   * Test that changes the job's status doesn't allow are rejected.
+   */
+  test("bad request if the status doesn't allow it", async function () {
+    await expect(Job.publish(1)).rejects.toThrow("Cannot publish a job that is open");
+    await expect(Job.reopen(1)).rejects.toThrow(BadRequestError);
+    await Job.close(1);
+    await expect(Job.close(1)).rejects.toThrow(BadRequestError);
+    await expect(Job.reopen(1, { expiresAt: "2000-01-01T00:00:00Z" }))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  /**
+   * Test that missing and deleted jobs aren't found.
+   */
+  test("not found if no such job", async function () {
+    await expect(Job.close(99999)).rejects.toThrow(NotFoundError);
+    await Job.remove(1);
+    await expect(Job.close(1)).rejects.toThrow(NotFoundError);
+  });
+
+  /**
+   * Test that only open jobs past their expiry are closed.
+   */
+  test("closeExpired works", async function () {
+    await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id IN (1, 2)");
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = 2");
+    await db.query("UPDATE jobs SET expires_at = NOW() + INTERVAL '1 day' WHERE id = 3");
+    expect(await Job.closeExpired()).toEqual([1]);
+    expect((await Job.get(1)).status).toEqual("closed");
+    expect((await Job.get(3)).status).toEqual("open");
+    expect(await Job.closeExpired()).toEqual([]);
+  });
+});
+
+/**
+ * Test suite for the Job.restore method.
+ */
+describe("restore", function () {
+  /**
+   * Test that a deleted job is restored.
+   */
+  test("works", async function () {
+    await Job.remove(1);
+    const job = await Job.restore(1);
+    expect(job).toEqual({
+      id: 1,
+      title: "j1",
+      salary: 100000,
+      equity: "0.1",
+      companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      expiresAt: null,
+    });
+    expect((await Job.get(1)).title).toEqual("j1");
+  });
+
+  /**
+   * Test restoring a job that isn't deleted.
+   */
+  test("not found if not deleted", async function () {
+    await expect(Job.restore(1)).rejects.toThrow(NotFoundError);
+    await expect(Job.restore(99999)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/**
+ * Test suite for the Job.purge method.
+ */
+describe("purge", function () {
+  /**
+   * Test that only jobs deleted before the retention period are removed.
+   */
+  test("works", async function () {
+    await Job.remove(1);
+    await Job.remove(2);
+    await db.query("UPDATE jobs SET deleted_at = NOW() - INTERVAL '31 days' WHERE id=1");
+    expect(await Job.purge(30)).toEqual([1]);
+    const res = await db.query("SELECT id FROM jobs ORDER BY id");
+    expect(res.rows.map(r => r.id)).toEqual([2, 3]);
+  });
+});
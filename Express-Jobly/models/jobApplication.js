@@ -1,10 +1,15 @@
 /**
  * @fileoverview Defines the JobApplication class for handling job application operations.
- * This module provides methods for applying to jobs and removing job applications.
+ * This module provides methods for applying to jobs, listing a job's or company's
+ * applicants, moving applications through the status pipeline and exporting
+ * applications.
  * 
  * @module JobApplication
  * @requires ../db
  * @requires ../expressError
+ * @requires ../helpers/sql
+ * @requires ../helpers/export
+ * @requires ../config
  */
 
 "use strict";
@@ -13,8 +18,220 @@ const db = require("../db");
 const {
   BadRequestError,
   NotFoundError,
+  ForbiddenError,
   ExpressError
 } = require("../expressError");
+const { sqlForSortAndPage } = require("../helpers/sql");
+const { streamQuery } = require("../helpers/export");
+const { REQUIRE_EMAIL_VERIFICATION } = require("../config");
+
+/**
+ * Allowed status transitions for an application. Every application starts as
+ * "applied"; hired, rejected and withdrawn are final, though the applicant can
+ * re-open a withdrawn application by applying again.
+ * @type {Object<string, string[]>}
+ */
+const STATUS_TRANSITIONS = {
+  applied: ["screening", "rejected", "withdrawn"],
+  screening: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["hired", "rejected", "withdrawn"],
+  hired: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/**
+ * Fields a user's applications can be sorted by, mapped to their SQL columns.
+ * The first entry is the default sort.
+ * @type {Object<string, string>}
+ */
+const APPLICATION_SORT_COLUMNS = {
+  appliedAt: "a.applied_at",
+  title: "j.title",
+  companyName: "c.name",
+  salary: "j.salary",
+  status: "a.status",
+};
+
+/**
+ * Fields a job's or company's applicants can be sorted by, mapped to their SQL
+ * columns. The first entry is the default sort.
+ * @type {Object<string, string>}
+ */
+const APPLICANT_SORT_COLUMNS = {
+  appliedAt: "a.applied_at",
+  username: "u.username",
+  lastName: "u.last_name",
+  title: "j.title",
+  status: "a.status",
+};
+
+/**
+ * Build the WHERE clause shared by JobApplication.findApplicants and
+ * JobApplication.countApplicants.
+ *
+ * @param {Object} filters - Which applications to include.
+ * @param {number} [filters.jobId] - Only applications to this job.
+ * @param {string} [filters.companyHandle] - Only applications to this company's jobs.
+ * @param {string} [filters.status] - Only applications currently in this status.
+ * @returns {{where: string, values: Array}} The WHERE clause (or an empty string) and its values.
+ */
+function applicantWhereClause({ jobId, companyHandle, status }) {
+  const conditions = [];
+  const values = [];
+
+  if (jobId !== undefined) {
+    conditions.push(`a.job_id = $${values.length + 1}`);
+    values.push(jobId);
+  }
+
+  if (companyHandle !== undefined) {
+    conditions.push(`j.company_handle = $${values.length + 1}`);
+    values.push(companyHandle);
+  }
+
+  if (status !== undefined) {
+    conditions.push(`a.status = $${values.length + 1}`);
+    values.push(status);
+  }
+
+  const where = conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "";
+  return { where, values };
+}
+
+/**
+ * The columns listed for each applicant.
+ * @type {string}
+ */
+const APPLICANT_COLUMNS = `
+          u.username,
+          u.first_name AS "firstName",
+          u.last_name AS "lastName",
+          u.email,
+          a.job_id AS "jobId",
+          j.title,
+          a.status,
+          a.applied_at AS "appliedAt"`;
+
+/**
+ * Builds the query shared by JobApplication.findApplicants and
+ * JobApplication.exportApplicants.
+ *
+ * @param {Object} filters - The filter, sort and paging options accepted by findApplicants.
+ * @param {string} [columns=APPLICANT_COLUMNS] - The columns to select.
+ * @returns {{text: string, values: Array}} The SELECT and its values.
+ * @throws {BadRequestError} If the sort field or direction is invalid.
+ */
+function applicantListQuery(filters, columns = APPLICANT_COLUMNS) {
+  const { sortBy, page, limit } = filters;
+  const direction = filters.direction ??
+    (sortBy === undefined || sortBy === "appliedAt" ? "desc" : "asc");
+
+  const { where, values } = applicantWhereClause(filters);
+  const sortAndPage = sqlForSortAndPage({ sortBy, direction, page, limit },
+    APPLICANT_SORT_COLUMNS,
+    "a.job_id, u.username",
+    values.length);
+
+  return {
+    text: `SELECT${columns}
+        FROM
+          applications a
+        JOIN
+          users u ON u.username = a.username
+        JOIN
+          jobs j ON j.id = a.job_id${where}${sortAndPage.sql}`,
+    values: [...values, ...sortAndPage.values],
+  };
+}
+
+/**
+ * Builds the query shared by JobApplication.findAllForUser and
+ * JobApplication.exportForUser. Each row is flat, with the company's
+ * columns prefixed by "company".
+ *
+ * @param {string} username - The username of the applicant.
+ * @param {Object} filters - The filter and sort options accepted by findAllForUser.
+ * @returns {{text: string, values: Array}} The SELECT and its values.
+ * @throws {BadRequestError} If the sort field or direction is invalid.
+ */
+function userApplicationsQuery(username, filters) {
+  const { status, companyHandle, titleLike, sortBy } = filters;
+  const direction = filters.direction ??
+    (sortBy === undefined || sortBy === "appliedAt" ? "desc" : "asc");
+
+  const conditions = ["a.username = $1"];
+  const values = [username];
+
+  if (status !== undefined) {
+    conditions.push(`a.status = $${values.length + 1}`);
+    values.push(status);
+  }
+
+  if (companyHandle !== undefined) {
+    conditions.push(`j.company_handle = $${values.length + 1}`);
+    values.push(companyHandle.toLowerCase());
+  }
+
+  if (titleLike !== undefined) {
+    conditions.push(`LOWER(j.title) LIKE '%' || LOWER($${values.length + 1}) || '%'`);
+    values.push(titleLike);
+  }
+
+  const sortAndPage = sqlForSortAndPage({ sortBy, direction },
+    APPLICATION_SORT_COLUMNS,
+    "a.job_id",
+    values.length);
+
+  return {
+    text: `SELECT 
+          a.job_id AS "jobId",
+          a.status,
+          a.applied_at AS "appliedAt",
+          j.title,
+          j.salary,
+          j.equity,
+          c.handle AS "companyHandle",
+          c.name AS "companyName",
+          c.logo_url AS "companyLogoUrl"
+        FROM 
+          applications a
+        JOIN 
+          jobs j ON j.id = a.job_id
+        JOIN 
+          companies c ON c.handle = j.company_handle
+        WHERE 
+          ${conditions.join(" AND ")}${sortAndPage.sql}`,
+    values: [...values, ...sortAndPage.values],
+  };
+}
+
+/**
+ * Checks that a user exists.
+ *
+ * @param {string} username - The username to look for.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user does not exist.
+ * @throws {ExpressError} If there's an error during the database operation.
+ */
+async function ensureUserExists(username) {
+  let userCheck;
+  try {
+    userCheck = await db.query(
+      `SELECT 
+        username
+      FROM 
+        users
+      WHERE 
+        username = $1`,
+      [username]);
+  } catch (err) {
+    throw new ExpressError(err, 500);
+  }
+  if (!userCheck?.rows?.length)
+    throw new NotFoundError("Username cannot be found.");
+}
 
 /**
  * Class representing job application operations.
@@ -22,7 +239,8 @@ const {
  */
 class JobApplication {
   /**
-   * Apply for a job.
+   * Apply for a job. Applying to a job the user has withdrawn from re-opens
+   * that application as "applied", adding the change to its history.
    * 
    * @static
    * @async
@@ -30,7 +248,9 @@ class JobApplication {
    * @param {string} params.username - The username of the applicant.
    * @param {number} params.jobId - The ID of the job being applied to.
    * @returns {Promise<Object>} The job application object.
-   * @throws {BadRequestError} If input parameters are invalid.
+   * @throws {BadRequestError} If input parameters are invalid, the user has an application
+   * for the job that isn't withdrawn, or the job is closed, expired or not yet published.
+   * @throws {ForbiddenError} If email verification is required and the user hasn't verified.
    * @throws {ExpressError} If there's an error during the database operations.
    */
   static async apply(username, jobId) {
@@ -42,11 +262,18 @@ class JobApplication {
     try {
       jobIdCheck = await db.query(
         `SELECT 
-          id
+          j.id,
+          j.status,
+          j.expires_at AS "expiresAt",
+          j.expires_at <= NOW() AS "expired"
         FROM 
-          jobs
+          jobs j
+        JOIN 
+          companies c ON c.handle = j.company_handle
         WHERE 
-          id = $1`,
+          j.id = $1
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL`,
         [jobId]);
     } catch (err) {
       throw new ExpressError(err, 500);
@@ -54,15 +281,28 @@ class JobApplication {
     if (!jobIdCheck?.rows?.length)
       throw new NotFoundError("Job cannot be found.");
 
+    const job = jobIdCheck.rows[0];
+    if (job.status === "draft")
+      throw new BadRequestError("This job has not been published yet.");
+    // Expired jobs are closed in the background, so check the expiry first to
+    // say why.
+    if (job.expired)
+      throw new BadRequestError(
+        `This job expired on ${job.expiresAt.toISOString().slice(0, 10)} and no longer accepts applications.`);
+    if (job.status === "closed")
+      throw new BadRequestError("This job is closed and no longer accepts applications.");
+
     let validUsernameIdCheck;
     try {
       validUsernameIdCheck = await db.query(
         `SELECT 
-          username
+          username,
+          email_verified AS "emailVerified"
         FROM 
           users
         WHERE 
-          username = $1`,
+          username = $1
+          AND deleted_at IS NULL`,
         [username]);
     } catch (err) {
       throw new ExpressError(err, 500);
@@ -73,11 +313,15 @@ class JobApplication {
     if (validUsernameIdCheck === undefined)
       throw new ExpressError("Valid Username Check did not complete.", 500);
 
+    if (REQUIRE_EMAIL_VERIFICATION &&
+      !validUsernameIdCheck.rows[0].emailVerified)
+      throw new ForbiddenError("Please verify your email address before applying.");
+
     let jobApplicationCheck;
     try {
       jobApplicationCheck = await db.query(
         `SELECT 
-          job_id
+          status
         FROM 
           applications
         WHERE 
@@ -89,77 +333,409 @@ class JobApplication {
       throw new ExpressError(err, 500);
     }
 
-    if (jobApplicationCheck?.rows?.length !== 0)
+    const previousStatus = jobApplicationCheck?.rows?.[0]?.status || null;
+    if (previousStatus && previousStatus !== "withdrawn")
       throw new BadRequestError("Job Application has already been submitted for this job.");
 
-    let jobInsertResult;
+    // The application and its history entry are written together
+    const client = await db.connect();
+    let applicationResult;
     try {
-      jobInsertResult = await db.query(
-        `INSERT INTO 
-          applications 
-          (username, 
-          job_id)
-        VALUES 
-          ($1, $2)
-        RETURNING 
-          username, 
-          job_id as "jobId"`,
-        [
-          username,
-          jobId,
-        ],
-      );
+      await client.query("BEGIN");
+      if (previousStatus) {
+        applicationResult = await client.query(
+          `UPDATE 
+            applications
+          SET 
+            status = 'applied',
+            applied_at = NOW()
+          WHERE 
+            username = $1
+          AND
+            job_id = $2
+          AND
+            status = 'withdrawn'
+          RETURNING 
+            username, 
+            job_id as "jobId"`,
+          [username, jobId]);
+
+        // Someone else re-opened the application between our read and this update.
+        if (!applicationResult?.rows?.length)
+          throw new BadRequestError("Job Application has already been submitted for this job.");
+      } else {
+        applicationResult = await client.query(
+          `INSERT INTO 
+            applications 
+            (username, 
+            job_id)
+          VALUES 
+            ($1, $2)
+          RETURNING 
+            username, 
+            job_id as "jobId"`,
+          [
+            username,
+            jobId,
+          ],
+        );
+      }
+      await JobApplication.recordStatusChange(
+        username, jobId, previousStatus, "applied", username, client);
+      await client.query("COMMIT");
     } catch (err) {
+      await client.query("ROLLBACK");
       //PostgreSQL error code for unique constraint violation
       if (err.code === '23505')
-        throw new BadRequestError(`${username} is already in list of job applications for Job ID ${id}`);
+        throw new BadRequestError(`${username} is already in list of job applications for Job ID ${jobId}`);
+      if (err instanceof ExpressError)
+        throw err;
       throw new ExpressError(err, 500);
+    } finally {
+      client.release();
     }
-    if (jobInsertResult === undefined)
-      throw new ExpressError("Job could not be inserted", 500);
+    if (applicationResult === undefined)
+      throw new ExpressError("Job application could not be saved", 500);
 
-    const jobApplication = jobInsertResult.rows[0];
+    const jobApplication = applicationResult.rows[0];
 
     return { applied: jobApplication.jobId };
   }
 
   /**
-   * Remove a job application.
+   * Get a single job application with its status history.
    * 
    * @static
    * @async
    * @param {string} username - The username of the applicant.
-   * @param {number} jobId - The ID of the job application to remove.
+   * @param {number} jobId - The ID of the job applied to.
+   * @returns {Promise<Object>} `{ username, jobId, status, appliedAt, history }` where
+   * history is `[{ fromStatus, toStatus, changedBy, changedAt }, ...]` oldest first.
    * @throws {NotFoundError} If the job application is not found.
    * @throws {ExpressError} If there's an error during the database operation.
    */
-  static async remove(username, jobId) {
-    if (username === undefined ||
-      jobId === undefined)
-      throw new BadRequestError("Invalid input parameters.");
-    let jobApplicationbRemovalResult;
+  static async get(username, jobId) {
+    let applicationRes;
     try {
-      jobApplicationbRemovalResult = await db.query(
-        `DELETE FROM 
+      applicationRes = await db.query(
+        `SELECT 
+          username,
+          job_id AS "jobId",
+          status,
+          applied_at AS "appliedAt"
+        FROM 
           applications
         WHERE 
-          job_id = $1
-          AND
+          username = $1
+        AND
+          job_id = $2`,
+        [username, jobId]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    const application = applicationRes?.rows?.[0];
+    if (!application)
+      throw new NotFoundError(`No job aplication found for Job ID ${jobId} by username ${username}`);
+
+    let historyRes;
+    try {
+      historyRes = await db.query(
+        `SELECT 
+          from_status AS "fromStatus",
+          to_status AS "toStatus",
+          changed_by AS "changedBy",
+          changed_at AS "changedAt"
+        FROM 
+          application_status_changes
+        WHERE 
+          username = $1
+        AND
+          job_id = $2
+        ORDER BY 
+          changed_at, id`,
+        [username, jobId]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    application.history = historyRes.rows;
+    return application;
+  }
+
+  /**
+   * List a user's job applications joined with the job and company applied to.
+   * 
+   * @static
+   * @async
+   * @param {string} username - The username of the applicant.
+   * @param {Object} [filters={}] - Filter and sort options.
+   * @param {string} [filters.status] - Only applications currently in this status.
+   * @param {string} [filters.companyHandle] - Only applications to this company's jobs.
+   * @param {string} [filters.titleLike] - Partial job title match (case-insensitive).
+   * @param {string} [filters.sortBy="appliedAt"] - appliedAt, title, companyName, salary or status.
+   * @param {string} [filters.direction] - asc or desc. Defaults to desc when sorting by
+   * appliedAt (newest first) and asc otherwise.
+   * @returns {Promise<Array<Object>>} `[{ jobId, status, appliedAt, title, salary, equity,
+   * company: { handle, name, logoUrl } }, ...]`
+   * @throws {NotFoundError} If the user does not exist.
+   * @throws {BadRequestError} If the sort field or direction is invalid.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async findAllForUser(username, filters = {}) {
+    await ensureUserExists(username);
+    const { text, values } = userApplicationsQuery(username, filters);
+
+    let applicationsRes;
+    try {
+      applicationsRes = await db.query(text, values);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return applicationsRes.rows.map(row => ({
+      jobId: row.jobId,
+      status: row.status,
+      appliedAt: row.appliedAt,
+      title: row.title,
+      salary: row.salary,
+      equity: row.equity,
+      company: {
+        handle: row.companyHandle,
+        name: row.companyName,
+        logoUrl: row.companyLogoUrl,
+      },
+    }));
+  }
+
+  /**
+   * List the people who applied to a job, or to any of a company's jobs.
+   *
+   * @static
+   * @async
+   * @param {Object} filters - Which applicants to list, and how.
+   * @param {number} [filters.jobId] - Only applicants to this job.
+   * @param {string} [filters.companyHandle] - Only applicants to this company's jobs.
+   * @param {string} [filters.status] - Only applications currently in this status.
+   * @param {string} [filters.sortBy="appliedAt"] - appliedAt, username, lastName, title or status.
+   * @param {string} [filters.direction] - asc or desc. Defaults to desc when sorting by
+   * appliedAt (newest first) and asc otherwise.
+   * @param {number} [filters.page] - 1-based page number.
+   * @param {number} [filters.limit] - Applicants per page. All are returned when omitted.
+   * @returns {Promise<Array<Object>>} `[{ username, firstName, lastName, email, jobId,
+   * title, status, appliedAt }, ...]`
+   * @throws {NotFoundError} If the job or company does not exist.
+   * @throws {BadRequestError} If the sort field or direction is invalid.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async findApplicants(filters) {
+    const { jobId, companyHandle } = filters;
+
+    let ownerCheck;
+    try {
+      ownerCheck = jobId !== undefined
+        ? await db.query(`SELECT id FROM jobs WHERE id = $1 AND deleted_at IS NULL`, [jobId])
+        : await db.query(`SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`, [companyHandle]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    if (!ownerCheck?.rows?.length)
+      throw new NotFoundError(jobId !== undefined
+        ? "Job cannot be found."
+        : "Company cannot be found.");
+
+    const { text, values } = applicantListQuery(filters);
+
+    let applicantsRes;
+    try {
+      applicantsRes = await db.query(text, values);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return applicantsRes.rows;
+  }
+
+  /**
+   * Stream every application, optionally filtered, a batch at a time through
+   * a database cursor. Unlike findApplicants this needs no job or company,
+   * and each row also has the job's companyHandle.
+   *
+   * @static
+   * @async
+   * @param {Object} filters - The filter and sort options accepted by findApplicants.
+   * Paging options are ignored.
+   * @param {Function} onBatch - Called with `(applications, columns)` for each batch,
+   * where each application is `{ username, firstName, lastName, email, jobId, title,
+   * status, appliedAt, companyHandle }`.
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} If the sort field or direction is invalid.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async exportApplicants(filters, onBatch) {
+    const { page, limit, ...rest } = filters;
+    await streamQuery(applicantListQuery(rest, `${APPLICANT_COLUMNS},
+          j.company_handle AS "companyHandle"`), onBatch);
+  }
+
+  /**
+   * Stream a user's job applications, a batch at a time through a database
+   * cursor.
+   *
+   * @static
+   * @async
+   * @param {string} username - The username of the applicant.
+   * @param {Object} filters - The filter and sort options accepted by findAllForUser.
+   * @param {Function} onBatch - Called with `(applications, columns)` for each batch,
+   * where each application is `{ jobId, status, appliedAt, title, salary, equity,
+   * companyHandle, companyName, companyLogoUrl }`.
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the user does not exist.
+   * @throws {BadRequestError} If the sort field or direction is invalid.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async exportForUser(username, filters, onBatch) {
+    await ensureUserExists(username);
+    await streamQuery(userApplicationsQuery(username, filters), onBatch);
+  }
+
+  /**
+   * Count the applicants matching the given filters.
+   *
+   * @static
+   * @async
+   * @param {Object} filters - The same filters accepted by findApplicants.
+   * Sorting and paging options are ignored.
+   * @returns {Promise<number>} The number of matching applications.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async countApplicants(filters) {
+    const { where, values } = applicantWhereClause(filters);
+
+    let countRes;
+    try {
+      countRes = await db.query(
+        `SELECT
+          COUNT(*) AS "total"
+        FROM
+          applications a
+        JOIN
+          jobs j ON j.id = a.job_id${where}`,
+        values);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return +countRes.rows[0].total;
+  }
+
+  /**
+   * Move a job application to a new status.
+   * 
+   * Only the transitions listed in STATUS_TRANSITIONS are allowed, e.g. an
+   * application can go from "screening" to "interviewing" but not back to "applied".
+   * 
+   * @static
+   * @async
+   * @param {string} username - The username of the applicant.
+   * @param {number} jobId - The ID of the job applied to.
+   * @param {string} status - The new status.
+   * @param {string} changedBy - Username of whoever made the change.
+   * @returns {Promise<Object>} The updated application, as returned by JobApplication.get.
+   * @throws {BadRequestError} If the status is unknown or the transition is not allowed.
+   * @throws {NotFoundError} If the job application is not found.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async updateStatus(username, jobId, status, changedBy) {
+    if (!Object.hasOwn(STATUS_TRANSITIONS, status))
+      throw new BadRequestError(`Unknown application status: ${status}`);
+
+    const current = await JobApplication.get(username, jobId);
+
+    if (!JobApplication.nextStatuses(current.status).includes(status))
+      throw new BadRequestError(
+        `Cannot move application from ${current.status} to ${status}`);
+
+    // The new status and its history entry are written together
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+      const updateResult = await client.query(
+        `UPDATE 
+          applications
+        SET 
+          status = $1
+        WHERE 
           username = $2
+        AND
+          job_id = $3
+        AND
+          status = $4
         RETURNING 
           job_id`,
-        [jobId, username]);
+        [status, username, jobId, current.status]);
+
+      // Someone else changed the status between our read and this update.
+      if (!updateResult?.rows?.length)
+        throw new BadRequestError("Application status changed, please try again.");
+
+      await JobApplication.recordStatusChange(
+        username, jobId, current.status, status, changedBy, client);
+      await client.query("COMMIT");
     } catch (err) {
-      throw new NotFoundError(err);
+      await client.query("ROLLBACK");
+      if (err instanceof ExpressError)
+        throw err;
+      throw new ExpressError(err, 500);
+    } finally {
+      client.release();
     }
 
-    if (jobApplicationbRemovalResult === undefined)
-      throw new ExpressError("Job Application cannot be removed due to a server error", 500);
+    return await JobApplication.get(username, jobId);
+  }
 
-    const jobApplication = jobApplicationbRemovalResult.rows[0];
+  /**
+   * List the statuses an application may move to from the given status.
+   * 
+   * @static
+   * @param {string} status - The current status.
+   * @returns {string[]} The allowed next statuses (empty for final statuses).
+   */
+  static nextStatuses(status) {
+    return STATUS_TRANSITIONS[status] || [];
+  }
 
-    if (!jobApplication)
-      throw new NotFoundError(`No job aplication found for Job ID ${jobId} by username ${username}`);
+  /**
+   * Record a status transition in the application's history.
+   * 
+   * @static
+   * @async
+   * @param {string} username - The username of the applicant.
+   * @param {number} jobId - The ID of the job applied to.
+   * @param {string|null} fromStatus - The previous status, or null for a new application.
+   * @param {string} toStatus - The new status.
+   * @param {string} changedBy - Username of whoever made the change.
+   * @param {Object} [client=db] - A client to record the change with, so that it
+   * is part of the caller's transaction.
+   * @throws {ExpressError} If there's an error during the database operation.
+   */
+  static async recordStatusChange(username, jobId, fromStatus, toStatus, changedBy,
+    client = db) {
+    try {
+      await client.query(
+        `INSERT INTO 
+          application_status_changes 
+          (username, 
+          job_id, 
+          from_status, 
+          to_status, 
+          changed_by)
+        VALUES 
+          ($1, $2, $3, $4, $5)`,
+        [username, jobId, fromStatus, toStatus, changedBy]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
   }
 }
 
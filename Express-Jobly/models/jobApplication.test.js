@@ -1,19 +1,25 @@
 /**
  * @fileoverview Test suite for the JobApplication class.
  * This module contains unit tests for the job application operations,
- * including applying for jobs and removing job applications.
+ * including applying for jobs and re-applying after withdrawing.
  * 
  * @module JobApplicationTest
  * @requires ../db
  * @requires ../expressError
  * @requires ./jobApplication
+ * @requires ./job
  * @requires ./_testCommon
  */
 
 
 const db = require("../db");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError
+} = require("../expressError");
 const JobApplication = require("./jobApplication");
+const Job = require("./job");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -54,6 +60,46 @@ describe("JobApplication", function () {
     }
   });
 
+  /** Test for NotFoundError when applying to a deleted job, or a job of a deleted company */
+  test("apply - not found if job or company deleted", async function () {
+    const [jobId1, jobId2] = getTestJobIds();
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [jobId1]);
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'");
+    await expect(JobApplication.apply("u1", jobId1)).rejects.toThrow(NotFoundError);
+    await expect(JobApplication.apply("u1", jobId2)).rejects.toThrow(NotFoundError);
+  });
+
+  /** Test for BadRequestError when applying to a draft, closed or expired job */
+  test("apply - bad request if job isn't open", async function () {
+    const [jobId1, jobId2, jobId3] = getTestJobIds();
+    await db.query("UPDATE jobs SET status = 'draft', posted_at = NULL WHERE id = $1", [jobId1]);
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1", [jobId2]);
+    await db.query("UPDATE jobs SET expires_at = '2020-03-01' WHERE id = $1", [jobId3]);
+    await expect(JobApplication.apply("u1", jobId1))
+      .rejects.toThrow("This job has not been published yet.");
+    await expect(JobApplication.apply("u1", jobId2))
+      .rejects.toThrow("This job is closed and no longer accepts applications.");
+    await expect(JobApplication.apply("u1", jobId3))
+      .rejects.toThrow("This job expired on 2020-03-01 and no longer accepts applications.");
+    await expect(JobApplication.apply("u1", jobId3)).rejects.toThrow(BadRequestError);
+
+    // Still explained as expired once closed in the background
+    await Job.closeExpired();
+    await expect(JobApplication.apply("u1", jobId3))
+      .rejects.toThrow("This job expired on 2020-03-01 and no longer accepts applications.");
+  });
+
+  /** Test for ForbiddenError when the user's email is not verified */
+  test("apply - forbidden if email not verified", async function () {
+    await db.query("UPDATE users SET email_verified = FALSE WHERE username = 'u1'");
+    try {
+      await JobApplication.apply("u1", getTestJobIds()[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
   /** Test for BadRequestError if application already exists */
   test("apply - bad request if application already exists", async function () {
     const testJobIds = getTestJobIds();
@@ -67,6 +113,50 @@ describe("JobApplication", function () {
     }
   });
 
+  /** Test applying again after withdrawing re-opens the application */
+  test("apply - re-opens a withdrawn application", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    await JobApplication.updateStatus("u1", jobId, "withdrawn", "u1");
+
+    expect(await JobApplication.apply("u1", jobId)).toEqual({ applied: jobId });
+
+    const application = await JobApplication.get("u1", jobId);
+    expect(application.status).toEqual("applied");
+    expect(application.history.map(h => [h.fromStatus, h.toStatus])).toEqual([
+      [null, "applied"],
+      ["applied", "withdrawn"],
+      ["withdrawn", "applied"],
+    ]);
+  });
+
+  /** Test that only withdrawn applications can be re-opened */
+  test("apply - bad request if application was rejected", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    await JobApplication.updateStatus("u1", jobId, "rejected", "u1");
+
+    await expect(JobApplication.apply("u1", jobId)).rejects.toThrow(BadRequestError);
+    const application = await JobApplication.get("u1", jobId);
+    expect(application.status).toEqual("rejected");
+  });
+
+  /** Test that nothing is saved if the history can't be written */
+  test("apply - rolls back if the history insert fails", async function () {
+    const jobId = getTestJobIds()[0];
+    const spy = jest.spyOn(JobApplication, "recordStatusChange")
+      .mockRejectedValueOnce(new Error("Test error"));
+    try {
+      await expect(JobApplication.apply("u1", jobId)).rejects.toThrow("Test error");
+    } finally {
+      spy.mockRestore();
+    }
+
+    const found = await db.query(
+      "SELECT * FROM applications WHERE username = 'u1' AND job_id = $1", [jobId]);
+    expect(found.rows).toEqual([]);
+  });
+
   /** Test for NotFoundError when applying with a bad username */
   test("apply - not found if bad username", async function () {
     const testJobIds = getTestJobIds();
@@ -105,50 +195,334 @@ describe("JobApplication", function () {
   });
 });
 
-/** Testing suite for removal of Job Application */
-describe("remove", function () {
-  /** Test successful removal of a job application */
-  test("successfully remove a job application", async function () {
-    const testJobIds = getTestJobIds();
-    const jobId = testJobIds[0];
-    const username = "u1";
+/** Testing suite for retrieving a Job Application */
+describe("get", function () {
+  /** Test retrieving an application with its history */
+  test("works", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
 
-    // First, apply for the job
-    await JobApplication.apply(username, jobId);
+    const application = await JobApplication.get("u1", jobId);
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      status: "applied",
+      appliedAt: expect.any(Date),
+      history: [
+        {
+          fromStatus: null,
+          toStatus: "applied",
+          changedBy: "u1",
+          changedAt: expect.any(Date),
+        },
+      ],
+    });
+  });
 
-    // Then, remove the application
-    await JobApplication.remove(username, jobId);
+  /** Test NotFoundError when there is no application */
+  test("not found if no such application", async function () {
+    try {
+      await JobApplication.get("u1", getTestJobIds()[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
 
-    // Check that the application was removed
-    const found = await db.query(
-      "SELECT * FROM applications WHERE username = $1 AND job_id = $2",
-      [username, jobId]
-    );
-    expect(found.rows.length).toEqual(0);
+/** Testing suite for moving a Job Application through the status pipeline */
+describe("updateStatus", function () {
+  /** Test walking an application through the whole pipeline */
+  test("works through to hired", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+
+    for (const status of ["screening", "interviewing", "offered", "hired"])
+      await JobApplication.updateStatus("u1", jobId, status, "a1");
+
+    const application = await JobApplication.get("u1", jobId);
+    expect(application.status).toEqual("hired");
+    expect(application.history.map(h => [h.fromStatus, h.toStatus])).toEqual([
+      [null, "applied"],
+      ["applied", "screening"],
+      ["screening", "interviewing"],
+      ["interviewing", "offered"],
+      ["offered", "hired"],
+    ]);
   });
 
-  /** Test NotFoundError if trying to remove a non-existent application */
-  test("not found if trying to remove non-existent application", async function () {
-    const testJobIds = getTestJobIds();
-    const jobId = testJobIds[0];
-    const username = "u1";
+  /** Test that a status cannot be skipped */
+  test("bad request if skipping a status", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    try {
+      await JobApplication.updateStatus("u1", jobId, "offered", "a1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 
+  /** Test that a final status cannot be left */
+  test("bad request if leaving a final status", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    await JobApplication.updateStatus("u1", jobId, "rejected", "a1");
     try {
-      await JobApplication.remove(username, jobId);
+      await JobApplication.updateStatus("u1", jobId, "screening", "a1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  /** Test that an unknown status is rejected */
+  test("bad request if unknown status", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    try {
+      await JobApplication.updateStatus("u1", jobId, "ghosted", "a1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  /** Test that the status is unchanged if the history can't be written */
+  test("rolls back if the history insert fails", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const spy = jest.spyOn(JobApplication, "recordStatusChange")
+      .mockRejectedValueOnce(new Error("Test error"));
+    try {
+      await expect(JobApplication.updateStatus("u1", jobId, "screening", "a1"))
+        .rejects.toThrow("Test error");
+    } finally {
+      spy.mockRestore();
+    }
+
+    const application = await JobApplication.get("u1", jobId);
+    expect(application.status).toEqual("applied");
+    expect(application.history).toHaveLength(1);
+  });
+
+  /** Test NotFoundError when there is no application */
+  test("not found if no such application", async function () {
+    try {
+      await JobApplication.updateStatus("u1", getTestJobIds()[0], "screening", "a1");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
-      expect(err.message).toEqual(`No job aplication found for Job ID ${jobId} by username ${username}`);
     }
   });
+});
+
+/** Testing suite for the allowed status transitions */
+describe("nextStatuses", function () {
+  /** Test the transitions available to a new application */
+  test("works for applied", function () {
+    expect(JobApplication.nextStatuses("applied"))
+      .toEqual(["screening", "rejected", "withdrawn"]);
+  });
+
+  /** Test final and unknown statuses have no transitions */
+  test("empty for final or unknown status", function () {
+    expect(JobApplication.nextStatuses("hired")).toEqual([]);
+    expect(JobApplication.nextStatuses("nope")).toEqual([]);
+  });
+});
+
+/** Testing suite for listing a user's Job Applications */
+describe("findAllForUser", function () {
+  /** Test listing applications joined with job and company data */
+  test("works", async function () {
+    const [jobId1, jobId2] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u1", jobId2);
+    await db.query(
+      "UPDATE applications SET applied_at = applied_at - INTERVAL '1 day' WHERE job_id = $1",
+      [jobId1]);
+
+    // Most recent application first
+    const applications = await JobApplication.findAllForUser("u1");
+    expect(applications).toEqual([
+      {
+        jobId: jobId2,
+        status: "applied",
+        appliedAt: expect.any(Date),
+        title: "j2",
+        salary: 200000,
+        equity: "0.2",
+        company: { handle: "c2", name: "C2", logoUrl: "http://c2.img" },
+      },
+      {
+        jobId: jobId1,
+        status: "applied",
+        appliedAt: expect.any(Date),
+        title: "j1",
+        salary: 100000,
+        equity: "0.1",
+        company: { handle: "c1", name: "C1", logoUrl: "http://c1.img" },
+      },
+    ]);
+  });
+
+  /** Test filtering by status and company */
+  test("works: filters", async function () {
+    const [jobId1, jobId2] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u1", jobId2);
+    await JobApplication.updateStatus("u1", jobId2, "screening", "a1");
+
+    let applications = await JobApplication.findAllForUser("u1", { status: "screening" });
+    expect(applications.map(a => a.jobId)).toEqual([jobId2]);
+
+    applications = await JobApplication.findAllForUser("u1", { companyHandle: "C1" });
+    expect(applications.map(a => a.jobId)).toEqual([jobId1]);
+  });
+
+  /** Test sorting by salary, highest first */
+  test("works: sorting", async function () {
+    const [jobId1, jobId2] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u1", jobId2);
+
+    const applications = await JobApplication.findAllForUser("u1",
+      { sortBy: "salary", direction: "desc" });
+    expect(applications.map(a => a.title)).toEqual(["j2", "j1"]);
+  });
+
+  /** Test an empty list for a user with no applications */
+  test("works: no applications", async function () {
+    expect(await JobApplication.findAllForUser("u2")).toEqual([]);
+  });
 
-  /** Test NotFoundError if trying to remove with invalid job ID */
-  test("not found if trying to remove with invalid job ID", async function () {
+  /** Test NotFoundError for an unknown user */
+  test("not found if no such user", async function () {
     try {
-      await JobApplication.remove("u1", 0);
+      await JobApplication.findAllForUser("nope");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
-});
\ No newline at end of file
+});
+
+/** Testing suite for JobApplication.findApplicants and countApplicants */
+describe("JobApplication.findApplicants", function () {
+  /** Test listing a job's applicants, newest first */
+  test("works: by job", async function () {
+    const [jobId1] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u2", jobId1);
+    await db.query(
+      `UPDATE applications SET applied_at = NOW() - INTERVAL '1 day' WHERE username = 'u1'`);
+
+    const applicants = await JobApplication.findApplicants({ jobId: jobId1 });
+    expect(applicants).toEqual([
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        jobId: jobId1,
+        title: "j1",
+        status: "applied",
+        appliedAt: expect.any(Date),
+      },
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        jobId: jobId1,
+        title: "j1",
+        status: "applied",
+        appliedAt: expect.any(Date),
+      },
+    ]);
+    expect(await JobApplication.countApplicants({ jobId: jobId1 })).toEqual(2);
+  });
+
+  /** Test listing a company's applicants, filtered by status and paged */
+  test("works: by company with status and paging", async function () {
+    const [jobId1, jobId2] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u2", jobId1);
+    await JobApplication.apply("u1", jobId2);
+    await JobApplication.updateStatus("u2", jobId1, "screening", "a1");
+
+    let applicants = await JobApplication.findApplicants(
+      { companyHandle: "c1", sortBy: "username" });
+    expect(applicants.map(a => a.username)).toEqual(["u1", "u2"]);
+
+    applicants = await JobApplication.findApplicants(
+      { companyHandle: "c1", status: "screening" });
+    expect(applicants.map(a => a.username)).toEqual(["u2"]);
+    expect(await JobApplication.countApplicants(
+      { companyHandle: "c1", status: "screening" })).toEqual(1);
+
+    applicants = await JobApplication.findApplicants(
+      { companyHandle: "c1", sortBy: "username", page: 2, limit: 1 });
+    expect(applicants.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  /** Test NotFoundError for an unknown job or company */
+  test("not found if no such job or company", async function () {
+    await expect(JobApplication.findApplicants({ jobId: 0 }))
+      .rejects.toThrow(NotFoundError);
+    await expect(JobApplication.findApplicants({ companyHandle: "nope" }))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+/** Tests for streaming applications for an export */
+describe("exports", function () {
+  /** Test exporting every application with the applicant and company */
+  test("exportApplicants works", async function () {
+    const [jobId1, jobId2] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u2", jobId2);
+
+    const onBatch = jest.fn();
+    await JobApplication.exportApplicants(
+      { status: "applied", sortBy: "username", direction: "asc", page: 2, limit: 1 }, onBatch);
+    const [rows, columns] = onBatch.mock.calls[0];
+    expect(columns).toEqual(["username", "firstName", "lastName", "email",
+      "jobId", "title", "status", "appliedAt", "companyHandle"]);
+    expect(rows.map(a => [a.username, a.jobId, a.companyHandle])).toEqual([
+      ["u1", jobId1, "c1"],
+      ["u2", jobId2, "c2"],
+    ]);
+  });
+
+  /** Test exporting a user's applications as flat rows */
+  test("exportForUser works", async function () {
+    const [jobId1, jobId2] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u1", jobId2);
+    await JobApplication.apply("u2", jobId1);
+
+    const onBatch = jest.fn();
+    await JobApplication.exportForUser("u1", { companyHandle: "c2" }, onBatch);
+    expect(onBatch.mock.calls[0][0]).toEqual([
+      {
+        jobId: jobId2,
+        status: "applied",
+        appliedAt: expect.any(Date),
+        title: "j2",
+        salary: 200000,
+        equity: "0.2",
+        companyHandle: "c2",
+        companyName: "C2",
+        companyLogoUrl: "http://c2.img",
+      },
+    ]);
+  });
+
+  /** Test not found for an unknown user */
+  test("exportForUser not found for no such user", async function () {
+    await expect(JobApplication.exportForUser("nope", {}, jest.fn()))
+      .rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Defines the SavedJob class for jobs users bookmark to look at
+ * later. Saving is separate from applying: a user can save a job they haven't
+ * applied to, and saved jobs that close stay saved.
+ *
+ * @module SavedJob
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ../helpers/sql
+ */
+
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, ExpressError } = require("../expressError");
+const { sqlJobIsOpen } = require("../helpers/sql");
+
+/**
+ * Checks that a row exists, throwing a NotFoundError if it doesn't.
+ *
+ * @param {string} sql - A query selecting the row by `$1`.
+ * @param {*} value - The value to look up.
+ * @param {string} message - The NotFoundError message.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If no row is found.
+ * @throws {ExpressError} If there is a database error.
+ */
+async function ensureExists(sql, value, message) {
+  let result;
+  try {
+    result = await db.query(sql, [value]);
+  } catch (err) {
+    throw new ExpressError(err, 500);
+  }
+  if (!result.rows.length)
+    throw new NotFoundError(message);
+}
+
+/**
+ * Checks that a user exists and hasn't been deleted.
+ *
+ * @param {string} username - The username to look for.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If there is no such user.
+ * @throws {ExpressError} If there is a database error.
+ */
+async function ensureUserExists(username) {
+  await ensureExists(`SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`,
+    username, `No user: ${username}`);
+}
+
+/**
+ * Class representing saved job operations.
+ * @class
+ */
+class SavedJob {
+  /**
+   * Save a job for a user. Saving a job that is already saved does nothing.
+   *
+   * @static
+   * @async
+   * @param {string} username - The user saving the job.
+   * @param {number} jobId - The job to save.
+   * @returns {Promise<Object>} `{ jobId, savedAt }`, with when it was first saved.
+   * @throws {NotFoundError} If the user doesn't exist, or the job doesn't exist,
+   * was deleted or is still a draft.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async save(username, jobId) {
+    await ensureUserExists(username);
+    await ensureExists(
+      `SELECT j.id
+      FROM jobs j
+      JOIN companies c ON c.handle = j.company_handle
+      WHERE j.id = $1
+        AND j.status <> 'draft'
+        AND j.deleted_at IS NULL
+        AND c.deleted_at IS NULL`,
+      jobId, `No job: ${jobId}`);
+
+    let result;
+    try {
+      result = await db.query(
+        `INSERT INTO saved_jobs
+          (username, job_id)
+        VALUES
+          ($1, $2)
+        ON CONFLICT (username, job_id)
+          DO UPDATE SET saved_at = saved_jobs.saved_at
+        RETURNING
+          job_id AS "jobId",
+          saved_at AS "savedAt"`,
+        [username, jobId]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Remove a job from a user's saved jobs.
+   *
+   * @static
+   * @async
+   * @param {string} username - The user who saved the job.
+   * @param {number} jobId - The job to remove.
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the user hasn't saved the job.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async remove(username, jobId) {
+    let result;
+    try {
+      result = await db.query(
+        `DELETE FROM saved_jobs
+        WHERE username = $1 AND job_id = $2
+        RETURNING job_id`,
+        [username, jobId]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    if (!result.rows.length)
+      throw new NotFoundError(`${username} has not saved job ${jobId}`);
+  }
+
+  /**
+   * List a user's saved jobs with the job and its company, most recently
+   * saved first. Jobs or companies that have since been deleted are left out.
+   *
+   * @static
+   * @async
+   * @param {string} username - The user whose saved jobs to list.
+   * @returns {Promise<Array<Object>>} `[{ jobId, savedAt, title, salary, equity, status,
+   * expiresAt, isOpen, company: { handle, name, logoUrl } }, ...]` where isOpen is
+   * whether the job still accepts applications.
+   * @throws {NotFoundError} If the user doesn't exist.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async findAllForUser(username) {
+    await ensureUserExists(username);
+
+    let result;
+    try {
+      result = await db.query(
+        `SELECT
+          s.job_id AS "jobId",
+          s.saved_at AS "savedAt",
+          j.title,
+          j.salary,
+          j.equity,
+          j.status,
+          j.expires_at AS "expiresAt",
+          (${sqlJobIsOpen("j")}) AS "isOpen",
+          c.handle AS "companyHandle",
+          c.name AS "companyName",
+          c.logo_url AS "companyLogoUrl"
+        FROM saved_jobs s
+        JOIN jobs j ON j.id = s.job_id
+        JOIN companies c ON c.handle = j.company_handle
+        WHERE s.username = $1
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL
+        ORDER BY s.saved_at DESC, s.job_id`,
+        [username]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return result.rows.map(({ companyHandle, companyName, companyLogoUrl, ...job }) => ({
+      ...job,
+      company: {
+        handle: companyHandle,
+        name: companyName,
+        logoUrl: companyLogoUrl,
+      },
+    }));
+  }
+}
+
+module.exports = SavedJob;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Test suite for the SavedJob class.
+ * This module contains unit tests for saving jobs, listing a user's saved jobs
+ * with their companies, and removing them.
+ *
+ * @module SavedJobTest
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ./savedJob
+ * @requires ./_testCommon
+ */
+
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const SavedJob = require("./savedJob");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  getTestJobIds
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Testing suite for SavedJob functionalities */
+describe("SavedJob", function () {
+  /** Test saving jobs and listing them, most recently saved first */
+  test("save and findAllForUser", async function () {
+    const [j1, j2] = getTestJobIds();
+    expect(await SavedJob.save("u1", j1)).toEqual({ jobId: j1, savedAt: expect.any(Date) });
+    await SavedJob.save("u1", j2);
+    await db.query(
+      "UPDATE saved_jobs SET saved_at = saved_at - INTERVAL '1 day' WHERE job_id = $1", [j1]);
+
+    expect(await SavedJob.findAllForUser("u1")).toEqual([
+      {
+        jobId: j2,
+        savedAt: expect.any(Date),
+        title: "j2",
+        salary: 200000,
+        equity: "0.2",
+        status: "open",
+        expiresAt: null,
+        isOpen: true,
+        company: { handle: "c2", name: "C2", logoUrl: "http://c2.img" },
+      },
+      expect.objectContaining({ jobId: j1, title: "j1" }),
+    ]);
+    expect(await SavedJob.findAllForUser("u2")).toEqual([]);
+  });
+
+  /** Test that saving a job twice keeps the first save */
+  test("save twice does nothing", async function () {
+    const [j1] = getTestJobIds();
+    const first = await SavedJob.save("u1", j1);
+    expect(await SavedJob.save("u1", j1)).toEqual(first);
+    expect(await SavedJob.findAllForUser("u1")).toHaveLength(1);
+  });
+
+  /** Test that closed jobs can be saved, and stay saved, but aren't open */
+  test("closed jobs stay saved", async function () {
+    const [j1] = getTestJobIds();
+    await SavedJob.save("u1", j1);
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1", [j1]);
+    expect(await SavedJob.findAllForUser("u1")).toEqual([
+      expect.objectContaining({ jobId: j1, status: "closed", isOpen: false }),
+    ]);
+  });
+
+  /** Test that deleted jobs drop out of the list */
+  test("deleted jobs aren't listed", async function () {
+    const [j1] = getTestJobIds();
+    await SavedJob.save("u1", j1);
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1]);
+    expect(await SavedJob.findAllForUser("u1")).toEqual([]);
+  });
+
+  /** Test saving a missing, deleted or draft job, or for a missing user */
+  test("save fails for missing job or user", async function () {
+    const [j1, j2, j3] = getTestJobIds();
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1]);
+    await db.query("UPDATE jobs SET status = 'draft', posted_at = NULL WHERE id = $1", [j2]);
+    await expect(SavedJob.save("u1", j1)).rejects.toThrow(NotFoundError);
+    await expect(SavedJob.save("u1", j2)).rejects.toThrow(NotFoundError);
+    await expect(SavedJob.save("u1", 99999)).rejects.toThrow(NotFoundError);
+    await expect(SavedJob.save("nope", j3)).rejects.toThrow(NotFoundError);
+    await expect(SavedJob.findAllForUser("nope")).rejects.toThrow(NotFoundError);
+  });
+
+  /** Test removing a saved job */
+  test("remove", async function () {
+    const [j1] = getTestJobIds();
+    await SavedJob.save("u1", j1);
+    await SavedJob.remove("u1", j1);
+    expect(await SavedJob.findAllForUser("u1")).toEqual([]);
+    await expect(SavedJob.remove("u1", j1)).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Defines the ScheduledTask class for the run history of background
+ * tasks. Every run is kept in scheduled_task_runs with how it was started, when
+ * it started and finished, and what it returned or the error it failed with.
+ * Each task also has one row in scheduled_tasks holding its last run, which is
+ * what stops a scheduled run from starting twice.
+ * The tasks themselves are registered with the scheduler, not stored here.
+ *
+ * @module ScheduledTask
+ * @requires ../db
+ * @requires ../expressError
+ */
+
+"use strict";
+
+const db = require("../db");
+const { ExpressError } = require("../expressError");
+
+/** The columns returned for a task's last run. */
+const TASK_COLUMNS = `
+  name,
+  last_status AS "lastStatus",
+  last_trigger AS "lastTrigger",
+  last_started_at AS "lastStartedAt",
+  last_finished_at AS "lastFinishedAt",
+  last_result AS "lastResult",
+  last_error AS "lastError"`;
+
+/** The columns returned for each run in a task's history. */
+const RUN_COLUMNS = `
+  id,
+  status,
+  trigger,
+  started_at AS "startedAt",
+  finished_at AS "finishedAt",
+  result,
+  error`;
+
+/**
+ * Class representing the run history of scheduled tasks.
+ * @class
+ */
+class ScheduledTask {
+  /**
+   * Get the last run of every task that has run.
+   *
+   * @static
+   * @async
+   * @returns {Promise<Array<Object>>} `[{ name, lastStatus, lastTrigger, lastStartedAt,
+   * lastFinishedAt, lastResult, lastError }, ...]` ordered by name.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async findAll() {
+    let result;
+    try {
+      result = await db.query(
+        `SELECT ${TASK_COLUMNS}
+        FROM scheduled_tasks
+        ORDER BY name`);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows;
+  }
+
+  /**
+   * Get a task's runs, most recent first.
+   *
+   * @static
+   * @async
+   * @param {string} name - The task's name.
+   * @param {Object} [options={}]
+   * @param {number} [options.limit=20] - The most runs to return.
+   * @returns {Promise<Array<Object>>} `[{ id, status, trigger, startedAt, finishedAt,
+   * result, error }, ...]`, empty for a task that hasn't run.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async findRuns(name, { limit = 20 } = {}) {
+    let result;
+    try {
+      result = await db.query(
+        `SELECT ${RUN_COLUMNS}
+        FROM scheduled_task_runs
+        WHERE name = $1
+        ORDER BY started_at DESC, id DESC
+        LIMIT $2`,
+        [name, limit]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows;
+  }
+
+  /**
+   * Record that a task has started, adding a run to its history that becomes
+   * its last run.
+   *
+   * @static
+   * @async
+   * @param {string} name - The task's name.
+   * @param {string} trigger - "schedule" or "manual".
+   * @param {Date} [due] - Only start if the task hasn't started since this time.
+   * @returns {Promise<Object|undefined>} The task's last run, as for findAll, or
+   * undefined if it has started since `due`.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async recordStart(name, trigger, due) {
+    let result;
+    try {
+      // The run's id is taken up front so both rows are written by one statement,
+      // and the run is only added if the task's row was.
+      result = await db.query(
+        `WITH started AS (
+          INSERT INTO scheduled_tasks
+            (name, last_status, last_trigger, last_started_at, last_run_id)
+          VALUES
+            ($1, 'running', $2, NOW(), nextval(pg_get_serial_sequence('scheduled_task_runs', 'id')))
+          ON CONFLICT (name) DO UPDATE SET
+            last_status = 'running',
+            last_trigger = EXCLUDED.last_trigger,
+            last_started_at = EXCLUDED.last_started_at,
+            last_finished_at = NULL,
+            last_result = NULL,
+            last_error = NULL,
+            last_run_id = EXCLUDED.last_run_id
+          WHERE $3::float8 IS NULL
+            OR scheduled_tasks.last_started_at < to_timestamp($3)
+          RETURNING *
+        ), run AS (
+          INSERT INTO scheduled_task_runs
+            (id, name, status, trigger, started_at)
+          SELECT last_run_id, name, last_status, last_trigger, last_started_at
+          FROM started
+        )
+        SELECT ${TASK_COLUMNS}
+        FROM started`,
+        [name, trigger, due ? due.getTime() / 1000 : null]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Record how a task's current run finished, both as its last run and in its
+   * history.
+   *
+   * @static
+   * @async
+   * @param {string} name - The task's name.
+   * @param {Object} outcome
+   * @param {*} [outcome.result] - What the task returned, stored as JSON.
+   * @param {Error} [outcome.error] - The error it failed with, if any.
+   * @returns {Promise<Object>} The task's last run, as for findAll.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async recordFinish(name, { result: taskResult, error } = {}) {
+    let result;
+    try {
+      result = await db.query(
+        `WITH finished AS (
+          UPDATE scheduled_tasks
+          SET
+            last_status = $2,
+            last_finished_at = NOW(),
+            last_result = $3,
+            last_error = $4
+          WHERE name = $1
+          RETURNING *
+        ), run AS (
+          UPDATE scheduled_task_runs r
+          SET
+            status = f.last_status,
+            finished_at = f.last_finished_at,
+            result = f.last_result,
+            error = f.last_error
+          FROM finished f
+          WHERE r.id = f.last_run_id
+        )
+        SELECT ${TASK_COLUMNS}
+        FROM finished`,
+        [name,
+          error ? "failed" : "succeeded",
+          taskResult === undefined ? null : JSON.stringify(taskResult),
+          error ? error.message || `${error}` : null]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    return result.rows[0];
+  }
+}
+
+module.exports = ScheduledTask;
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Defines the Search class for full-text search of companies
+ * and jobs. Each table has a generated tsvector column with a GIN index;
+ * matches are ranked by ts_rank and the matching words are highlighted.
+ *
+ * @module Search
+ * @requires ../db
+ * @requires ../expressError
+ * @requires ../helpers/sql
+ */
+
+"use strict";
+
+const db = require("../db");
+const { ExpressError } = require("../expressError");
+const { sqlJobIsOpen } = require("../helpers/sql");
+
+/** How many companies, and how many jobs, a search returns by default. */
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Mark the start and end of each match in ts_headline's output. Control
+ * characters can't be confused with the text around them, and unlike HTML
+ * tags they leave nothing for a client to escape.
+ */
+const MATCH_START = "\u0001";
+const MATCH_END = "\u0002";
+
+/** ts_headline options for short fields, which are shown whole. */
+const WHOLE_FIELD = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, HighlightAll=true`;
+
+/** ts_headline options for descriptions, which are cut to the part that matched. */
+const EXCERPT = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MinWords=10, MaxWords=30`;
+
+/**
+ * Splits ts_headline's output into the text that matched the search and the
+ * text around it.
+ *
+ * @param {string} headline - Text with each match between MATCH_START and MATCH_END.
+ * @returns {Array<Object>} `[{ text, match }, ...]` in order, where `match`
+ * is true for the words that matched.
+ */
+function toSegments(headline) {
+  const segments = [];
+  for (const [i, part] of headline.split(MATCH_START).entries()) {
+    const [matched, rest] = i === 0 ? [null, part] : part.split(MATCH_END);
+    if (matched)
+      segments.push({ text: matched, match: true });
+    if (rest)
+      segments.push({ text: rest, match: false });
+  }
+  return segments;
+}
+
+/**
+ * Class representing search operations.
+ * @class
+ */
+class Search {
+  /**
+   * Search companies by name and description, and jobs by title, leaving out
+   * deleted ones and jobs that aren't open. The search uses websearch_to_tsquery, so words are matched
+   * by their stems and quoted phrases, OR and -word work as they do in a web
+   * search engine.
+   *
+   * @static
+   * @async
+   * @param {string} q - The words to search for.
+   * @param {Object} [options={}] - Search options.
+   * @param {number} [options.limit=10] - The most companies, and the most jobs, to return.
+   * @returns {Promise<Object>} `{ companies, jobs }`, best matches first, where
+   * companies are `{ handle, name, logoUrl, rank, highlights: { name, description } }`
+   * and jobs are `{ id, title, salary, equity, companyHandle, companyName, rank,
+   * highlights: { title } }`. Each highlight is a list of `{ text, match }` segments.
+   * @throws {ExpressError} If there is a database error.
+   */
+  static async find(q, { limit = DEFAULT_LIMIT } = {}) {
+    let companies;
+    let jobs;
+    try {
+      companies = await db.query(
+        `SELECT
+          handle,
+          name,
+          logo_url AS "logoUrl",
+          ts_rank(search_vector, query) AS rank,
+          ts_headline('english', name, query, $3) AS "nameHeadline",
+          ts_headline('english', description, query, $4) AS "descriptionHeadline"
+        FROM
+          companies,
+          websearch_to_tsquery('english', $1) AS query
+        WHERE
+          search_vector @@ query
+          AND deleted_at IS NULL
+        ORDER BY
+          rank DESC, name
+        LIMIT $2`,
+        [q, limit, WHOLE_FIELD, EXCERPT]);
+
+      jobs = await db.query(
+        `SELECT
+          j.id,
+          j.title,
+          j.salary,
+          j.equity,
+          j.company_handle AS "companyHandle",
+          c.name AS "companyName",
+          ts_rank(j.search_vector, query) AS rank,
+          ts_headline('english', j.title, query, $3) AS "titleHeadline"
+        FROM
+          jobs j
+          JOIN companies c ON c.handle = j.company_handle,
+          websearch_to_tsquery('english', $1) AS query
+        WHERE
+          j.search_vector @@ query
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL
+          AND ${sqlJobIsOpen("j")}
+        ORDER BY
+          rank DESC, j.title, j.id
+        LIMIT $2`,
+        [q, limit, WHOLE_FIELD]);
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return {
+      companies: companies.rows.map(({ nameHeadline, descriptionHeadline, ...company }) => ({
+        ...company,
+        highlights: {
+          name: toSegments(nameHeadline),
+          description: toSegments(descriptionHeadline),
+        },
+      })),
+      jobs: jobs.rows.map(({ titleHeadline, ...job }) => ({
+        ...job,
+        highlights: { title: toSegments(titleHeadline) },
+      })),
+    };
+  }
+}
+
+module.exports = Search;
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Test suite for the Search class.
+ * This module verifies that companies and jobs are matched by word stems,
+ * ranked, highlighted and limited, and that deleted ones are left out.
+ *
+ * @module SearchTest
+ * @requires ../db
+ * @requires ./search
+ * @requires ./_testCommon
+ */
+
+"use strict";
+
+const db = require("../db");
+const Search = require("./search");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  await commonBeforeEach();
+  await db.query(`
+    INSERT INTO companies (handle, name, description)
+    VALUES
+      ('acme', 'Acme Robotics', 'Industrial machines for warehouses.'),
+      ('bolt', 'Bolt Foods', 'Snacks, packed by robots in our own warehouse.')`);
+  await db.query(`
+    INSERT INTO jobs (title, salary, equity, company_handle)
+    VALUES
+      ('Robot Technician', 60000, '0', 'acme'),
+      ('Warehouse Manager', 70000, NULL, 'bolt')`);
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Testing suite for Search functionalities */
+describe("find", function () {
+  /** Words match by their stem, and a match in a name outranks one in a description. */
+  test("works", async function () {
+    const results = await Search.find("robots");
+    expect(results.companies.map(c => c.handle)).toEqual(["acme", "bolt"]);
+    expect(results.companies[0].rank).toBeGreaterThan(results.companies[1].rank);
+    expect(results.jobs).toEqual([
+      {
+        id: expect.any(Number),
+        title: "Robot Technician",
+        salary: 60000,
+        equity: "0",
+        companyHandle: "acme",
+        companyName: "Acme Robotics",
+        rank: expect.any(Number),
+        highlights: {
+          title: [
+            { text: "Robot", match: true },
+            { text: " Technician", match: false },
+          ],
+        },
+      },
+    ]);
+  });
+
+  /** The matching words are marked in each field. */
+  test("highlights matches", async function () {
+    const [company] = (await Search.find("snacks")).companies;
+    expect(company).toEqual({
+      handle: "bolt",
+      name: "Bolt Foods",
+      logoUrl: null,
+      rank: expect.any(Number),
+      highlights: {
+        name: [{ text: "Bolt Foods", match: false }],
+        description: [
+          { text: "Snacks", match: true },
+          { text: ", packed by robots in our own warehouse.", match: false },
+        ],
+      },
+    });
+  });
+
+  /** Web search syntax is understood. */
+  test("works: web search syntax", async function () {
+    const results = await Search.find("warehouse -snacks");
+    expect(results.companies.map(c => c.handle)).toEqual(["acme"]);
+    expect(results.jobs.map(j => j.title)).toEqual(["Warehouse Manager"]);
+  });
+
+  /** At most `limit` companies and `limit` jobs are returned. */
+  test("works: limit", async function () {
+    const results = await Search.find("robots OR warehouse", { limit: 1 });
+    expect(results.companies).toHaveLength(1);
+    expect(results.jobs).toHaveLength(1);
+  });
+
+  /** Deleted companies, and the jobs of deleted companies, are left out. */
+  test("leaves out deleted records", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'acme'");
+    const results = await Search.find("robots");
+    expect(results.companies.map(c => c.handle)).toEqual(["bolt"]);
+    expect(results.jobs).toEqual([]);
+  });
+
+  /** Jobs that are closed, or have expired, are left out. */
+  test("leaves out jobs that aren't open", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE title = 'Robot Technician'");
+    await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE title = 'Warehouse Manager'");
+    expect((await Search.find("robot")).jobs).toEqual([]);
+    expect((await Search.find("warehouse")).jobs).toEqual([]);
+  });
+
+  /** A search matching nothing, or made only of stop words, finds nothing. */
+  test("works: no matches", async function () {
+    expect(await Search.find("submarine")).toEqual({ companies: [], jobs: [] });
+    expect(await Search.find("the")).toEqual({ companies: [], jobs: [] });
+  });
+});
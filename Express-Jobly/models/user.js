@@ -19,10 +19,51 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  TooManyRequestsError,
   ExpressError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const {
+  BCRYPT_WORK_FACTOR,
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES
+} = require("../config.js");
+
+/**
+ * Counts a wrong password against a user, locking the account once
+ * LOGIN_MAX_FAILURES are reached. The count restarts after a lock has expired.
+ *
+ * @async
+ * @param {string} username - Username of the user
+ * @returns {Promise<void>}
+ * @throws {ExpressError} If there is a database error
+ */
+async function recordFailedLogin(username) {
+  try {
+    await db.query(
+      `UPDATE
+        users AS u
+      SET
+        failed_login_attempts = n.attempts,
+        locked_until = CASE WHEN n.attempts >= $2
+          THEN NOW() + make_interval(mins => $3) END
+      FROM (
+        SELECT
+          CASE WHEN locked_until <= NOW() THEN 1
+            ELSE failed_login_attempts + 1 END AS attempts
+        FROM
+          users
+        WHERE
+          username = $1
+      ) AS n
+      WHERE
+        u.username = $1`,
+      [username, LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_MINUTES],
+    );
+  } catch (err) {
+    throw new ExpressError(err, 500);
+  }
+}
 
 /**
  * User class for managing user operations.
@@ -32,11 +73,17 @@ class User {
   /**
    * Authenticate user with username and password.
    *
+   * Wrong passwords are counted on the user row, and the account is locked for
+   * LOGIN_LOCKOUT_MINUTES after LOGIN_MAX_FAILURES of them in a row. A correct
+   * password resets the count.
+   *
    * @async
    * @param {string} username - Username of the user
    * @param {string} password - Password of the user
    * @returns {Promise<Object>} User object if authentication is successful
    * @throws {UnauthorizedError} If username or password is invalid
+   * @throws {TooManyRequestsError} If the account is locked. Its `retryAfter` is
+   * the number of seconds left.
    * @throws {ExpressError} If there is a database error
    */
   static async authenticate(username, password) {
@@ -49,11 +96,14 @@ class User {
             first_name AS "firstName",
             last_name AS "lastName",
             email,
-            is_admin AS "isAdmin"
+            is_admin AS "isAdmin",
+            failed_login_attempts AS "failedLoginAttempts",
+            CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::integer AS "lockedFor"
           FROM
             users
           WHERE
-            username = $1`,
+            username = $1
+            AND deleted_at IS NULL`,
         [username],
       );
     } catch (err) {
@@ -65,12 +115,22 @@ class User {
     const user = foundUser.rows[0];
 
     if (user) {
+      const { failedLoginAttempts, lockedFor } = user;
+      if (lockedFor > 0)
+        throw new TooManyRequestsError(
+          "Account is temporarily locked after too many failed logins.", lockedFor);
+
       // compare hashed password to a new hash from password
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
+        if (failedLoginAttempts > 0)
+          await User.clearLockout(user.username);
         delete user.password;
+        delete user.failedLoginAttempts;
+        delete user.lockedFor;
         return user;
       }
+      await recordFailedLogin(user.username);
     }
 
     throw new UnauthorizedError("Invalid username/password");
@@ -162,10 +222,13 @@ class User {
   * Find all users.
   *
   * @async
+  * @param {Object} [options={}]
+  * @param {boolean} [options.includeDeleted=false] - Include soft-deleted users.
+  * Each user then also has a `deletedAt`, null unless they were deleted.
   * @returns {Promise<Array<Object>>} List of all user objects
   * @throws {ExpressError} If there is a database error
   */
-  static async findAll() {
+  static async findAll({ includeDeleted = false } = {}) {
     let result;
     try {
       result = await db.query(
@@ -174,9 +237,12 @@ class User {
           first_name AS "firstName",
           last_name AS "lastName",
           email,
-          is_admin AS "isAdmin"
+          is_admin AS "isAdmin"${includeDeleted ? `,
+          deleted_at AS "deletedAt"` : ""}
         FROM
-          users
+          users${includeDeleted ? "" : `
+        WHERE
+          deleted_at IS NULL`}
         ORDER BY
           username`,
       );
@@ -189,33 +255,175 @@ class User {
     return result.rows;
   }
 
+  /**
+  * Find users with failed logins counted against them, including locked accounts.
+  *
+  * @async
+  * @returns {Promise<Array<Object>>} List of
+  * `{ username, failedLoginAttempts, lockedUntil, locked }`, locked accounts first
+  * @throws {ExpressError} If there is a database error
+  */
+  static async findLockouts() {
+    let result;
+    try {
+      result = await db.query(
+        `SELECT
+          username,
+          failed_login_attempts AS "failedLoginAttempts",
+          locked_until AS "lockedUntil",
+          COALESCE(locked_until > NOW(), FALSE) AS "locked"
+        FROM
+          users
+        WHERE
+          failed_login_attempts > 0
+          OR locked_until > NOW()
+        ORDER BY
+          locked DESC,
+          username`,
+      );
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return result.rows;
+  }
+
+  /**
+  * Unlock a user's account and reset their failed login count.
+  *
+  * @async
+  * @param {string} username - Username of the user
+  * @param {Object} [client=db] - A client to unlock the account with, so that
+  * it is part of the caller's transaction.
+  * @returns {Promise<void>}
+  * @throws {NotFoundError} If no user found
+  * @throws {ExpressError} If there is a database error
+  */
+  static async clearLockout(username, client = db) {
+    let result;
+    try {
+      result = await client.query(
+        `UPDATE
+          users
+        SET
+          failed_login_attempts = 0,
+          locked_until = NULL
+        WHERE
+          username = $1
+        RETURNING
+          username`,
+        [username],
+      );
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    if (!result.rows.length)
+      throw new NotFoundError(`No user: ${username}`);
+  }
+
+  /**
+  * Mark a user's email address as verified.
+  *
+  * @async
+  * @param {string} username - Username of the user
+  * @returns {Promise<void>}
+  * @throws {NotFoundError} If no user found
+  * @throws {ExpressError} If there is a database error
+  */
+  static async markEmailVerified(username) {
+    let result;
+    try {
+      result = await db.query(
+        `UPDATE
+          users
+        SET
+          email_verified = TRUE
+        WHERE
+          username = $1
+        RETURNING
+          username`,
+        [username],
+      );
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+    if (!result.rows.length)
+      throw new NotFoundError(`No user: ${username}`);
+  }
+
+  /**
+  * Find every user registered with an email address, leaving out deleted users.
+  *
+  * @async
+  * @param {string} email - Email address (matched case-insensitively)
+  * @returns {Promise<Array<Object>>} List of `{ username, firstName, email }`,
+  * empty if no user has that address
+  * @throws {ExpressError} If there is a database error
+  */
+  static async findByEmail(email) {
+    let result;
+    try {
+      result = await db.query(
+        `SELECT
+          username,
+          first_name AS "firstName",
+          email
+        FROM
+          users
+        WHERE
+          lower(email) = lower($1)
+          AND deleted_at IS NULL
+        ORDER BY
+          username`,
+        [email],
+      );
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return result.rows;
+  }
+
   /**
    * Get details of a specific user by username.
    *
    * @async
    * @param {string} username - Username of the user
-   * @returns {Promise<Object>} User object
+   * @param {Object} [options={}]
+   * @param {boolean} [options.includeDeleted=false] - Find the user even if
+   * soft-deleted. The user then also has a `deletedAt`.
+   * @param {Object} [client=db] - A client to read the user with, so that it
+   * is part of the caller's transaction.
+   * @returns {Promise<Object>} User object, including `jobs` (applied job IDs) and
+   * `applications` (`[{ jobId, status }, ...]`)
    * @throws {NotFoundError} If no user found
    * @throws {ExpressError} If there is a database error
    */
-  static async get(username) {
+  static async get(username, { includeDeleted = false } = {}, client = db) {
     let userRes;
     try {
-      userRes = await db.query(
+      userRes = await client.query(
         `SELECT
           u.username,
           u.first_name AS "firstName",
           u.last_name AS "lastName",
           u.email,
           u.is_admin AS "isAdmin",
-          a.job_id AS "jobId"
+          u.email_verified AS "emailVerified",
+          u.deleted_at AS "deletedAt",
+          a.job_id AS "jobId",
+          a.status
         FROM
           users u
         LEFT JOIN
           applications a ON u.username = a.username
         WHERE
-          u.username = $1`,
-        [username],
+          u.username = $1
+          AND ($2 OR u.deleted_at IS NULL)
+        ORDER BY
+          a.applied_at,
+          a.job_id`,
+        [username, includeDeleted],
       );
     } catch (err) {
       throw new ExpressError(err, 500);
@@ -235,6 +443,14 @@ class User {
     // Remove null entries (in case of no jobs)
     const filteredJobs = jobs.filter(job => job !== null);
 
+    // Current status of each application
+    const applications = userRes.rows
+      .filter(row => row.jobId !== null)
+      .map(row => ({
+        jobId: row.jobId,
+        status: row.status
+      }));
+
     // Return user data with jobs
     return {
       username: user.username,
@@ -242,7 +458,10 @@ class User {
       lastName: user.lastName,
       email: user.email,
       isAdmin: user.isAdmin,
-      jobs: filteredJobs
+      emailVerified: user.emailVerified,
+      ...(includeDeleted && { deletedAt: user.deletedAt }),
+      jobs: filteredJobs,
+      applications
     };
   }
 
@@ -255,8 +474,10 @@ class User {
    * @async
    * @param {string} username - Username of the user to update
    * @param {Object} data - Data to update
+   * @param {Object} [client=db] - A client to update the user with, so that it
+   * is part of the caller's transaction.
    * @returns {Promise<Object>} Updated user object
-   * @throws {NotFoundError} If no user is found
+   * @throws {NotFoundError} If no user is found, or they were deleted
    * @throws {ExpressError} If there is a database error
    *
    * @description
@@ -269,7 +490,7 @@ class User {
    * or serious security risks are opened.
    */
 
-  static async update(username, data) {
+  static async update(username, data, client = db) {
     if (data.password) {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
@@ -280,15 +501,24 @@ class User {
         lastName: "last_name",
         isAdmin: "is_admin",
       });
+
+    // A changed email address has to be verified again
+    let verifiedCol = "";
+    if (data.email !== undefined) {
+      values.push(data.email);
+      verifiedCol = `,
+      email_verified = email_verified AND lower(email) = lower($${values.length})`;
+    }
     const usernameVarIdx = "$" + (values.length + 1);
 
     const querySql = `
     UPDATE
       users
     SET
-      ${setCols}
+      ${setCols}${verifiedCol}
     WHERE
       username = ${usernameVarIdx}
+      AND deleted_at IS NULL
     RETURNING
       username,
       first_name AS "firstName",
@@ -298,7 +528,7 @@ class User {
 
     let result;
     try {
-      result = await db.query(querySql, [...values, username]);
+      result = await client.query(querySql, [...values, username]);
     } catch (err) {
       throw new ExpressError(err, 500);
     }
@@ -316,7 +546,7 @@ class User {
     // Retrieve the user's job list
     let userJobs;
     try{
-      userJobs = await db.query(`
+      userJobs = await client.query(`
         SELECT
           job_id AS "jobId"
         FROM
@@ -337,22 +567,26 @@ class User {
   }
 
   /**
-   * Remove a user from the database.
+   * Soft-delete a user. They can no longer log in, and are hidden until
+   * restored or purged. Their applications are kept.
    *
    * @async
    * @param {string} username - Username of the user to remove
    * @returns {Promise<void>}
-   * @throws {NotFoundError} If no user found
+   * @throws {NotFoundError} If no user found, or they were already deleted
    * @throws {ExpressError} If there is a database error
    */
   static async remove(username) {
     let result;
     try {
       result = await db.query(
-        `DELETE FROM
+        `UPDATE
           users
+        SET
+          deleted_at = NOW()
         WHERE
           username = $1
+          AND deleted_at IS NULL
         RETURNING username`,
         [username],
       );
@@ -367,6 +601,73 @@ class User {
     if (!user) 
       throw new NotFoundError(`No user: ${username}`);
   }
+
+  /**
+   * Restore a soft-deleted user.
+   *
+   * @async
+   * @param {string} username - Username of the user to restore
+   * @returns {Promise<Object>} `{ username, firstName, lastName, email, isAdmin }`
+   * @throws {NotFoundError} If no deleted user found
+   * @throws {ExpressError} If there is a database error
+   */
+  static async restore(username) {
+    let result;
+    try {
+      result = await db.query(
+        `UPDATE
+          users
+        SET
+          deleted_at = NULL
+        WHERE
+          username = $1
+          AND deleted_at IS NOT NULL
+        RETURNING
+          username,
+          first_name AS "firstName",
+          last_name AS "lastName",
+          email,
+          is_admin AS "isAdmin"`,
+        [username],
+      );
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    const user = result.rows[0];
+
+    if (!user)
+      throw new NotFoundError(`No deleted user: ${username}`);
+
+    return user;
+  }
+
+  /**
+   * Permanently delete users who were soft-deleted more than `days` days ago,
+   * along with their applications.
+   *
+   * @async
+   * @param {number} days - The retention period in days
+   * @returns {Promise<string[]>} The usernames of the purged users
+   * @throws {ExpressError} If there is a database error
+   */
+  static async purge(days) {
+    let result;
+    try {
+      result = await db.query(
+        `DELETE FROM
+          users
+        WHERE
+          deleted_at < NOW() - make_interval(days => $1)
+        RETURNING username`,
+        [days],
+      );
+    } catch (err) {
+      throw new ExpressError(err, 500);
+    }
+
+    return result.rows.map(r => r.username);
+  }
 }
 
 module.exports = User;
\ No newline at end of file
@@ -16,8 +16,10 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  TooManyRequestsError,
 } = require("../expressError");
 const db = require("../db.js");
+const { LOGIN_MAX_FAILURES } = require("../config");
 const User = require("./user.js");
 const JobApplication = require("./jobApplication.js");
 const {
@@ -74,6 +76,114 @@ describe("authenticate", function () {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     }
   });
+
+  /**
+   * Test that wrong passwords are counted and a correct one resets the count.
+   */
+  test("counts failures until a successful login", async function () {
+    await expect(User.authenticate("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+    await expect(User.authenticate("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+    expect(await User.findLockouts()).toEqual([
+      {
+        username: "u1",
+        failedLoginAttempts: 2,
+        lockedUntil: null,
+        locked: false,
+      },
+    ]);
+
+    await User.authenticate("u1", "password1");
+    expect(await User.findLockouts()).toEqual([]);
+  });
+
+  /**
+   * Test that too many wrong passwords lock the account, even against the right one.
+   */
+  test("locks after too many failures", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++)
+      await expect(User.authenticate("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+
+    try {
+      await User.authenticate("u1", "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toBeGreaterThan(0);
+    }
+  });
+
+  /**
+   * Test that counting starts over once a lock has expired.
+   */
+  test("restarts count after lock expires", async function () {
+    await db.query(
+      `UPDATE users
+      SET failed_login_attempts = $1, locked_until = NOW() - INTERVAL '1 minute'
+      WHERE username = 'u1'`,
+      [LOGIN_MAX_FAILURES]);
+    await expect(User.authenticate("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+    const [lockout] = await User.findLockouts();
+    expect(lockout.failedLoginAttempts).toEqual(1);
+    expect(lockout.locked).toEqual(false);
+  });
+});
+
+/**
+ * Test suite for User.findLockouts and User.clearLockout methods.
+ */
+describe("lockouts", function () {
+  /**
+   * Test that locked accounts are listed first.
+   */
+  test("findLockouts works", async function () {
+    await db.query(
+      `UPDATE users SET failed_login_attempts = 1 WHERE username = 'u1'`);
+    await db.query(
+      `UPDATE users
+      SET failed_login_attempts = $1, locked_until = NOW() + INTERVAL '5 minutes'
+      WHERE username = 'u2'`,
+      [LOGIN_MAX_FAILURES]);
+    expect(await User.findLockouts()).toEqual([
+      {
+        username: "u2",
+        failedLoginAttempts: LOGIN_MAX_FAILURES,
+        lockedUntil: expect.any(Date),
+        locked: true,
+      },
+      {
+        username: "u1",
+        failedLoginAttempts: 1,
+        lockedUntil: null,
+        locked: false,
+      },
+    ]);
+  });
+
+  /**
+   * Test that clearing a lockout unlocks the account.
+   */
+  test("clearLockout works", async function () {
+    await db.query(
+      `UPDATE users
+      SET failed_login_attempts = $1, locked_until = NOW() + INTERVAL '5 minutes'
+      WHERE username = 'u1'`,
+      [LOGIN_MAX_FAILURES]);
+    await User.clearLockout("u1");
+    expect(await User.findLockouts()).toEqual([]);
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+
+  /**
+   * Test failure for a non-existent user.
+   */
+  test("clearLockout not found if no such user", async function () {
+    try {
+      await User.clearLockout("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
 
 /**
@@ -174,6 +284,58 @@ describe("findAll", function () {
   });
 });
 
+/**
+ * Test suite for User.markEmailVerified method.
+ */
+describe("markEmailVerified", function () {
+  /**
+   * Test that a user's email is marked verified.
+   */
+  test("works", async function () {
+    await db.query("UPDATE users SET email_verified = FALSE WHERE username = 'u1'");
+    await User.markEmailVerified("u1");
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+  });
+
+  /**
+   * Test failure for a non-existent user.
+   */
+  test("not found if no such user", async function () {
+    try {
+      await User.markEmailVerified("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/**
+ * Test suite for User.findByEmail method.
+ */
+describe("findByEmail", function () {
+  /**
+   * Test that users are found by email, ignoring case.
+   */
+  test("works", async function () {
+    const users = await User.findByEmail("U1@Email.com");
+    expect(users).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        email: "u1@email.com",
+      },
+    ]);
+  });
+
+  /**
+   * Test that an unknown email finds no users.
+   */
+  test("empty if no match", async function () {
+    expect(await User.findByEmail("nope@email.com")).toEqual([]);
+  });
+});
+
 /**
  * Test suite for fetching a specific user.
  */
@@ -189,7 +351,9 @@ describe("get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      emailVerified: true,
       jobs: expect.any(Array),
+      applications: expect.any(Array),
     });
   });
 
@@ -247,6 +411,22 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  /**
+   * Test that changing the email address requires it to be verified again.
+   */
+  test("works: new email clears verification", async function () {
+    await User.update("u1", { email: "new@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  /**
+   * Test that re-sending the same email address keeps it verified.
+   */
+  test("works: same email keeps verification", async function () {
+    await User.update("u1", { firstName: "NewF", email: "U1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+  });
+
   /**
    * Test failure when updating non-existent user.
    */
@@ -344,13 +524,34 @@ describe("update", function () {
  */
 describe("remove", function () {
   /**
-   * Test that user removal works.
+   * Test that user removal soft-deletes the user, who can no longer log in.
    */
   test("works", async function () {
     await User.remove("u1");
     const res = await db.query(
-      "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+      "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+    await expect(User.get("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.authenticate("u1", "password1")).rejects.toThrow(UnauthorizedError);
+    expect(await User.findByEmail("u1@email.com")).toEqual([]);
+    expect((await User.findAll()).map(u => u.username)).toEqual(["a1", "u2"]);
+  });
+
+  /**
+   * Test that a deleted user can't be deleted again or updated, and keeps their username.
+   */
+  test("not found if already deleted", async function () {
+    await User.remove("u1");
+    await expect(User.remove("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.update("u1", { firstName: "New" })).rejects.toThrow(NotFoundError);
+    await expect(User.register({
+      username: "u1",
+      password: "password",
+      firstName: "New",
+      lastName: "User",
+      email: "new@email.com",
+      isAdmin: false,
+    })).rejects.toThrow(BadRequestError);
   });
 
   /**
@@ -366,6 +567,73 @@ describe("remove", function () {
   });
 });
 
+/**
+ * Test suite for finding soft-deleted users.
+ */
+describe("includeDeleted", function () {
+  /**
+   * Test that deleted users are listed and found, with when they were deleted.
+   */
+  test("works", async function () {
+    await User.remove("u2");
+    const users = await User.findAll({ includeDeleted: true });
+    expect(users.map(u => [u.username, u.deletedAt])).toEqual([
+      ["a1", null],
+      ["u1", null],
+      ["u2", expect.any(Date)],
+    ]);
+    const user = await User.get("u2", { includeDeleted: true });
+    expect(user.deletedAt).toEqual(expect.any(Date));
+  });
+});
+
+/**
+ * Test suite for restoring a soft-deleted user.
+ */
+describe("restore", function () {
+  /**
+   * Test that a restored user can log in again.
+   */
+  test("works", async function () {
+    await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+    });
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+
+  /**
+   * Test restoring a user who isn't deleted.
+   */
+  test("not found if not deleted", async function () {
+    await expect(User.restore("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.restore("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/**
+ * Test suite for purging old soft-deleted users.
+ */
+describe("purge", function () {
+  /**
+   * Test that only users deleted before the retention period are removed.
+   */
+  test("works", async function () {
+    await User.remove("u1");
+    await User.remove("u2");
+    await db.query(
+      "UPDATE users SET deleted_at = NOW() - INTERVAL '31 days' WHERE username='u1'");
+    expect(await User.purge(30)).toEqual(["u1"]);
+    const res = await db.query("SELECT username FROM users ORDER BY username");
+    expect(res.rows.map(r => r.username)).toEqual(["a1", "u2"]);
+  });
+});
+
 describe("User Model Tests for JobApplications.applyToJob", function () {
   test("works", async function () {
     const testJobIds = getTestJobIds();
@@ -424,7 +692,12 @@ describe("User.get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      emailVerified: true,
       jobs: [jobId1, jobId2],
+      applications: [
+        { jobId: jobId1, status: "applied" },
+        { jobId: jobId2, status: "applied" },
+      ],
     });
   });
 });
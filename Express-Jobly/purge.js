@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Command that permanently deletes soft-deleted companies, jobs
+ * and users once they are older than the retention period.
+ *
+ * Usage: `npm run purge [-- days]`. The number of days defaults to
+ * DELETED_RETENTION_DAYS. The server also runs it daily as the purge-deleted
+ * task (see tasks.js).
+ *
+ * @module purge
+ * @requires ./config
+ * @requires ./models/user
+ * @requires ./models/job
+ * @requires ./models/company
+ */
+
+"use strict";
+
+const { DELETED_RETENTION_DAYS } = require("./config");
+const User = require("./models/user");
+const Job = require("./models/job");
+const Company = require("./models/company");
+
+/**
+ * Purges users, then jobs, then companies deleted more than `days` days ago.
+ * Purging a company also removes any of its jobs that are left.
+ *
+ * @async
+ * @param {number} [days=DELETED_RETENTION_DAYS] - The retention period in days.
+ * @returns {Promise<Object>} `{ users, jobs, companies }`, the keys of the purged rows.
+ */
+async function purge(days = DELETED_RETENTION_DAYS) {
+  const users = await User.purge(days);
+  const jobs = await Job.purge(days);
+  const companies = await Company.purge(days);
+  return { users, jobs, companies };
+}
+
+if (require.main === module) {
+  const arg = process.argv[2];
+  const days = arg === undefined ? DELETED_RETENTION_DAYS : +arg;
+
+  if (!Number.isInteger(days) || days < 0) {
+    console.error(`Invalid number of days: ${arg}`);
+    process.exit(1);
+  }
+
+  // The pool keeps the client db.js connects at load, so exit rather than
+  // waiting on db.end().
+  purge(days)
+    .then(({ users, jobs, companies }) => {
+      console.log(`Purged rows deleted more than ${days} days ago: ` +
+        `${users.length} users, ${jobs.length} jobs, ${companies.length} companies.`);
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = { purge };
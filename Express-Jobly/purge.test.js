@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Test suite for the purge command, which permanently deletes
+ * soft-deleted rows once they are past the retention period.
+ *
+ * @module purge.test
+ * @requires ./db
+ * @requires ./purge
+ * @requires ./models/_testCommon
+ */
+
+"use strict";
+
+const db = require("./db");
+const { purge } = require("./purge");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  getTestJobIds
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/**
+ * Suite to test purging users, jobs and companies together.
+ */
+describe("purge", function () {
+  /** Only rows deleted before the retention period are removed. */
+  test("works", async function () {
+    const [j1, j2] = getTestJobIds();
+    await db.query("UPDATE users SET deleted_at = NOW() - INTERVAL '10 days' WHERE username='u1'");
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username='u2'");
+    await db.query("UPDATE jobs SET deleted_at = NOW() - INTERVAL '10 days' WHERE id=$1", [j2]);
+    await db.query("UPDATE companies SET deleted_at = NOW() - INTERVAL '10 days' WHERE handle='c1'");
+
+    expect(await purge(7)).toEqual({ users: ["u1"], jobs: [j2], companies: ["c1"] });
+
+    const users = await db.query("SELECT username FROM users ORDER BY username");
+    expect(users.rows.map(r => r.username)).toEqual(["a1", "u2"]);
+    const jobs = await db.query("SELECT id FROM jobs WHERE id = ANY($1)", [[j1, j2]]);
+    expect(jobs.rows).toEqual([]);
+  });
+
+  /** Nothing is removed when no rows are past the retention period. */
+  test("nothing to purge", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username='u1'");
+    expect(await purge(7)).toEqual({ users: [], jobs: [], companies: [] });
+  });
+});
@@ -9,7 +9,10 @@
  * @requires ../models/user
  * @requires ../models/company
  * @requires ../models/job
+ * @requires ../models/companyMember
  * @requires ../helpers/tokens
+ * @requires ../migrate
+ * @requires ../models/_testCommon
  */
 
 "use strict";
@@ -18,7 +21,9 @@ const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/job");
+const CompanyMember = require("../models/companyMember");
 const { createToken } = require("../helpers/tokens");
+const { migrateUp } = require("../migrate");
 
 // create testJobId's and getTestJobIds() for testing job applications
 const testJobIds = [];
@@ -26,17 +31,20 @@ const getTestJobIds = () => [...testJobIds];
 
 /*
  * Setup function to initialize the database state before all tests are run.
- * It clears out existing entries in the "applications", "jobs", "users", and 
- * "companies" tables * and resets identity sequences to ensure predictable 
+ * It applies any pending migrations, then clears out existing entries in the
+ * "applications", "jobs", "users", and "companies" tables * and resets identity sequences to ensure predictable 
  * auto-increment values. After truncating tables, it seeds the database with 
  * multiple example companies, users, and jobs for testing purposes.
  */
 async function commonBeforeAll() {
+  await migrateUp();
   await db.query('TRUNCATE TABLE applications RESTART IDENTITY CASCADE');
   await db.query('TRUNCATE TABLE jobs RESTART IDENTITY CASCADE');
   await db.query("ALTER SEQUENCE jobs_id_seq RESTART WITH 1");
   await db.query('TRUNCATE TABLE users RESTART IDENTITY CASCADE');
   await db.query('TRUNCATE TABLE companies RESTART IDENTITY CASCADE');
+  await db.query('TRUNCATE TABLE audit_log RESTART IDENTITY');
+  await db.query('TRUNCATE TABLE scheduled_tasks, scheduled_task_runs RESTART IDENTITY');
 
   await Company.create(
     {
@@ -99,6 +107,12 @@ async function commonBeforeAll() {
     isAdmin: true,
   });
 
+  // Seeded users have already verified their email addresses
+  await db.query("UPDATE users SET email_verified = TRUE");
+
+  // u3 recruits for c1
+  await CompanyMember.add("c1", "u3");
+
 
   const job1 = await Job.create({
     title: "j1",
@@ -151,21 +165,10 @@ async function commonBeforeAll() {
 }
 
 /*
- * Start a new transaction before each test. This ensures that the database
- * remains in a consistent state by isolating tests from one another.
+ * Each test runs in a transaction that is rolled back afterwards, as for the
+ * model tests. Routes that run their own transactions use savepoints in it.
  */
-async function commonBeforeEach() {
-  await db.query("BEGIN");
-}
-
-/*
- * Rollback the current transaction after each test. This operation
- * discards all the changes made to the database during the test,
- * restoring the state as it was before the test ran.
- */
-async function commonAfterEach() {
-  await db.query("ROLLBACK");
-}
+const { commonBeforeEach, commonAfterEach } = require("../models/_testCommon");
 
 /*
  * Close down the database connection after all tests in the suite have completed.
@@ -177,7 +180,7 @@ async function commonAfterAll() {
 
 const u1Token = createToken({ username: "u1", isAdmin: false });
 const u2Token = createToken({ username: "u2", isAdmin: false });
-const u3Token = createToken({ username: "u3", isAdmin: false });
+const u3Token = createToken({ username: "u3", isAdmin: false, companies: ["c1"] });
 const a1Token = createToken({ username: "a1", isAdmin: true });
 
 module.exports = {
@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Express router for admin-only tools.
+ * This module provides the audit log of changes made to companies, jobs and users,
+ * CSV imports of companies and jobs, CSV or JSON Lines exports of
+ * companies, jobs and applications, and the background maintenance tasks.
+ *
+ * @module admin
+ * @requires express
+ * @requires jsonschema
+ * @requires ../expressError
+ * @requires ../middleware/auth
+ * @requires ../middleware/validate
+ * @requires ../models/auditLog
+ * @requires ../models/bulkImport
+ * @requires ../models/company
+ * @requires ../models/job
+ * @requires ../models/jobApplication
+ * @requires ../helpers/pagination
+ * @requires ../helpers/csv
+ * @requires ../helpers/export
+ * @requires ../scheduler
+ * @requires ../tasks
+ * @requires ../schemas/auditFilter.json
+ * @requires ../schemas/companyNew.json
+ * @requires ../schemas/jobNew.json
+ * @requires ../schemas/companyFilter.json
+ * @requires ../schemas/jobFilter.json
+ * @requires ../schemas/applicationExportFilter.json
+ * @requires ../schemas/taskNameOnly.json
+ * @requires ../schemas/taskRunsFilter.json
+ */
+
+"use strict";
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const { BadRequestError, ExpressError } = require("../expressError");
+const { ensureLoggedIn, onlyAdmin, ensureAdminForDeleted, ensureAdminForClosed } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const AuditLog = require("../models/auditLog");
+const { importCompanies, importJobs } = require("../models/bulkImport");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const JobApplication = require("../models/jobApplication");
+const { getPageOptions, buildPagination } = require("../helpers/pagination");
+const { parseCsv } = require("../helpers/csv");
+const { getExportFormat, exportQuerySchema, sendExport } = require("../helpers/export");
+const { listTasks, listRuns, runTask } = require("../scheduler");
+require("../tasks");
+const auditFilterSchema = require("../schemas/auditFilter.json");
+const companyNewSchema = require("../schemas/companyNew.json");
+const jobNewSchema = require("../schemas/jobNew.json");
+const companyFilterSchema = require("../schemas/companyFilter.json");
+const jobFilterSchema = require("../schemas/jobFilter.json");
+const applicationExportFilterSchema = require("../schemas/applicationExportFilter.json");
+const taskNameOnlySchema = require("../schemas/taskNameOnly.json");
+const taskRunsFilterSchema = require("../schemas/taskRunsFilter.json");
+
+/** Express router for admin tools */
+const router = express.Router();
+
+/** All routes require an admin. */
+router.use(ensureLoggedIn, onlyAdmin);
+
+/** Reads a CSV upload sent as text/csv, up to 1MB. */
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: "1mb" });
+
+/**
+ * Parses a CSV upload and validates each row.
+ *
+ * @param {*} body - The request body.
+ * @param {Function} validateRow - Given a row's data, returns `{ data, errors }`
+ * with the data ready to import.
+ * @returns {Array<Object>} `[{ line, data, errors }, ...]`
+ * @throws {BadRequestError} If the body isn't CSV text or has no rows.
+ */
+function readCsvRows(body, validateRow) {
+  if (typeof body !== "string")
+    throw new BadRequestError("Send the CSV with a Content-Type of text/csv");
+
+  const { rows } = parseCsv(body);
+  if (!rows.length)
+    throw new BadRequestError("CSV has no rows");
+
+  return rows.map(({ line, data, error }) => error
+    ? { line, data, errors: [error] }
+    : { line, ...validateRow(data) });
+}
+
+/**
+ * Validates data against a schema.
+ *
+ * @param {Object} data - The data to check.
+ * @param {Object} schema - The JSON schema.
+ * @returns {Array<string>} The validation errors, if any.
+ */
+function schemaErrors(data, schema) {
+  return jsonschema.validate(data, schema).errors.map(e => e.stack);
+}
+
+/**
+ * Lists audit log entries, newest first.
+ *
+ * @route GET /audit
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.actor] - Only changes made by this username.
+ * @param {string} [req.query.entity] - Only changes to a "company", "job" or "user".
+ * @param {string} [req.query.entityId] - Only changes to the record with this handle, id or username.
+ * @param {string} [req.query.action] - Only "create", "update", "delete" or "restore" changes.
+ * @param {string} [req.query.from] - Only changes at or after this date or date-time.
+ * @param {string} [req.query.to] - Only changes at or before this date or date-time.
+ * A date alone includes that whole day.
+ * @param {number} [req.query.page] - 1-based page number (default 1).
+ * @param {number} [req.query.limit] - Entries per page (default 20, max 100).
+ * @returns {Object} 200 - The requested page of entries.
+ * @returns {Object[]} 200.entries - Each entry's id, actor, action, entity, entityId,
+ * the changed fields before and after, and createdAt.
+ * @returns {Object} 200.pagination - Paging details: page, limit, total, totalPages, next and prev links.
+ * @throws {BadRequestError} 400 - If the query parameters are invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.get("/audit", validate({ query: auditFilterSchema }), async function (req, res, next) {
+  try {
+    const { actor, entity, entityId, action, from, to } = req.query;
+    const { page, limit } = getPageOptions(req.query);
+    const filters = { actor, entity, entityId, action, from, to };
+    const entries = await AuditLog.findAll({ ...filters, page, limit });
+    const total = await AuditLog.count(filters);
+    const pagination = buildPagination(req, { page, limit, total });
+    return res.json({ entries, pagination });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Imports companies from CSV, creating new handles and updating existing ones.
+ *
+ * The body is CSV text with a header row naming the columns: handle, name,
+ * description, numEmployees and logoUrl. Each row is validated like a new
+ * company; empty cells are left unchanged on an existing company. Nothing is
+ * saved if any row is rejected.
+ *
+ * @route POST /import/companies
+ * @param {string} req.body - The CSV, sent as text/csv.
+ * @param {string} [req.query.dryRun] - "true" to check the rows without saving them.
+ * @returns {Object} 200 - `{ report }` where report is
+ * `{ dryRun, committed, created, updated, rejected, rows }` and each row is
+ * `{ line, handle, status, errors }`.
+ * @throws {BadRequestError} 400 - If the body isn't CSV or has no rows.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.post("/import/companies", csvBody, async function (req, res, next) {
+  try {
+    const rows = readCsvRows(req.body, data => ({
+      data: {
+        ...data,
+        numEmployees: data.numEmployees === undefined ? undefined : +data.numEmployees,
+      },
+      errors: schemaErrors(data, companyNewSchema),
+    }));
+
+    const report = await importCompanies(res.locals.user.username, rows,
+      { dryRun: req.query.dryRun === "true" });
+    return res.json({ report });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Imports jobs from CSV. A row with an id updates that job, which must
+ * belong to the row's company; a row without one creates a new job.
+ *
+ * The body is CSV text with a header row naming the columns: id, title,
+ * companyHandle, salary, equity, status and expiresAt. Each row is validated
+ * like a new job. A new job is posted unless its status is "draft"; an
+ * existing job's status can't be changed here. Nothing is saved if any row is
+ * rejected.
+ *
+ * @route POST /import/jobs
+ * @param {string} req.body - The CSV, sent as text/csv.
+ * @param {string} [req.query.dryRun] - "true" to check the rows without saving them.
+ * @returns {Object} 200 - `{ report }` as for companies, with each row's job `id`.
+ * @throws {BadRequestError} 400 - If the body isn't CSV or has no rows.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.post("/import/jobs", csvBody, async function (req, res, next) {
+  try {
+    const rows = readCsvRows(req.body, ({ id, ...data }) => {
+      const errors = schemaErrors(data, jobNewSchema);
+      if (id !== undefined && !/^\d+$/.test(id))
+        errors.unshift(`id is not a job id: ${id}`);
+      return {
+        data: {
+          ...data,
+          id: id === undefined || errors.length ? id : +id,
+          salary: data.salary === undefined ? undefined : +data.salary,
+        },
+        errors,
+      };
+    });
+
+    const report = await importJobs(res.locals.user.username, rows,
+      { dryRun: req.query.dryRun === "true" });
+    return res.json({ report });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/************************************** Exports */
+
+/**
+ * Exports companies, with the same filters and sorting as GET /companies.
+ * Paging parameters are accepted but ignored; every matching company is sent.
+ *
+ * @route GET /export/companies
+ * @param {string} [req.query.format] - "csv" (the default) or "jsonl".
+ * @param {Object} req.query - The filters and sort accepted by GET /companies.
+ * @returns {string} 200 - companies.csv or companies.jsonl, with one row per company:
+ * handle, name, description, numEmployees, logoUrl and openJobCount, plus deletedAt if
+ * includeDeleted is set.
+ * @throws {BadRequestError} 400 - If the format or a filter is invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.get("/export/companies", ensureAdminForDeleted, validate({ query: exportQuerySchema(companyFilterSchema) }), async function (req, res, next) {
+  try {
+    const { minEmployees, maxEmployees, nameLike, hasOpenJobs, sortBy, direction } = req.query;
+    await sendExport(res, {
+      format: getExportFormat(req.query),
+      filename: "companies",
+      stream: onBatch => Company.exportAll({
+        minEmployees,
+        maxEmployees,
+        nameLike,
+        hasOpenJobs,
+        sortBy,
+        direction,
+        includeDeleted: res.locals.includeDeleted,
+      }, onBatch),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Exports jobs, with the same filters and sorting as GET /jobs.
+ * Paging parameters are accepted but ignored; every matching job is sent.
+ *
+ * @route GET /export/jobs
+ * @param {string} [req.query.format] - "csv" (the default) or "jsonl".
+ * @param {Object} req.query - The filters and sort accepted by GET /jobs.
+ * @returns {string} 200 - jobs.csv or jobs.jsonl, with one row per job: id,
+ * title, salary, equity and companyHandle, plus status, postedAt and expiresAt if
+ * includeClosed is set and deletedAt if includeDeleted is set.
+ * @throws {BadRequestError} 400 - If the format or a filter is invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.get("/export/jobs", ensureAdminForDeleted, ensureAdminForClosed, validate({ query: exportQuerySchema(jobFilterSchema) }), async function (req, res, next) {
+  try {
+    const { minSalary, maxSalary, hasEquity, minEquity, maxEquity, title, titleLike,
+      companyHandle, minEmployees, maxEmployees, sortBy, direction } = req.query;
+    await sendExport(res, {
+      format: getExportFormat(req.query),
+      filename: "jobs",
+      stream: onBatch => Job.exportAll({
+        minSalary,
+        maxSalary,
+        hasEquity,
+        minEquity,
+        maxEquity,
+        title,
+        titleLike,
+        companyHandle,
+        minEmployees,
+        maxEmployees,
+        sortBy,
+        direction,
+        includeDeleted: res.locals.includeDeleted,
+        includeClosed: res.locals.includeClosed,
+      }, onBatch),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Exports job applications, with the same filters and sorting as the
+ * applicant lists, optionally narrowed to one job or company. Every matching
+ * application is sent.
+ *
+ * @route GET /export/applications
+ * @param {string} [req.query.format] - "csv" (the default) or "jsonl".
+ * @param {string} [req.query.jobId] - Only this job's applications.
+ * @param {string} [req.query.companyHandle] - Only applications to this company's jobs.
+ * @param {Object} req.query - The status filter and sort accepted by the applicant lists.
+ * @returns {string} 200 - applications.csv or applications.jsonl, with one row per
+ * application: username, firstName, lastName, email, jobId, title, status,
+ * appliedAt and companyHandle.
+ * @throws {BadRequestError} 400 - If the format or a filter is invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.get("/export/applications", validate({ query: exportQuerySchema(applicationExportFilterSchema) }), async function (req, res, next) {
+  try {
+    const { jobId, companyHandle, status, sortBy, direction } = req.query;
+    await sendExport(res, {
+      format: getExportFormat(req.query),
+      filename: "applications",
+      stream: onBatch => JobApplication.exportApplicants({
+        jobId,
+        companyHandle,
+        status,
+        sortBy,
+        direction,
+      }, onBatch),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/************************************** Scheduled tasks */
+
+/**
+ * Lists the background maintenance tasks with the outcome of each one's last run.
+ *
+ * @route GET /tasks
+ * @returns {Object} 200 - `{ tasks }` where each task is `{ name, description, schedule,
+ * nextRunAt, lastStatus, lastTrigger, lastStartedAt, lastFinishedAt, lastResult, lastError }`.
+ * lastStatus is "running", "succeeded" or "failed", and the last run's fields are
+ * null for a task that hasn't run.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.get("/tasks", async function (req, res, next) {
+  try {
+    const tasks = await listTasks();
+    return res.json({ tasks });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Lists a task's runs, most recent first.
+ *
+ * @route GET /tasks/:name/runs
+ * @param {string} req.params.name - The task's name.
+ * @param {Object} req.query - The query parameters.
+ * @param {number} [req.query.limit=20] - The number of runs to return, up to 100.
+ * @returns {Object} 200 - `{ runs }` where each run is `{ id, status, trigger,
+ * startedAt, finishedAt, result, error }`.
+ * @throws {BadRequestError} 400 - If the query parameters are invalid.
+ * @throws {NotFoundError} 404 - If there is no such task.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.get("/tasks/:name/runs", validate({ params: taskNameOnlySchema, query: taskRunsFilterSchema }), async function (req, res, next) {
+  try {
+    const runs = await listRuns(req.params.name, { limit: req.query.limit });
+    return res.json({ runs });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Runs a task now, whatever its schedule, and waits for it to finish.
+ *
+ * @route POST /tasks/:name/run
+ * @param {string} req.params.name - The task's name.
+ * @returns {Object} 200 - `{ task }` as listed by GET /tasks, after the run. A
+ * task that throws is reported with a lastStatus of "failed".
+ * @throws {NotFoundError} 404 - If there is no such task.
+ * @throws {ExpressError} 409 - If the task is already running.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.post("/tasks/:name/run", validate({ params: taskNameOnlySchema }), async function (req, res, next) {
+  try {
+    const task = await runTask(req.params.name);
+    if (!task)
+      throw new ExpressError(`Task ${req.params.name} is already running`, 409);
+    return res.json({ task });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
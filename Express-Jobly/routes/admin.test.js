@@ -0,0 +1,660 @@
+/**
+ * @fileoverview Test suite for the admin routes in the Express-Jobly application.
+ * This module checks that changes made through the API appear in the audit log,
+ * that only admins can read it, filtered and paged, that admins can import
+ * companies and jobs from CSV, that they can export companies, jobs and
+ * applications, and that they can list and run the background tasks.
+ *
+ * @module admin.test
+ * @requires supertest
+ * @requires ../app
+ * @requires ../models/jobApplication
+ * @requires ../db
+ * @requires ../scheduler
+ * @requires ./_testCommon
+ */
+
+"use strict";
+
+const request = require("supertest");
+const app = require("../app");
+const JobApplication = require("../models/jobApplication");
+const db = require("../db");
+const { registerTask } = require("../scheduler");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u3Token,
+  a1Token,
+  getTestJobIds
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+afterAll(commonAfterAll);
+
+/** Holds the test task's run open until the test lets it finish. */
+let finishRun;
+let runStarted;
+
+registerTask({
+  name: "test-task",
+  schedule: "0 0 1 1 *",
+  description: "Finishes when told to.",
+  run: () => new Promise(resolve => {
+    finishRun = resolve;
+    runStarted();
+  }),
+});
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+
+  /** Test that admin and recruiter changes are listed, newest first */
+  test("lists changes made through the API", async function () {
+    await request(app)
+      .patch("/companies/c1")
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${a1Token}`);
+    await request(app)
+      .patch(`/jobs/${getTestJobIds()[0]}`)
+      .send({ salary: 5 })
+      .set("authorization", `Bearer ${u3Token}`);
+    await request(app)
+      .patch("/users/u2")
+      .send({ firstName: "New" })
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .get("/admin/audit")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.entries).toEqual([
+      {
+        id: expect.any(Number),
+        actor: "a1",
+        action: "update",
+        entity: "user",
+        entityId: "u2",
+        before: { firstName: "U2F" },
+        after: { firstName: "New" },
+        createdAt: expect.any(String),
+      },
+      expect.objectContaining({
+        actor: "u3",
+        entity: "job",
+        entityId: `${getTestJobIds()[0]}`,
+        after: { salary: 5 },
+      }),
+      expect.objectContaining({
+        actor: "a1",
+        entity: "company",
+        entityId: "c1",
+        before: { name: "C1" },
+        after: { name: "C1-new" },
+      }),
+    ]);
+    expect(resp.body.pagination).toEqual(expect.objectContaining({ page: 1, total: 3 }));
+  });
+
+  /** Test filtering by actor and entity */
+  test("filters", async function () {
+    await request(app)
+      .delete(`/jobs/${getTestJobIds()[1]}`)
+      .set("authorization", `Bearer ${a1Token}`);
+    await request(app)
+      .delete("/companies/c3")
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .get("/admin/audit")
+      .query({ actor: "a1", entity: "company", from: "2000-01-01" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.entries.map(e => [e.action, e.entityId])).toEqual([["delete", "c3"]]);
+    expect(resp.body.entries[0].after).toBeNull();
+  });
+
+  /** Test that self-registration is recorded under the new user */
+  test("records registration", async function () {
+    await request(app)
+      .post("/auth/register")
+      .send({
+        username: "new",
+        firstName: "first",
+        lastName: "last",
+        password: "password",
+        email: "new@email.com",
+      });
+
+    const resp = await request(app)
+      .get("/admin/audit")
+      .query({ actor: "new" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.entries).toEqual([
+      expect.objectContaining({ action: "create", entity: "user", entityId: "new" }),
+    ]);
+  });
+
+  /** Test rejecting invalid filters */
+  test("bad request with invalid filters", async function () {
+    const resp = await request(app)
+      .get("/admin/audit")
+      .query({ entity: "application", from: "yesterday" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /** Test that non-admins can't read the audit log */
+  test("unauth for non-admin and anon", async function () {
+    const resp = await request(app)
+      .get("/admin/audit")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+    const anonResp = await request(app).get("/admin/audit");
+    expect(anonResp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /admin/import */
+
+describe("POST /admin/import/companies", function () {
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+
+  const csv = [
+    "handle,name,description,numEmployees,logoUrl",
+    "new,New Co,\"Makes things, mostly\",12,",
+    "c1,C1-new,,,",
+  ].join("\n");
+
+  /** Test that an admin can create and update companies */
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post("/admin/import/companies")
+      .set("authorization", `Bearer ${a1Token}`)
+      .set("content-type", "text/csv")
+      .send(csv);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.report).toEqual({
+      dryRun: false,
+      committed: true,
+      created: 1,
+      updated: 1,
+      rejected: 0,
+      rows: [
+        { line: 2, handle: "new", status: "created" },
+        { line: 3, handle: "c1", status: "updated" },
+      ],
+    });
+
+    const newResp = await request(app).get("/companies/new");
+    expect(newResp.body.company).toEqual(expect.objectContaining(
+      { name: "New Co", description: "Makes things, mostly", numEmployees: 12 }));
+    const c1Resp = await request(app).get("/companies/c1");
+    expect(c1Resp.body.company).toEqual(expect.objectContaining(
+      { name: "C1-new", description: "Desc1" }));
+  });
+
+  /** Test that a dry run saves nothing */
+  test("dry run", async function () {
+    const resp = await request(app)
+      .post("/admin/import/companies?dryRun=true")
+      .set("authorization", `Bearer ${a1Token}`)
+      .set("content-type", "text/csv")
+      .send(csv);
+    expect(resp.body.report).toEqual(expect.objectContaining(
+      { dryRun: true, committed: false, created: 1, updated: 1 }));
+    const newResp = await request(app).get("/companies/new");
+    expect(newResp.statusCode).toEqual(404);
+  });
+
+  /** Test that invalid rows are rejected with reasons and nothing is saved */
+  test("rejects invalid rows", async function () {
+    const resp = await request(app)
+      .post("/admin/import/companies")
+      .set("authorization", `Bearer ${a1Token}`)
+      .set("content-type", "text/csv")
+      .send(`${csv}\nbad handle!,Bad,Desc,-1,not a url\nshort,row`);
+    expect(resp.body.report).toEqual(expect.objectContaining(
+      { committed: false, created: 1, updated: 1, rejected: 2 }));
+    const [bad, short] = resp.body.report.rows.slice(2);
+    expect(bad).toEqual(expect.objectContaining({ line: 4, status: "rejected" }));
+    expect(bad.errors.length).toBeGreaterThan(0);
+    expect(short.errors).toEqual(["Expected 5 fields but found 2"]);
+
+    const newResp = await request(app).get("/companies/new");
+    expect(newResp.statusCode).toEqual(404);
+  });
+
+  /** Test that the body must be CSV with at least one row */
+  test("bad request without CSV rows", async function () {
+    const jsonResp = await request(app)
+      .post("/admin/import/companies")
+      .set("authorization", `Bearer ${a1Token}`)
+      .send({ handle: "new" });
+    expect(jsonResp.statusCode).toEqual(400);
+
+    const emptyResp = await request(app)
+      .post("/admin/import/companies")
+      .set("authorization", `Bearer ${a1Token}`)
+      .set("content-type", "text/csv")
+      .send("handle,name\n");
+    expect(emptyResp.statusCode).toEqual(400);
+  });
+
+  /** Test that only admins can import */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post("/admin/import/companies")
+      .set("authorization", `Bearer ${u3Token}`)
+      .set("content-type", "text/csv")
+      .send(csv);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /admin/import/jobs", function () {
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+
+  /** Test that an admin can create and update jobs */
+  test("works for admins", async function () {
+    const [j1] = getTestJobIds();
+    const resp = await request(app)
+      .post("/admin/import/jobs")
+      .set("authorization", `Bearer ${a1Token}`)
+      .set("content-type", "text/csv")
+      .send(`id,title,companyHandle,salary,equity\n,New,c2,5000,0.1\n${j1},J1-new,c1,,`);
+    expect(resp.body.report).toEqual(expect.objectContaining(
+      { committed: true, created: 1, updated: 1, rejected: 0 }));
+
+    const jobResp = await request(app).get(`/jobs/${resp.body.report.rows[0].id}`);
+    expect(jobResp.body.job).toEqual(expect.objectContaining(
+      { title: "New", salary: 5000, equity: "0.1", companyHandle: "c2" }));
+    const j1Resp = await request(app).get(`/jobs/${j1}`);
+    expect(j1Resp.body.job.title).toEqual("J1-new");
+  });
+
+  /** Test that drafts stay unpublished and expiry dates are saved */
+  test("works: status and expiresAt", async function () {
+    const [j1] = getTestJobIds();
+    const expiresAt = new Date(Date.now() + 86400000).toISOString();
+    const resp = await request(app)
+      .post("/admin/import/jobs")
+      .set("authorization", `Bearer ${a1Token}`)
+      .set("content-type", "text/csv")
+      .send(`id,title,companyHandle,status,expiresAt\n,Draft,c1,draft,\n${j1},j1,c1,,${expiresAt}`);
+    expect(resp.body.report).toEqual(expect.objectContaining(
+      { committed: true, created: 1, updated: 1, rejected: 0 }));
+
+    const draftResp = await request(app).get(`/jobs/${resp.body.report.rows[0].id}`);
+    expect(draftResp.statusCode).toEqual(404);
+    const j1Resp = await request(app).get(`/jobs/${j1}`);
+    expect(j1Resp.body.job.expiresAt).toEqual(expiresAt);
+  });
+
+  /** Test that invalid rows are rejected with reasons */
+  test("rejects invalid rows", async function () {
+    const resp = await request(app)
+      .post("/admin/import/jobs")
+      .set("authorization", `Bearer ${a1Token}`)
+      .set("content-type", "text/csv")
+      .send("id,title,companyHandle\nabc,New,c1\n,,c1\n,New,nope");
+    expect(resp.body.report.rejected).toEqual(3);
+    const [badId, noTitle, noCompany] = resp.body.report.rows;
+    expect(badId).toEqual(
+      { line: 2, id: "abc", status: "rejected", errors: ["id is not a job id: abc"] });
+    expect(noTitle.errors).toEqual([expect.stringContaining("title")]);
+    expect(noCompany.errors).toEqual(["Company not found: nope"]);
+  });
+
+  /** Test that only admins can import */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post("/admin/import/jobs")
+      .set("authorization", `Bearer ${u1Token}`)
+      .set("content-type", "text/csv")
+      .send("title,companyHandle\nNew,c1");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /admin/export */
+
+describe("GET /admin/export/companies", function () {
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+
+  /** Test that an admin gets a CSV download of the filtered companies */
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get("/admin/export/companies")
+      .query({ maxEmployees: 2, sortBy: "name", direction: "desc" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("text/csv; charset=utf-8");
+    expect(resp.headers["content-disposition"])
+      .toEqual('attachment; filename="companies.csv"');
+    expect(resp.text).toEqual([
+      "handle,name,description,numEmployees,logoUrl,openJobCount",
+      "c2,C2,Desc2,2,http://c2.img,2",
+      "c1,C1,Desc1,1,http://c1.img,3",
+      "",
+    ].join("\r\n"));
+  });
+
+  /** Test that JSON Lines has one company per line */
+  test("works: jsonl", async function () {
+    const resp = await request(app)
+      .get("/admin/export/companies")
+      .query({ format: "jsonl", nameLike: "c3" })
+      .set("authorization", `Bearer ${a1Token}`)
+      .buffer(true);
+    expect(resp.headers["content-disposition"])
+      .toEqual('attachment; filename="companies.jsonl"');
+    expect(resp.text.split("\n").filter(Boolean).map(line => JSON.parse(line))).toEqual([
+      { handle: "c3", name: "C3", description: "Desc3", numEmployees: 3, logoUrl: "http://c3.img", openJobCount: 2 },
+    ]);
+  });
+
+  /** Test that a search matching nothing still has the header row */
+  test("works: no rows", async function () {
+    const resp = await request(app)
+      .get("/admin/export/companies")
+      .query({ nameLike: "nope" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.text).toEqual("handle,name,description,numEmployees,logoUrl,openJobCount\r\n");
+  });
+
+  /** Test that an unknown format or filter is a bad request */
+  test("bad request for invalid query", async function () {
+    const badFormat = await request(app)
+      .get("/admin/export/companies")
+      .query({ format: "xml" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(badFormat.statusCode).toEqual(400);
+    const badFilter = await request(app)
+      .get("/admin/export/companies")
+      .query({ sortBy: "nope" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(badFilter.statusCode).toEqual(400);
+  });
+
+  /** Test that only admins can export */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/admin/export/companies")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /admin/export/jobs", function () {
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+
+  /** Test that an admin gets a CSV download of the filtered jobs */
+  test("works for admins", async function () {
+    const [, , j3] = getTestJobIds();
+    const resp = await request(app)
+      .get("/admin/export/jobs")
+      .query({ minSalary: 250000, titleLike: "3" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-disposition"])
+      .toEqual('attachment; filename="jobs.csv"');
+    expect(resp.text).toEqual([
+      "id,title,salary,equity,companyHandle",
+      `${j3},j3,300000,0,c3`,
+      "",
+    ].join("\r\n"));
+  });
+
+  /** Test that only admins can export */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/admin/export/jobs")
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /admin/export/applications", function () {
+  beforeEach(commonBeforeEach);
+  beforeEach(async function () {
+    const [j1, j2] = getTestJobIds();
+    await JobApplication.apply("u1", j1);
+    await JobApplication.apply("u2", j2);
+  });
+  afterEach(commonAfterEach);
+
+  /** Test that an admin gets every application */
+  test("works for admins", async function () {
+    const [j1, j2] = getTestJobIds();
+    const resp = await request(app)
+      .get("/admin/export/applications")
+      .query({ format: "jsonl", sortBy: "username", direction: "asc" })
+      .set("authorization", `Bearer ${a1Token}`)
+      .buffer(true);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("application/x-ndjson; charset=utf-8");
+    const rows = resp.text.split("\n").filter(Boolean).map(line => JSON.parse(line));
+    expect(rows).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        jobId: j1,
+        title: "j1",
+        status: "applied",
+        appliedAt: expect.any(String),
+        companyHandle: "c1",
+      },
+      expect.objectContaining({ username: "u2", jobId: j2, companyHandle: "c2" }),
+    ]);
+  });
+
+  /** Test narrowing the export to one company */
+  test("works: by company", async function () {
+    const resp = await request(app)
+      .get("/admin/export/applications")
+      .query({ companyHandle: "c2" })
+      .set("authorization", `Bearer ${a1Token}`);
+    const lines = resp.text.trim().split("\r\n");
+    expect(lines[0]).toEqual(
+      "username,firstName,lastName,email,jobId,title,status,appliedAt,companyHandle");
+    expect(lines.slice(1).map(line => line.split(",")[0])).toEqual(["u2"]);
+  });
+
+  /** Test that only admins can export */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/admin/export/applications")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /admin/tasks */
+
+describe("GET /admin/tasks", function () {
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+
+  /** Test that the tasks are listed with their schedules */
+  test("works", async function () {
+    const resp = await request(app)
+      .get("/admin/tasks")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.tasks.map(t => t.name)).toEqual([
+      "close-expired-jobs", "purge-deleted", "purge-expired-tokens", "test-task"]);
+    expect(resp.body.tasks[3]).toEqual({
+      name: "test-task",
+      description: "Finishes when told to.",
+      schedule: "0 0 1 1 *",
+      nextRunAt: expect.any(String),
+      lastStatus: null,
+      lastTrigger: null,
+      lastStartedAt: null,
+      lastFinishedAt: null,
+      lastResult: null,
+      lastError: null,
+    });
+  });
+
+  /** Test that only admins can list tasks */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/admin/tasks")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /admin/tasks/:name/runs", function () {
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+
+  beforeEach(async function () {
+    await db.query(
+      `INSERT INTO scheduled_task_runs (name, status, trigger, started_at, finished_at, result, error)
+      VALUES ('test-task', 'succeeded', 'schedule', NOW() - INTERVAL '2 days', NOW() - INTERVAL '2 days', '{"cleaned": 1}', NULL),
+        ('test-task', 'failed', 'manual', NOW() - INTERVAL '1 day', NOW() - INTERVAL '1 day', NULL, 'Out of coffee'),
+        ('close-expired-jobs', 'succeeded', 'schedule', NOW(), NOW(), '{"closed": 0}', NULL)`);
+  });
+
+  /** Test that a task's runs are listed, most recent first */
+  test("works", async function () {
+    const resp = await request(app)
+      .get("/admin/tasks/test-task/runs")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      runs: [
+        {
+          id: expect.any(Number),
+          status: "failed",
+          trigger: "manual",
+          startedAt: expect.any(String),
+          finishedAt: expect.any(String),
+          result: null,
+          error: "Out of coffee",
+        },
+        expect.objectContaining({ status: "succeeded", result: { cleaned: 1 } }),
+      ],
+    });
+  });
+
+  /** Test limiting the number of runs */
+  test("works: limit", async function () {
+    const resp = await request(app)
+      .get("/admin/tasks/test-task/runs?limit=1")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.runs).toEqual([expect.objectContaining({ status: "failed" })]);
+  });
+
+  /** Test that the limit is validated */
+  test("bad request for an invalid limit", async function () {
+    const resp = await request(app)
+      .get("/admin/tasks/test-task/runs?limit=0")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toHaveProperty("limit");
+  });
+
+  /** Test for a task that doesn't exist */
+  test("not found for no such task", async function () {
+    const resp = await request(app)
+      .get("/admin/tasks/nope/runs")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  /** Test that only admins can list runs */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/admin/tasks/test-task/runs")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+// Runs take their lock on a client of their own, so these tests clear the run
+// history rather than rolling back a transaction.
+describe("POST /admin/tasks/:name/run", function () {
+  afterEach(async function () {
+    await db.query("DELETE FROM scheduled_tasks");
+    await db.query("DELETE FROM scheduled_task_runs");
+  });
+
+  /** Test that a run is reported once it finishes, and refused while it's going */
+  test("works", async function () {
+    const started = new Promise(resolve => { runStarted = resolve; });
+    const first = request(app)
+      .post("/admin/tasks/test-task/run")
+      .set("authorization", `Bearer ${a1Token}`)
+      .then(resp => resp);
+    await started;
+
+    const busy = await request(app)
+      .post("/admin/tasks/test-task/run")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(busy.statusCode).toEqual(409);
+
+    finishRun({ cleaned: 3 });
+    const resp = await first;
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.task).toEqual(expect.objectContaining({
+      name: "test-task",
+      lastStatus: "succeeded",
+      lastTrigger: "manual",
+      lastResult: { cleaned: 3 },
+    }));
+
+    const list = await request(app)
+      .get("/admin/tasks")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(list.body.tasks[3]).toEqual(resp.body.task);
+
+    const runs = await request(app)
+      .get("/admin/tasks/test-task/runs")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(runs.body.runs).toEqual([expect.objectContaining({
+      status: "succeeded",
+      trigger: "manual",
+      result: { cleaned: 3 },
+    })]);
+  });
+
+  /** Test for a task that doesn't exist */
+  test("not found for no such task", async function () {
+    const resp = await request(app)
+      .post("/admin/tasks/nope/run")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  /** Test that task names are validated */
+  test("bad request for an invalid name", async function () {
+    const resp = await request(app)
+      .post("/admin/tasks/Not%20A%20Task/run")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toHaveProperty("name");
+  });
+
+  /** Test that only admins can run tasks */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post("/admin/tasks/test-task/run")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
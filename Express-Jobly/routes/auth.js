@@ -1,58 +1,152 @@
 /**
  * @fileoverview Express router for handling authentication operations.
- * This module provides endpoints for user authentication and registration.
- * It uses JSON Schema for request validation and JWT for token generation.
+ * This module provides endpoints for user authentication, registration, token
+ * refresh, logout, password reset and email verification. It uses JSON Schema for request validation, short-lived JWTs
+ * for access and rotating refresh tokens stored server-side.
  * 
  * @module auth
  * @requires express
- * @requires jsonschema
  * @requires ../expressError
  * @requires ../models/user
+ * @requires ../models/authToken
+ * @requires ../models/companyMember
+ * @requires ../models/audited
+ * @requires ../middleware/auth
+ * @requires ../middleware/validate
  * @requires ../helpers/tokens
+ * @requires ../helpers/mail
+ * @requires ../helpers/loginThrottle
+ * @requires ../config
  * @requires ../schemas/userAuth.json
  * @requires ../schemas/userRegister.json
+ * @requires ../schemas/authRefresh.json
+ * @requires ../schemas/authLogout.json
+ * @requires ../schemas/passwordResetRequest.json
+ * @requires ../schemas/passwordResetConfirm.json
+ * @requires ../schemas/emailVerifyQuery.json
  */
 "use strict";
 
 const express = require("express");
-const { BadRequestError } = require("../expressError");
-const jsonschema = require("jsonschema");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 const User = require("../models/user");
+const AuthToken = require("../models/authToken");
+const CompanyMember = require("../models/companyMember");
+const audited = require("../models/audited");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
 const { createToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+} = require("../helpers/loginThrottle");
+const {
+  FRONTEND_URL,
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS
+} = require("../config");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerifyQuerySchema = require("../schemas/emailVerifyQuery.json");
 
 /** Express router for auth */
 const router = new express.Router();
 
+/**
+ * Creates an access token for a user, carrying their company memberships.
+ *
+ * @async
+ * @function createAccessToken
+ * @param {Object} user - The user to create the token for.
+ * @param {string} user.username - The user's username.
+ * @param {boolean} user.isAdmin - Whether the user has admin privileges.
+ * @returns {Promise<string>} The signed JWT.
+ */
+async function createAccessToken(user) {
+  const companies = await CompanyMember.companiesForUser(user.username);
+  return createToken({ ...user, companies });
+}
+
+/**
+ * Issues an access token and a new refresh token for a user.
+ *
+ * @async
+ * @function issueTokens
+ * @param {Object} user - The user to issue tokens for.
+ * @param {string} user.username - The user's username.
+ * @param {boolean} user.isAdmin - Whether the user has admin privileges.
+ * @returns {Promise<Object>} `{ token, refreshToken }`
+ */
+async function issueTokens(user) {
+  const token = await createAccessToken(user);
+  const refreshToken = await AuthToken.issueRefreshToken(user.username);
+  return { token, refreshToken };
+}
+
+/**
+ * Emails a user a link to verify their email address.
+ *
+ * @async
+ * @function sendVerificationEmail
+ * @param {Object} user - The user to verify.
+ * @param {string} user.username - The user's username.
+ * @param {string} user.firstName - The user's first name.
+ * @param {string} user.email - The address to verify.
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = await AuthToken.issueEmailVerificationToken(user.username);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Jobly email address",
+    text: `Hi ${user.firstName},\n\n` +
+      `Please confirm this is the email address for the Jobly account "${user.username}" by visiting:\n\n` +
+      `${FRONTEND_URL}/verify-email?token=${token}\n\n` +
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+  });
+}
+
 /**
  * Authenticate user and generate JWT token.
+ *
+ * Failed attempts are throttled per username and per IP address with an
+ * increasing delay, and too many wrong passwords lock the account for a while.
+ * Either way the response is a 429 with a Retry-After header.
  * 
  * @route POST /auth/token
  * @param {Object} req.body - Request body
  * @param {string} req.body.username - User's username
  * @param {string} req.body.password - User's password
- * @returns {Object} 200 - Response object with token
- * @returns {string} 200.token - JWT token
+ * @returns {Object} 200 - Response object with tokens
+ * @returns {string} 200.token - Short-lived JWT access token
+ * @returns {string} 200.refreshToken - Refresh token for POST /auth/refresh
  * @throws {BadRequestError} 400 - If request body validation fails
  * @throws {UnauthorizedError} 401 - If authentication fails (thrown by User.authenticate)
+ * @throws {TooManyRequestsError} 429 - If the client must wait before trying again, or the account is locked
  * @access Public
  */
-router.post("/token", async function (req, res, next) {
+router.post("/token", validate({ body: userAuthSchema }), async function (req, res, next) {
   try {
-    if (!req.body)
-      throw new BadRequestError("No data sent");
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      // Map validation errors to a more readable format
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const attempt = { ip: req.ip, username };
+    await checkLoginAllowed(attempt);
+
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError)
+        await recordLoginFailure(attempt);
+      throw err;
+    }
+    await clearLoginFailures(username);
+    return res.json(await issueTokens(user));
   } catch (err) {
 
     console.error("Error in /auth/token:", err);
@@ -62,6 +156,7 @@ router.post("/token", async function (req, res, next) {
 
 /**
  * Register new user and generate JWT token.
+ * A verification link is emailed to the new user's address.
  * 
  * @route POST /auth/register
  * @param {Object} req.body - Request body
@@ -70,24 +165,173 @@ router.post("/token", async function (req, res, next) {
  * @param {string} req.body.firstName - User's first name
  * @param {string} req.body.lastName - User's last name
  * @param {string} req.body.email - User's email address
- * @returns {Object} 201 - Response object with token
- * @returns {string} 201.token - JWT token
+ * @returns {Object} 201 - Response object with tokens
+ * @returns {string} 201.token - Short-lived JWT access token
+ * @returns {string} 201.refreshToken - Refresh token for POST /auth/refresh
+ * @throws {BadRequestError} 400 - If request body validation fails
+ * @access Public
+ */
+router.post("/register", validate({ body: userRegisterSchema }), async function (req, res, next) {
+  try {
+    const newUser = await audited.registerUser(req.body.username, { ...req.body, isAdmin: false });
+    await sendVerificationEmail(newUser);
+    return res.status(201).json(await issueTokens(newUser));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ *
+ * The refresh token is rotated: the one sent is revoked and must not be used
+ * again. Reusing a revoked refresh token revokes all of the user's refresh tokens.
+ *
+ * @route POST /auth/refresh
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - The current refresh token
+ * @returns {Object} 200 - Response object with tokens
+ * @returns {string} 200.token - Short-lived JWT access token
+ * @returns {string} 200.refreshToken - Replacement refresh token
+ * @throws {BadRequestError} 400 - If request body validation fails
+ * @throws {UnauthorizedError} 401 - If the refresh token is invalid, expired or revoked
+ * @access Public
+ */
+router.post("/refresh", validate({ body: authRefreshSchema }), async function (req, res, next) {
+  try {
+    const { username, refreshToken } =
+      await AuthToken.rotateRefreshToken(req.body.refreshToken);
+    const user = await User.get(username);
+    const token = await createAccessToken(user);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Log out by revoking the current access token and, if sent, a refresh token.
+ *
+ * @route POST /auth/logout
+ * @param {Object} [req.body] - Request body
+ * @param {string} [req.body.refreshToken] - Refresh token to revoke
+ * @returns {Object} 200 - `{ loggedOut: true }`
+ * @throws {BadRequestError} 400 - If request body validation fails
+ * @access Public - An expired access token can still log out with its refresh token.
+ */
+router.post("/logout", validate({ body: authLogoutSchema }), async function (req, res, next) {
+  try {
+    const body = req.body || {};
+    const user = res.locals.user;
+    if (user?.jti)
+      await AuthToken.revokeAccessToken(user.jti, user.exp);
+    if (body.refreshToken)
+      await AuthToken.revokeRefreshToken(body.refreshToken);
+
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Email a password reset link to every account registered with an address.
+ *
+ * The response is the same whether or not the address is registered, so it
+ * can't be used to discover accounts.
+ *
+ * @route POST /auth/password-reset/request
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - The account's email address
+ * @returns {Object} 200 - `{ message }`
  * @throws {BadRequestError} 400 - If request body validation fails
  * @access Public
  */
-router.post("/register", async function (req, res, next) {
+router.post("/password-reset/request", validate({ body: passwordResetRequestSchema }), async function (req, res, next) {
   try {
-    if (!req.body)
-      throw new BadRequestError("No data sent");
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const users = await User.findByEmail(req.body.email);
+    for (const user of users) {
+      const token = await AuthToken.issuePasswordResetToken(user.username);
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Jobly password",
+        text: `Hi ${user.firstName},\n\n` +
+          `Someone asked to reset the password for the Jobly account "${user.username}". ` +
+          `To choose a new password, visit:\n\n` +
+          `${FRONTEND_URL}/reset-password?token=${token}\n\n` +
+          `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. ` +
+          `If you didn't ask for this, you can ignore this email.`,
+      });
     }
 
-    const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    return res.json({
+      message: "If that address is registered, a password reset link has been sent."
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Set a new password using a reset token. The token can only be used once, and
+ * all of the user's refresh tokens are revoked so other sessions must log in again.
+ *
+ * @route POST /auth/password-reset/confirm
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - The reset token from the email
+ * @param {string} req.body.password - The new password
+ * @returns {Object} 200 - `{ reset: true }`. The account is also unlocked.
+ * @throws {BadRequestError} 400 - If validation fails or the token is invalid, expired or used
+ * @access Public
+ */
+router.post("/password-reset/confirm", validate({ body: passwordResetConfirmSchema }), async function (req, res, next) {
+  try {
+    const username = await audited.resetPassword(req.body.token, req.body.password);
+    await clearLoginFailures(username);
+
+    return res.json({ reset: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Verify an email address using the token from a verification email.
+ *
+ * @route GET /auth/verify
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.token - The verification token
+ * @returns {Object} 200 - `{ verified: username }`
+ * @throws {BadRequestError} 400 - If the token is missing, invalid, expired or used
+ * @access Public
+ */
+router.get("/verify", validate({ query: emailVerifyQuerySchema }), async function (req, res, next) {
+  try {
+    const username = await AuthToken.consumeEmailVerificationToken(req.query.token);
+    await User.markEmailVerified(username);
+    return res.json({ verified: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Send the logged-in user a new verification email. Earlier links stop working.
+ *
+ * @route POST /auth/verify/resend
+ * @returns {Object} 200 - `{ sent: true }`
+ * @throws {BadRequestError} 400 - If the email address is already verified
+ * @throws {UnauthorizedError} 401 - If the user is not logged in
+ * @access Private - Requires login.
+ */
+router.post("/verify/resend", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const user = await User.get(res.locals.user.username);
+    if (user.emailVerified)
+      throw new BadRequestError("Email address is already verified");
+
+    await sendVerificationEmail(user);
+    return res.json({ sent: true });
   } catch (err) {
     return next(err);
   }
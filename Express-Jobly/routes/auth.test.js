@@ -1,11 +1,16 @@
 /**
  * @fileoverview Test suite for authentication routes.
- * This module tests the authentication endpoints for token generation and user registration.
+ * This module tests the authentication endpoints for token generation, user registration,
+ * token refresh, logout, password reset and email verification.
  * It includes tests for successful operations as well as various failure scenarios.
  * 
  * @module authTest
  * @requires supertest
  * @requires ../app
+ * @requires ../db
+ * @requires ../helpers/mail
+ * @requires ../helpers/loginThrottle
+ * @requires ../config
  * @requires ./_testCommon
  */
 
@@ -13,15 +18,23 @@
 
 const request = require("supertest");
 const app = require("../app");
+const db = require("../db");
+const { setTransport } = require("../helpers/mail");
+const { setStore, createDbStore } = require("../helpers/loginThrottle");
+const { LOGIN_FREE_ATTEMPTS, LOGIN_MAX_FAILURES } = require("../config");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
+// Failed logins are counted in the database, as the server does, so each
+// test's are rolled back with the rest of its changes
+beforeEach(() => setStore(createDbStore()));
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
@@ -42,6 +55,7 @@ describe("POST /auth/token", function () {
       });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -109,6 +123,40 @@ describe("POST /auth/token", function () {
       });
     expect(resp.statusCode).toEqual(400);
   });
+
+  /**
+   * Tests that repeated failures for a username must wait before trying again
+   * Should return 429 with a Retry-After header
+   */
+  test("throttles repeated failures", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS.username; i++)
+      await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+
+    const resp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+  });
+
+  /**
+   * Tests that a locked account can't log in even with the right password
+   * Should return 429 with a Retry-After header
+   */
+  test("fails for locked account", async function () {
+    await db.query(
+      `UPDATE users
+      SET failed_login_attempts = $1, locked_until = NOW() + INTERVAL '10 minutes'
+      WHERE username = 'u1'`,
+      [LOGIN_MAX_FAILURES]);
+    const resp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(+resp.headers["retry-after"]).toBeGreaterThan(500);
+  });
 });
 
 
@@ -133,6 +181,7 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -183,3 +232,409 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/**
+ * Logs in as u1 and returns the issued tokens.
+ *
+ * @returns {Promise<Object>} `{ token, refreshToken }`
+ */
+async function loginU1() {
+  const resp = await request(app)
+    .post("/auth/token")
+    .send({ username: "u1", password: "password1" });
+  return resp.body;
+}
+
+/**
+ * Tests for the POST /auth/refresh endpoint.
+ */
+describe("POST /auth/refresh", function () {
+  /**
+   * Tests exchanging a refresh token for a working access token and a new refresh token
+   */
+  test("works", async function () {
+    const { refreshToken } = await loginU1();
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const userResp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  /**
+   * Tests that a rotated refresh token cannot be reused, and that reusing it
+   * revokes the replacement too
+   */
+  test("unauth when reusing a rotated token", async function () {
+    const { refreshToken } = await loginU1();
+    const first = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+
+    const reuse = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    const replacement = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: first.body.refreshToken });
+    expect(replacement.statusCode).toEqual(401);
+  });
+
+  /**
+   * Tests 401 for an unknown refresh token
+   */
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Tests 400 when no refresh token is sent
+   */
+  test("bad request with missing token", async function () {
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/**
+ * Tests for the POST /auth/logout endpoint.
+ */
+describe("POST /auth/logout", function () {
+  /**
+   * Tests that logging out revokes both the access token and the refresh token
+   */
+  test("works", async function () {
+    const { token, refreshToken } = await loginU1();
+    const resp = await request(app)
+      .post("/auth/logout")
+      .send({ refreshToken })
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const userResp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(401);
+
+    const refreshResp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Tests that logging out one access token leaves other tokens working
+   */
+  test("only revokes the token sent", async function () {
+    const { token } = await loginU1();
+    await request(app)
+      .post("/auth/logout")
+      .set("authorization", `Bearer ${token}`);
+
+    const userResp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  /**
+   * Tests logging out anonymously is harmless
+   */
+  test("works for anon", async function () {
+    const resp = await request(app).post("/auth/logout");
+    expect(resp.body).toEqual({ loggedOut: true });
+  });
+});
+
+/**
+ * Tests for the password reset endpoints.
+ * Mail is captured in memory instead of being written to the outbox.
+ */
+describe("password reset", function () {
+  let sent;
+  let previousTransport;
+
+  beforeEach(function () {
+    sent = [];
+    previousTransport = setTransport({ send: async message => sent.push(message) });
+  });
+
+  afterEach(function () {
+    setTransport(previousTransport);
+  });
+
+  /**
+   * Requests a reset for u1 and returns the token from the email.
+   *
+   * @returns {Promise<string>} The reset token
+   */
+  async function requestResetToken() {
+    await request(app)
+      .post("/auth/password-reset/request")
+      .send({ email: "user1@user.com" });
+    return sent[sent.length - 1].text.match(/token=([0-9a-f]+)/)[1];
+  }
+
+  /**
+   * Tests that a reset email is sent to a registered address
+   */
+  test("request sends email", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({ email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("user1@user.com");
+    expect(sent[0].text).toMatch(/reset-password\?token=[0-9a-f]{64}/);
+  });
+
+  /**
+   * Tests that unknown addresses get the same response and no email
+   */
+  test("request gives same response for unknown email", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({ email: "nobody@user.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+    expect(sent.length).toEqual(0);
+  });
+
+  /**
+   * Tests 400 for an invalid email
+   */
+  test("request bad request with invalid email", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({ email: "not-an-email" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Tests that the token sets a new password and can only be used once
+   */
+  test("confirm works once", async function () {
+    const token = await requestResetToken();
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "newpassword" });
+    expect(resp.body).toEqual({ reset: true });
+
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "newpassword" });
+    expect(login.statusCode).toEqual(200);
+
+    const reuse = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "otherpassword" });
+    expect(reuse.statusCode).toEqual(400);
+  });
+
+  /**
+   * Tests that resetting the password revokes existing refresh tokens
+   */
+  test("confirm revokes refresh tokens", async function () {
+    const { refreshToken } = await loginU1();
+    const token = await requestResetToken();
+    await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "newpassword" });
+
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Tests that resetting the password unlocks a locked account
+   */
+  test("confirm unlocks account", async function () {
+    await db.query(
+      `UPDATE users
+      SET failed_login_attempts = $1, locked_until = NOW() + INTERVAL '10 minutes'
+      WHERE username = 'u1'`,
+      [LOGIN_MAX_FAILURES]);
+    const token = await requestResetToken();
+    await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "newpassword" });
+
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "newpassword" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  /**
+   * Tests that a newer reset request invalidates the older token
+   */
+  test("confirm rejects superseded token", async function () {
+    const first = await requestResetToken();
+    await requestResetToken();
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token: first, password: "newpassword" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Tests 400 for an unknown token
+   */
+  test("confirm bad request with unknown token", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token: "nope", password: "newpassword" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Tests 400 for a password that is too short
+   */
+  test("confirm bad request with short password", async function () {
+    const token = await requestResetToken();
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/**
+ * Tests for the email verification endpoints.
+ * Mail is captured in memory instead of being written to the outbox.
+ */
+describe("email verification", function () {
+  let sent;
+  let previousTransport;
+
+  beforeEach(function () {
+    sent = [];
+    previousTransport = setTransport({ send: async message => sent.push(message) });
+  });
+
+  afterEach(function () {
+    setTransport(previousTransport);
+  });
+
+  /**
+   * Registers a new user and returns the token from their verification email.
+   *
+   * @returns {Promise<Object>} `{ accessToken, verifyToken }`
+   */
+  async function registerNewUser() {
+    const resp = await request(app)
+      .post("/auth/register")
+      .send({
+        username: "new",
+        firstName: "first",
+        lastName: "last",
+        password: "password",
+        email: "new@email.com",
+      });
+    return {
+      accessToken: resp.body.token,
+      verifyToken: sent[sent.length - 1].text.match(/token=([0-9a-f]+)/)[1],
+    };
+  }
+
+  /**
+   * Tests that registering emails a verification link and leaves the user unverified
+   */
+  test("register sends verification email", async function () {
+    const { accessToken } = await registerNewUser();
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("new@email.com");
+    expect(sent[0].text).toMatch(/verify-email\?token=[0-9a-f]{64}/);
+
+    const userResp = await request(app)
+      .get("/users/new")
+      .set("authorization", `Bearer ${accessToken}`);
+    expect(userResp.body.user.emailVerified).toEqual(false);
+  });
+
+  /**
+   * Tests that the verification link verifies the user, and only works once
+   */
+  test("verify works once", async function () {
+    const { accessToken, verifyToken } = await registerNewUser();
+    const resp = await request(app)
+      .get(`/auth/verify?token=${verifyToken}`);
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const userResp = await request(app)
+      .get("/users/new")
+      .set("authorization", `Bearer ${accessToken}`);
+    expect(userResp.body.user.emailVerified).toEqual(true);
+
+    const reuse = await request(app)
+      .get(`/auth/verify?token=${verifyToken}`);
+    expect(reuse.statusCode).toEqual(400);
+  });
+
+  /**
+   * Tests 400 for a missing or unknown token
+   */
+  test("verify bad request with bad token", async function () {
+    const resp = await request(app).get("/auth/verify");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual({
+      message: expect.any(Array),
+      status: 400,
+      code: "VALIDATION_FAILED",
+      fields: { token: [expect.any(String)] },
+    });
+    expect((await request(app).get("/auth/verify?token=nope")).statusCode).toEqual(400);
+  });
+
+  /**
+   * Tests that resending replaces the earlier link
+   */
+  test("resend works", async function () {
+    const { accessToken, verifyToken } = await registerNewUser();
+    const resp = await request(app)
+      .post("/auth/verify/resend")
+      .set("authorization", `Bearer ${accessToken}`);
+    expect(resp.body).toEqual({ sent: true });
+    expect(sent.length).toEqual(2);
+
+    const old = await request(app)
+      .get(`/auth/verify?token=${verifyToken}`);
+    expect(old.statusCode).toEqual(400);
+  });
+
+  /**
+   * Tests 400 when the address is already verified
+   */
+  test("resend bad request if already verified", async function () {
+    const resp = await request(app)
+      .post("/auth/verify/resend")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Tests 401 for anonymous users
+   */
+  test("resend unauth for anon", async function () {
+    const resp = await request(app).post("/auth/verify/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -1,30 +1,47 @@
 /**
  * @fileoverview Express router for handling company-related operations.
  * This module provides endpoints for creating, reading, updating, and deleting company information.
- * It also includes functionality for filtering companies based on various criteria.
+ * It also includes functionality for filtering companies based on various criteria and for
+ * managing the users who recruit for each company.
  * 
  * @module companies
  * @requires express
- * @requires jsonschema
- * @requires ../expressError
  * @requires ../middleware/auth
+ * @requires ../middleware/validate
  * @requires ../models/company
+ * @requires ../models/companyMember
+ * @requires ../models/jobApplication
+ * @requires ../models/audited
+ * @requires ../helpers/pagination
  * @requires ../schemas/companyFilter.json
  * @requires ../schemas/companyNew.json
  * @requires ../schemas/companyUpdate.json
  * @requires ../schemas/companyHandleOnly.json
+ * @requires ../schemas/companyMemberNew.json
+ * @requires ../schemas/applicantsFilter.json
  */
 
 "use strict";
-const jsonschema = require("jsonschema");
 const express = require("express");
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, onlyAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  onlyAdmin,
+  ensureAdminOrCompanyMember,
+  ensureAdminForDeleted,
+  ensureAdminForClosed
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
 const Company = require("../models/company");
+const CompanyMember = require("../models/companyMember");
+const JobApplication = require("../models/jobApplication");
+const audited = require("../models/audited");
+const { getPageOptions, buildPagination } = require("../helpers/pagination");
 const companySearchSchema = require("../schemas/companyFilter.json");
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
 const companyHandleOnlySchema = require("../schemas/companyHandleOnly.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
+const applicantsFilterSchema = require("../schemas/applicantsFilter.json");
 
 /** Express router for companies */
 const router = new express.Router();
@@ -43,17 +60,10 @@ const router = new express.Router();
  * @throws {BadRequestError} 400 - If the request body is invalid.
  * @access Private - Requires login and admin privileges.
  */
-router.post("/", onlyAdmin, ensureLoggedIn, async function (req, res, next) {
+router.post("/", onlyAdmin, ensureLoggedIn, validate({ body: companyNewSchema }), async function (req, res, next) {
   try {
-    if (!req.body)
-      throw new BadRequestError("No data sent");
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
     req.body.handle = req.body.handle.toLowerCase();
-    const company = await Company.create(req.body);
+    const company = await audited.createCompany(res.locals.user.username, req.body);
     return res.status(201).json({ company });
   } catch (err) {
     return next(err);
@@ -61,27 +71,44 @@ router.post("/", onlyAdmin, ensureLoggedIn, async function (req, res, next) {
 });
 
 /**
- * Retrieves a list of companies, optionally filtered by search criteria.
+ * Retrieves a page of companies, optionally filtered by search criteria.
  * 
  * @route GET /
  * @param {Object} req.query - The query parameters for filtering.
  * @param {number} [req.query.minEmployees] - The minimum number of employees.
  * @param {number} [req.query.maxEmployees] - The maximum number of employees.
  * @param {string} [req.query.nameLike] - Partial name match (case-insensitive).
+ * @param {boolean} [req.query.hasOpenJobs] - true for only companies with open jobs,
+ * false for only those without.
+ * @param {string} [req.query.sortBy] - Sort field: name (default), handle, numEmployees or openJobCount.
+ * @param {string} [req.query.direction] - Sort direction: asc (default) or desc.
+ * @param {number} [req.query.page] - 1-based page number (default 1).
+ * @param {number} [req.query.limit] - Companies per page (default 20, max 100).
+ * @param {boolean} [req.query.includeDeleted] - Admins only: also list soft-deleted
+ * companies, each with a `deletedAt`.
  * @returns {Object} 200 - An array of company objects.
+ * @returns {Object[]} 200.companies - The requested page of companies: handle, name,
+ * description, numEmployees, logoUrl and openJobCount.
+ * @returns {Object} 200.pagination - Paging details.
+ * @returns {number} 200.pagination.page - The current page.
+ * @returns {number} 200.pagination.limit - The page size.
+ * @returns {number} 200.pagination.total - Total companies matching the filters.
+ * @returns {number} 200.pagination.totalPages - Total number of pages.
+ * @returns {string|null} 200.pagination.next - Link to the next page, if any.
+ * @returns {string|null} 200.pagination.prev - Link to the previous page, if any.
  * @throws {BadRequestError} 400 - If the query parameters are invalid.
+ * @throws {UnauthorizedError} 401 - If a user who isn't an admin asks for deleted companies.
  * @access Public
  */
-router.get("/", async function (req, res, next) {
+router.get("/", ensureAdminForDeleted, validate({ query: companySearchSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.query, companySearchSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-    const { minEmployees, maxEmployees, nameLike } = req.query;
-    const companies = await Company.findAll({ minEmployees, maxEmployees, nameLike });
-    return res.json({ companies });
+    const { minEmployees, maxEmployees, nameLike, hasOpenJobs, sortBy, direction } = req.query;
+    const { page, limit } = getPageOptions(req.query);
+    const filters = { minEmployees, maxEmployees, nameLike, hasOpenJobs, includeDeleted: res.locals.includeDeleted };
+    const companies = await Company.findAll({ ...filters, sortBy, direction, page, limit });
+    const total = await Company.count(filters);
+    const pagination = buildPagination(req, { page, limit, total });
+    return res.json({ companies, pagination });
   } catch (err) {
     return next(err);
   }
@@ -94,7 +121,11 @@ router.get("/", async function (req, res, next) {
  * @param {Object} req - Express request object.
  * @param {Object} req.params - URL parameters.
  * @param {string} req.params.handle - The unique handle of the company to retrieve.
- * @returns {Object} 200 - Company details including associated jobs.
+ * @param {boolean} [req.query.includeDeleted] - Admins only: find the company, and list
+ * its jobs, even if soft-deleted. The company then also has a `deletedAt`.
+ * @param {boolean} [req.query.includeClosed] - Admins only: also list draft, closed and
+ * expired jobs, each with its status, postedAt and expiresAt.
+ * @returns {Object} 200 - Company details including its open jobs.
  * @returns {Object} 200.company - The company object.
  * @returns {string} 200.company.handle - The company's unique identifier.
  * @returns {string} 200.company.name - The company's name.
@@ -109,17 +140,14 @@ router.get("/", async function (req, res, next) {
  * @returns {string} 200.company.jobs[].companyHandle - The handle of the company offering the job.
  * @throws {BadRequestError} 400 - If the company handle is invalid.
  * @throws {NotFoundError} 404 - If the company is not found.
+ * @throws {UnauthorizedError} 401 - If a user who isn't an admin asks for a deleted company
+ * or for jobs that aren't open.
  * @access Public
  */
-router.get("/:handle", async function (req, res, next) {
+router.get("/:handle", ensureAdminForDeleted, ensureAdminForClosed, validate({ params: companyHandleOnlySchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.params, companyHandleOnlySchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      console.error(errs);
-      throw new BadRequestError(errs);
-    }
-    const company = await Company.get(req.params.handle);
+    const company = await Company.get(req.params.handle,
+      { includeDeleted: res.locals.includeDeleted, includeClosed: res.locals.includeClosed });
     return res.json({ company });
   } catch (err) {
     return next(err);
@@ -149,17 +177,12 @@ router.get("/:handle", async function (req, res, next) {
  * @returns {string} 200.company.logoUrl - The updated URL to the company's logo.
  * @throws {BadRequestError} 400 - If the request body is invalid or the company handle is invalid.
  * @throws {NotFoundError} 404 - If the company is not found.
- * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
- * @access Private - Requires login and admin privileges.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the company.
+ * @access Private - Requires login and admin privileges or membership of the company.
  */
-router.patch("/:handle", onlyAdmin, ensureLoggedIn, async function (req, res, next) {
+router.patch("/:handle", ensureLoggedIn, ensureAdminOrCompanyMember(req => req.params.handle), validate({ body: companyUpdateSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-    const company = await Company.update(req.params.handle, req.body);
+    const company = await audited.updateCompany(res.locals.user.username, req.params.handle, req.body);
     return res.json({ company });
   } catch (err) {
     return next(err);
@@ -167,7 +190,8 @@ router.patch("/:handle", onlyAdmin, ensureLoggedIn, async function (req, res, ne
 });
 
 /**
- * Deletes a specific company by its handle.
+ * Deletes a specific company by its handle. The company and its jobs are
+ * soft-deleted, so they can be restored until they are purged.
  *
  * @route DELETE /:handle
  * @param {Object} req - Express request object.
@@ -180,18 +204,133 @@ router.patch("/:handle", onlyAdmin, ensureLoggedIn, async function (req, res, ne
  * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
  * @access Private - Requires login and admin privileges.
  */
-router.delete("/:handle", onlyAdmin, ensureLoggedIn, async function (req, res, next) {
+router.delete("/:handle", onlyAdmin, ensureLoggedIn, validate({ params: companyHandleOnlySchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.params, companyHandleOnlySchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-    await Company.remove(req.params.handle);
+    await audited.removeCompany(res.locals.user.username, req.params.handle);
     return res.json({ deleted: req.params.handle });
   } catch (err) {
     return next(err);
   }
 });
 
+/**
+ * Restores a soft-deleted company, along with its jobs.
+ *
+ * @route POST /:handle/restore
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.handle - The unique handle of the company to restore.
+ * @returns {Object} 200 - `{ company: { handle, name, description, numEmployees, logoUrl } }`
+ * @throws {BadRequestError} 400 - If the company handle is invalid.
+ * @throws {NotFoundError} 404 - If there is no deleted company with that handle.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.post("/:handle/restore", ensureLoggedIn, onlyAdmin, validate({ params: companyHandleOnlySchema }), async function (req, res, next) {
+  try {
+    const company = await audited.restoreCompany(res.locals.user.username, req.params.handle);
+    return res.json({ company });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Lists the people who applied to any of a company's jobs.
+ *
+ * @route GET /:handle/applications
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.handle - The company's handle.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.status] - Only applications currently in this status.
+ * @param {string} [req.query.sortBy] - appliedAt (default), username, lastName, title or status.
+ * @param {string} [req.query.direction] - asc or desc. Defaults to desc for appliedAt, otherwise asc.
+ * @param {number} [req.query.page] - 1-based page number (default 1).
+ * @param {number} [req.query.limit] - Applicants per page (default 20, max 100).
+ * @returns {Object} 200 - The requested page of applicants.
+ * @returns {Object[]} 200.applicants - Each applicant's username, firstName, lastName and email,
+ * with the jobId and title applied to, the application's status and appliedAt.
+ * @returns {Object} 200.pagination - Paging details: page, limit, total, totalPages, next and prev links.
+ * @throws {BadRequestError} 400 - If the query parameters are invalid.
+ * @throws {NotFoundError} 404 - If the company is not found.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the company.
+ * @access Private - Requires login and admin privileges or membership of the company.
+ */
+router.get("/:handle/applications", ensureLoggedIn, ensureAdminOrCompanyMember(req => req.params.handle), validate({ query: applicantsFilterSchema }), async function (req, res, next) {
+  try {
+    const { status, sortBy, direction } = req.query;
+    const { page, limit } = getPageOptions(req.query);
+    const filters = { companyHandle: req.params.handle, status };
+    const applicants = await JobApplication.findApplicants({ ...filters, sortBy, direction, page, limit });
+    const total = await JobApplication.countApplicants(filters);
+    const pagination = buildPagination(req, { page, limit, total });
+    return res.json({ applicants, pagination });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Lists the users who recruit for a company.
+ *
+ * @route GET /:handle/members
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.handle - The company's handle.
+ * @returns {Object} 200 - `{ members: [{ username, firstName, lastName, email, addedAt }, ...] }`
+ * @throws {NotFoundError} 404 - If the company is not found.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.get("/:handle/members", ensureLoggedIn, onlyAdmin, async function (req, res, next) {
+  try {
+    const members = await CompanyMember.findForCompany(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Makes a user a recruiter for a company. The user's next token carries the membership.
+ *
+ * @route POST /:handle/members
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.handle - The company's handle.
+ * @param {Object} req.body - Request body.
+ * @param {string} req.body.username - The user to add.
+ * @returns {Object} 201 - `{ member: { username, companyHandle } }`
+ * @throws {BadRequestError} 400 - If the body is invalid or the user is already a member.
+ * @throws {NotFoundError} 404 - If the company or user is not found.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.post("/:handle/members", ensureLoggedIn, onlyAdmin, validate({ body: companyMemberNewSchema }), async function (req, res, next) {
+  try {
+    const member = await CompanyMember.add(req.params.handle, req.body.username);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Stops a user recruiting for a company.
+ *
+ * @route DELETE /:handle/members/:username
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.handle - The company's handle.
+ * @param {string} req.params.username - The user to remove.
+ * @returns {Object} 200 - `{ deleted: username }`
+ * @throws {NotFoundError} 404 - If the user is not a member of the company.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.delete("/:handle/members/:username", ensureLoggedIn, onlyAdmin, async function (req, res, next) {
+  try {
+    await CompanyMember.remove(req.params.handle, req.params.username);
+    return res.json({ deleted: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
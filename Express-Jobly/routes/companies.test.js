@@ -7,21 +7,27 @@
  * @module companies.test
  * @requires supertest
  * @requires express
+ * @requires ../db
  * @requires ../app
+ * @requires ../models/jobApplication
  * @requires ./_testCommon
  */
 
 "use strict";
 
 const request = require("supertest");
+const db = require("../db");
 const app = require("../app");
+const JobApplication = require("../models/jobApplication");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
   u1Token,
-  a1Token
+  u3Token,
+  a1Token,
+  getTestJobIds
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -95,6 +101,32 @@ describe("POST /companies", function () {
       .set("authorization", `Bearer ${a1Token}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  /**
+   * Test case to verify that a bad request lists the problems with each field,
+   * so that a form can show them next to the inputs concerned.
+   */
+  test("bad request lists each field's problems", async function () {
+    const resp = await request(app)
+      .post("/companies")
+      .send({
+        handle: "new",
+        logoUrl: "not-a-url",
+        founded: 1999,
+      })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual({
+      status: 400,
+      code: "VALIDATION_FAILED",
+      message: expect.any(Array),
+      fields: {
+        name: ["is required"],
+        founded: ["is not allowed"],
+        logoUrl: [expect.stringContaining("uri")],
+      },
+    });
+  });
 });
 /**
  * Tests for the GET /companies endpoint.
@@ -118,6 +150,7 @@ describe("GET /companies", function () {
           description: "Desc1",
           numEmployees: 1,
           logoUrl: "http://c1.img",
+          openJobCount: 3,
         },
         {
           handle: "c2",
@@ -125,6 +158,7 @@ describe("GET /companies", function () {
           description: "Desc2",
           numEmployees: 2,
           logoUrl: "http://c2.img",
+          openJobCount: 2,
         },
         {
           handle: "c3",
@@ -132,8 +166,10 @@ describe("GET /companies", function () {
           description: "Desc3",
           numEmployees: 3,
           logoUrl: "http://c3.img",
+          openJobCount: 2,
         },
       ],
+      pagination: expect.any(Object),
     });
   });
 
@@ -154,6 +190,7 @@ describe("GET /companies", function () {
           description: "Desc2",
           numEmployees: 2,
           logoUrl: "http://c2.img",
+          openJobCount: 2,
         },
         {
           handle: "c3",
@@ -161,8 +198,10 @@ describe("GET /companies", function () {
           description: "Desc3",
           numEmployees: 3,
           logoUrl: "http://c3.img",
+          openJobCount: 2,
         },
       ],
+      pagination: expect.any(Object),
     });
   });
 
@@ -183,6 +222,7 @@ describe("GET /companies", function () {
           description: "Desc1",
           numEmployees: 1,
           logoUrl: "http://c1.img",
+          openJobCount: 3,
         },
         {
           handle: "c2",
@@ -190,8 +230,10 @@ describe("GET /companies", function () {
           description: "Desc2",
           numEmployees: 2,
           logoUrl: "http://c2.img",
+          openJobCount: 2,
         },
       ],
+      pagination: expect.any(Object),
     });
   });
 
@@ -212,6 +254,7 @@ describe("GET /companies", function () {
           description: "Desc1",
           numEmployees: 1,
           logoUrl: "http://c1.img",
+          openJobCount: 3,
         },
         {
           handle: "c2",
@@ -219,6 +262,7 @@ describe("GET /companies", function () {
           description: "Desc2",
           numEmployees: 2,
           logoUrl: "http://c2.img",
+          openJobCount: 2,
         },
         {
           handle: "c3",
@@ -226,8 +270,10 @@ describe("GET /companies", function () {
           description: "Desc3",
           numEmployees: 3,
           logoUrl: "http://c3.img",
+          openJobCount: 2,
         },
       ],
+      pagination: expect.any(Object),
     });
   });
 
@@ -248,6 +294,7 @@ describe("GET /companies", function () {
           description: "Desc2",
           numEmployees: 2,
           logoUrl: "http://c2.img",
+          openJobCount: 2,
         },
         {
           handle: "c3",
@@ -255,8 +302,10 @@ describe("GET /companies", function () {
           description: "Desc3",
           numEmployees: 3,
           logoUrl: "http://c3.img",
+          openJobCount: 2,
         },
       ],
+      pagination: expect.any(Object),
     });
   });
 
@@ -271,6 +320,69 @@ describe("GET /companies", function () {
     const resp = await request(app).get("/companies").query({ invalidFilter: "value" });
     expect(resp.statusCode).toEqual(400);
   });
+
+  /**
+   * Test case for the `GET /companies` endpoint filtered to companies with open jobs,
+   * sorted by how many they have.
+   */
+  test("works: hasOpenJobs sorted by openJobCount", async function () {
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE company_handle = 'c2'");
+    const resp = await request(app).get("/companies")
+      .query({ hasOpenJobs: "true", sortBy: "openJobCount", direction: "desc" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.companies.map(c => [c.handle, c.openJobCount])).toEqual([["c1", 3], ["c3", 2]]);
+    expect(resp.body.pagination.total).toEqual(2);
+  });
+
+  /**
+   * Test case for the `GET /companies` endpoint when minEmployees is above maxEmployees.
+   *
+   * It checks that the response is a 400 naming maxEmployees as the field at fault.
+   */
+  test("fails: minEmployees above maxEmployees", async function () {
+    const resp = await request(app).get("/companies").query({ minEmployees: 3, maxEmployees: 2 });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toEqual({
+      maxEmployees: ["must be greater than or equal to minEmployees"],
+    });
+  });
+
+  /**
+   * Test case for the `GET /companies` endpoint with paging and sorting.
+   *
+   * Requests the first page of companies sorted by employee count, descending,
+   * and checks the page contents along with the total count and links.
+   */
+  test("works: paging and sorting", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ sortBy: "numEmployees", direction: "desc", limit: 2 });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(resp.body.pagination).toEqual({
+      page: 1,
+      limit: 2,
+      total: 3,
+      totalPages: 2,
+      next: "/companies?sortBy=numEmployees&direction=desc&page=2&limit=2",
+      prev: null,
+    });
+  });
+
+  /**
+   * Test case for the `GET /companies` endpoint with an unknown sort field.
+   */
+  test("fails: invalid sortBy", async function () {
+    const resp = await request(app).get("/companies").query({ sortBy: "logoUrl" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Test case for the `GET /companies` endpoint with a page size over the maximum.
+   */
+  test("fails: limit too large", async function () {
+    const resp = await request(app).get("/companies").query({ limit: 1000 });
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /**
@@ -363,6 +475,25 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  /**
+   * Test case for the PATCH /companies/:handle endpoint with a company's recruiter.
+   *
+   * Members of a company can update its details, but not another company's.
+   */
+  test("works for company members only", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.company.name).toEqual("C1-new");
+
+    const other = await request(app)
+      .patch(`/companies/c2`)
+      .send({ name: "C2-new" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(other.statusCode).toEqual(401);
+  });
+
   /**
    * Test case for the PATCH /companies/:handle endpoint.
    *
@@ -484,6 +615,18 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  /**
+   * Test case for the DELETE /companies/:handle endpoint with a company's recruiter.
+   *
+   * Only admins can delete companies, even the recruiter's own.
+   */
+  test("unauth for company members", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   /**
    * Test case for the DELETE /companies/:handle endpoint when accessed anonymously.
    *
@@ -512,3 +655,296 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/**
+ * Test suite for soft-deleted companies.
+ *
+ * Deleted companies are hidden unless an admin asks for them, and admins can restore them.
+ */
+describe("deleted companies", function () {
+  /**
+   * Test that a deleted company and its jobs are hidden from everyone by default.
+   */
+  test("hidden after delete", async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app).get(`/companies/c1`);
+    expect(resp.statusCode).toEqual(404);
+
+    const listResp = await request(app).get(`/companies`);
+    expect(listResp.body.companies.map(c => c.handle)).not.toContain("c1");
+
+    const jobsResp = await request(app).get(`/jobs`);
+    expect(jobsResp.body.jobs.map(j => j.companyHandle)).not.toContain("c1");
+  });
+
+  /**
+   * Test that admins can see deleted companies with includeDeleted.
+   */
+  test("shown to admins with includeDeleted", async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .get(`/companies/c1?includeDeleted=true`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.company.handle).toEqual("c1");
+    expect(resp.body.company.deletedAt).toEqual(expect.any(String));
+
+    const listResp = await request(app)
+      .get(`/companies?includeDeleted=true`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(listResp.body.companies.map(c => c.handle)).toContain("c1");
+  });
+
+  /**
+   * Test that non-admins can't ask for deleted companies.
+   */
+  test("unauth for non-admin with includeDeleted", async function () {
+    const resp = await request(app)
+      .get(`/companies?includeDeleted=true`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+
+    const anonResp = await request(app).get(`/companies/c1?includeDeleted=true`);
+    expect(anonResp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test that an admin can restore a deleted company.
+   */
+  test("restore works for admins", async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.company.handle).toEqual("c1");
+
+    const getResp = await request(app).get(`/companies/c1`);
+    expect(getResp.statusCode).toEqual(200);
+  });
+
+  /**
+   * Test that restoring a company that isn't deleted is not found.
+   */
+  test("restore not found if not deleted", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  /**
+   * Test that only admins can restore companies.
+   */
+  test("restore unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/**
+ * Test suite for the GET /companies/:handle/applications route.
+ *
+ * Admins and the company's recruiters can list everyone who applied to the company's jobs.
+ */
+describe("GET /companies/:handle/applications", function () {
+  /**
+   * Test that only applications to the company's jobs are listed, paged.
+   */
+  test("works for company members", async function () {
+    const [c1Job, c2Job] = getTestJobIds();
+    await JobApplication.apply("u1", c1Job);
+    await JobApplication.apply("u2", c1Job);
+    await JobApplication.apply("u1", c2Job);
+    const resp = await request(app)
+      .get(`/companies/c1/applications?sortBy=username&limit=1`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.applicants).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        jobId: c1Job,
+        title: "j1",
+        status: "applied",
+        appliedAt: expect.any(String),
+      },
+    ]);
+    expect(resp.body.pagination).toEqual({
+      page: 1,
+      limit: 1,
+      total: 2,
+      totalPages: 2,
+      next: "/companies/c1/applications?sortBy=username&page=2&limit=1",
+      prev: null,
+    });
+  });
+
+  /**
+   * Test that admins can list any company's applicants.
+   */
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get(`/companies/c2/applications`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.applicants).toEqual([]);
+  });
+
+  /**
+   * Test that recruiters can't list another company's applicants.
+   */
+  test("unauth for members of other companies", async function () {
+    const resp = await request(app)
+      .get(`/companies/c2/applications`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test that anonymous users can't list applicants.
+   */
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/applications`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test listing applicants of a company that doesn't exist.
+   */
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+      .get(`/companies/nope/applications`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/**
+ * Test suite for the /companies/:handle/members routes.
+ *
+ * Admins list, add and remove the users who recruit for a company.
+ */
+describe("/companies/:handle/members", function () {
+  /**
+   * Test listing a company's members.
+   */
+  test("GET works for admins", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u3",
+          firstName: "U3F",
+          lastName: "U3L",
+          email: "user3@user.com",
+          addedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  /**
+   * Test that members can't list other members.
+   */
+  test("GET unauth for company members", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test listing members of a company that doesn't exist.
+   */
+  test("GET not found for no such company", async function () {
+    const resp = await request(app)
+      .get(`/companies/nope/members`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  /**
+   * Test adding a member, and that logging in then carries the membership.
+   */
+  test("POST works for admins", async function () {
+    const resp = await request(app)
+      .post(`/companies/c2/members`)
+      .send({ username: "u1" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ member: { username: "u1", companyHandle: "c2" } });
+
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    const payload = JSON.parse(
+      Buffer.from(login.body.token.split(".")[1], "base64url").toString());
+    expect(payload.companies).toEqual(["c2"]);
+  });
+
+  /**
+   * Test adding a member who already is one.
+   */
+  test("POST bad request if already a member", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u3" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Test adding a user that doesn't exist.
+   */
+  test("POST not found for no such user", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "nope" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  /**
+   * Test that non-admins can't add members.
+   */
+  test("POST unauth for non-admins", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test removing a member.
+   */
+  test("DELETE works for admins", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u3`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ deleted: "u3" });
+  });
+
+  /**
+   * Test removing a user who isn't a member.
+   */
+  test("DELETE not found if not a member", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u1`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
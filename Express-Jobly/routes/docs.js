@@ -0,0 +1,521 @@
+/**
+ * @fileoverview Express router for the API's documentation.
+ * This module serves the OpenAPI document, built from the routers and the
+ * JSON schemas each route validates against, and a page that displays it.
+ *
+ * Every route must be listed in OPERATIONS below; a test fails otherwise.
+ *
+ * @module docs
+ * @requires path
+ * @requires express
+ * @requires ./index
+ * @requires ../helpers/openapi
+ */
+
+"use strict";
+
+const path = require("path");
+const express = require("express");
+const apiRoutes = require("./index");
+const { buildOpenApi } = require("../helpers/openapi");
+
+/** Express router for the documentation */
+const router = express.Router();
+
+/** The media types an export can be downloaded as. */
+const EXPORT_TYPES = ["text/csv", "application/x-ndjson"];
+
+/** The `dryRun` query parameter of the import routes. */
+const IMPORT_OPTIONS = {
+  type: "object",
+  properties: {
+    dryRun: {
+      type: "string",
+      enum: ["true", "false"],
+      description: "true to check the rows without saving them.",
+    },
+  },
+};
+
+/** Builders for the response schemas. */
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const object = properties => ({ type: "object", properties });
+const listOf = items => ({ type: "array", items });
+const nullable = type => ({ type: [type, "null"] });
+
+const STRING = { type: "string" };
+const INTEGER = { type: "integer" };
+const BOOLEAN = { type: "boolean" };
+const TIMESTAMP = { type: "string", format: "date-time" };
+const NULLABLE_TIMESTAMP = { type: ["string", "null"], format: "date-time" };
+const DELETED_AT = { ...NULLABLE_TIMESTAMP, description: "Only when includeDeleted is set." };
+const JOB_STATUS = { type: "string", enum: ["draft", "open", "closed"] };
+const APPLICATION_STATUS = {
+  type: "string",
+  enum: ["applied", "screening", "interviewing", "offered", "hired", "rejected", "withdrawn"],
+};
+
+/** A company and its logo, as embedded in job and application listings. */
+const COMPANY_SUMMARY = object({ handle: STRING, name: STRING, logoUrl: nullable("string") });
+
+/**
+ * Schemas shared by several responses, added to the document's components.
+ * Properties that only some routes return, such as deletedAt, say so.
+ */
+const SCHEMAS = {
+  Tokens: object({
+    token: { type: "string", description: "Short-lived access token." },
+    refreshToken: { type: "string", description: "Refresh token for POST /auth/refresh." },
+  }),
+  Pagination: object({
+    page: INTEGER,
+    limit: INTEGER,
+    total: INTEGER,
+    totalPages: INTEGER,
+    next: { type: ["string", "null"], description: "Link to the next page, if any." },
+    prev: { type: ["string", "null"], description: "Link to the previous page, if any." },
+  }),
+  Company: object({
+    handle: STRING,
+    name: STRING,
+    description: STRING,
+    numEmployees: nullable("integer"),
+    logoUrl: nullable("string"),
+    deletedAt: DELETED_AT,
+  }),
+  Job: object({
+    id: INTEGER,
+    title: STRING,
+    salary: nullable("integer"),
+    equity: { type: ["string", "null"], description: "A fraction between 0 and 1." },
+    companyHandle: STRING,
+    status: JOB_STATUS,
+    postedAt: { ...NULLABLE_TIMESTAMP, description: "Null for a draft." },
+    expiresAt: NULLABLE_TIMESTAMP,
+    deletedAt: DELETED_AT,
+  }),
+  User: object({
+    username: STRING,
+    firstName: STRING,
+    lastName: STRING,
+    email: STRING,
+    isAdmin: BOOLEAN,
+    deletedAt: DELETED_AT,
+  }),
+  Application: object({
+    username: STRING,
+    jobId: INTEGER,
+    status: APPLICATION_STATUS,
+    appliedAt: TIMESTAMP,
+    history: listOf(object({
+      fromStatus: { ...nullable("string"), description: "Null for the application itself." },
+      toStatus: APPLICATION_STATUS,
+      changedBy: STRING,
+      changedAt: TIMESTAMP,
+    })),
+  }),
+  Applicant: object({
+    username: STRING,
+    firstName: STRING,
+    lastName: STRING,
+    email: STRING,
+    jobId: INTEGER,
+    title: STRING,
+    status: APPLICATION_STATUS,
+    appliedAt: TIMESTAMP,
+  }),
+  ImportReport: object({
+    dryRun: BOOLEAN,
+    committed: { type: "boolean", description: "Whether the rows were saved." },
+    created: INTEGER,
+    updated: INTEGER,
+    rejected: INTEGER,
+    rows: listOf(object({
+      line: INTEGER,
+      handle: { type: "string", description: "Company imports only." },
+      id: { type: ["integer", "string"], description: "Job imports only; as sent for a rejected row." },
+      status: { type: "string", enum: ["created", "updated", "rejected"] },
+      errors: listOf(STRING),
+    })),
+  }),
+  Task: object({
+    name: STRING,
+    description: STRING,
+    schedule: { type: "string", description: "When the task runs, as a cron expression." },
+    nextRunAt: TIMESTAMP,
+    lastStatus: { type: ["string", "null"], enum: ["running", "succeeded", "failed", null] },
+    lastTrigger: { type: ["string", "null"], enum: ["schedule", "manual", null] },
+    lastStartedAt: NULLABLE_TIMESTAMP,
+    lastFinishedAt: NULLABLE_TIMESTAMP,
+    lastResult: { type: ["object", "null"], description: "What the task reported, such as counts." },
+    lastError: nullable("string"),
+  }),
+  TaskRun: object({
+    id: INTEGER,
+    status: { type: "string", enum: ["running", "succeeded", "failed"] },
+    trigger: { type: "string", enum: ["schedule", "manual"] },
+    startedAt: TIMESTAMP,
+    finishedAt: NULLABLE_TIMESTAMP,
+    result: { type: ["object", "null"], description: "What the task reported, such as counts." },
+    error: nullable("string"),
+  }),
+  Highlight: {
+    type: "array",
+    description: "The text in segments, with the words that matched the search marked.",
+    items: object({ text: STRING, match: BOOLEAN }),
+  },
+};
+
+/** A page of a listing, under the given name. */
+const page = (name, items) => object({ [name]: listOf(items), pagination: ref("Pagination") });
+
+/** The responses of routes that change a job's status, or restore it. */
+const JOB_RESPONSE = object({ job: ref("Job") });
+
+/**
+ * Each route's summary, the schema of a successful response, and schemas for
+ * the parts of a request that the route doesn't check with the validate
+ * middleware. See buildOpenApi for the fields.
+ */
+const OPERATIONS = {
+  "POST /auth/token": {
+    summary: "Log in, returning an access token and a refresh token.",
+    response: ref("Tokens"),
+  },
+  "POST /auth/register": {
+    summary: "Register a new user and log them in.",
+    status: 201,
+    response: ref("Tokens"),
+  },
+  "POST /auth/refresh": {
+    summary: "Exchange a refresh token for a new access token and refresh token.",
+    response: ref("Tokens"),
+  },
+  "POST /auth/logout": {
+    summary: "Revoke the current access token and, if sent, a refresh token.",
+    response: object({ loggedOut: { const: true } }),
+  },
+  "POST /auth/password-reset/request": {
+    summary: "Email a password reset link to every account registered with an address.",
+    response: object({ message: STRING }),
+  },
+  "POST /auth/password-reset/confirm": {
+    summary: "Set a new password using a reset token.",
+    response: object({ reset: { const: true } }),
+  },
+  "GET /auth/verify": {
+    summary: "Verify an email address using the token from a verification email.",
+    response: object({ verified: { type: "string", description: "The verified username." } }),
+  },
+  "POST /auth/verify/resend": {
+    summary: "Send the logged-in user a new verification email.",
+    response: object({ sent: { const: true } }),
+  },
+
+  "POST /companies": {
+    summary: "Create a company.",
+    status: 201,
+    response: object({ company: ref("Company") }),
+  },
+  "GET /companies": {
+    summary: "List a page of companies, optionally filtered.",
+    response: page("companies", {
+      allOf: [ref("Company"), object({ openJobCount: { type: "integer", description: "Jobs open now." } })],
+    }),
+  },
+  "GET /companies/:handle": {
+    summary: "Get a company and its jobs.",
+    response: object({
+      company: {
+        allOf: [ref("Company"), object({
+          jobs: listOf({ ...ref("Job"), description: "Open jobs, or every job when includeClosed is set." }),
+        })],
+      },
+    }),
+  },
+  "PATCH /companies/:handle": {
+    summary: "Update a company.",
+    response: object({ company: ref("Company") }),
+  },
+  "DELETE /companies/:handle": {
+    summary: "Delete a company and its jobs. They can be restored until purged.",
+    response: object({ deleted: STRING }),
+  },
+  "POST /companies/:handle/restore": {
+    summary: "Restore a deleted company, along with its jobs.",
+    response: object({ company: ref("Company") }),
+  },
+  "GET /companies/:handle/applications": {
+    summary: "List the people who applied to any of a company's jobs.",
+    response: page("applicants", ref("Applicant")),
+  },
+  "GET /companies/:handle/members": {
+    summary: "List the users who recruit for a company.",
+    response: object({ members: listOf(object({ username: STRING, firstName: STRING, lastName: STRING, email: STRING, addedAt: TIMESTAMP })) }),
+  },
+  "POST /companies/:handle/members": {
+    summary: "Make a user a recruiter for a company.",
+    status: 201,
+    response: object({ member: object({ username: STRING, companyHandle: STRING }) }),
+  },
+  "DELETE /companies/:handle/members/:username": {
+    summary: "Stop a user recruiting for a company.",
+    response: object({ deleted: STRING }),
+  },
+
+  "POST /users": {
+    summary: "Create a user, who may be an admin.",
+    status: 201,
+    response: object({ user: ref("User"), token: STRING }),
+  },
+  "GET /users": {
+    summary: "List all users.",
+    response: object({ users: listOf(ref("User")) }),
+  },
+  "GET /users/lockouts": {
+    summary: "List users with failed logins counted against them, locked accounts first.",
+    response: object({
+      lockouts: listOf(object({
+        username: STRING,
+        failedLoginAttempts: INTEGER,
+        lockedUntil: NULLABLE_TIMESTAMP,
+        locked: BOOLEAN,
+      })),
+    }),
+  },
+  "GET /users/:username": {
+    summary: "Get a user and the jobs they applied to.",
+    response: object({
+      user: {
+        allOf: [ref("User"), object({
+          emailVerified: BOOLEAN,
+          jobs: { ...listOf(INTEGER), description: "The IDs of the jobs applied to." },
+          applications: listOf(object({ jobId: INTEGER, status: APPLICATION_STATUS })),
+        })],
+      },
+    }),
+  },
+  "PATCH /users/:username": {
+    summary: "Update a user.",
+    response: object({ user: ref("User") }),
+  },
+  "DELETE /users/:username": {
+    summary: "Delete a user. They can be restored until purged.",
+    response: object({ deleted: STRING }),
+  },
+  "POST /users/:username/restore": {
+    summary: "Restore a deleted user, who can then log in again.",
+    response: object({ user: ref("User") }),
+  },
+  "DELETE /users/:username/lockout": {
+    summary: "Unlock a user's account and reset their failed login count.",
+    response: object({ unlocked: STRING }),
+  },
+  "GET /users/:username/applications": {
+    summary: "List a user's job applications with the job and company applied to.",
+    response: object({
+      applications: listOf(object({
+        jobId: INTEGER,
+        status: APPLICATION_STATUS,
+        appliedAt: TIMESTAMP,
+        title: STRING,
+        salary: nullable("integer"),
+        equity: nullable("string"),
+        company: COMPANY_SUMMARY,
+      })),
+    }),
+  },
+  "GET /users/:username/applications/export": {
+    summary: "Download a user's job applications.",
+    produces: EXPORT_TYPES,
+  },
+  "POST /users/:username/jobs/:jobId": {
+    summary: "Apply to a job.",
+    status: 201,
+    response: object({ applied: object({ applied: INTEGER }) }),
+  },
+  "GET /users/:username/jobs/:jobId": {
+    summary: "Get a user's application for a job, including its status history.",
+    response: object({ application: ref("Application") }),
+  },
+  "PATCH /users/:username/jobs/:jobId": {
+    summary: "Move a user's application for a job to a new status.",
+    response: object({ application: ref("Application") }),
+  },
+  "DELETE /users/:username/jobs/:jobId": {
+    summary: "Withdraw a user's application for a job, keeping it and its history.",
+    response: object({ withdrawn: INTEGER }),
+  },
+  "GET /users/:username/saved-jobs": {
+    summary: "List the jobs a user has saved, most recently saved first.",
+    response: object({
+      savedJobs: listOf(object({
+        jobId: INTEGER,
+        savedAt: TIMESTAMP,
+        title: STRING,
+        salary: nullable("integer"),
+        equity: nullable("string"),
+        status: JOB_STATUS,
+        expiresAt: NULLABLE_TIMESTAMP,
+        isOpen: { type: "boolean", description: "Whether the job still accepts applications." },
+        company: COMPANY_SUMMARY,
+      })),
+    }),
+  },
+  "POST /users/:username/saved-jobs/:jobId": {
+    summary: "Save a job to look at later.",
+    status: 201,
+    response: object({ saved: INTEGER }),
+  },
+  "DELETE /users/:username/saved-jobs/:jobId": {
+    summary: "Remove a job from a user's saved jobs.",
+    response: object({ unsaved: INTEGER }),
+  },
+
+  "POST /jobs": {
+    summary: "Create a job.",
+    status: 201,
+    response: JOB_RESPONSE,
+  },
+  "GET /jobs": {
+    summary: "List a page of jobs, optionally filtered.",
+    response: page("jobs", ref("Job")),
+  },
+  "GET /jobs/:id": {
+    summary: "Get a job and its company.",
+    response: object({
+      job: { allOf: [ref("Job"), object({ company: ref("Company") })] },
+    }),
+  },
+  "PATCH /jobs/:id": {
+    summary: "Update a job.",
+    response: JOB_RESPONSE,
+  },
+  "DELETE /jobs/:id": {
+    summary: "Delete a job. It can be restored until purged.",
+    response: object({ deleted: INTEGER }),
+  },
+  "POST /jobs/:id/restore": {
+    summary: "Restore a deleted job.",
+    response: JOB_RESPONSE,
+  },
+  "GET /jobs/:id/applications": {
+    summary: "List the people who applied to a job.",
+    response: page("applicants", ref("Applicant")),
+  },
+  "POST /jobs/:id/publish": {
+    summary: "Publish a draft job, listing it and letting people apply.",
+    response: JOB_RESPONSE,
+  },
+  "POST /jobs/:id/close": {
+    summary: "Close an open job so it is no longer listed or accepting applications.",
+    response: JOB_RESPONSE,
+  },
+  "POST /jobs/:id/reopen": {
+    summary: "Reopen a closed job.",
+    response: JOB_RESPONSE,
+  },
+
+  "GET /admin/audit": {
+    summary: "List audit log entries, newest first.",
+    response: page("entries", object({
+      id: INTEGER,
+      actor: STRING,
+      action: { type: "string", enum: ["create", "update", "delete", "restore"] },
+      entity: { type: "string", enum: ["company", "job", "user"] },
+      entityId: STRING,
+      before: { type: ["object", "null"], description: "The changed fields before the change." },
+      after: { type: ["object", "null"], description: "The changed fields after the change." },
+      createdAt: TIMESTAMP,
+    })),
+  },
+  "POST /admin/import/companies": {
+    summary: "Import companies from CSV, creating new handles and updating existing ones.",
+    query: IMPORT_OPTIONS,
+    body: { type: "string", description: "CSV whose rows are validated like companyNew." },
+    bodyType: "text/csv",
+    response: object({ report: ref("ImportReport") }),
+  },
+  "POST /admin/import/jobs": {
+    summary: "Import jobs from CSV, creating rows without an id and updating those with one.",
+    query: IMPORT_OPTIONS,
+    body: { type: "string", description: "CSV whose rows are validated like jobNew, plus an id column." },
+    bodyType: "text/csv",
+    response: object({ report: ref("ImportReport") }),
+  },
+  "GET /admin/export/companies": {
+    summary: "Download companies, filtered like GET /companies.",
+    produces: EXPORT_TYPES,
+  },
+  "GET /admin/export/jobs": {
+    summary: "Download jobs, filtered like GET /jobs.",
+    produces: EXPORT_TYPES,
+  },
+  "GET /admin/export/applications": {
+    summary: "Download job applications, optionally for one job or company.",
+    produces: EXPORT_TYPES,
+  },
+  "GET /admin/tasks": {
+    summary: "List the background maintenance tasks and how each last ran.",
+    response: object({ tasks: listOf(ref("Task")) }),
+  },
+  "GET /admin/tasks/:name/runs": {
+    summary: "List a background task's runs, most recent first.",
+    response: object({ runs: listOf(ref("TaskRun")) }),
+  },
+  "POST /admin/tasks/:name/run": {
+    summary: "Run a background task now and return how it went.",
+    response: object({ task: ref("Task") }),
+  },
+
+  "GET /search": {
+    summary: "Search company names and descriptions and job titles, best matches first.",
+    response: object({
+      companies: listOf(object({
+        handle: STRING,
+        name: STRING,
+        logoUrl: nullable("string"),
+        rank: { type: "number" },
+        highlights: object({ name: ref("Highlight"), description: ref("Highlight") }),
+      })),
+      jobs: listOf(object({
+        id: INTEGER,
+        title: STRING,
+        salary: nullable("integer"),
+        equity: nullable("string"),
+        companyHandle: STRING,
+        companyName: STRING,
+        rank: { type: "number" },
+        highlights: object({ title: ref("Highlight") }),
+      })),
+    }),
+  },
+};
+
+/** The OpenAPI document, built once at startup. */
+const openApiDocument = buildOpenApi(apiRoutes, OPERATIONS, SCHEMAS);
+
+/**
+ * Returns the OpenAPI 3.1 document describing the API.
+ *
+ * @route GET /openapi.json
+ * @returns {Object} 200 - The OpenAPI document.
+ * @access Public
+ */
+router.get("/openapi.json", function (req, res) {
+  return res.json(openApiDocument);
+});
+
+/**
+ * Returns a page displaying the OpenAPI document. The page needs nothing
+ * besides this server, so it works offline.
+ *
+ * @route GET /docs
+ * @returns {string} 200 - The HTML page.
+ * @access Public
+ */
+router.get("/docs", function (req, res) {
+  return res.sendFile(path.join(__dirname, "..", "public", "docs.html"));
+});
+
+module.exports = router;
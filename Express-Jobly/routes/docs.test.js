@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Test suite for the documentation routes.
+ * This module checks that the OpenAPI document describes every route the
+ * application handles, and that the page displaying it is served.
+ *
+ * @module docs.test
+ * @requires supertest
+ * @requires ../app
+ * @requires ../db
+ * @requires ./index
+ * @requires ../helpers/openapi
+ */
+
+"use strict";
+
+const request = require("supertest");
+const app = require("../app");
+const db = require("../db");
+const apiRoutes = require("./index");
+const { listRoutes, toOpenApiPath } = require("../helpers/openapi");
+
+afterAll(function () {
+  db.end();
+});
+
+/************************************** GET /openapi.json */
+
+describe("GET /openapi.json", function () {
+  /** Test that the document is served */
+  test("works", async function () {
+    const resp = await request(app).get("/openapi.json");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.openapi).toEqual("3.1.0");
+    expect(resp.body.info.title).toEqual("Jobly API");
+  });
+
+  /**
+   * Test that every route is documented. A route added without an entry in
+   * OPERATIONS in routes/docs.js fails here.
+   */
+  test("documents every route", async function () {
+    const resp = await request(app).get("/openapi.json");
+    const undocumented = listRoutes(apiRoutes)
+      .filter(({ method, path }) => !resp.body.paths[toOpenApiPath(path)]?.[method])
+      .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+    expect(undocumented).toEqual([]);
+  });
+
+  /**
+   * Test that every route describes its successful response. A route added
+   * without a response (or produces) in OPERATIONS fails here.
+   */
+  test("describes every response", async function () {
+    const resp = await request(app).get("/openapi.json");
+    const missing = [];
+    for (const [path, methods] of Object.entries(resp.body.paths))
+      for (const [method, { responses }] of Object.entries(methods)) {
+        const [status] = Object.keys(responses).filter(s => s !== "default");
+        const content = Object.values(responses[status].content);
+        if (!content.length || content.some(({ schema }) => !schema))
+          missing.push(`${method.toUpperCase()} ${path}`);
+      }
+    expect(missing).toEqual([]);
+
+    const { schemas } = resp.body.components;
+    expect(resp.body.paths["/users/{username}/saved-jobs"].get.responses["200"]
+      .content["application/json"].schema.properties.savedJobs.items.properties)
+      .toEqual(expect.objectContaining({ jobId: { type: "integer" }, isOpen: expect.any(Object) }));
+    expect(resp.body.paths["/admin/tasks"].get.responses["200"]
+      .content["application/json"].schema.properties.tasks.items)
+      .toEqual({ $ref: "#/components/schemas/Task" });
+    expect(Object.keys(schemas.Task.properties))
+      .toEqual(expect.arrayContaining(["name", "schedule", "nextRunAt", "lastStatus"]));
+  });
+
+  /** Test that request schemas come from schemas/ */
+  test("uses the JSON schemas", async function () {
+    const resp = await request(app).get("/openapi.json");
+    const createCompany = resp.body.paths["/companies"].post;
+    expect(createCompany.requestBody.content["application/json"].schema)
+      .toEqual({ $ref: "#/components/schemas/companyNew" });
+    expect(resp.body.components.schemas.companyNew.required)
+      .toEqual(expect.arrayContaining(["handle", "name"]));
+    expect(createCompany.security).toEqual([{ bearerAuth: [] }]);
+
+    const listJobs = resp.body.paths["/jobs"].get;
+    expect(listJobs.parameters.map(p => p.name))
+      .toEqual(expect.arrayContaining(["minSalary", "hasEquity", "page", "limit"]));
+    expect(listJobs.security).toBeUndefined();
+  });
+});
+
+/************************************** GET /docs */
+
+describe("GET /docs", function () {
+  /** Test that the page is served and loads nothing from elsewhere */
+  test("works", async function () {
+    const resp = await request(app).get("/docs");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.type).toEqual("text/html");
+    expect(resp.text).toContain("openapi.json");
+    expect(resp.text).not.toMatch(/(src|href)="https?:/);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview The API's routers, by the path each is mounted at.
+ * The application mounts them from here, and the OpenAPI document is built
+ * from the same list so the two can't drift apart.
+ *
+ * @module routes
+ * @requires ./auth
+ * @requires ./companies
+ * @requires ./users
+ * @requires ./jobs
+ * @requires ./admin
+ * @requires ./search
+ */
+
+"use strict";
+
+module.exports = {
+  "/auth": require("./auth"),
+  "/companies": require("./companies"),
+  "/users": require("./users"),
+  "/jobs": require("./jobs"),
+  "/admin": require("./admin"),
+  "/search": require("./search"),
+};
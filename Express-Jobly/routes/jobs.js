@@ -5,35 +5,100 @@
  * 
  * @module jobs
  * @requires express
- * @requires jsonschema
  * @requires ../expressError
  * @requires ../middleware/auth
+ * @requires ../middleware/validate
  * @requires ../models/job
+ * @requires ../models/jobApplication
+ * @requires ../models/audited
+ * @requires ../helpers/pagination
  * @requires ../schemas/jobFilter.json
  * @requires ../schemas/jobNew.json
  * @requires ../schemas/jobUpdate.json
  * @requires ../schemas/jobIdOnly.json
+ * @requires ../schemas/jobStatusChange.json
+ * @requires ../schemas/applicantsFilter.json
  */
 
 
 "use strict";
 
-const jsonschema = require("jsonschema");
 const express = require("express");
-const { BadRequestError } = require("../expressError");
-const { 
-  ensureLoggedIn, 
-  onlyAdmin 
+const { NotFoundError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  onlyAdmin,
+  ensureAdminOrCompanyMember,
+  ensureAdminForDeleted,
+  ensureAdminForClosed
 } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
 const Job = require("../models/job");
+const JobApplication = require("../models/jobApplication");
+const audited = require("../models/audited");
+const { getPageOptions, buildPagination } = require("../helpers/pagination");
 const jobSearchSchema = require("../schemas/jobFilter.json");
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
 const jobIdOnlySchema = require("../schemas/jobIdOnly.json");
+const jobStatusChangeSchema = require("../schemas/jobStatusChange.json");
+const applicantsFilterSchema = require("../schemas/applicantsFilter.json");
 
 /** Express router for jobs */
 const router = new express.Router();
 
+/**
+ * The company a new job is being posted for, from the request body.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} The lowercased company handle, if one was sent.
+ */
+function companyOfNewJob(req) {
+  const handle = req.body?.companyHandle;
+  return typeof handle === "string" ? handle.toLowerCase() : undefined;
+}
+
+/**
+ * The company offering the job in `req.params.id`.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|undefined>} The job's company handle, or undefined if
+ * the ID isn't a number.
+ * @throws {NotFoundError} If the job is not found.
+ */
+async function companyOfJob(req) {
+  if (!/^\d+$/.test(req.params.id))
+    return undefined;
+  const job = await Job.get(req.params.id);
+  return job.companyHandle;
+}
+
+/**
+ * Whether a user may see a job that isn't open: members of its company may,
+ * and so may anyone who applied to it, so their applications still link to it.
+ *
+ * @async
+ * @param {Object} [user] - The logged-in user, from res.locals.
+ * @param {Object} job - The job, as returned by Job.get.
+ * @returns {Promise<boolean>}
+ * @throws {ExpressError} If there is a database error.
+ */
+async function canSeeClosedJob(user, job) {
+  if (!user)
+    return false;
+  if (user.companies?.includes(job.companyHandle))
+    return true;
+  try {
+    await JobApplication.get(user.username, job.id);
+    return true;
+  } catch (err) {
+    if (err instanceof NotFoundError)
+      return false;
+    throw err;
+  }
+}
+
 /**
  * Creates a new job.
  * 
@@ -45,6 +110,9 @@ const router = new express.Router();
  * @param {number} req.body.salary - The job salary.
  * @param {string} req.body.equity - The job equity.
  * @param {string} req.body.companyHandle - The company handle (will be converted to lowercase).
+ * @param {string} [req.body.status] - "draft" to keep the job unlisted until it is published,
+ * or "open" (the default).
+ * @param {string} [req.body.expiresAt] - When the job stops being listed; never when omitted.
  * @returns {Object} 201 - The created job object.
  * @returns {Object} 201.job - The job details.
  * @returns {number} 201.job.id - The job's unique identifier.
@@ -52,21 +120,18 @@ const router = new express.Router();
  * @returns {number} 201.job.salary - The job salary.
  * @returns {string} 201.job.equity - The job equity.
  * @returns {string} 201.job.companyHandle - The handle of the company offering the job.
- * @throws {BadRequestError} 400 - If the request body is invalid.
- * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
- * @access Private - Requires login and admin privileges.
+ * @returns {string} 201.job.status - "draft" or "open".
+ * @returns {string} 201.job.postedAt - When the job was posted; null for a draft.
+ * @returns {string} 201.job.expiresAt - When the job expires, or null.
+ * @throws {BadRequestError} 400 - If the request body is invalid or expiresAt has passed.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the company.
+ * @access Private - Requires login and admin privileges or membership of the company.
  */
-router.post("/", onlyAdmin, ensureLoggedIn, async function (req, res, next) {
+router.post("/", ensureLoggedIn, ensureAdminOrCompanyMember(companyOfNewJob), validate({ body: jobNewSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      console.error("Validation errors:", errs);
-      throw new BadRequestError(errs);
-    }
     // Convert companyHandle to lowercase
     req.body.companyHandle = req.body.companyHandle.toLowerCase();
-    const job = await Job.create(req.body);
+    const job = await audited.createJob(res.locals.user.username, req.body);
     return res.status(201).json({ job });
   } catch (err) {
     return next(err);
@@ -74,36 +139,60 @@ router.post("/", onlyAdmin, ensureLoggedIn, async function (req, res, next) {
 });
 
 /**
- * Retrieves a list of jobs, optionally filtered by search criteria.
+ * Retrieves a page of jobs, optionally filtered by search criteria. Only open
+ * jobs that haven't expired are listed unless an admin asks for the rest.
  * 
  * @route GET /
  * @param {Object} req.query - The query parameters for filtering.
  * @param {number} [req.query.minSalary] - Minimum salary filter.
+ * @param {number} [req.query.maxSalary] - Maximum salary filter; no less than minSalary.
  * @param {boolean} [req.query.hasEquity] - Filter for jobs with equity.
+ * @param {number} [req.query.minEquity] - Minimum equity filter, between 0 and 1.
+ * @param {number} [req.query.maxEquity] - Maximum equity filter; no less than minEquity.
  * @param {string} [req.query.title] - Exact title filter.
  * @param {string} [req.query.titleLike] - Partial title filter (case-insensitive).
+ * @param {string|string[]} [req.query.companyHandle] - Only jobs at these companies;
+ * repeat the parameter for more than one.
+ * @param {number} [req.query.minEmployees] - Only jobs at companies with at least this many employees.
+ * @param {number} [req.query.maxEmployees] - Only jobs at companies with at most this many
+ * employees; no less than minEmployees.
+ * @param {string} [req.query.sortBy] - Sort field: title (default), salary, equity, companyHandle
+ * or postedAt.
+ * @param {string} [req.query.direction] - Sort direction: asc (default) or desc.
+ * @param {number} [req.query.page] - 1-based page number (default 1).
+ * @param {number} [req.query.limit] - Jobs per page (default 20, max 100).
+ * @param {boolean} [req.query.includeDeleted] - Admins only: also list soft-deleted jobs
+ * and the jobs of soft-deleted companies, each with a `deletedAt`.
+ * @param {boolean} [req.query.includeClosed] - Admins only: also list draft, closed and
+ * expired jobs, each with its status, postedAt and expiresAt.
  * @returns {Object} 200 - An array of job objects.
- * @returns {Object[]} 200.jobs - The list of jobs.
+ * @returns {Object[]} 200.jobs - The requested page of jobs.
  * @returns {number} 200.jobs[].id - The job's unique identifier.
  * @returns {string} 200.jobs[].title - The job title.
  * @returns {number} 200.jobs[].salary - The job salary.
  * @returns {string} 200.jobs[].equity - The job equity.
  * @returns {string} 200.jobs[].companyHandle - The handle of the company offering the job.
+ * @returns {Object} 200.pagination - Paging details: page, limit, total, totalPages, next and prev links.
  * @throws {BadRequestError} 400 - If the query parameters are invalid.
+ * @throws {UnauthorizedError} 401 - If a user who isn't an admin asks for deleted jobs or
+ * jobs that aren't open.
  * @access Public
  */
-router.get("/", async function (req, res, next) {
+router.get("/", ensureAdminForDeleted, ensureAdminForClosed, validate({ query: jobSearchSchema }), async function (req, res, next) {
   try {
     //Validate Schema
-    const validator = jsonschema.validate(req.query, jobSearchSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const { minSalary, hasEquity, title, titleLike } = req.query;
-    const jobs = await Job.findAll({ minSalary, hasEquity, title, titleLike });
-    return res.json({ jobs });
+    const { minSalary, maxSalary, hasEquity, minEquity, maxEquity, title, titleLike,
+      companyHandle, minEmployees, maxEmployees, sortBy, direction } = req.query;
+    const { page, limit } = getPageOptions(req.query);
+    const filters = {
+      minSalary, maxSalary, hasEquity, minEquity, maxEquity, title, titleLike,
+      companyHandle, minEmployees, maxEmployees,
+      includeDeleted: res.locals.includeDeleted, includeClosed: res.locals.includeClosed
+    };
+    const jobs = await Job.findAll({ ...filters, sortBy, direction, page, limit });
+    const total = await Job.count(filters);
+    const pagination = buildPagination(req, { page, limit, total });
+    return res.json({ jobs, pagination });
   } catch (err) {
     return next(err);
   }
@@ -115,6 +204,11 @@ router.get("/", async function (req, res, next) {
  * @route GET /:id
  * @param {Object} req.params - URL parameters.
  * @param {string} req.params.id - The unique ID of the job to retrieve.
+ * @param {boolean} [req.query.includeDeleted] - Admins only: find the job even if it,
+ * or its company, was soft-deleted. The job then also has a `deletedAt`.
+ * @param {boolean} [req.query.includeClosed] - Admins only: find the job even if it is a
+ * draft, closed or expired. Otherwise only open jobs are found, as GET / lists them,
+ * except by members of the job's company and users who applied to it.
  * @returns {Object} 200 - Job details.
  * @returns {Object} 200.job - The job object.
  * @returns {number} 200.job.id - The job's unique identifier.
@@ -122,24 +216,72 @@ router.get("/", async function (req, res, next) {
  * @returns {number} 200.job.salary - The job salary.
  * @returns {string} 200.job.equity - The job equity.
  * @returns {string} 200.job.companyHandle - The handle of the company offering the job.
+ * @returns {string} 200.job.status - "draft", "open" or "closed".
+ * @returns {string} 200.job.postedAt - When the job was posted; null for a draft.
+ * @returns {string} 200.job.expiresAt - When the job expires, or null.
+ * @returns {Object} 200.job.company - The company offering the job: handle, name,
+ * description, numEmployees and logoUrl.
  * @throws {BadRequestError} 400 - If the job ID is invalid.
- * @throws {NotFoundError} 404 - If the job is not found.
+ * @throws {NotFoundError} 404 - If the job is not found, or isn't open, includeClosed
+ * isn't set and the user is neither a member of its company nor an applicant.
+ * @throws {UnauthorizedError} 401 - If a user who isn't an admin asks for a deleted
+ * or closed job.
  * @access Public
  */
-router.get("/:id", async function (req, res, next) {
+router.get("/:id", ensureAdminForDeleted, ensureAdminForClosed, validate({ params: jobIdOnlySchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.params, jobIdOnlySchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const { includeDeleted, includeClosed } = res.locals;
+    let job;
+    try {
+      job = await Job.get(req.params.id, { includeDeleted, onlyOpen: !includeClosed });
+    } catch (err) {
+      if (!(err instanceof NotFoundError) || !res.locals.user)
+        throw err;
+      job = await Job.get(req.params.id, { includeDeleted });
+      if (!(await canSeeClosedJob(res.locals.user, job)))
+        throw err;
     }
-    const job = await Job.get(req.params.id);
     return res.json({ job });
   } catch (err) {
     return next(err);
   }
 });
 
+/**
+ * Lists the people who applied to a job.
+ *
+ * @route GET /:id/applications
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.id - The unique ID of the job.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.status] - Only applications currently in this status.
+ * @param {string} [req.query.sortBy] - appliedAt (default), username, lastName, title or status.
+ * @param {string} [req.query.direction] - asc or desc. Defaults to desc for appliedAt, otherwise asc.
+ * @param {number} [req.query.page] - 1-based page number (default 1).
+ * @param {number} [req.query.limit] - Applicants per page (default 20, max 100).
+ * @returns {Object} 200 - The requested page of applicants.
+ * @returns {Object[]} 200.applicants - Each applicant's username, firstName, lastName and email,
+ * with the jobId and title applied to, the application's status and appliedAt.
+ * @returns {Object} 200.pagination - Paging details: page, limit, total, totalPages, next and prev links.
+ * @throws {BadRequestError} 400 - If the job ID or query parameters are invalid.
+ * @throws {NotFoundError} 404 - If the job is not found.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the job's company.
+ * @access Private - Requires login and admin privileges or membership of the job's company.
+ */
+router.get("/:id/applications", ensureLoggedIn, ensureAdminOrCompanyMember(companyOfJob), validate({ params: jobIdOnlySchema, query: applicantsFilterSchema }), async function (req, res, next) {
+  try {
+    const { status, sortBy, direction } = req.query;
+    const { page, limit } = getPageOptions(req.query);
+    const filters = { jobId: +req.params.id, status };
+    const applicants = await JobApplication.findApplicants({ ...filters, sortBy, direction, page, limit });
+    const total = await JobApplication.countApplicants(filters);
+    const pagination = buildPagination(req, { page, limit, total });
+    return res.json({ applicants, pagination });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /**
  * Updates an existing job's information.
  *
@@ -152,6 +294,7 @@ router.get("/:id", async function (req, res, next) {
  * @param {string} [req.body.title] - The updated job title.
  * @param {number} [req.body.salary] - The updated job salary.
  * @param {string} [req.body.equity] - The updated job equity.
+ * @param {string|null} [req.body.expiresAt] - When the job expires, or null for never.
  * @returns {Object} 200 - The updated job object.
  * @returns {Object} 200.job - The updated job details.
  * @returns {number} 200.job.id - The job's unique identifier (unchanged).
@@ -159,20 +302,14 @@ router.get("/:id", async function (req, res, next) {
  * @returns {number} 200.job.salary - The updated job salary.
  * @returns {string} 200.job.equity - The updated job equity.
  * @returns {string} 200.job.companyHandle - The handle of the company offering the job (unchanged).
- * @throws {BadRequestError} 400 - If the request body is invalid or the job ID is invalid.
+ * @throws {BadRequestError} 400 - If the request body is invalid, the job ID is invalid or expiresAt has passed.
  * @throws {NotFoundError} 404 - If the job is not found.
- * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
- * @access Private - Requires login and admin privileges.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the job's company.
+ * @access Private - Requires login and admin privileges or membership of the job's company.
  */
-router.patch("/:handle", onlyAdmin, ensureLoggedIn, async function (req, res, next) {
+router.patch("/:id", ensureLoggedIn, ensureAdminOrCompanyMember(companyOfJob), validate({ params: jobIdOnlySchema, body: jobUpdateSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const job = await Job.update(req.params.handle, req.body);
+    const job = await audited.updateJob(res.locals.user.username, req.params.id, req.body);
     return res.json({ job });
   } catch (err) {
     return next(err);
@@ -182,9 +319,10 @@ router.patch("/:handle", onlyAdmin, ensureLoggedIn, async function (req, res, ne
 /**
  * Delete a job.
  * 
- * This endpoint allows administrators to delete a specific job by its ID.
+ * This endpoint allows administrators and the company's recruiters to delete a specific job by its ID.
  * It first validates the job ID against the jobIdOnlySchema.
  * If the job exists and is successfully deleted, it returns a confirmation message.
+ * The job is soft-deleted, so an admin can restore it until it is purged.
  *
  * @route DELETE /:id
  * @param {Object} req - Express request object.
@@ -194,18 +332,104 @@ router.patch("/:handle", onlyAdmin, ensureLoggedIn, async function (req, res, ne
  * @returns {string} 200.deleted - The ID of the deleted job.
  * @throws {BadRequestError} 400 - If the job ID is invalid or doesn't match the schema.
  * @throws {NotFoundError} 404 - If the job with the specified ID is not found.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the job's company.
+ * @access Private - Requires login and admin privileges or membership of the job's company.
+ */
+router.delete("/:id", ensureLoggedIn, ensureAdminOrCompanyMember(companyOfJob), validate({ params: jobIdOnlySchema }), async function (req, res, next) {
+  try {
+    await audited.removeJob(res.locals.user.username, req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Restore a soft-deleted job.
+ *
+ * @route POST /:id/restore
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.id - The unique ID of the job to restore.
+ * @returns {Object} 200 - `{ job: { id, title, salary, equity, companyHandle, status, postedAt, expiresAt } }`
+ * @throws {BadRequestError} 400 - If the job ID is invalid.
+ * @throws {NotFoundError} 404 - If there is no deleted job with that ID.
  * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
  * @access Private - Requires login and admin privileges.
  */
-router.delete("/:id", onlyAdmin, ensureLoggedIn, async function (req, res, next) {
+router.post("/:id/restore", ensureLoggedIn, onlyAdmin, validate({ params: jobIdOnlySchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.params, jobIdOnlySchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-    await Job.remove(req.params.id);
-    return res.json({ deleted: req.params.id });
+    const job = await audited.restoreJob(res.locals.user.username, req.params.id);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Publish a draft job, listing it and letting people apply.
+ *
+ * @route POST /:id/publish
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.id - The unique ID of the job to publish.
+ * @param {string|null} [req.body.expiresAt] - When the job stops being listed, or null for
+ * never. An expiry that hasn't passed is kept when omitted.
+ * @returns {Object} 200 - `{ job: { id, title, salary, equity, companyHandle, status, postedAt, expiresAt } }`
+ * @throws {BadRequestError} 400 - If the job ID or body is invalid, the job isn't a draft or expiresAt has passed.
+ * @throws {NotFoundError} 404 - If the job is not found.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the job's company.
+ * @access Private - Requires login and admin privileges or membership of the job's company.
+ */
+router.post("/:id/publish", ensureLoggedIn, ensureAdminOrCompanyMember(companyOfJob), validate({ params: jobIdOnlySchema, body: jobStatusChangeSchema }), async function (req, res, next) {
+  try {
+    const job = await audited.changeJobStatus(res.locals.user.username, req.params.id,
+      "publish", req.body?.expiresAt);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Close an open job, such as once it is filled. It is no longer listed and
+ * stops accepting applications; applications already made are kept.
+ *
+ * @route POST /:id/close
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.id - The unique ID of the job to close.
+ * @returns {Object} 200 - `{ job: { id, title, salary, equity, companyHandle, status, postedAt, expiresAt } }`
+ * @throws {BadRequestError} 400 - If the job ID is invalid or the job isn't open.
+ * @throws {NotFoundError} 404 - If the job is not found.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the job's company.
+ * @access Private - Requires login and admin privileges or membership of the job's company.
+ */
+router.post("/:id/close", ensureLoggedIn, ensureAdminOrCompanyMember(companyOfJob), validate({ params: jobIdOnlySchema }), async function (req, res, next) {
+  try {
+    const job = await audited.changeJobStatus(res.locals.user.username, req.params.id, "close");
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Reopen a closed job. It keeps the date it was first posted.
+ *
+ * @route POST /:id/reopen
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.id - The unique ID of the job to reopen.
+ * @param {string|null} [req.body.expiresAt] - When the job stops being listed, or null for
+ * never. An expiry that hasn't passed is kept when omitted.
+ * @returns {Object} 200 - `{ job: { id, title, salary, equity, companyHandle, status, postedAt, expiresAt } }`
+ * @throws {BadRequestError} 400 - If the job ID or body is invalid, the job isn't closed or expiresAt has passed.
+ * @throws {NotFoundError} 404 - If the job is not found.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in, or is neither an admin nor a member of the job's company.
+ * @access Private - Requires login and admin privileges or membership of the job's company.
+ */
+router.post("/:id/reopen", ensureLoggedIn, ensureAdminOrCompanyMember(companyOfJob), validate({ params: jobIdOnlySchema, body: jobStatusChangeSchema }), async function (req, res, next) {
+  try {
+    const job = await audited.changeJobStatus(res.locals.user.username, req.params.id,
+      "reopen", req.body?.expiresAt);
+    return res.json({ job });
   } catch (err) {
     return next(err);
   }
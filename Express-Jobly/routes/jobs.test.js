@@ -8,6 +8,7 @@
  * @requires supertest
  * @requires ../db
  * @requires ../app
+ * @requires ../models/jobApplication
  * @requires ./_testCommon
  */
 
@@ -16,13 +17,17 @@
 const request = require("supertest");
 const db = require("../db");
 const app = require("../app");
+const JobApplication = require("../models/jobApplication");
 const {
     commonBeforeAll,
     commonBeforeEach,
     commonAfterEach,
     commonAfterAll,
     u1Token,
+    u2Token,
+    u3Token,
     a1Token,
+    getTestJobIds,
 } = require("./_testCommon");
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -64,10 +69,38 @@ describe("POST /jobs", function () {
                 salary: 100000,
                 equity: "0.1",
                 companyHandle: "c1",
+                status: "open",
+                postedAt: expect.any(String),
+                expiresAt: null,
             },
         });
     });
 
+    /**
+     * Test case for a recruiter creating a job for their own company.
+     * Expects a 201 status code.
+     */
+    test("ok for company member", async function () {
+        const resp = await request(app)
+            .post("/jobs")
+            .send(newJob)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(201);
+        expect(resp.body.job.companyHandle).toEqual("c1");
+    });
+
+    /**
+     * Test case for a recruiter creating a job for another company.
+     * Expects a 401 status code.
+     */
+    test("unauth for member of another company", async function () {
+        const resp = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, companyHandle: "c2" })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
     /**
      * Test case for unauthorized job creation by a non-admin user.
      * Expects a 401 status code.
@@ -231,6 +264,7 @@ describe("GET /jobs", function () {
                     companyHandle: "c1",
                 },
             ],
+            pagination: expect.any(Object),
         });
     });
 
@@ -259,6 +293,7 @@ describe("GET /jobs", function () {
                     companyHandle: "c2",
                 },
             ],
+            pagination: expect.any(Object),
         });
     });
 
@@ -281,6 +316,7 @@ describe("GET /jobs", function () {
                     companyHandle: "c2",
                 },
             ],
+            pagination: expect.any(Object),
         });
     });
 
@@ -356,6 +392,7 @@ describe("GET /jobs", function () {
                     companyHandle: "c1",
                 },
             ],
+            pagination: expect.any(Object),
         });
     });
 
@@ -394,6 +431,68 @@ describe("GET /jobs", function () {
         expect(resp.body.jobs.every(j => j.salary >= 150000 && j.equity > 0 && j.title.toLowerCase().includes('j'))).toBe(true);
         expect(resp.body.jobs.length).toBeGreaterThan(0);
     });
+    /**
+     * Test case for the range, company and company size filters.
+     * Several companies can be given by repeating companyHandle.
+     */
+    test("works: filtering by ranges and companies", async function () {
+        let resp = await request(app)
+            .get("/jobs?companyHandle=c1&companyHandle=c2&maxSalary=250000&minEquity=0.05");
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["j1", "j2"]);
+
+        resp = await request(app)
+            .get("/jobs")
+            .query({ minEmployees: 3, maxEquity: 0.5 });
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["j3", "j6"]);
+    });
+
+    /**
+     * Test case for a minimum above its maximum.
+     * Expects a 400 naming the maximum as the field at fault.
+     */
+    test("bad request if a minimum is above its maximum", async function () {
+        const resp = await request(app)
+            .get("/jobs")
+            .query({ minSalary: 200000, maxSalary: 100000, minEquity: 0.5, maxEquity: 0.2 });
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.fields).toEqual({
+            maxSalary: ["must be greater than or equal to minSalary"],
+            maxEquity: ["must be greater than or equal to minEquity"],
+        });
+    });
+
+    /**
+     * Test case for paging and sorting jobs.
+     * Expects the second page of jobs ordered by salary, highest first,
+     * along with the total count and links to neighbouring pages.
+     */
+    test("works: paging and sorting", async function () {
+        const resp = await request(app)
+            .get("/jobs")
+            .query({ sortBy: "salary", direction: "desc", page: 2, limit: 2 });
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["j2", "j1"]);
+        expect(resp.body.pagination).toEqual({
+            page: 2,
+            limit: 2,
+            total: 7,
+            totalPages: 4,
+            next: "/jobs?sortBy=salary&direction=desc&page=3&limit=2",
+            prev: "/jobs?sortBy=salary&direction=desc&page=1&limit=2",
+        });
+    });
+
+    /**
+     * Test case for an invalid page number.
+     * Expects a 400 status code indicating a bad request.
+     */
+    test("bad request if invalid page", async function () {
+        const resp = await request(app)
+            .get("/jobs")
+            .query({ page: 0 });
+        expect(resp.statusCode).toEqual(400);
+    });
 });
 
 /**
@@ -412,11 +511,21 @@ describe("GET /jobs/:id", function () {
         const resp = await request(app).get(`/jobs/1`);
         expect(resp.body).toEqual({
             job: {
-                id: "1",
+                id: 1,
                 title: "j1",
                 salary: 100000,
                 equity: "0.1",
                 companyHandle: "c1",
+                status: "open",
+                postedAt: expect.any(String),
+                expiresAt: null,
+                company: {
+                    handle: "c1",
+                    name: "C1",
+                    description: "Desc1",
+                    numEmployees: 1,
+                    logoUrl: "http://c1.img",
+                },
             },
         });
     });
@@ -447,6 +556,99 @@ describe("GET /jobs/:id", function () {
         const resp = await request(app).get(`/jobs/99999`);
         expect(resp.statusCode).toEqual(404);
     });
+
+    /**
+     * Test that drafts, closed and expired jobs aren't found by anyone who
+     * doesn't ask for them, as in GET /jobs.
+     */
+    test("not found if draft, closed or expired", async function () {
+        await db.query("UPDATE jobs SET status = 'draft', posted_at = NULL WHERE id = 1");
+        await db.query("UPDATE jobs SET status = 'closed' WHERE id = 2");
+        await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 3");
+        for (const id of [1, 2, 3]) {
+            expect((await request(app).get(`/jobs/${id}`)).statusCode).toEqual(404);
+            for (const token of [u1Token, a1Token]) {
+                const resp = await request(app)
+                    .get(`/jobs/${id}`)
+                    .set("authorization", `Bearer ${token}`);
+                expect(resp.statusCode).toEqual(404);
+            }
+        }
+    });
+
+    /**
+     * Test that admins can find drafts, closed and expired jobs with includeClosed.
+     */
+    test("works for admin with includeClosed", async function () {
+        await db.query("UPDATE jobs SET status = 'draft', posted_at = NULL WHERE id = 1");
+        await db.query("UPDATE jobs SET status = 'closed' WHERE id = 2");
+        await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 3");
+        const statuses = [];
+        for (const id of [1, 2, 3]) {
+            const resp = await request(app)
+                .get(`/jobs/${id}`)
+                .query({ includeClosed: true })
+                .set("authorization", `Bearer ${a1Token}`);
+            expect(resp.statusCode).toEqual(200);
+            statuses.push(resp.body.job.status);
+        }
+        expect(statuses).toEqual(["draft", "closed", "open"]);
+    });
+
+    /**
+     * Test that only admins can ask for jobs that aren't open.
+     */
+    test("unauth for includeClosed if not admin", async function () {
+        await db.query("UPDATE jobs SET status = 'draft', posted_at = NULL WHERE id = 1");
+        let resp = await request(app)
+            .get(`/jobs/1`)
+            .query({ includeClosed: true });
+        expect(resp.statusCode).toEqual(401);
+        resp = await request(app)
+            .get(`/jobs/1`)
+            .query({ includeClosed: true })
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    /**
+     * Test that recruiters find their own company's jobs that aren't open,
+     * but not other companies'.
+     */
+    test("works for company member if not open", async function () {
+        await db.query("UPDATE jobs SET status = 'draft', posted_at = NULL WHERE id IN (1, 2)");
+        let resp = await request(app)
+            .get(`/jobs/1`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job).toEqual(expect.objectContaining({ id: 1, status: "draft" }));
+        resp = await request(app)
+            .get(`/jobs/2`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+
+    /**
+     * Test that applicants still find a job they applied to once it closes
+     * or expires, and other users don't.
+     */
+    test("works for applicant if not open", async function () {
+        await JobApplication.apply("u1", 2);
+        await JobApplication.apply("u1", 3);
+        await db.query("UPDATE jobs SET status = 'closed' WHERE id = 2");
+        await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 3");
+        for (const id of [2, 3]) {
+            const resp = await request(app)
+                .get(`/jobs/${id}`)
+                .set("authorization", `Bearer ${u1Token}`);
+            expect(resp.statusCode).toEqual(200);
+            expect(resp.body.job.id).toEqual(id);
+            const otherResp = await request(app)
+                .get(`/jobs/${id}`)
+                .set("authorization", `Bearer ${u2Token}`);
+            expect(otherResp.statusCode).toEqual(404);
+        }
+    });
 });
 
 /**
@@ -457,6 +659,105 @@ describe("GET /jobs/:id", function () {
  * handling invalid input data, and ensuring the correct job details
  * are returned after a successful update.
  */
+describe("GET /jobs/:id/applications", function () {
+    /**
+     * Test case for an admin listing a job's applicants.
+     * Expects each applicant's profile and application, with pagination.
+     */
+    test("works for admin", async function () {
+        const [jobId] = getTestJobIds();
+        await JobApplication.apply("u1", jobId);
+        const resp = await request(app)
+            .get(`/jobs/${jobId}/applications`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.body).toEqual({
+            applicants: [
+                {
+                    username: "u1",
+                    firstName: "U1F",
+                    lastName: "U1L",
+                    email: "user1@user.com",
+                    jobId,
+                    title: "j1",
+                    status: "applied",
+                    appliedAt: expect.any(String),
+                },
+            ],
+            pagination: {
+                page: 1,
+                limit: 20,
+                total: 1,
+                totalPages: 1,
+                next: null,
+                prev: null,
+            },
+        });
+    });
+
+    /**
+     * Test case for a recruiter listing applicants to their company's job,
+     * filtered by status.
+     */
+    test("works for company member with status filter", async function () {
+        const [jobId] = getTestJobIds();
+        await JobApplication.apply("u1", jobId);
+        await JobApplication.apply("u2", jobId);
+        await JobApplication.updateStatus("u2", jobId, "screening", "a1");
+        const resp = await request(app)
+            .get(`/jobs/${jobId}/applications?status=screening`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.body.applicants.map(a => a.username)).toEqual(["u2"]);
+        expect(resp.body.pagination.total).toEqual(1);
+    });
+
+    /**
+     * Test case for a recruiter listing applicants to another company's job.
+     * Expects a 401 status code.
+     */
+    test("unauth for member of another company", async function () {
+        const [, jobId] = getTestJobIds();
+        const resp = await request(app)
+            .get(`/jobs/${jobId}/applications`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    /**
+     * Test case for a user who isn't a recruiter.
+     * Expects a 401 status code.
+     */
+    test("unauth for non-member", async function () {
+        const [jobId] = getTestJobIds();
+        const resp = await request(app)
+            .get(`/jobs/${jobId}/applications`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    /**
+     * Test case for an invalid status filter.
+     * Expects a 400 status code.
+     */
+    test("bad request for invalid status", async function () {
+        const [jobId] = getTestJobIds();
+        const resp = await request(app)
+            .get(`/jobs/${jobId}/applications?status=nope`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    /**
+     * Test case for a job that doesn't exist.
+     * Expects a 404 status code.
+     */
+    test("not found for no such job", async function () {
+        const resp = await request(app)
+            .get(`/jobs/99999/applications`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
+
 describe("PATCH /jobs/:id", function () {
 
     /**
@@ -478,10 +779,42 @@ describe("PATCH /jobs/:id", function () {
                 salary: 100000,
                 equity: "0.1",
                 companyHandle: "c1",
+                status: "open",
+                postedAt: expect.any(String),
+                expiresAt: null,
             },
         });
     });
 
+    /**
+     * Test case for a recruiter updating their company's job.
+     * Expects the job's title to be updated.
+     */
+    test("works for company member", async function () {
+        const resp = await request(app)
+            .patch(`/jobs/1`)
+            .send({
+                title: "J1-new",
+            })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job.title).toEqual("J1-new");
+    });
+
+    /**
+     * Test case for a recruiter updating another company's job.
+     * Expects a 401 status code.
+     */
+    test("unauth for member of another company", async function () {
+        const resp = await request(app)
+            .patch(`/jobs/2`)
+            .send({
+                title: "J2-new",
+            })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
     /**
      * Test case for updating a job by a non-admin user.
      * Expects a 401 status code indicating unauthorized access.
@@ -554,6 +887,9 @@ describe("PATCH /jobs/:id", function () {
                 salary: 150000,
                 equity: "0.1",
                 companyHandle: "c1",
+                status: "open",
+                postedAt: expect.any(String),
+                expiresAt: null,
             },
         });
     });
@@ -576,6 +912,9 @@ describe("PATCH /jobs/:id", function () {
                 salary: 100000,
                 equity: "0.2",
                 companyHandle: "c1",
+                status: "open",
+                postedAt: expect.any(String),
+                expiresAt: null,
             },
         });
     });
@@ -593,6 +932,19 @@ describe("PATCH /jobs/:id", function () {
             .set("authorization", `Bearer ${a1Token}`);
         expect(resp.statusCode).toEqual(400);
     });
+
+    /**
+     * Test case for updating a job with an invalid ID format.
+     * Expects a 400 status code indicating a bad request.
+     */
+    test("bad request for invalid job ID", async function () {
+        const resp = await request(app)
+            .patch(`/jobs/abc`)
+            .send({ title: "J-new" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.fields).toHaveProperty("id");
+    });
 });
 
 /**
@@ -610,7 +962,40 @@ describe("DELETE /jobs/:id", function () {
         const resp = await request(app)
             .delete(`/jobs/1`)
             .set("authorization", `Bearer ${a1Token}`);
-        expect(resp.body).toEqual({ deleted: "1" });
+        expect(resp.body).toEqual({ deleted: 1 });
+    });
+
+    /**
+     * Test case for a recruiter deleting their company's job.
+     * Expects a response indicating the job was deleted.
+     */
+    test("works for company member", async function () {
+        const resp = await request(app)
+            .delete(`/jobs/1`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.body).toEqual({ deleted: 1 });
+    });
+
+    /**
+     * Test case for a recruiter deleting another company's job.
+     * Expects a 401 status code.
+     */
+    test("unauth for member of another company", async function () {
+        const resp = await request(app)
+            .delete(`/jobs/2`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    /**
+     * Test case for a recruiter deleting a job that doesn't exist.
+     * Expects a 404 status code.
+     */
+    test("not found for company member", async function () {
+        const resp = await request(app)
+            .delete(`/jobs/99999`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(404);
     });
 
     /**
@@ -659,3 +1044,264 @@ describe("DELETE /jobs/:id", function () {
         expect(resp.statusCode).toEqual(404);
     });
 });
+
+/**
+ * Test suite for soft-deleted jobs.
+ * Deleted jobs are hidden unless an admin asks for them, and admins can restore them.
+ */
+describe("deleted jobs", function () {
+    /**
+     * Test that a deleted job is hidden by default.
+     */
+    test("hidden after delete", async function () {
+        await request(app)
+            .delete(`/jobs/1`)
+            .set("authorization", `Bearer ${a1Token}`);
+
+        const resp = await request(app).get(`/jobs/1`);
+        expect(resp.statusCode).toEqual(404);
+
+        const listResp = await request(app).get(`/jobs`);
+        expect(listResp.body.jobs.map(j => j.id)).not.toContain(1);
+    });
+
+    /**
+     * Test that admins can see deleted jobs with includeDeleted.
+     */
+    test("shown to admins with includeDeleted", async function () {
+        await request(app)
+            .delete(`/jobs/1`)
+            .set("authorization", `Bearer ${a1Token}`);
+
+        const resp = await request(app)
+            .get(`/jobs/1?includeDeleted=true`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.body.job.id).toEqual(1);
+        expect(resp.body.job.deletedAt).toEqual(expect.any(String));
+    });
+
+    /**
+     * Test that non-admins can't ask for deleted jobs.
+     */
+    test("unauth for non-admin with includeDeleted", async function () {
+        const resp = await request(app)
+            .get(`/jobs?includeDeleted=true`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    /**
+     * Test that an admin can restore a deleted job.
+     */
+    test("restore works for admin", async function () {
+        await request(app)
+            .delete(`/jobs/1`)
+            .set("authorization", `Bearer ${a1Token}`);
+
+        const resp = await request(app)
+            .post(`/jobs/1/restore`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.body.job.id).toEqual(1);
+
+        const getResp = await request(app).get(`/jobs/1`);
+        expect(getResp.statusCode).toEqual(200);
+    });
+
+    /**
+     * Test that restoring a job that isn't deleted is not found.
+     */
+    test("restore not found if not deleted", async function () {
+        const resp = await request(app)
+            .post(`/jobs/1/restore`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+
+    /**
+     * Test that recruiters can't restore their company's jobs.
+     */
+    test("restore unauth for company member", async function () {
+        const resp = await request(app)
+            .post(`/jobs/1/restore`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+});
+
+/**
+ * Test suite for the job lifecycle: listing only open jobs, and the admin
+ * routes that publish, close and reopen them.
+ */
+describe("job lifecycle", function () {
+    /**
+     * Test that closed and expired jobs are only listed for admins who ask.
+     */
+    test("lists only open jobs unless an admin asks for the rest", async function () {
+        await db.query("UPDATE jobs SET status = 'closed' WHERE id = 1");
+        await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 2");
+
+        const resp = await request(app).get(`/jobs`);
+        expect(resp.body.jobs.map(j => j.id)).not.toContain(1);
+        expect(resp.body.jobs.map(j => j.id)).not.toContain(2);
+        expect(resp.body.pagination.total).toEqual(5);
+
+        const adminResp = await request(app)
+            .get(`/jobs?includeClosed=true&sortBy=postedAt`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(adminResp.body.pagination.total).toEqual(7);
+        expect(adminResp.body.jobs.find(j => j.id === 1)).toEqual(expect.objectContaining({
+            status: "closed",
+            postedAt: expect.any(String),
+            expiresAt: null,
+        }));
+
+        const companyResp = await request(app).get(`/companies/c1`);
+        expect(companyResp.body.company.jobs.map(j => j.id)).not.toContain(1);
+    });
+
+    /**
+     * Test that non-admins can't ask for jobs that aren't open.
+     */
+    test("unauth for non-admin with includeClosed", async function () {
+        const resp = await request(app)
+            .get(`/jobs?includeClosed=true`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    /**
+     * Test that a draft posted by an admin is listed once published.
+     */
+    test("publish works for admin", async function () {
+        const createResp = await request(app)
+            .post("/jobs")
+            .send({ title: "Draft", companyHandle: "c1", status: "draft" })
+            .set("authorization", `Bearer ${a1Token}`);
+        const { id, status, postedAt } = createResp.body.job;
+        expect([status, postedAt]).toEqual(["draft", null]);
+
+        const expiresAt = new Date(Date.now() + 86400000).toISOString();
+        const resp = await request(app)
+            .post(`/jobs/${id}/publish`)
+            .send({ expiresAt })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job).toEqual(expect.objectContaining({
+            id,
+            status: "open",
+            postedAt: expect.any(String),
+            expiresAt: expect.any(String),
+        }));
+
+        const listResp = await request(app).get(`/jobs?titleLike=Draft`);
+        expect(listResp.body.jobs.map(j => j.id)).toEqual([id]);
+    });
+
+    /**
+     * Test that an admin can close a job and reopen it.
+     */
+    test("close and reopen work for admin", async function () {
+        let resp = await request(app)
+            .post(`/jobs/1/close`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.body.job.status).toEqual("closed");
+
+        resp = await request(app)
+            .post(`/jobs/1/reopen`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.body.job.status).toEqual("open");
+    });
+
+    /**
+     * Test that a change the job's status doesn't allow is a bad request.
+     */
+    test("bad request if the status doesn't allow it", async function () {
+        const resp = await request(app)
+            .post(`/jobs/1/reopen`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.message).toEqual("Cannot reopen a job that is open");
+    });
+
+    /**
+     * Test that an expiry date that isn't a date, or has passed, is rejected.
+     */
+    test("bad request with invalid expiresAt", async function () {
+        await request(app)
+            .post(`/jobs/1/close`)
+            .set("authorization", `Bearer ${a1Token}`);
+        let resp = await request(app)
+            .post(`/jobs/1/reopen`)
+            .send({ expiresAt: "soon" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.fields).toEqual({ expiresAt: [expect.any(String)] });
+
+        resp = await request(app)
+            .post(`/jobs/1/reopen`)
+            .send({ expiresAt: "2000-01-01T00:00:00Z" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    /**
+     * Test that a recruiter can draft a job for their company, see it and publish it.
+     */
+    test("publish works for company member", async function () {
+        const createResp = await request(app)
+            .post("/jobs")
+            .send({ title: "Draft", companyHandle: "c1", status: "draft" })
+            .set("authorization", `Bearer ${u3Token}`);
+        const { id } = createResp.body.job;
+
+        const getResp = await request(app)
+            .get(`/jobs/${id}`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(getResp.body.job.status).toEqual("draft");
+
+        const resp = await request(app)
+            .post(`/jobs/${id}/publish`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job.status).toEqual("open");
+    });
+
+    /**
+     * Test that recruiters can close and reopen their company's jobs.
+     */
+    test("close and reopen work for company member", async function () {
+        let resp = await request(app)
+            .post(`/jobs/1/close`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.body.job.status).toEqual("closed");
+
+        resp = await request(app)
+            .post(`/jobs/1/reopen`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.body.job.status).toEqual("open");
+    });
+
+    /**
+     * Test that recruiters can't change other companies' jobs, nor can other users.
+     */
+    test("unauth for member of another company or non-admin", async function () {
+        let resp = await request(app)
+            .post(`/jobs/2/close`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(401);
+        resp = await request(app)
+            .post(`/jobs/1/close`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    /**
+     * Test that a job that doesn't exist is not found.
+     */
+    test("not found for no such job", async function () {
+        const resp = await request(app)
+            .post(`/jobs/0/close`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
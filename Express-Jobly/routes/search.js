@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Express router for searching companies and jobs together.
+ * Matches are ranked and their matching words marked, for a single search
+ * box that covers the whole site.
+ *
+ * @module search
+ * @requires express
+ * @requires ../middleware/validate
+ * @requires ../models/search
+ * @requires ../schemas/searchQuery.json
+ */
+
+"use strict";
+
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const Search = require("../models/search");
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+/** Express router for search */
+const router = new express.Router();
+
+/**
+ * Searches company names and descriptions and job titles. Words match by
+ * their stems, e.g. "robots" finds "Robotics".
+ *
+ * @route GET /
+ * @param {Object} req.query - The query parameters.
+ * @param {string} req.query.q - The words to search for. Quoted phrases, OR and -word are supported.
+ * @param {number} [req.query.limit] - The most companies, and the most jobs, to return (default 10, max 50).
+ * @returns {Object} 200 - The best matches first.
+ * @returns {Object[]} 200.companies - `{ handle, name, logoUrl, rank, highlights: { name, description } }`
+ * @returns {Object[]} 200.jobs - `{ id, title, salary, equity, companyHandle, companyName, rank, highlights: { title } }`
+ * Each highlight is a list of `{ text, match }` segments, where `match` marks the matching words.
+ * @throws {BadRequestError} 400 - If the query is missing or invalid.
+ * @access Public
+ */
+router.get("/", validate({ query: searchQuerySchema }), async function (req, res, next) {
+  try {
+    const { q, limit } = req.query;
+    const results = await Search.find(q, { limit });
+    return res.json(results);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
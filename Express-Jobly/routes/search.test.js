@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Test suite for the search endpoint.
+ * This module verifies that companies and jobs are found together, and that
+ * searches without words are rejected.
+ *
+ * @module searchTest
+ * @requires supertest
+ * @requires ../app
+ * @requires ./_testCommon
+ */
+
+"use strict";
+
+const request = require("supertest");
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  getTestJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  /** Anyone can search, and companies and jobs come back together. */
+  test("works for anon", async function () {
+    const resp = await request(app).get("/search").query({ q: "desc2 OR j1" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      companies: [
+        {
+          handle: "c2",
+          name: "C2",
+          logoUrl: "http://c2.img",
+          rank: expect.any(Number),
+          highlights: {
+            name: [{ text: "C2", match: false }],
+            description: [{ text: "Desc2", match: true }],
+          },
+        },
+      ],
+      jobs: [
+        {
+          id: getTestJobIds()[0],
+          title: "j1",
+          salary: 100000,
+          equity: "0.1",
+          companyHandle: "c1",
+          companyName: "C1",
+          rank: expect.any(Number),
+          highlights: { title: [{ text: "j1", match: true }] },
+        },
+      ],
+    });
+  });
+
+  /** The limit applies to companies and jobs separately. */
+  test("works: limit", async function () {
+    const resp = await request(app).get("/search").query({ q: "c1 OR c2 OR j1 OR j2", limit: "1" });
+    expect(resp.body.companies).toHaveLength(1);
+    expect(resp.body.jobs).toHaveLength(1);
+  });
+
+  /** A search needs words to search for. */
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toEqual({ q: ["is required"] });
+  });
+
+  /** The limit must be within range. */
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app).get("/search").query({ q: "c1", limit: "500" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toEqual({ limit: [expect.any(String)] });
+  });
+});
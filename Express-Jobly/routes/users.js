@@ -1,39 +1,50 @@
 /**
  * @fileoverview Express router for handling user-related operations.
  * This module provides endpoints for creating, reading, updating, and deleting user information.
- * It also includes functionality for user authentication and job applications.
+ * It also includes functionality for user authentication, job applications and saved jobs.
  * 
  * @module users
  * @requires express
- * @requires jsonschema
  * @requires ../middleware/auth
+ * @requires ../middleware/validate
  * @requires ../expressError
  * @requires ../models/user
+ * @requires ../models/savedJob
+ * @requires ../models/audited
+ * @requires ../models/authToken
  * @requires ../helpers/tokens
+ * @requires ../helpers/loginThrottle
+ * @requires ../helpers/export
  * @requires ../schemas/userNew.json
  * @requires ../schemas/userApplication.json
+ * @requires ../schemas/applicationStatusUpdate.json
+ * @requires ../schemas/userApplicationsFilter.json
  * @requires ../schemas/userUpdate.json
  */
 
 "use strict";
 
-const jsonschema = require("jsonschema");
-
 const express = require("express");
 const {
   ensureLoggedIn,
   ensureCorrectUserOrAdmin,
-  onlyAdmin
+  onlyAdmin,
+  ensureAdminForDeleted
 } = require("../middleware/auth");
-const {
-  BadRequestError,
-  ExpressError
-} = require("../expressError");
+const { validate } = require("../middleware/validate");
+const { ExpressError } = require("../expressError");
 const User = require("../models/user");
 const JobApplication = require("../models/jobApplication");
+const SavedJob = require("../models/savedJob");
+const audited = require("../models/audited");
+const AuthToken = require("../models/authToken");
 const { createToken } = require("../helpers/tokens");
+const { clearLoginFailures } = require("../helpers/loginThrottle");
+const { getExportFormat, exportQuerySchema, sendExport } = require("../helpers/export");
 const userNewSchema = require("../schemas/userNew.json");
 const userApplication = require("../schemas/userApplication.json");
+const applicationStatusUpdateSchema = require("../schemas/applicationStatusUpdate.json");
+const userApplicationsFilterSchema = require("../schemas/userApplicationsFilter.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
 
 /** Express router for users */
@@ -67,15 +78,9 @@ router.use(ensureLoggedIn);
  * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
  * @access Private - Requires login and admin privileges.
  */
-router.post("/", onlyAdmin, async function (req, res, next) {
+router.post("/", onlyAdmin, validate({ body: userNewSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const user = await User.register(req.body);
+    const user = await audited.registerUser(res.locals.user.username, req.body);
     const token = createToken(user);
     return res.status(201).json({ user, token });
   } catch (err) {
@@ -84,7 +89,8 @@ router.post("/", onlyAdmin, async function (req, res, next) {
 });
 
 /**
- * Adds a job application for a user.
+ * Adds a job application for a user. Applying again after withdrawing
+ * re-opens the withdrawn application.
  * 
  * @route POST /:username/jobs/:jobId
  * @param {Object} req.params - URL parameters.
@@ -93,16 +99,12 @@ router.post("/", onlyAdmin, async function (req, res, next) {
  * @returns {Object} 201 - Confirmation of job application.
  * @returns {string} 201.applied - The ID of the job applied for.
  * @throws {BadRequestError} 400 - If the request body is invalid.
+ * @throws {ForbiddenError} 403 - If the user must verify their email address first.
  * @throws {ExpressError} 500 - If an unexpected error occurs.
  * @access Private - Requires login.
  */
-router.post("/:username/jobs/:jobId", ensureLoggedIn, async function (req, res, next) {
+router.post("/:username/jobs/:jobId", ensureLoggedIn, validate({ params: userApplication }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.params, userApplication);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
     const { username, jobId } = req.params;
     const applicationStatus = await JobApplication.apply(username, jobId);
     //Handle unknown response
@@ -116,10 +118,231 @@ router.post("/:username/jobs/:jobId", ensureLoggedIn, async function (req, res,
   }
 });
 
+/**
+ * Lists a user's job applications with the job and company applied to.
+ * 
+ * @route GET /:username/applications
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The username of the applicant.
+ * @param {Object} req.query - Filter and sort options.
+ * @param {string} [req.query.status] - Only applications currently in this status.
+ * @param {string} [req.query.companyHandle] - Only applications to this company's jobs.
+ * @param {string} [req.query.titleLike] - Partial job title match (case-insensitive).
+ * @param {string} [req.query.sortBy] - appliedAt (default), title, companyName, salary or status.
+ * @param {string} [req.query.direction] - asc or desc. Newest first by default.
+ * @returns {Object} 200 - The user's applications.
+ * @returns {Object[]} 200.applications - Applications as
+ * `{ jobId, status, appliedAt, title, salary, equity, company: { handle, name, logoUrl } }`.
+ * @throws {BadRequestError} 400 - If the query parameters are invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not authorized.
+ * @throws {NotFoundError} 404 - If the user is not found.
+ * @access Private - Requires login and correct user or admin privileges.
+ */
+router.get("/:username/applications", ensureCorrectUserOrAdmin, validate({ query: userApplicationsFilterSchema }), async function (req, res, next) {
+  try {
+    const { status, companyHandle, titleLike, sortBy, direction } = req.query;
+    const applications = await JobApplication.findAllForUser(req.params.username,
+      { status, companyHandle, titleLike, sortBy, direction });
+    return res.json({ applications });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Exports a user's job applications as a file download, with the same
+ * filters and sorting as GET /:username/applications.
+ * 
+ * @route GET /:username/applications/export
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The username of the applicant.
+ * @param {string} [req.query.format] - "csv" (the default) or "jsonl".
+ * @param {Object} req.query - The filters and sort accepted by GET /:username/applications.
+ * @returns {string} 200 - applications.csv or applications.jsonl, with one row per
+ * application: jobId, status, appliedAt, title, salary, equity, companyHandle,
+ * companyName and companyLogoUrl.
+ * @throws {BadRequestError} 400 - If the format or a filter is invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not authorized.
+ * @throws {NotFoundError} 404 - If the user is not found.
+ * @access Private - Requires login and correct user or admin privileges.
+ */
+router.get("/:username/applications/export", ensureCorrectUserOrAdmin, validate({ query: exportQuerySchema(userApplicationsFilterSchema) }), async function (req, res, next) {
+  try {
+    const { status, companyHandle, titleLike, sortBy, direction } = req.query;
+    await sendExport(res, {
+      format: getExportFormat(req.query),
+      filename: `${req.params.username}-applications`,
+      stream: onBatch => JobApplication.exportForUser(req.params.username,
+        { status, companyHandle, titleLike, sortBy, direction }, onBatch),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Retrieves a user's application for a job, including its status history.
+ * 
+ * @route GET /:username/jobs/:jobId
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The username of the applicant.
+ * @param {string} req.params.jobId - The ID of the job applied for.
+ * @returns {Object} 200 - The job application.
+ * @returns {Object} 200.application - The application details.
+ * @returns {string} 200.application.username - The applicant's username.
+ * @returns {number} 200.application.jobId - The ID of the job applied for.
+ * @returns {string} 200.application.status - The current status.
+ * @returns {string} 200.application.appliedAt - When the application was made.
+ * @returns {Object[]} 200.application.history - Status transitions, oldest first.
+ * @throws {BadRequestError} 400 - If the URL parameters are invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not authorized.
+ * @throws {NotFoundError} 404 - If the application is not found.
+ * @access Private - Requires login and correct user or admin privileges.
+ */
+router.get("/:username/jobs/:jobId", ensureCorrectUserOrAdmin, validate({ params: userApplication }), async function (req, res, next) {
+  try {
+    const { username, jobId } = req.params;
+    const application = await JobApplication.get(username, jobId);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Moves a user's application for a job to a new status.
+ * 
+ * Allowed transitions are applied → screening → interviewing → offered → hired,
+ * and any non-final status → rejected or withdrawn.
+ * 
+ * @route PATCH /:username/jobs/:jobId
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The username of the applicant.
+ * @param {string} req.params.jobId - The ID of the job applied for.
+ * @param {Object} req.body - The status update.
+ * @param {string} req.body.status - The new status.
+ * @returns {Object} 200 - The updated job application, with its status history.
+ * @throws {BadRequestError} 400 - If the input is invalid or the transition is not allowed.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @throws {NotFoundError} 404 - If the application is not found.
+ * @access Private - Requires login and admin privileges.
+ */
+router.patch("/:username/jobs/:jobId", onlyAdmin, validate({ params: userApplication, body: applicationStatusUpdateSchema }), async function (req, res, next) {
+  try {
+    const { username, jobId } = req.params;
+    const application = await JobApplication.updateStatus(
+      username, jobId, req.body.status, res.locals.user.username);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Withdraws a user's application for a job.
+ * 
+ * The application is moved to "withdrawn" and kept, along with its status
+ * history. Applications that are already hired, rejected or withdrawn can't
+ * be withdrawn. The user can apply again later to re-open it.
+ * 
+ * @route DELETE /:username/jobs/:jobId
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The username of the applicant.
+ * @param {string} req.params.jobId - The ID of the job to withdraw from.
+ * @returns {Object} 200 - Confirmation of withdrawal.
+ * @returns {number} 200.withdrawn - The ID of the job withdrawn from.
+ * @throws {BadRequestError} 400 - If the URL parameters are invalid, or the
+ * application's status is final.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not authorized.
+ * @throws {NotFoundError} 404 - If the application is not found.
+ * @access Private - Requires login and correct user or admin privileges.
+ */
+router.delete("/:username/jobs/:jobId", ensureCorrectUserOrAdmin, validate({ params: userApplication }), async function (req, res, next) {
+  try {
+    const { username, jobId } = req.params;
+    await JobApplication.updateStatus(username, jobId, "withdrawn", res.locals.user.username);
+    return res.json({ withdrawn: +jobId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Lists the jobs a user has saved, most recently saved first.
+ * 
+ * @route GET /:username/saved-jobs
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The user who saved the jobs.
+ * @returns {Object} 200 - The user's saved jobs.
+ * @returns {Object[]} 200.savedJobs - Saved jobs as `{ jobId, savedAt, title, salary,
+ * equity, status, expiresAt, isOpen, company: { handle, name, logoUrl } }`, where
+ * isOpen is whether the job still accepts applications.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not authorized.
+ * @throws {NotFoundError} 404 - If the user is not found.
+ * @access Private - Requires login and correct user or admin privileges.
+ */
+router.get("/:username/saved-jobs", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const savedJobs = await SavedJob.findAllForUser(req.params.username);
+    return res.json({ savedJobs });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Saves a job for a user to look at later. Saving a job again does nothing.
+ * 
+ * @route POST /:username/saved-jobs/:jobId
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The user saving the job.
+ * @param {string} req.params.jobId - The ID of the job to save.
+ * @returns {Object} 201 - Confirmation of the save.
+ * @returns {number} 201.saved - The ID of the job saved.
+ * @throws {BadRequestError} 400 - If the URL parameters are invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not authorized.
+ * @throws {NotFoundError} 404 - If the user or job is not found.
+ * @access Private - Requires login and correct user or admin privileges.
+ */
+router.post("/:username/saved-jobs/:jobId", ensureCorrectUserOrAdmin, validate({ params: userApplication }), async function (req, res, next) {
+  try {
+    const { username, jobId } = req.params;
+    const { jobId: saved } = await SavedJob.save(username, jobId);
+    return res.status(201).json({ saved });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Removes a job from a user's saved jobs.
+ * 
+ * @route DELETE /:username/saved-jobs/:jobId
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The user who saved the job.
+ * @param {string} req.params.jobId - The ID of the job to remove.
+ * @returns {Object} 200 - Confirmation of the removal.
+ * @returns {number} 200.unsaved - The ID of the job removed.
+ * @throws {BadRequestError} 400 - If the URL parameters are invalid.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not authorized.
+ * @throws {NotFoundError} 404 - If the user hasn't saved the job.
+ * @access Private - Requires login and correct user or admin privileges.
+ */
+router.delete("/:username/saved-jobs/:jobId", ensureCorrectUserOrAdmin, validate({ params: userApplication }), async function (req, res, next) {
+  try {
+    const { username, jobId } = req.params;
+    await SavedJob.remove(username, jobId);
+    return res.json({ unsaved: +jobId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /**
  * Retrieves a list of all users.
  * 
  * @route GET /
+ * @param {boolean} [req.query.includeDeleted] - Also list soft-deleted users, each with a `deletedAt`.
  * @returns {Object} 200 - An array of user objects.
  * @returns {Object[]} 200.users - The list of users.
  * @returns {string} 200.users[].username - The user's username.
@@ -129,21 +352,66 @@ router.post("/:username/jobs/:jobId", ensureLoggedIn, async function (req, res,
  * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
  * @access Private - Requires login and admin privileges.
  */
-router.get("/", onlyAdmin, async function (req, res, next) {
+router.get("/", onlyAdmin, ensureAdminForDeleted, async function (req, res, next) {
   try {
-    const users = await User.findAll();
+    const users = await User.findAll({ includeDeleted: res.locals.includeDeleted });
     return res.json({ users });
   } catch (err) {
     return next(err);
   }
 });
 
+/**
+ * Lists users with failed logins counted against them, locked accounts first.
+ *
+ * @route GET /lockouts
+ * @returns {Object} 200 - The list of lockouts.
+ * @returns {Object[]} 200.lockouts - The users with failed logins.
+ * @returns {string} 200.lockouts[].username - The user's username.
+ * @returns {number} 200.lockouts[].failedLoginAttempts - Wrong passwords in a row.
+ * @returns {string|null} 200.lockouts[].lockedUntil - When the last lock ends or ended.
+ * @returns {boolean} 200.lockouts[].locked - Whether the account is locked now.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.get("/lockouts", onlyAdmin, async function (req, res, next) {
+  try {
+    const lockouts = await User.findLockouts();
+    return res.json({ lockouts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Unlocks a user's account, resetting their failed login count and login backoff.
+ *
+ * @route DELETE /:username/lockout
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The username of the user to unlock.
+ * @returns {Object} 200 - `{ unlocked: username }`
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @throws {NotFoundError} 404 - If the user is not found.
+ * @access Private - Requires login and admin privileges.
+ */
+router.delete("/:username/lockout", onlyAdmin, async function (req, res, next) {
+  try {
+    await User.clearLockout(req.params.username);
+    await clearLoginFailures(req.params.username);
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /**
  * Retrieves details of a specific user.
  *
  * @route GET /:username
  * @param {Object} req.params - URL parameters.
  * @param {string} req.params.username - The username of the user to retrieve.
+ * @param {boolean} [req.query.includeDeleted] - Admins only: find the user even if
+ * soft-deleted. The user then also has a `deletedAt`.
  * @returns {Object} 200 - User details.
  * @returns {Object} 200.user - The user object.
  * @returns {string} 200.user.username - The user's username.
@@ -152,13 +420,15 @@ router.get("/", onlyAdmin, async function (req, res, next) {
  * @returns {string} 200.user.lastName - The user's last name.
  * @returns {boolean} 200.user.isAdmin - Whether the user is an admin.
  * @returns {Number[]} 200.user.jobs - List of job IDs the user has applied to.
+ * @returns {Object[]} 200.user.applications - Each application's jobId and current status.
  * @throws {UnauthorizedError} 401 - If the user is not logged in or not authorized.
  * @throws {NotFoundError} 404 - If the user is not found.
  * @access Private - Requires login and correct user or admin privileges.
  */
-router.get("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.get("/:username", ensureCorrectUserOrAdmin, ensureAdminForDeleted, async function (req, res, next) {
   try {
-    const user = await User.get(req.params.username);
+    const user = await User.get(req.params.username,
+      { includeDeleted: res.locals.includeDeleted });
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -187,15 +457,9 @@ router.get("/:username", ensureCorrectUserOrAdmin, async function (req, res, nex
  * @throws {NotFoundError} 404 - If the user is not found.
  * @access Private - Requires login and correct user or admin privileges.
  */
-router.patch("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.patch("/:username", ensureCorrectUserOrAdmin, validate({ body: userUpdateSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const user = await User.update(req.params.username, req.body);
+    const user = await audited.updateUser(res.locals.user.username, req.params.username, req.body);
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -207,6 +471,8 @@ router.patch("/:username", ensureCorrectUserOrAdmin, async function (req, res, n
  * 
  * This endpoint allows the deletion of a user account. It can be accessed by the user themselves
  * or by an admin. After successful deletion, it returns a confirmation message with the deleted username.
+ * The account is soft-deleted: it can no longer log in or refresh its tokens, and an admin
+ * can restore it until it is purged.
  *
  * @route DELETE /:username
  * @param {Object} req - Express request object.
@@ -221,11 +487,32 @@ router.patch("/:username", ensureCorrectUserOrAdmin, async function (req, res, n
  */
 router.delete("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
   try {
-    await User.remove(req.params.username);
+    await audited.removeUser(res.locals.user.username, req.params.username);
+    await AuthToken.revokeAllForUser(req.params.username);
     return res.json({ deleted: req.params.username });
   } catch (err) {
     return next(err);
   }
 });
 
+/**
+ * Restores a soft-deleted user, who can then log in again.
+ *
+ * @route POST /:username/restore
+ * @param {Object} req.params - URL parameters.
+ * @param {string} req.params.username - The username of the user to restore.
+ * @returns {Object} 200 - `{ user: { username, firstName, lastName, email, isAdmin } }`
+ * @throws {NotFoundError} 404 - If there is no deleted user with that username.
+ * @throws {UnauthorizedError} 401 - If the user is not logged in or not an admin.
+ * @access Private - Requires login and admin privileges.
+ */
+router.post("/:username/restore", onlyAdmin, async function (req, res, next) {
+  try {
+    const user = await audited.restoreUser(res.locals.user.username, req.params.username);
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
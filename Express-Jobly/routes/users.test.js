@@ -6,7 +6,9 @@
  * @module usersTest
  * @requires supertest
  * @requires ../app
+ * @requires ../db
  * @requires ../models/user
+ * @requires ../models/savedJob
  * @requires ./_testCommon
  */
 
@@ -14,7 +16,11 @@
 
 const request = require("supertest");
 const app = require("../app");
+const db = require("../db");
 const User = require("../models/user");
+const JobApplication = require("../models/jobApplication");
+const SavedJob = require("../models/savedJob");
+const { LOGIN_MAX_FAILURES } = require("../config");
 
 const {
   commonBeforeAll,
@@ -23,7 +29,8 @@ const {
   commonAfterAll,
   u1Token,
   a1Token,
-  testJobIds
+  testJobIds,
+  getTestJobIds
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -307,6 +314,86 @@ describe("GET /users", function () {
   });
 });
 
+/**
+ * Test suite for GET /users/lockouts
+ */
+describe("GET /users/lockouts", function () {
+  /**
+   * Test that admin can list locked accounts
+   */
+  test("works for admin", async function () {
+    await db.query(
+      `UPDATE users
+      SET failed_login_attempts = $1, locked_until = NOW() + INTERVAL '10 minutes'
+      WHERE username = 'u2'`,
+      [LOGIN_MAX_FAILURES]);
+    const resp = await request(app)
+      .get("/users/lockouts")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({
+      lockouts: [
+        {
+          username: "u2",
+          failedLoginAttempts: LOGIN_MAX_FAILURES,
+          lockedUntil: expect.any(String),
+          locked: true,
+        },
+      ],
+    });
+  });
+
+  /**
+   * Test that non-admin cannot list locked accounts
+   */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/users/lockouts")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/**
+ * Test suite for DELETE /users/:username/lockout
+ */
+describe("DELETE /users/:username/lockout", function () {
+  /**
+   * Test that admin can unlock an account
+   */
+  test("works for admin", async function () {
+    await db.query(
+      `UPDATE users
+      SET failed_login_attempts = $1, locked_until = NOW() + INTERVAL '10 minutes'
+      WHERE username = 'u2'`,
+      [LOGIN_MAX_FAILURES]);
+    const resp = await request(app)
+      .delete("/users/u2/lockout")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ unlocked: "u2" });
+    expect(await User.findLockouts()).toEqual([]);
+  });
+
+  /**
+   * Test that a user cannot unlock themselves
+   */
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .delete("/users/u1/lockout")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test unlocking a user that doesn't exist
+   */
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+      .delete("/users/nope/lockout")
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /**
  * Test suite for GET /users/:username
  */
@@ -326,7 +413,9 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        emailVerified: true,
         jobs: expect.any(Array),
+        applications: expect.any(Array),
       },
     });
   });
@@ -374,7 +463,9 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        emailVerified: true,
         jobs: expect.any(Array),
+        applications: expect.any(Array),
       },
     });
   });
@@ -528,6 +619,19 @@ describe("DELETE /users/:username", function () {
       .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({ deleted: "u1" });
   });
+
+  /**
+   * Test that a deleted user's access token stops working straight away
+   */
+  test("access token stops working", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${a1Token}`);
+    const resp = await request(app)
+      .get(`/users/u1/saved-jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
   /**
    * Test that an authenticated user can delete their own account
    */
@@ -588,3 +692,665 @@ describe("DELETE /users/:username", function () {
   });
 
 });
+
+/**
+ * Test suite for soft-deleted users
+ */
+describe("deleted users", function () {
+  /**
+   * Test that a deleted user is hidden and can no longer log in
+   */
+  test("hidden and can't log in after delete", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+
+    const loginResp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test that admins can see deleted users with includeDeleted
+   */
+  test("shown to admins with includeDeleted", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .get(`/users/u1?includeDeleted=true`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.user.username).toEqual("u1");
+    expect(resp.body.user.deletedAt).toEqual(expect.any(String));
+
+    const listResp = await request(app)
+      .get(`/users?includeDeleted=true`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(listResp.body.users.map(u => u.username)).toContain("u1");
+  });
+
+  /**
+   * Test that users can't ask for deleted users
+   */
+  test("unauth for non-admin with includeDeleted", async function () {
+    const resp = await request(app)
+      .get(`/users/u1?includeDeleted=true`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test that an admin can restore a deleted user, who can then log in again
+   */
+  test("restore works for admin", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.user.username).toEqual("u1");
+
+    const loginResp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  /**
+   * Test that only admins can restore users
+   */
+  test("restore unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post(`/users/u2/restore`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/**
+ * Test suite for POST /users/:username/jobs/:jobId
+ */
+describe("POST /users/:username/jobs/:jobId", function () {
+  /**
+   * Test that a verified user can apply to a job
+   */
+  test("works for own user", async function () {
+    const jobId = getTestJobIds()[0];
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ applied: { applied: jobId } });
+  });
+
+  /**
+   * Test that a user who hasn't verified their email can't apply
+   */
+  test("forbidden if email not verified", async function () {
+    await db.query("UPDATE users SET email_verified = FALSE WHERE username = 'u1'");
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${getTestJobIds()[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  /**
+   * Test that a closed job can't be applied to, with a message saying why
+   */
+  test("bad request if job is closed", async function () {
+    const jobId = getTestJobIds()[0];
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1", [jobId]);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("This job is closed and no longer accepts applications.");
+  });
+
+  /**
+   * Test that a user can apply again after withdrawing
+   */
+  test("works after withdrawing", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    await JobApplication.updateStatus("u1", jobId, "withdrawn", "u1");
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect((await JobApplication.get("u1", jobId)).status).toEqual("applied");
+  });
+
+  /**
+   * Test that an application that isn't withdrawn can't be submitted twice
+   */
+  test("bad request if already applied", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/**
+ * Test suite for GET /users/:username/jobs/:jobId
+ */
+describe("GET /users/:username/jobs/:jobId", function () {
+  /**
+   * Test that a user can view their own application and its history
+   */
+  test("works for own user", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId,
+        status: "applied",
+        appliedAt: expect.any(String),
+        history: [
+          {
+            fromStatus: null,
+            toStatus: "applied",
+            changedBy: "u1",
+            changedAt: expect.any(String),
+          },
+        ],
+      },
+    });
+  });
+
+  /**
+   * Test that another non-admin user cannot view the application
+   */
+  test("unauth for other user", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u2", jobId);
+    const resp = await request(app)
+      .get(`/users/u2/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test not found when there is no application
+   */
+  test("not found if not applied", async function () {
+    const jobId = getTestJobIds()[0];
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/**
+ * Test suite for PATCH /users/:username/jobs/:jobId
+ */
+describe("PATCH /users/:username/jobs/:jobId", function () {
+  /**
+   * Test that an admin can move an application to the next status
+   */
+  test("works for admin", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${jobId}`)
+      .send({ status: "screening" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.status).toEqual("screening");
+    expect(resp.body.application.history.map(h => h.toStatus))
+      .toEqual(["applied", "screening"]);
+    expect(resp.body.application.history[1]).toEqual({
+      fromStatus: "applied",
+      toStatus: "screening",
+      changedBy: "a1",
+      changedAt: expect.any(String),
+    });
+  });
+
+  /**
+   * Test that a transition outside the pipeline is rejected
+   */
+  test("bad request for disallowed transition", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${jobId}`)
+      .send({ status: "hired" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Test that an unknown status is rejected
+   */
+  test("bad request for invalid status", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${jobId}`)
+      .send({ status: "ghosted" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Test that applicants cannot change their own application status
+   */
+  test("unauth for non-admin", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${jobId}`)
+      .send({ status: "hired" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test not found when there is no application
+   */
+  test("not found if not applied", async function () {
+    const jobId = getTestJobIds()[0];
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${jobId}`)
+      .send({ status: "screening" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/**
+ * Test suite for DELETE /users/:username/jobs/:jobId
+ */
+describe("DELETE /users/:username/jobs/:jobId", function () {
+  /**
+   * Test that a user can withdraw their own application
+   */
+  test("works for own user", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ withdrawn: jobId });
+
+    // The application and its history are kept
+    const application = await JobApplication.get("u1", jobId);
+    expect(application.status).toEqual("withdrawn");
+    expect(application.history.map(h => [h.fromStatus, h.toStatus, h.changedBy])).toEqual([
+      [null, "applied", "u1"],
+      ["applied", "withdrawn", "u1"],
+    ]);
+  });
+
+  /**
+   * Test that an admin can withdraw another user's application
+   */
+  test("works for admin", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ withdrawn: jobId });
+  });
+
+  /**
+   * Test that applications in a final status can't be withdrawn
+   */
+  test("bad request if already final", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    await JobApplication.updateStatus("u1", jobId, "rejected", "a1");
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    const application = await JobApplication.get("u1", jobId);
+    expect(application.status).toEqual("rejected");
+  });
+
+  /**
+   * Test that a user cannot withdraw another user's application
+   */
+  test("unauth for other user", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u2", jobId);
+    const resp = await request(app)
+      .delete(`/users/u2/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test that anonymous users cannot withdraw applications
+   */
+  test("unauth for anon", async function () {
+    const jobId = getTestJobIds()[0];
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${jobId}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test not found when there is no application
+   */
+  test("not found if not applied", async function () {
+    const jobId = getTestJobIds()[0];
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  /**
+   * Test bad request for an invalid job ID
+   */
+  test("bad request for invalid job ID", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/abc`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/**
+ * Test suite for GET /users/:username/applications
+ */
+describe("GET /users/:username/applications", function () {
+  /**
+   * Test that a user can list their own applications with job and company data
+   */
+  test("works for own user", async function () {
+    const jobId = getTestJobIds()[0];
+    await JobApplication.apply("u1", jobId);
+    const resp = await request(app)
+      .get(`/users/u1/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          jobId,
+          status: "applied",
+          appliedAt: expect.any(String),
+          title: "j1",
+          salary: 100000,
+          equity: "0.1",
+          company: { handle: "c1", name: "C1", logoUrl: "http://c1.img" },
+        },
+      ],
+    });
+  });
+
+  /**
+   * Test filtering and sorting through the query string
+   */
+  test("works: filter and sort", async function () {
+    const [jobId1, jobId2, jobId3] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u1", jobId2);
+    await JobApplication.apply("u1", jobId3);
+    const resp = await request(app)
+      .get(`/users/u1/applications`)
+      .query({ titleLike: "j", sortBy: "title", direction: "desc" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.applications.map(a => a.title)).toEqual(["j3", "j2", "j1"]);
+  });
+
+  /**
+   * Test that another user's applications cannot be listed
+   */
+  test("unauth for other user", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test bad request for an invalid filter
+   */
+  test("bad request for invalid filter", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/applications`)
+      .query({ status: "ghosted" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Test not found for an unknown user
+   */
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/applications`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/**
+ * Test suite for GET /users/:username/applications/export
+ */
+describe("GET /users/:username/applications/export", function () {
+  /**
+   * Test that a user can download their own applications as CSV
+   */
+  test("works for own user", async function () {
+    const [jobId1, jobId2] = getTestJobIds();
+    await JobApplication.apply("u1", jobId1);
+    await JobApplication.apply("u2", jobId2);
+    const resp = await request(app)
+      .get(`/users/u1/applications/export`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-disposition"])
+      .toEqual('attachment; filename="u1-applications.csv"');
+    const [header, ...rows] = resp.text.trim().split("\r\n");
+    expect(header).toEqual(
+      "jobId,status,appliedAt,title,salary,equity,companyHandle,companyName,companyLogoUrl");
+    expect(rows).toEqual([
+      expect.stringMatching(new RegExp(`^${jobId1},applied,[^,]+,j1,100000,0.1,c1,C1,http://c1.img$`)),
+    ]);
+  });
+
+  /**
+   * Test that another user's applications cannot be exported
+   */
+  test("unauth for other user", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/applications/export`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test bad request for an invalid format or filter
+   */
+  test("bad request for invalid query", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/applications/export`)
+      .query({ format: "pdf" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  /**
+   * Test not found for an unknown user
+   */
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/applications/export`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/**
+ * Test suite for POST /users/:username/saved-jobs/:jobId
+ */
+describe("POST /users/:username/saved-jobs/:jobId", function () {
+  /**
+   * Test that a user can save a job, and saving it again does nothing
+   */
+  test("works for own user", async function () {
+    const jobId = getTestJobIds()[0];
+    for (let i = 0; i < 2; i++) {
+      const resp = await request(app)
+        .post(`/users/u1/saved-jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(201);
+      expect(resp.body).toEqual({ saved: jobId });
+    }
+    expect(await SavedJob.findAllForUser("u1")).toHaveLength(1);
+  });
+
+  /**
+   * Test that a user cannot save jobs for another user
+   */
+  test("unauth for other user", async function () {
+    const resp = await request(app)
+      .post(`/users/u2/saved-jobs/${getTestJobIds()[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test not found for a job that doesn't exist
+   */
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-jobs/99999`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  /**
+   * Test bad request for an invalid job ID
+   */
+  test("bad request for invalid job ID", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-jobs/abc`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/**
+ * Test suite for GET /users/:username/saved-jobs
+ */
+describe("GET /users/:username/saved-jobs", function () {
+  /**
+   * Test that a user's saved jobs are listed with their companies
+   */
+  test("works for own user", async function () {
+    const jobId = getTestJobIds()[0];
+    await SavedJob.save("u1", jobId);
+    const resp = await request(app)
+      .get(`/users/u1/saved-jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      savedJobs: [{
+        jobId,
+        savedAt: expect.any(String),
+        title: "j1",
+        salary: 100000,
+        equity: "0.1",
+        status: "open",
+        expiresAt: null,
+        isOpen: true,
+        company: { handle: "c1", name: "C1", logoUrl: "http://c1.img" },
+      }],
+    });
+  });
+
+  /**
+   * Test that an admin can list another user's saved jobs
+   */
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/saved-jobs`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ savedJobs: [] });
+  });
+
+  /**
+   * Test that a user cannot list another user's saved jobs
+   */
+  test("unauth for other user", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/saved-jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test not found for a user that doesn't exist
+   */
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/saved-jobs`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/**
+ * Test suite for DELETE /users/:username/saved-jobs/:jobId
+ */
+describe("DELETE /users/:username/saved-jobs/:jobId", function () {
+  /**
+   * Test that a user can remove a saved job
+   */
+  test("works for own user", async function () {
+    const jobId = getTestJobIds()[0];
+    await SavedJob.save("u1", jobId);
+    const resp = await request(app)
+      .delete(`/users/u1/saved-jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ unsaved: jobId });
+    expect(typeof resp.body.unsaved).toEqual("number");
+    expect(await SavedJob.findAllForUser("u1")).toEqual([]);
+  });
+
+  /**
+   * Test that a user cannot remove another user's saved job
+   */
+  test("unauth for other user", async function () {
+    const jobId = getTestJobIds()[0];
+    await SavedJob.save("u2", jobId);
+    const resp = await request(app)
+      .delete(`/users/u2/saved-jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  /**
+   * Test not found when the job isn't saved
+   */
+  test("not found if not saved", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/saved-jobs/${getTestJobIds()[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview In-process scheduler for recurring background tasks.
+ *
+ * Tasks are registered with a name and a cron-style schedule, and run in
+ * whichever server process gets to them first: each run holds a Postgres
+ * advisory lock on the task's name, so when several instances share a
+ * database a task runs in only one of them at a time, and a scheduled run that
+ * another instance has already started is skipped. The outcome of every run is
+ * kept by the ScheduledTask model.
+ *
+ * The server starts the scheduler; it stays off in tests (see SCHEDULER_ENABLED),
+ * where tasks are run directly.
+ *
+ * @module scheduler
+ * @requires ./db
+ * @requires ./config
+ * @requires ./expressError
+ * @requires ./helpers/cron
+ * @requires ./models/scheduledTask
+ */
+
+"use strict";
+
+const db = require("./db");
+const { SCHEDULER_ENABLED } = require("./config");
+const { NotFoundError } = require("./expressError");
+const { parseCron, cronMatches, nextCronRun } = require("./helpers/cron");
+const ScheduledTask = require("./models/scheduledTask");
+
+/**
+ * First key of the advisory locks held while a task runs; the second is a hash
+ * of the task's name. Two-key locks never clash with the migration lock.
+ */
+const TASK_LOCK_KEY = 4201502;
+
+/** How often the scheduler checks for due tasks, in milliseconds. */
+const TICK_MS = 60 * 1000;
+
+/** The registered tasks, by name. */
+const tasks = new Map();
+
+/** The pending timer while the scheduler is running. */
+let timer = null;
+
+/** The start of the last minute the scheduler checked, in milliseconds. */
+let lastTick = 0;
+
+/**
+ * Registers a task to run on a schedule.
+ *
+ * @function registerTask
+ * @param {Object} task
+ * @param {string} task.name - A unique name, used in URLs, e.g. "purge-deleted".
+ * @param {string} task.schedule - When to run it, as a five-field cron schedule.
+ * @param {string} task.description - What the task does, for the admin listing.
+ * @param {function(): Promise<*>} task.run - Does the work. What it returns is kept
+ * as the run's result, so it should be small and serializable as JSON.
+ * @returns {void}
+ * @throws {Error} If a task with the name is already registered.
+ * @throws {BadRequestError} If the schedule is invalid.
+ */
+function registerTask({ name, schedule, description, run }) {
+  if (tasks.has(name))
+    throw new Error(`Task ${name} is already registered`);
+  tasks.set(name, { name, schedule, description, run, cron: parseCron(schedule) });
+}
+
+/**
+ * Lists the registered tasks with the outcome of each one's last run.
+ *
+ * @async
+ * @function listTasks
+ * @param {Date} [now=new Date()] - The time to work out the next runs from.
+ * @returns {Promise<Array<Object>>} `[{ name, description, schedule, nextRunAt,
+ * lastStatus, lastTrigger, lastStartedAt, lastFinishedAt, lastResult, lastError }, ...]`
+ * ordered by name. The last run's fields are null for a task that hasn't run.
+ * @throws {ExpressError} If there is a database error.
+ */
+async function listTasks(now = new Date()) {
+  const lastRuns = new Map((await ScheduledTask.findAll()).map(run => [run.name, run]));
+  return [...tasks.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(task => describeTask(task, lastRuns.get(task.name), now));
+}
+
+/**
+ * Lists a task's runs, most recent first.
+ *
+ * @async
+ * @function listRuns
+ * @param {string} name - The task whose runs to list.
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=20] - The most runs to return.
+ * @returns {Promise<Array<Object>>} `[{ id, status, trigger, startedAt, finishedAt,
+ * result, error }, ...]`
+ * @throws {NotFoundError} If no task has the name.
+ * @throws {ExpressError} If there is a database error.
+ */
+async function listRuns(name, options = {}) {
+  if (!tasks.has(name))
+    throw new NotFoundError(`No task: ${name}`);
+  return ScheduledTask.findRuns(name, options);
+}
+
+/**
+ * Combines a registered task with its last run.
+ *
+ * @param {Object} task - The registered task.
+ * @param {Object} [lastRun] - Its last run, from ScheduledTask.
+ * @param {Date} [now=new Date()] - The time to work out the next run from.
+ * @returns {Object} The task as listed by listTasks.
+ */
+function describeTask({ name, description, schedule, cron }, lastRun, now = new Date()) {
+  return {
+    name,
+    description,
+    schedule,
+    nextRunAt: nextCronRun(cron, now),
+    lastStatus: null,
+    lastTrigger: null,
+    lastStartedAt: null,
+    lastFinishedAt: null,
+    lastResult: null,
+    lastError: null,
+    ...lastRun,
+  };
+}
+
+/**
+ * Runs a task now, recording its outcome. A task that throws is recorded as
+ * failed rather than rejecting, so one failure doesn't affect other tasks.
+ *
+ * @async
+ * @function runTask
+ * @param {string} name - The task to run.
+ * @param {Object} [options={}]
+ * @param {string} [options.trigger="manual"] - "schedule" or "manual".
+ * @param {Date} [options.due] - For a scheduled run, the minute it fell due. The
+ * run is skipped if the task has started since then, such as in another instance.
+ * @returns {Promise<Object|null>} The task as listed by listTasks, or null if it
+ * was skipped because it is already running or already ran when due.
+ * @throws {NotFoundError} If no task has the name.
+ * @throws {ExpressError} If there is a database error recording the run.
+ */
+async function runTask(name, { trigger = "manual", due } = {}) {
+  const task = tasks.get(name);
+  if (!task)
+    throw new NotFoundError(`No task: ${name}`);
+
+  // The lock belongs to a session, so it is held on a client of its own.
+  const client = await db.connect();
+  try {
+    const locked = await client.query(
+      "SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked",
+      [TASK_LOCK_KEY, name]);
+    if (!locked.rows[0].locked)
+      return null;
+
+    try {
+      const started = await ScheduledTask.recordStart(name, trigger, due);
+      if (!started)
+        return null;
+
+      let outcome;
+      try {
+        outcome = { result: await task.run() };
+      } catch (error) {
+        outcome = { error };
+      }
+      return describeTask(task, await ScheduledTask.recordFinish(name, outcome));
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1, hashtext($2))",
+        [TASK_LOCK_KEY, name]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Runs the tasks due in the current minute, then waits for the next one.
+ * Runs are started without waiting for them, so a slow task doesn't hold up
+ * the others.
+ *
+ * @returns {void}
+ */
+function tick() {
+  const now = new Date();
+  const minute = now - now % TICK_MS;
+
+  // Timers can fire a little early, so never check the same minute twice.
+  if (minute > lastTick) {
+    lastTick = minute;
+    const due = new Date(minute);
+    for (const task of tasks.values()) {
+      if (!cronMatches(task.cron, now))
+        continue;
+      runTask(task.name, { trigger: "schedule", due })
+        .then(run => {
+          if (run?.lastStatus === "failed")
+            console.error(`Task ${task.name} failed: ${run.lastError}`);
+        })
+        .catch(err => console.error(`Task ${task.name} could not run:`, err));
+    }
+  }
+
+  scheduleTick();
+}
+
+/**
+ * Sets the timer for the start of the next minute.
+ *
+ * @returns {void}
+ */
+function scheduleTick() {
+  timer = setTimeout(tick, TICK_MS - Date.now() % TICK_MS);
+  // Don't keep a process alive just to run tasks.
+  timer.unref();
+}
+
+/**
+ * Starts running tasks on their schedules.
+ *
+ * @function startScheduler
+ * @param {Object} [options={}]
+ * @param {boolean} [options.enabled=SCHEDULER_ENABLED] - Whether to start at all.
+ * @returns {boolean} True if the scheduler is running.
+ */
+function startScheduler({ enabled = SCHEDULER_ENABLED } = {}) {
+  if (enabled && !timer)
+    scheduleTick();
+  return timer !== null;
+}
+
+/**
+ * Stops running tasks on their schedules. Runs already started carry on.
+ *
+ * @function stopScheduler
+ * @returns {void}
+ */
+function stopScheduler() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  registerTask,
+  listTasks,
+  listRuns,
+  runTask,
+  startScheduler,
+  stopScheduler,
+};
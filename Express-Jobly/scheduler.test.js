@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Test suite for the scheduler, which runs registered tasks on
+ * their schedules and records the outcome of every run.
+ *
+ * Runs take their lock on a client of their own, so these tests don't wrap
+ * each test in a transaction; they clear the run history instead.
+ *
+ * @module scheduler.test
+ * @requires ./db
+ * @requires ./scheduler
+ * @requires ./expressError
+ * @requires ./models/_testCommon
+ */
+
+"use strict";
+
+const db = require("./db");
+const {
+  registerTask,
+  listTasks,
+  listRuns,
+  runTask,
+  startScheduler,
+  stopScheduler
+} = require("./scheduler");
+const { NotFoundError, BadRequestError } = require("./expressError");
+const { commonBeforeAll, commonAfterAll } = require("./models/_testCommon");
+
+const okRun = jest.fn(async () => ({ done: 1 }));
+
+/** Holds the slow task's run open until the test lets it finish. */
+let finishSlowRun;
+let slowRunStarted;
+
+registerTask({ name: "ok", schedule: "0 3 * * *", description: "Succeeds.", run: okRun });
+registerTask({
+  name: "failing",
+  schedule: "0 4 * * *",
+  description: "Fails.",
+  run: async () => {
+    throw new Error("Out of coffee");
+  },
+});
+registerTask({
+  name: "slow",
+  schedule: "0 5 * * *",
+  description: "Finishes when told to.",
+  run: () => new Promise(resolve => {
+    finishSlowRun = resolve;
+    slowRunStarted();
+  }),
+});
+
+beforeAll(commonBeforeAll);
+afterEach(async function () {
+  okRun.mockClear();
+  await db.query("DELETE FROM scheduled_tasks");
+  await db.query("DELETE FROM scheduled_task_runs");
+});
+afterAll(commonAfterAll);
+
+/************************************** registerTask */
+
+describe("registerTask", function () {
+  /** Names must be unique. */
+  test("fails: duplicate name", function () {
+    expect(() => registerTask({ name: "ok", schedule: "* * * * *", run: okRun }))
+      .toThrow("Task ok is already registered");
+  });
+
+  /** Schedules are checked when registered. */
+  test("fails: bad schedule", function () {
+    expect(() => registerTask({ name: "bad", schedule: "every day", run: okRun }))
+      .toThrow(BadRequestError);
+  });
+});
+
+/************************************** listTasks */
+
+describe("listTasks", function () {
+  /** Tasks that haven't run are listed with their next run. */
+  test("works", async function () {
+    const tasks = await listTasks(new Date(2024, 4, 1, 12, 0));
+    expect(tasks.map(t => t.name)).toEqual(["failing", "ok", "slow"]);
+    expect(tasks[1]).toEqual({
+      name: "ok",
+      description: "Succeeds.",
+      schedule: "0 3 * * *",
+      nextRunAt: new Date(2024, 4, 2, 3, 0),
+      lastStatus: null,
+      lastTrigger: null,
+      lastStartedAt: null,
+      lastFinishedAt: null,
+      lastResult: null,
+      lastError: null,
+    });
+  });
+});
+
+/************************************** runTask */
+
+describe("runTask", function () {
+  /** A run's result is recorded and listed. */
+  test("works", async function () {
+    const task = await runTask("ok");
+    expect(okRun).toHaveBeenCalledTimes(1);
+    expect(task).toEqual(expect.objectContaining({
+      name: "ok",
+      lastStatus: "succeeded",
+      lastTrigger: "manual",
+      lastStartedAt: expect.any(Date),
+      lastFinishedAt: expect.any(Date),
+      lastResult: { done: 1 },
+      lastError: null,
+    }));
+    expect((await listTasks())[1]).toEqual(task);
+  });
+
+  /** A task that throws is recorded as failed. */
+  test("works: failing task", async function () {
+    const task = await runTask("failing", { trigger: "schedule" });
+    expect(task).toEqual(expect.objectContaining({
+      lastStatus: "failed",
+      lastTrigger: "schedule",
+      lastResult: null,
+      lastError: "Out of coffee",
+    }));
+  });
+
+  /** A task already running isn't started again, here or in another instance. */
+  test("skips a task that is running", async function () {
+    const started = new Promise(resolve => { slowRunStarted = resolve; });
+    const first = runTask("slow");
+    await started;
+
+    expect(await runTask("slow")).toBeNull();
+    expect((await listTasks()).find(t => t.name === "slow").lastStatus).toEqual("running");
+
+    finishSlowRun("finished");
+    expect((await first).lastResult).toEqual("finished");
+  });
+
+  /** A scheduled run is skipped if the task has started since it fell due. */
+  test("skips a scheduled run that already happened", async function () {
+    const due = new Date(Date.now() - 60000);
+    expect(await runTask("ok", { trigger: "schedule", due })).not.toBeNull();
+    expect(await runTask("ok", { trigger: "schedule", due })).toBeNull();
+    expect(okRun).toHaveBeenCalledTimes(1);
+
+    expect(await runTask("ok", { trigger: "schedule", due: new Date(Date.now() + 1000) }))
+      .not.toBeNull();
+    expect(okRun).toHaveBeenCalledTimes(2);
+  });
+
+  /** Unknown tasks aren't found. */
+  test("not found", async function () {
+    await expect(runTask("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** listRuns */
+
+describe("listRuns", function () {
+  /** Every run is kept, most recent first, and skipped runs add none. */
+  test("works", async function () {
+    const due = new Date(Date.now() - 60000);
+    await runTask("ok", { trigger: "schedule", due });
+    await runTask("ok", { trigger: "schedule", due });
+    const last = await runTask("ok");
+    await runTask("failing");
+
+    const runs = await listRuns("ok");
+    expect(runs).toEqual([
+      {
+        id: expect.any(Number),
+        status: "succeeded",
+        trigger: "manual",
+        startedAt: last.lastStartedAt,
+        finishedAt: last.lastFinishedAt,
+        result: { done: 1 },
+        error: null,
+      },
+      expect.objectContaining({ status: "succeeded", trigger: "schedule" }),
+    ]);
+    expect(await listRuns("ok", { limit: 1 })).toEqual([runs[0]]);
+    expect(await listRuns("failing")).toEqual([
+      expect.objectContaining({ status: "failed", error: "Out of coffee" }),
+    ]);
+  });
+
+  /** A task that is running has a run that hasn't finished. */
+  test("works: running task", async function () {
+    const started = new Promise(resolve => { slowRunStarted = resolve; });
+    const run = runTask("slow");
+    await started;
+
+    expect(await listRuns("slow")).toEqual([expect.objectContaining({
+      status: "running",
+      finishedAt: null,
+      result: null,
+    })]);
+
+    finishSlowRun("finished");
+    await run;
+    expect(await listRuns("slow")).toEqual([expect.objectContaining({
+      status: "succeeded",
+      result: "finished",
+    })]);
+  });
+
+  /** Tasks that haven't run have no runs. */
+  test("works: no runs", async function () {
+    expect(await listRuns("ok")).toEqual([]);
+  });
+
+  /** Unknown tasks aren't found. */
+  test("not found", async function () {
+    await expect(listRuns("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** startScheduler */
+
+describe("startScheduler", function () {
+  afterEach(function () {
+    stopScheduler();
+    jest.useRealTimers();
+  });
+
+  /** The scheduler stays off when disabled, as it is in tests. */
+  test("does nothing when disabled", function () {
+    expect(startScheduler()).toEqual(false);
+    expect(startScheduler({ enabled: false })).toEqual(false);
+  });
+
+  /** Due tasks run at the start of each minute. */
+  test("runs due tasks", async function () {
+    // Database clients rely on the real nextTick and setImmediate.
+    jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+    jest.setSystemTime(new Date(2024, 4, 1, 2, 59, 30));
+
+    const ran = new Promise(resolve => okRun.mockImplementationOnce(async () => {
+      resolve();
+      return { done: 2 };
+    }));
+    expect(startScheduler({ enabled: true })).toEqual(true);
+    jest.advanceTimersByTime(30000);
+    await ran;
+    expect(okRun).toHaveBeenCalledTimes(1);
+
+    // Let the run be recorded before the history is cleared
+    let ok;
+    while (!(ok = (await listTasks()).find(t => t.name === "ok")).lastFinishedAt)
+      await new Promise(resolve => setImmediate(resolve));
+    expect(ok).toEqual(expect.objectContaining({
+      lastStatus: "succeeded",
+      lastTrigger: "schedule",
+      lastResult: { done: 2 },
+    }));
+  });
+});
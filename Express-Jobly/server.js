@@ -2,7 +2,16 @@
 
 const app = require("./app");
 const { PORT } = require("./config");
+const { startScheduler } = require("./scheduler");
+const { setStore, createDbStore } = require("./helpers/loginThrottle");
+require("./tasks");
+
+// Count failed logins in the database, so every instance throttles the same
+// usernames and addresses.
+setStore(createDbStore());
 
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);
+  if (startScheduler())
+    console.log("Scheduler started");
 });
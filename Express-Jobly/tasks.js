@@ -0,0 +1,45 @@
+/**
+ * @fileoverview The background maintenance tasks, registered with the scheduler
+ * when this module is loaded. Each returns counts of what it changed, which are
+ * kept as the result of the run.
+ *
+ * Email is sent as part of the request that triggers it, so there is no
+ * queue of notifications to work through here.
+ *
+ * @module tasks
+ * @requires ./scheduler
+ * @requires ./purge
+ * @requires ./models/job
+ * @requires ./models/authToken
+ */
+
+"use strict";
+
+const { registerTask } = require("./scheduler");
+const { purge } = require("./purge");
+const Job = require("./models/job");
+const AuthToken = require("./models/authToken");
+
+registerTask({
+  name: "close-expired-jobs",
+  schedule: "*/15 * * * *",
+  description: "Close open jobs whose expiry date has passed.",
+  run: async () => ({ closed: (await Job.closeExpired()).length }),
+});
+
+registerTask({
+  name: "purge-expired-tokens",
+  schedule: "15 3 * * *",
+  description: "Delete expired and used refresh, access, password reset and email verification tokens.",
+  run: () => AuthToken.purgeExpired(),
+});
+
+registerTask({
+  name: "purge-deleted",
+  schedule: "30 3 * * *",
+  description: "Permanently delete companies, jobs and users deleted longer ago than the retention period.",
+  run: async () => {
+    const { users, jobs, companies } = await purge();
+    return { users: users.length, jobs: jobs.length, companies: companies.length };
+  },
+});
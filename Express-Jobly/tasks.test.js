@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Test suite for the background maintenance tasks.
+ *
+ * Runs take their lock on a client of their own, so these tests don't wrap
+ * each test in a transaction; each suite loads fresh data instead.
+ *
+ * @module tasks.test
+ * @requires ./db
+ * @requires ./scheduler
+ * @requires ./tasks
+ * @requires ./models/_testCommon
+ */
+
+"use strict";
+
+const db = require("./db");
+const { listTasks, runTask } = require("./scheduler");
+require("./tasks");
+const {
+  commonBeforeAll,
+  commonAfterAll,
+  getTestJobIds
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+afterAll(commonAfterAll);
+
+/** The built-in tasks are registered when the module loads. */
+test("registers the maintenance tasks", async function () {
+  expect((await listTasks()).map(t => [t.name, t.schedule])).toEqual([
+    ["close-expired-jobs", "*/15 * * * *"],
+    ["purge-deleted", "30 3 * * *"],
+    ["purge-expired-tokens", "15 3 * * *"],
+  ]);
+});
+
+/** Open jobs past their expiry are closed. */
+test("close-expired-jobs", async function () {
+  const [j1, j2] = getTestJobIds();
+  await db.query("UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1", [j1]);
+
+  const task = await runTask("close-expired-jobs");
+  expect(task.lastStatus).toEqual("succeeded");
+  expect(task.lastResult).toEqual({ closed: 1 });
+  const jobs = await db.query("SELECT id, status FROM jobs WHERE id = ANY($1) ORDER BY id", [[j1, j2]]);
+  expect(jobs.rows).toEqual([{ id: j1, status: "closed" }, { id: j2, status: "open" }]);
+});
+
+/** Expired and used tokens are deleted; live and revoked refresh tokens stay. */
+test("purge-expired-tokens", async function () {
+  await db.query(`
+    INSERT INTO refresh_tokens (username, token_hash, expires_at, revoked_at)
+    VALUES ('u1', 'expired', NOW() - INTERVAL '1 day', NULL),
+           ('u1', 'live', NOW() + INTERVAL '1 day', NULL),
+           ('u1', 'revoked', NOW() + INTERVAL '1 day', NOW())`);
+  // Revoked access tokens aren't tied to users, so other suites' outlive their data
+  await db.query("DELETE FROM revoked_tokens");
+  await db.query(`
+    INSERT INTO revoked_tokens (jti, expires_at)
+    VALUES ('old', NOW() - INTERVAL '1 hour'), ('new', NOW() + INTERVAL '1 hour')`);
+  await db.query(`
+    INSERT INTO password_reset_tokens (username, token_hash, expires_at, used_at)
+    VALUES ('u1', 'used', NOW() + INTERVAL '1 hour', NOW()),
+           ('u1', 'unused', NOW() + INTERVAL '1 hour', NULL)`);
+  await db.query(`
+    INSERT INTO email_verification_tokens (username, token_hash, expires_at)
+    VALUES ('u1', 'expired', NOW() - INTERVAL '1 hour')`);
+
+  const task = await runTask("purge-expired-tokens");
+  expect(task.lastResult).toEqual({
+    refreshTokens: 1,
+    revokedTokens: 1,
+    passwordResetTokens: 1,
+    emailVerificationTokens: 1,
+  });
+  const refresh = await db.query("SELECT token_hash FROM refresh_tokens ORDER BY token_hash");
+  expect(refresh.rows.map(r => r.token_hash)).toEqual(["live", "revoked"]);
+});
+
+/** Rows deleted before the retention period are purged. */
+test("purge-deleted", async function () {
+  await db.query("UPDATE users SET deleted_at = NOW() - INTERVAL '1 year' WHERE username = 'u2'");
+
+  const task = await runTask("purge-deleted");
+  expect(task.lastResult).toEqual({ users: 1, jobs: 0, companies: 0 });
+  const users = await db.query("SELECT username FROM users WHERE username = 'u2'");
+  expect(users.rows).toEqual([]);
+});
@@ -0,0 +1,54 @@
+import React, { useEffect } from "react";
+import PropTypes from "prop-types";
+import { NavLink, Outlet, useNavigate } from "react-router-dom";
+import { Container, Row, Col, Nav, NavItem } from "reactstrap";
+import { useJoblyApiState } from './JoblyApiContext';
+
+function Admin({ redirectPage }) {
+  const token = useJoblyApiState('token');
+  const isAdmin = useJoblyApiState('isAdmin');
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    // isAdmin is null until the token is decoded, so only redirect on a definite no.
+    if (!token || isAdmin === false)
+      navigate(redirectPage, { replace: true });
+  }, [token, isAdmin, navigate, redirectPage]);
+
+  if (!isAdmin)
+    return null;
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md="10">
+          <Nav tabs className="my-4">
+            <NavItem>
+              <NavLink to="/admin/companies" className="nav-link">Companies</NavLink>
+            </NavItem>
+            <NavItem>
+              <NavLink to="/admin/jobs" className="nav-link">Jobs</NavLink>
+            </NavItem>
+            <NavItem>
+              <NavLink to="/admin/users" className="nav-link">Users</NavLink>
+            </NavItem>
+            <NavItem>
+              <NavLink to="/admin/audit" className="nav-link">Audit Log</NavLink>
+            </NavItem>
+            <NavItem>
+              <NavLink to="/admin/import" className="nav-link">Import</NavLink>
+            </NavItem>
+          </Nav>
+          <Outlet />
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+Admin.propTypes = {
+  redirectPage: PropTypes.string
+};
+
+export default Admin;
@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { useFormik } from "formik";
+import { Card, CardBody, CardHeader, Button, Form, FormGroup, Label, Input, Alert } from "reactstrap";
+import { formErrors } from "./formErrors";
+
+function AdminForm({ title, fields, initialValues, validate, onSubmit, onCancel }) {
+  const [serverErrors, setServerErrors] = useState([]);
+
+  const formik = useFormik({
+    initialValues,
+    enableReinitialize: true,
+    validate,
+    onSubmit: async (values, { resetForm, setErrors }) => {
+      setServerErrors([]);
+      try {
+        await onSubmit(values);
+        resetForm();
+      } catch (e) {
+        console.error("Error saving:", e);
+        const { errors, messages } = formErrors(e, fields.map(field => field.name));
+        setErrors(errors);
+        setServerErrors(messages);
+      }
+    },
+  });
+
+  return (
+    <Card className="my-4">
+      <CardHeader className="bg-primary text-white text-center">
+        <h3>{title}</h3>
+      </CardHeader>
+      <CardBody>
+        {serverErrors.map((err, idx) => (
+          <Alert key={idx} color="danger">{`${err}`}</Alert>
+        ))}
+        <Form onSubmit={formik.handleSubmit}>
+          {fields.map(field => (
+            <FormGroup key={field.name} check={field.type === "checkbox"}>
+              {field.type === "checkbox" ?
+                <Label check>
+                  <Input
+                    id={field.name}
+                    name={field.name}
+                    type="checkbox"
+                    onChange={formik.handleChange}
+                    checked={!!formik.values[field.name]}
+                  />{' '}
+                  {field.label}
+                </Label>
+                : <>
+                  <Label for={field.name}>{field.label}</Label>
+                  <Input
+                    id={field.name}
+                    name={field.name}
+                    type={field.type || "text"}
+                    onChange={formik.handleChange}
+                    value={formik.values[field.name] ?? ''}
+                    disabled={field.disabled}
+                    autoComplete="off"
+                  />
+                </>
+              }
+              {formik.errors[field.name] && <div>{formik.errors[field.name]}</div>}
+            </FormGroup>
+          ))}
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem' }}>
+            <Button type="submit" color="primary" className="me-2">Save</Button>
+            {onCancel &&
+              <Button type="button" color="secondary" onClick={onCancel}>Cancel</Button>}
+          </div>
+        </Form>
+      </CardBody>
+    </Card>
+  );
+}
+
+AdminForm.propTypes = {
+  title: PropTypes.string.isRequired,
+  fields: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    type: PropTypes.string,
+    disabled: PropTypes.bool,
+  })).isRequired,
+  initialValues: PropTypes.object.isRequired,
+  validate: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+};
+
+export default AdminForm;
@@ -1,12 +1,26 @@
 import React from "react";
-import { BrowserRouter, Route, Routes } from "react-router-dom";
+import { BrowserRouter, Navigate, Route, Routes } from "react-router-dom";
 import Home from "./Home";
 import CompanyList from "./CompanyList";
 import CompanyDetail from "./CompanyDetail";
+import CompanyApplicants from "./CompanyApplicants";
 import JobList from "./JobList";
+import JobDetail from "./JobDetail";
+import SearchResults from "./SearchResults";
 import Login from "./Login";
 import Signup from "./Signup";
+import ForgotPassword from "./ForgotPassword";
+import ResetPassword from "./ResetPassword";
+import VerifyEmail from "./VerifyEmail";
 import Profile from "./Profile";
+import Applications from "./Applications";
+import SavedJobs from "./SavedJobs";
+import Admin from "./Admin";
+import ManageCompanies from "./ManageCompanies";
+import ManageJobs from "./ManageJobs";
+import ManageUsers from "./ManageUsers";
+import AuditLog from "./AuditLog";
+import ImportData from "./ImportData";
 import Logout from './Logout';
 import NavBar from "./NavBar";
 import { JoblyApiProvider } from './JoblyApiContext';
@@ -39,10 +53,24 @@ function App() {
                   redirectPage="/login" 
                   cantFind="/companies" />}
               />
+              <Route
+                path="/companies/:id/applicants"
+                element={<CompanyApplicants redirectPage="/login" />}
+              />
               <Route
                 path="/jobs"
                 element={<JobList redirectPage="/login" />}
               />
+              <Route
+                path="/jobs/:id"
+                element={<JobDetail
+                  redirectPage="/login"
+                  cantFind="/jobs" />}
+              />
+              <Route
+                path="/search"
+                element={<SearchResults />}
+              />
               <Route
                 path="/login"
                 element={<Login redirectPage="/profile" />}
@@ -51,10 +79,43 @@ function App() {
                 path="/signup"
                 element={<Signup redirectPage="/profile" />}
               />
+              <Route
+                path="/forgot-password"
+                element={<ForgotPassword />}
+              />
+              <Route
+                path="/reset-password"
+                element={<ResetPassword redirectPage="/login" />}
+              />
+              <Route
+                path="/verify-email"
+                element={<VerifyEmail />}
+              />
               <Route
                 path="/profile"
                 element={<Profile redirectPage="/login" />}
               />
+              <Route
+                path="/applications"
+                element={<Applications redirectPage="/login" />}
+              />
+              <Route
+                path="/saved-jobs"
+                element={<SavedJobs redirectPage="/login" />}
+              />
+              <Route
+                path="/admin"
+                element={<Admin redirectPage="/" />}>
+                <Route
+                  index
+                  element={<Navigate to="companies" replace />}
+                />
+                <Route path="companies" element={<ManageCompanies />} />
+                <Route path="jobs" element={<ManageJobs />} />
+                <Route path="users" element={<ManageUsers />} />
+                <Route path="audit" element={<AuditLog />} />
+                <Route path="import" element={<ImportData />} />
+              </Route>
               <Route
                 path="/logout"
                 element={<Logout redirectPage="/" />}
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import PropTypes from "prop-types";
+import { Container, Row, Col, Card, CardBody, CardHeader, Form, Input } from "reactstrap";
+import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+
+const STATUSES = [
+  "applied",
+  "screening",
+  "interviewing",
+  "offered",
+  "hired",
+  "rejected",
+  "withdrawn"
+];
+
+const statusLabel = status =>
+  status[0].toUpperCase() + status.slice(1);
+
+function Applications({ redirectPage }) {
+  const joblyApi = useJoblyApi();
+  const token = useJoblyApiState('token');
+  const username = useJoblyApiState('username');
+  const jobs = useJoblyApiState('jobs');
+
+  const [status, setStatus] = useState("");
+  const [sort, setSort] = useState("appliedAt:desc");
+  const [applications, setApplications] = useState([]);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!token)
+      navigate(redirectPage, { replace: true });
+  }, [token, navigate, redirectPage]);
+
+  useEffect(() => {
+    if (!token || !username)
+      return;
+    const fetchApplications = async () => {
+      try {
+        const [sortBy, direction] = sort.split(":");
+        const result = await joblyApi.getApplications({
+          status: status || undefined,
+          sortBy,
+          direction
+        });
+        setApplications(result);
+      } catch (error) {
+        console.error("Error fetching applications: ", error);
+      }
+    };
+    fetchApplications();
+  }, [joblyApi, token, username, jobs, status, sort]);
+
+  return (
+    <Container>
+      <Row className="justify-content-center mb-4">
+        <Col md="8">
+          <Form
+            onSubmit={e => e.preventDefault()}
+            style={{
+              display: 'flex',
+              alignItems: 'center'
+            }}>
+            <Input
+              type="select"
+              aria-label="Status"
+              value={status}
+              onChange={e => setStatus(e.target.value)}>
+              <option value="">All statuses</option>
+              {STATUSES.map(s => (
+                <option key={s} value={s}>{statusLabel(s)}</option>
+              ))}
+            </Input>
+            <Input
+              type="select"
+              aria-label="Sort"
+              value={sort}
+              onChange={e => setSort(e.target.value)}
+              style={{ marginLeft: '10px' }}>
+              <option value="appliedAt:desc">Newest first</option>
+              <option value="appliedAt:asc">Oldest first</option>
+              <option value="title:asc">Title</option>
+              <option value="companyName:asc">Company</option>
+              <option value="salary:desc">Salary</option>
+              <option value="status:asc">Status</option>
+            </Input>
+          </Form>
+        </Col>
+      </Row>
+
+      <Row className="justify-content-center">
+        <Col md="8">
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>My Applications</h2>
+            </CardHeader>
+            <CardBody>
+              <Row className="text-bold border-bottom mb-2">
+                <Col xs="3">Title</Col>
+                <Col xs="3">Company</Col>
+                <Col xs="2">Salary</Col>
+                <Col xs="2">Status</Col>
+                <Col xs="2">Applied</Col>
+              </Row>
+              {!applications.length &&
+                <p className="text-center">No applications found.</p>}
+              {applications.map(application => (
+                <Row
+                  key={application.jobId}
+                  className="align-items-center border-bottom py-2">
+                  <Col xs="3"><h5>{application.title}</h5></Col>
+                  <Col xs="3">
+                    <Link to={`/companies/${application.company.handle}`}>
+                      {application.company.name}
+                    </Link>
+                  </Col>
+                  <Col xs="2">{application.salary || "None"}</Col>
+                  <Col xs="2">{statusLabel(application.status)}</Col>
+                  <Col xs="2">
+                    {new Date(application.appliedAt).toLocaleDateString()}
+                  </Col>
+                </Row>
+              ))}
+            </CardBody>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+Applications.propTypes = {
+  redirectPage: PropTypes.string
+};
+
+export default Applications;
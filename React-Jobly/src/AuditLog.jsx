@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from "react";
+import { Card, CardBody, CardHeader, Form, Input, Row, Col } from "reactstrap";
+import { useJoblyApi } from './JoblyApiContext';
+import Paginator from './Paginator';
+
+const ENTITIES = ["company", "job", "user"];
+const ACTIONS = ["create", "update", "delete", "restore"];
+
+// Lists each changed field as "field: old → new"
+const describeChanges = ({ before, after }) => {
+  const fields = Object.keys({ ...(before || {}), ...(after || {}) });
+  const show = (record, field) => JSON.stringify(record[field] ?? null);
+  return fields.map(field => {
+    if (!before)
+      return `${field}: ${show(after, field)}`;
+    if (!after)
+      return `${field}: ${show(before, field)}`;
+    return `${field}: ${show(before, field)} → ${show(after, field)}`;
+  });
+};
+
+function AuditLog() {
+  const joblyApi = useJoblyApi();
+  const [actor, setActor] = useState('');
+  const [entity, setEntity] = useState('');
+  const [action, setAction] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+
+  // Changing a filter starts again from the first page
+  const changeFilter = setter => e => {
+    setter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const result = await joblyApi.getAuditLog({
+          actor: actor.trim() || undefined,
+          entity: entity || undefined,
+          action: action || undefined,
+          from: from || undefined,
+          to: to || undefined,
+          page: currentPage
+        });
+        setEntries(result.entries);
+        setPagination(result.pagination);
+      } catch (error) {
+        console.error("Error fetching audit log: ", error);
+      }
+    };
+    fetchEntries();
+  }, [joblyApi, actor, entity, action, from, to, currentPage]);
+
+  return (
+    <Card className="my-4">
+      <CardHeader className="bg-primary text-white text-center">
+        <h3>Audit Log</h3>
+      </CardHeader>
+      <CardBody>
+        <Form onSubmit={e => e.preventDefault()} className="d-flex mb-3">
+          <Input
+            aria-label="Actor"
+            placeholder="Username"
+            value={actor}
+            onChange={changeFilter(setActor)}
+            className="me-2"
+          />
+          <Input
+            type="select"
+            aria-label="Record type"
+            value={entity}
+            onChange={changeFilter(setEntity)}
+            className="me-2">
+            <option value="">All records</option>
+            {ENTITIES.map(e => <option key={e} value={e}>{e}</option>)}
+          </Input>
+          <Input
+            type="select"
+            aria-label="Action"
+            value={action}
+            onChange={changeFilter(setAction)}
+            className="me-2">
+            <option value="">All actions</option>
+            {ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+          </Input>
+          <Input
+            type="date"
+            aria-label="From"
+            value={from}
+            onChange={changeFilter(setFrom)}
+            className="me-2"
+          />
+          <Input
+            type="date"
+            aria-label="To"
+            value={to}
+            onChange={changeFilter(setTo)}
+          />
+        </Form>
+        <Row className="text-bold border-bottom mb-2">
+          <Col xs="3">When</Col>
+          <Col xs="2">Who</Col>
+          <Col xs="3">What</Col>
+          <Col xs="4">Changes</Col>
+        </Row>
+        {!entries.length &&
+          <p className="text-center">No changes found.</p>}
+        {entries.map(entry => (
+          <Row key={entry.id} className="border-bottom py-2">
+            <Col xs="3">{new Date(entry.createdAt).toLocaleString()}</Col>
+            <Col xs="2">{entry.actor}</Col>
+            <Col xs="3">{entry.action} {entry.entity} {entry.entityId}</Col>
+            <Col xs="4">
+              {describeChanges(entry).map(change => (
+                <div key={change} className="text-break">{change}</div>
+              ))}
+            </Col>
+          </Row>
+        ))}
+        <Paginator pagination={pagination} onPageChange={setCurrentPage} />
+      </CardBody>
+    </Card>
+  );
+}
+
+export default AuditLog;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams, useNavigate } from "react-router-dom";
+import PropTypes from "prop-types";
+import { Container, Row, Col, Card, CardBody, CardHeader, Form, Input } from "reactstrap";
+import JoblyApi from './JoblyApi';
+import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import Paginator from './Paginator';
+
+const STATUSES = [
+  "applied",
+  "screening",
+  "interviewing",
+  "offered",
+  "hired",
+  "rejected",
+  "withdrawn"
+];
+
+const statusLabel = status =>
+  status[0].toUpperCase() + status.slice(1);
+
+function CompanyApplicants({ redirectPage }) {
+  const { id } = useParams();
+  const joblyApi = useJoblyApi();
+  const token = useJoblyApiState('token');
+  const isAdmin = useJoblyApiState('isAdmin');
+  const companies = useJoblyApiState('companies');
+
+  const [company, setCompany] = useState(null);
+  const [jobId, setJobId] = useState("");
+  const [status, setStatus] = useState("");
+  const [sort, setSort] = useState("appliedAt:desc");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [applicants, setApplicants] = useState([]);
+  const [pagination, setPagination] = useState(null);
+
+  const navigate = useNavigate();
+
+  // Changing a filter starts again from the first page
+  const changeFilter = setter => e => {
+    setter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const canManage = isAdmin || (companies || []).includes(id);
+
+  useEffect(() => {
+    // isAdmin is null until the token is decoded, so only redirect on a definite no.
+    if (!token)
+      navigate(redirectPage, { replace: true });
+    else if (isAdmin === false && !canManage)
+      navigate(`/companies/${id}`, { replace: true });
+  }, [token, isAdmin, canManage, id, navigate, redirectPage]);
+
+  useEffect(() => {
+    const fetchCompany = async () => {
+      try {
+        const response = await JoblyApi.getCompany(id);
+        setCompany(response?.company || null);
+      } catch (error) {
+        console.error("Company not found! ", error);
+      }
+    };
+    fetchCompany();
+  }, [id]);
+
+  useEffect(() => {
+    if (!token || !canManage)
+      return;
+    const fetchApplicants = async () => {
+      try {
+        const [sortBy, direction] = sort.split(":");
+        const result = await joblyApi.getApplicants({
+          companyHandle: id,
+          jobId: jobId || undefined,
+          status: status || undefined,
+          sortBy,
+          direction,
+          page: currentPage
+        });
+        setApplicants(result.applicants);
+        setPagination(result.pagination);
+      } catch (error) {
+        console.error("Error fetching applicants: ", error);
+      }
+    };
+    fetchApplicants();
+  }, [joblyApi, token, canManage, id, jobId, status, sort, currentPage]);
+
+  if (!canManage)
+    return null;
+
+  return (
+    <Container>
+      <Row className="justify-content-center mb-4">
+        <Col md="10">
+          <Form
+            onSubmit={e => e.preventDefault()}
+            style={{
+              display: 'flex',
+              alignItems: 'center'
+            }}>
+            <Input
+              type="select"
+              aria-label="Job"
+              value={jobId}
+              onChange={changeFilter(setJobId)}>
+              <option value="">All jobs</option>
+              {(company?.jobs || []).map(job => (
+                <option key={job.id} value={job.id}>{job.title}</option>
+              ))}
+            </Input>
+            <Input
+              type="select"
+              aria-label="Status"
+              value={status}
+              onChange={changeFilter(setStatus)}
+              style={{ marginLeft: '10px' }}>
+              <option value="">All statuses</option>
+              {STATUSES.map(s => (
+                <option key={s} value={s}>{statusLabel(s)}</option>
+              ))}
+            </Input>
+            <Input
+              type="select"
+              aria-label="Sort"
+              value={sort}
+              onChange={changeFilter(setSort)}
+              style={{ marginLeft: '10px' }}>
+              <option value="appliedAt:desc">Newest first</option>
+              <option value="appliedAt:asc">Oldest first</option>
+              <option value="lastName:asc">Last name</option>
+              <option value="title:asc">Job title</option>
+              <option value="status:asc">Status</option>
+            </Input>
+          </Form>
+        </Col>
+      </Row>
+
+      <Row className="justify-content-center">
+        <Col md="10">
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>Applicants{company ? ` to ${company.name}` : ""}</h2>
+            </CardHeader>
+            <CardBody>
+              <p>
+                <Link to={`/companies/${id}`}>Back to company</Link>
+              </p>
+              <Row className="text-bold border-bottom mb-2">
+                <Col xs="3">Name</Col>
+                <Col xs="3">Email</Col>
+                <Col xs="2">Job</Col>
+                <Col xs="2">Status</Col>
+                <Col xs="2">Applied</Col>
+              </Row>
+              {!applicants.length &&
+                <p className="text-center">No applicants found.</p>}
+              {applicants.map(applicant => (
+                <Row
+                  key={`${applicant.jobId}-${applicant.username}`}
+                  className="align-items-center border-bottom py-2">
+                  <Col xs="3">
+                    {applicant.firstName} {applicant.lastName} ({applicant.username})
+                  </Col>
+                  <Col xs="3">
+                    <a href={`mailto:${applicant.email}`}>{applicant.email}</a>
+                  </Col>
+                  <Col xs="2">
+                    <Link to={`/jobs/${applicant.jobId}`}>{applicant.title}</Link>
+                  </Col>
+                  <Col xs="2">{statusLabel(applicant.status)}</Col>
+                  <Col xs="2">
+                    {new Date(applicant.appliedAt).toLocaleDateString()}
+                  </Col>
+                </Row>
+              ))}
+              <Paginator pagination={pagination} onPageChange={setCurrentPage} />
+            </CardBody>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+CompanyApplicants.propTypes = {
+  redirectPage: PropTypes.string
+};
+
+export default CompanyApplicants;
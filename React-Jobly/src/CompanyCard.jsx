@@ -11,6 +11,8 @@ function CompanyCard({ company }) {
       <h4>{company.name}</h4>
       <p>{company.description || "None"}</p>
       <p><strong>Employees:</strong> {company.numEmployees || "None"}</p>
+      {company.openJobCount !== undefined &&
+        <p><strong>Open jobs:</strong> {company.openJobCount}</p>}
       <p>
         <Link to={`/companies/${company.handle}`}>
           <Button variant="primary">Go</Button>
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from "react";
 import PropTypes from "prop-types";
-import { useParams, useNavigate } from "react-router-dom";
+import { Link, useParams, useNavigate } from "react-router-dom";
 import JoblyApi from './JoblyApi';
 import { Container, Row, Col, Card, CardBody, CardTitle, CardHeader, CardFooter, Button, ListGroup } from "reactstrap";
 import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
@@ -13,6 +13,9 @@ function CompanyDetail({ redirectPage, cantFind }) {
 
   const joblyApi = useJoblyApi();
   const user = useJoblyApiState('user');
+  const isAdmin = useJoblyApiState('isAdmin');
+  const companies = useJoblyApiState('companies');
+  const canManage = isAdmin || (companies || []).includes(id);
   const [localUser, setLocalUser] = useState(user);
   const [currentCompany, setCompany] = useState([]);
 
@@ -96,6 +99,10 @@ function CompanyDetail({ redirectPage, cantFind }) {
                 <p>{currentCompany.description}</p>
                 <p><strong>Employees:</strong> {currentCompany.numEmployees}</p>
               </ListGroup>
+              {canManage &&
+                <Link to={`/companies/${id}/applicants`} className="btn btn-secondary">
+                  View Applicants
+                </Link>}
             </CardBody>
           </Card><Card className="my-4">
             <CardHeader className="bg-primary text-white text-center">
@@ -1,50 +1,43 @@
-import React, { useState, useEffect } from "react";
+import React from "react";
 import PropTypes from "prop-types";
-import { Container, Row, Col, Card, CardBody, Button } from "reactstrap";
-import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import { Link } from "react-router-dom";
+import { Row, Col, CardBody, Button } from "reactstrap";
+import SaveJobButton from './SaveJobButton';
+import { statusLabel, useJobApplication } from './jobApplication';
 
 function JobCard({ job }) {
-    const joblyApi = useJoblyApi();
-    const jobs = useJoblyApiState('jobs');
-    const [localJobs, setLocalJobs] = useState(jobs);
-    const [isApplied, setIsApplied] = useState(joblyApi.jobApplied(job.id));
-    useEffect(() => {
-        const observer = (currentJobs) => setLocalJobs(currentJobs);
-        joblyApi.subscribe('jobs', observer);
-        return () => {
-            joblyApi.unsubscribe('jobs', observer);
-        };
-    }, [joblyApi, localJobs]);
-
-    const handleClick = async () => {
-        if (isApplied)
-            return;
-        try {
-            setIsApplied(true);
-            const result = await joblyApi.applyJob({ jobId: job.id });
-            if (result)
-                setLocalJobs(result);
-        } catch (e) {
-            console.error(e);
-        }
-    }
+    const { isApplied, status, canWithdraw, apply, withdraw } = useJobApplication(job.id);
 
     return (
         <CardBody key={job.id} className="border-bottom py-2">
             <Row className="align-items-center">
-                <Col xs="4"><h5>{job.title}</h5></Col>
+                <Col xs="4">
+                    <h5>
+                        <Link to={`/jobs/${job.id}`}>{job.title}</Link>
+                        <SaveJobButton jobId={job.id} />
+                    </h5>
+                </Col>
                 <Col xs="3">{job.salary || "None"}</Col>
                 <Col xs="3">{job.equity || "None"}</Col>
                 <Col xs="2">
-                    {isApplied || (job.id && joblyApi.jobApplied(job.id)) ?
-                        <p style={{color: 'gray', fontSize: '14px'}}
-                            className="sm">Applied
-                        </p>
+                    {isApplied ?
+                        <>
+                            <p style={{color: 'gray', fontSize: '14px'}}
+                                className="sm">{statusLabel(status)}
+                            </p>
+                            {canWithdraw &&
+                                <Button
+                                    color="secondary"
+                                    size="sm"
+                                    outline
+                                    onClick={withdraw}>Withdraw
+                                </Button>}
+                        </>
                         : <Button
                             type="submit"
                             color="primary"
                             className="me-2"
-                            onClick={handleClick}>Apply
+                            onClick={apply}>Apply
                         </Button>
                     }
                 </Col>
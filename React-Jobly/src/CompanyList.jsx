@@ -1,15 +1,31 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import PropTypes from "prop-types";
-import { Container, Row, Col, Card, CardBody, CardTitle, CardHeader, ListGroup, ListGroupItem, Form, FormGroup, Input, Button } from "reactstrap";
+import { Container, Row, Col, Card, CardBody, CardHeader, ListGroup, Form, FormGroup, Label, Input, Button, Collapse, Alert } from "reactstrap";
 import JoblyApi from './JoblyApi';
 import CompanyCard from './CompanyCard';
+import Paginator from './Paginator';
 import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import { withoutBlanks } from './adminValidation';
+import { formErrors } from './formErrors';
+import { filtersFromParams, paramsFromFilters } from './filterParams';
+
+// The GET /companies query parameters the search box and filter panel set
+const FILTERS = ["nameLike", "minEmployees", "maxEmployees", "hasOpenJobs"];
+
+const hasFilters = filters =>
+  FILTERS.some(name => name !== "nameLike" && filters[name]);
 
 function CompanyList({ redirectPage }) {
-  const [currentSearch, setCurrentSearch] = useState("");
-  const [searchTrigger, setSearchTrigger] = useState(0);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const paramsKey = searchParams.toString();
+  const currentPage = +searchParams.get("page") || 1;
+  const [draft, setDraft] = useState(() => filtersFromParams(searchParams, FILTERS));
+  const [isOpen, setIsOpen] = useState(() => hasFilters(filtersFromParams(searchParams, FILTERS)));
   const [currentCompanies, setCompanies] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [errors, setErrors] = useState([]);
   const joblyApi = useJoblyApi();
 
   const token = useJoblyApiState('token');
@@ -29,49 +45,130 @@ function CompanyList({ redirectPage }) {
       navigate(redirectPage, { replace: true });
   }, [localToken, navigate, redirectPage]);
 
+  // The URL changes on searching, paging and going back, so it drives fetching
   useEffect(() => {
+    const { nameLike, ...filters } = filtersFromParams(searchParams, FILTERS);
+    setDraft({ nameLike, ...filters });
+
     const fetchCompanies = async () => {
+      setFieldErrors({});
+      setErrors([]);
       try {
-        const response = await JoblyApi.getCompanies(currentSearch);
+        const response = await JoblyApi.getCompanies(nameLike,
+          { ...withoutBlanks(filters), page: currentPage });
         if (!response || !response.companies) {
           setCompanies([]);
+          setPagination(null);
           return;
         }
         setCompanies(response.companies);
+        setPagination(response.pagination || null);
       } catch (error) {
         console.error("Error fetching companies: ", error);
+        const { errors: filterErrors, messages } = formErrors(error, FILTERS);
+        setCompanies([]);
+        setPagination(null);
+        setFieldErrors(filterErrors);
+        setErrors(messages);
+        if (Object.keys(filterErrors).length)
+          setIsOpen(true);
       }
     };
     fetchCompanies();
-  }, [searchTrigger]);
+  }, [paramsKey]);
 
   const handleSearch = e => {
     e.preventDefault();
-    setSearchTrigger(prev => prev + 1);
+    setSearchParams(paramsFromFilters(draft));
   }
 
   const handleChange = e => {
-    setCurrentSearch(e.target.value);
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  }
+
+  // Clearing the filters keeps the name search
+  const handleClear = () => {
+    setSearchParams(paramsFromFilters({ nameLike: draft.nameLike }));
+  }
+
+  const handlePageChange = page => {
+    const params = new URLSearchParams(searchParams);
+    params.set("page", page);
+    setSearchParams(params);
   }
 
   return (
     <Container>
       <Row className="justify-content-center mb-4">
         <Col md="8">
-          <Form
-            onSubmit={handleSearch}
-            style={{
-              display: 'flex',
-              alignItems: 'center'
-            }}>
-            <Input
-              type="text"
-              value={currentSearch}
-              onChange={handleChange}
-              placeholder="Search companies..."
-              style={{ flexGrow: 1 }}
-            />
-            <Button color="primary" type="submit" style={{ marginLeft: '10px' }}>Search</Button>
+          <Form onSubmit={handleSearch}>
+            <div
+              style={{
+                display: 'flex',
+                alignItems: 'center'
+              }}>
+              <Input
+                type="text"
+                name="nameLike"
+                value={draft.nameLike}
+                onChange={handleChange}
+                placeholder="Search companies..."
+                style={{ flexGrow: 1 }}
+              />
+              <Button
+                color="secondary"
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                aria-expanded={isOpen}
+                style={{ marginLeft: '10px' }}>
+                Filters
+              </Button>
+              <Button color="primary" type="submit" style={{ marginLeft: '10px' }}>Search</Button>
+            </div>
+            <Collapse isOpen={isOpen}>
+              <Card className="mt-2 mb-0">
+                <CardBody>
+                  <Row>
+                    {[["minEmployees", "Min employees"], ["maxEmployees", "Max employees"]].map(([name, label]) => (
+                      <Col xs="6" key={name}>
+                        <FormGroup>
+                          <Label for={name}>{label}</Label>
+                          <Input
+                            id={name}
+                            name={name}
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={draft[name]}
+                            onChange={handleChange}
+                            invalid={!!fieldErrors[name]}
+                          />
+                          {fieldErrors[name] && <div className="text-danger small">{fieldErrors[name]}</div>}
+                        </FormGroup>
+                      </Col>
+                    ))}
+                  </Row>
+                  <FormGroup>
+                    <Label for="hasOpenJobs">Open jobs</Label>
+                    <Input
+                      id="hasOpenJobs"
+                      name="hasOpenJobs"
+                      type="select"
+                      value={draft.hasOpenJobs}
+                      onChange={handleChange}>
+                      <option value="">Any</option>
+                      <option value="true">Hiring now</option>
+                      <option value="false">No open jobs</option>
+                    </Input>
+                  </FormGroup>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem' }}>
+                    <Button color="primary" type="submit">Apply</Button>
+                    <Button color="secondary" type="button" onClick={handleClear}>Clear filters</Button>
+                  </div>
+                </CardBody>
+              </Card>
+            </Collapse>
           </Form>
         </Col>
       </Row>
@@ -83,6 +180,9 @@ function CompanyList({ redirectPage }) {
               <h2>Companies</h2>
             </CardHeader>
             <CardBody>
+              {errors.map((err, idx) => (
+                <Alert key={idx} color="danger">{`${err}`}</Alert>
+              ))}
               <ListGroup>
                 {currentCompanies.map(company => (
                   <CompanyCard
@@ -91,6 +191,10 @@ function CompanyList({ redirectPage }) {
                   />
                 ))}
               </ListGroup>
+              <Paginator
+                pagination={pagination}
+                onPageChange={handlePageChange}
+              />
             </CardBody>
           </Card>
         </Col>
@@ -103,4 +207,4 @@ CompanyList.propTypes = {
   redirectPage: PropTypes.string
 };
 
-export default CompanyList;
\ No newline at end of file
+export default CompanyList;
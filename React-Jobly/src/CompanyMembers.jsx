@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { Card, CardBody, CardHeader, Button, Form, Input, Alert, Row, Col } from "reactstrap";
+import { useJoblyApi } from './JoblyApiContext';
+
+function CompanyMembers({ company, onClose }) {
+  const joblyApi = useJoblyApi();
+  const [members, setMembers] = useState([]);
+  const [username, setUsername] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  const fetchMembers = useCallback(async () => {
+    try {
+      setMembers(await joblyApi.getCompanyMembers(company.handle));
+    } catch (error) {
+      console.error("Error fetching company members: ", error);
+    }
+  }, [joblyApi, company.handle]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const handleAdd = async (evt) => {
+    evt.preventDefault();
+    setErrors([]);
+    try {
+      await joblyApi.addCompanyMember(company.handle, username.trim());
+      setUsername('');
+      fetchMembers();
+    } catch (e) {
+      console.error("Error adding company member:", e);
+      setErrors(Array.isArray(e) ? e : [e.message || `${e}`]);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Stop ${member.username} recruiting for ${company.name}?`))
+      return;
+    try {
+      await joblyApi.removeCompanyMember(company.handle, member.username);
+      fetchMembers();
+    } catch (error) {
+      console.error("Error removing company member: ", error);
+    }
+  };
+
+  return (
+    <Card className="my-4">
+      <CardHeader className="bg-primary text-white text-center">
+        <h3>{company.name} Recruiters</h3>
+      </CardHeader>
+      <CardBody>
+        {errors.map((err, idx) => (
+          <Alert key={idx} color="danger">{`${err}`}</Alert>
+        ))}
+        {members.length === 0 && <p>No recruiters yet.</p>}
+        {members.map(member => (
+          <Row key={member.username} className="align-items-center border-bottom py-2">
+            <Col xs="3">{member.username}</Col>
+            <Col xs="6">{member.firstName} {member.lastName} ({member.email})</Col>
+            <Col xs="3" className="text-end">
+              <Button
+                color="danger"
+                size="sm"
+                onClick={() => handleRemove(member)}>Remove
+              </Button>
+            </Col>
+          </Row>
+        ))}
+        <Form onSubmit={handleAdd} className="d-flex mt-3">
+          <Input
+            name="username"
+            placeholder="Username"
+            value={username}
+            onChange={evt => setUsername(evt.target.value)}
+            className="me-2"
+          />
+          <Button type="submit" color="primary" className="me-2" disabled={!username.trim()}>Add</Button>
+          <Button type="button" color="secondary" onClick={onClose}>Close</Button>
+        </Form>
+      </CardBody>
+    </Card>
+  );
+}
+
+CompanyMembers.propTypes = {
+  company: PropTypes.shape({
+    handle: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default CompanyMembers;
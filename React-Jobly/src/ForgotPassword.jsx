@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import { useFormik } from "formik";
+import { Container, Row, Col, Card, CardBody, CardHeader, Button, Form, FormGroup, Label, Input, Alert } from "reactstrap";
+import { Link } from "react-router-dom";
+import { useJoblyApi } from './JoblyApiContext';
+import { formErrors } from './formErrors';
+
+function ForgotPassword() {
+  const joblyApi = useJoblyApi();
+  const [message, setMessage] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const formik = useFormik({
+    initialValues: {
+      email: ''
+    },
+    validate: values => {
+      const errors = {};
+      if (!values.email)
+        errors.email = 'Required';
+      else if (!/^[a-z0-9._%+\-]+@[a-z0-9.-]+\.[a-z]{2,4}$/i.test(values.email))
+        errors.email = 'Invalid email address';
+      return errors;
+    },
+    onSubmit: async (values, { setErrors: setFieldErrors }) => {
+      setErrors([]);
+      try {
+        setMessage(await joblyApi.requestPasswordReset(values));
+      } catch (e) {
+        console.error("Error requesting password reset:", e);
+        const { errors: fieldErrors, messages } = formErrors(e, ['email']);
+        setFieldErrors(fieldErrors);
+        setErrors(messages);
+      }
+    },
+  });
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md="8">
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>Forgot Password</h2>
+            </CardHeader>
+            <CardBody>
+              {message && <Alert color="success">{message}</Alert>}
+              {errors.map((err, idx) => (
+                <Alert key={idx} color="danger">{`${err}`}</Alert>
+              ))}
+              <Form onSubmit={formik.handleSubmit}>
+                <FormGroup>
+                  <Label for="email">Email</Label>
+                  <Input
+                    id="email"
+                    name="email"
+                    type="email"
+                    onChange={formik.handleChange}
+                    value={formik.values.email}
+                    autoComplete="email"
+                  />
+                  {formik.errors.email && <div>{formik.errors.email}</div>}
+                </FormGroup>
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem' }}>
+                  <Button type="submit" color="primary">Send Reset Link</Button>
+                  <Link to="/login" className="btn btn-secondary">Back to login</Link>
+                </div>
+              </Form>
+            </CardBody>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default ForgotPassword;
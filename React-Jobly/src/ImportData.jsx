@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import { Card, CardBody, CardHeader, Form, FormGroup, Label, Input, Button, Alert, Row, Col } from "reactstrap";
+import { useJoblyApi } from './JoblyApiContext';
+
+// The columns each import reads; the first line of the file must name them
+const COLUMNS = {
+  companies: "handle, name, description, numEmployees, logoUrl",
+  jobs: "id, title, companyHandle, salary, equity (leave id empty for new jobs)"
+};
+
+function ImportData() {
+  const joblyApi = useJoblyApi();
+  const [entity, setEntity] = useState('companies');
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const runImport = async (dryRun) => {
+    setErrors([]);
+    setReport(null);
+    setLoading(true);
+    try {
+      setReport(await joblyApi.importCsv(entity, await file.text(), { dryRun }));
+    } catch (error) {
+      setErrors(Array.isArray(error) ? error : [`${error}`]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const keyField = entity === 'companies' ? 'handle' : 'id';
+
+  return (
+    <Card className="my-4">
+      <CardHeader className="bg-primary text-white text-center">
+        <h3>Import</h3>
+      </CardHeader>
+      <CardBody>
+        <Form onSubmit={e => e.preventDefault()}>
+          <FormGroup>
+            <Label for="importEntity">Import</Label>
+            <Input
+              id="importEntity"
+              type="select"
+              value={entity}
+              onChange={e => {
+                setEntity(e.target.value);
+                setReport(null);
+              }}>
+              <option value="companies">Companies</option>
+              <option value="jobs">Jobs</option>
+            </Input>
+          </FormGroup>
+          <FormGroup>
+            <Label for="importFile">CSV file</Label>
+            <Input
+              id="importFile"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={e => {
+                setFile(e.target.files[0] || null);
+                setReport(null);
+              }}
+            />
+            <small className="text-muted">Columns: {COLUMNS[entity]}</small>
+          </FormGroup>
+          <Button
+            color="secondary"
+            className="me-2"
+            disabled={!file || loading}
+            onClick={() => runImport(true)}>Check
+          </Button>
+          <Button
+            color="primary"
+            disabled={!file || loading}
+            onClick={() => runImport(false)}>Import
+          </Button>
+        </Form>
+        {errors.map((err, idx) => (
+          <Alert key={idx} color="danger" className="mt-3">{`${err}`}</Alert>
+        ))}
+        {report &&
+          <>
+            <Alert color={report.rejected ? "danger" : report.committed ? "success" : "info"} className="mt-3">
+              {report.created} new, {report.updated} updated, {report.rejected} rejected.{" "}
+              {report.committed
+                ? "The import was saved."
+                : report.dryRun
+                  ? "Nothing was saved; this was a check."
+                  : "Nothing was saved; fix the rejected rows and try again."}
+            </Alert>
+            <Row className="text-bold border-bottom mb-2">
+              <Col xs="2">Line</Col>
+              <Col xs="3">{keyField === 'id' ? 'Job' : 'Handle'}</Col>
+              <Col xs="2">Result</Col>
+              <Col xs="5">Problems</Col>
+            </Row>
+            {report.rows.map(row => (
+              <Row key={row.line} className="border-bottom py-2">
+                <Col xs="2">{row.line}</Col>
+                <Col xs="3">{row[keyField] ?? "New"}</Col>
+                <Col xs="2" className={row.status === 'rejected' ? "text-danger" : undefined}>
+                  {row.status}
+                </Col>
+                <Col xs="5">
+                  {(row.errors || []).map(err => (
+                    <div key={err} className="text-break">{err}</div>
+                  ))}
+                </Col>
+              </Row>
+            ))}
+          </>}
+      </CardBody>
+    </Card>
+  );
+}
+
+export default ImportData;
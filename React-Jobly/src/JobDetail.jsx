@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Link, useParams, useNavigate } from "react-router-dom";
+import JoblyApi from './JoblyApi';
+import { Container, Row, Col, Card, CardBody, CardHeader, Button, ListGroup } from "reactstrap";
+import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import { statusLabel, useJobApplication } from './jobApplication';
+
+// Only open jobs that haven't expired accept applications
+const acceptsApplications = job =>
+  job.status === "open" && (!job.expiresAt || new Date(job.expiresAt) > new Date());
+
+const formatDate = timestamp => new Date(timestamp).toLocaleDateString();
+
+function JobDetail({ redirectPage, cantFind }) {
+  const { id } = useParams();
+  const validRequest = id.length;
+
+  const joblyApi = useJoblyApi();
+  const user = useJoblyApiState('user');
+  const isAdmin = useJoblyApiState('isAdmin');
+  const [localUser, setLocalUser] = useState(user);
+  const [currentJob, setJob] = useState(null);
+  const { isApplied, status, canWithdraw, apply, withdraw } = useJobApplication(+id);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const observer = (newUser) => setLocalUser(newUser);
+    joblyApi.subscribe('user', observer);
+    return () => {
+      joblyApi.unsubscribe('user', observer);
+    };
+  }, [joblyApi, setLocalUser]);
+
+  useEffect(() => {
+    if (!validRequest)
+      navigate(cantFind, { replace: true });
+
+    const fetchJob = async () => {
+      try {
+        const response = await JoblyApi.getJob(id, { includeClosed: isAdmin });
+        if (!response || !response.job) {
+          navigate(cantFind, { replace: true });
+          return;
+        }
+        setJob(response.job);
+      } catch (error) {
+        console.error("Job not found! ", error);
+        navigate(cantFind, { replace: true });
+      }
+    };
+    fetchJob();
+  }, [id, isAdmin, validRequest, cantFind, navigate]);
+
+  useEffect(() => {
+    async function fetchData() {
+      if (!localUser) {
+        try {
+          const newUser = await joblyApi.getUser();
+          if (!newUser)
+            navigate(redirectPage, { replace: true });
+
+          setLocalUser(newUser);
+        } catch (error) {
+          console.error("Error fetching user:", error);
+        }
+      }
+    }
+    fetchData();
+  }, [localUser, navigate, redirectPage]);
+
+  if (!currentJob)
+    return <p className="text-center">Loading...</p>;
+
+  const { company } = currentJob;
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md="8">
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>{currentJob.title}</h2>
+            </CardHeader>
+            <CardBody>
+              <ListGroup>
+                <p><strong>Salary:</strong> {currentJob.salary || "None"}</p>
+                <p><strong>Equity:</strong> {currentJob.equity || "None"}</p>
+                {currentJob.postedAt &&
+                  <p><strong>Posted:</strong> {formatDate(currentJob.postedAt)}</p>}
+                {currentJob.expiresAt &&
+                  <p><strong>Closes:</strong> {formatDate(currentJob.expiresAt)}</p>}
+              </ListGroup>
+              {isApplied ?
+                <>
+                  <p style={{ color: 'gray', fontSize: '14px' }}
+                    className="sm">{statusLabel(status)}
+                  </p>
+                  {canWithdraw &&
+                    <Button
+                      color="secondary"
+                      outline
+                      onClick={withdraw}>Withdraw
+                    </Button>}
+                </>
+                : acceptsApplications(currentJob) ?
+                  <Button
+                    color="primary"
+                    onClick={apply}>Apply
+                  </Button>
+                  : <p className="text-muted mb-0">This job is no longer accepting applications.</p>
+              }
+            </CardBody>
+          </Card>
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>
+                <Link to={`/companies/${company.handle}`} className="text-white">
+                  {company.name}
+                </Link>
+              </h2>
+            </CardHeader>
+            <CardBody>
+              <ListGroup>
+                {company.logoUrl &&
+                  <img src={company.logoUrl} alt={company.name} className="mb-2" />}
+                <p>{company.description}</p>
+                <p><strong>Employees:</strong> {company.numEmployees}</p>
+              </ListGroup>
+            </CardBody>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+JobDetail.propTypes = {
+  redirectPage: PropTypes.string,
+  cantFind: PropTypes.string.isRequired,
+};
+
+export default JobDetail;
@@ -1,19 +1,47 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import PropTypes from "prop-types";
-import { Container, Row, Col, Card, CardBody, CardTitle, CardHeader, ListGroup, ListGroupItem, Form, FormGroup, Input, Button } from "reactstrap";
+import { Container, Row, Col, Card, CardBody, CardHeader, ListGroup, Form, FormGroup, Label, Input, Button, Collapse, Alert } from "reactstrap";
 import JoblyApi from './JoblyApi';
 import JobCard from './JobCard';
+import Paginator from './Paginator';
 import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import { withoutBlanks } from './adminValidation';
+import { formErrors } from './formErrors';
+import { filtersFromParams, paramsFromFilters } from './filterParams';
+
+// The filter panel's ranges, each a pair of GET /jobs query parameters
+const RANGES = [
+    { label: "Salary", min: "minSalary", max: "maxSalary", step: "1000" },
+    { label: "Equity", min: "minEquity", max: "maxEquity", step: "0.01", upTo: "1" },
+    { label: "Company size", min: "minEmployees", max: "maxEmployees", step: "1" },
+];
+
+// Filters with a single value; companyHandle can have several
+const SINGLE_FILTERS = ["titleLike", ...RANGES.flatMap(range => [range.min, range.max]), "hasEquity"];
+
+const readFilters = searchParams =>
+    filtersFromParams(searchParams, SINGLE_FILTERS, ["companyHandle"]);
+
+const hasFilters = filters =>
+    SINGLE_FILTERS.some(name => name !== "titleLike" && filters[name]) ||
+    filters.companyHandle.length > 0;
 
 function JobList({ redirectPage }) {
     const joblyApi = useJoblyApi();
     const user = useJoblyApiState('user');
     const [localUser, setLocalUser] = useState(user);
 
-    const [currentSearch, setCurrentSearch] = useState("");
-    const [searchTrigger, setSearchTrigger] = useState(0);
+    const [searchParams, setSearchParams] = useSearchParams();
+    const paramsKey = searchParams.toString();
+    const currentPage = +searchParams.get("page") || 1;
+    const [draft, setDraft] = useState(() => readFilters(searchParams));
+    const [isOpen, setIsOpen] = useState(() => hasFilters(readFilters(searchParams)));
+    const [companies, setCompanies] = useState([]);
     const [currentJobs, setJobs] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [errors, setErrors] = useState([]);
 
     const navigate = useNavigate();
     useEffect(() => {
@@ -30,48 +58,167 @@ function JobList({ redirectPage }) {
     }, [localUser, navigate, redirectPage]);
 
     useEffect(() => {
+        const fetchCompanies = async () => {
+            try {
+                const response = await JoblyApi.getCompanies("", { limit: 100 });
+                setCompanies(response?.companies || []);
+            } catch (error) {
+                console.error("Error fetching companies: ", error);
+            }
+        };
+        fetchCompanies();
+    }, []);
+
+    // The URL changes on searching, paging and going back, so it drives fetching
+    useEffect(() => {
+        const { titleLike, ...filters } = readFilters(searchParams);
+        setDraft({ titleLike, ...filters });
+
         const fetchJobs = async () => {
+            setFieldErrors({});
+            setErrors([]);
             try {
-                const response = await JoblyApi.getJobs(currentSearch);
+                const response = await JoblyApi.getJobs(titleLike,
+                    { ...withoutBlanks(filters), page: currentPage });
                 if (!response || !response.jobs) {
                     setJobs([]);
+                    setPagination(null);
                     return;
                 }
                 setJobs(response.jobs);
+                setPagination(response.pagination || null);
             } catch (error) {
                 console.error("Error fetching jobs: ", error);
+                const { errors: filterErrors, messages } =
+                    formErrors(error, [...SINGLE_FILTERS, "companyHandle"]);
+                setJobs([]);
+                setPagination(null);
+                setFieldErrors(filterErrors);
+                setErrors(messages);
+                if (Object.keys(filterErrors).length)
+                    setIsOpen(true);
             }
         };
         fetchJobs();
-    }, [searchTrigger]);
+    }, [paramsKey]);
 
     const handleSearch = (e) => {
         e.preventDefault();
-        setSearchTrigger(prev => prev + 1);
+        setSearchParams(paramsFromFilters(draft));
     }
 
     const handleChange = (e) => {
-        setCurrentSearch(e.target.value);
+        const { name, value, type, checked } = e.target;
+        setDraft(prev => ({ ...prev, [name]: type === "checkbox" ? (checked ? "true" : "") : value }));
+    }
+
+    const handleCompanyChange = (e) => {
+        const companyHandle = [...e.target.selectedOptions].map(option => option.value);
+        setDraft(prev => ({ ...prev, companyHandle }));
+    }
+
+    // Clearing the filters keeps the title search
+    const handleClear = () => {
+        const params = new URLSearchParams();
+        if (draft.titleLike)
+            params.set("titleLike", draft.titleLike);
+        setSearchParams(params);
+    }
+
+    const handlePageChange = (page) => {
+        const params = new URLSearchParams(searchParams);
+        params.set("page", page);
+        setSearchParams(params);
     }
 
     return (
         <Container>
             <Row className="justify-content-center mb-4">
                 <Col md="8">
-                    <Form
-                        onSubmit={handleSearch}
-                        style={{
-                            display: 'flex',
-                            alignItems: 'center'
-                        }}>
-                        <Input
-                            type="text"
-                            value={currentSearch}
-                            onChange={handleChange}
-                            placeholder="Search jobs..."
-                            style={{ flexGrow: 1 }}
-                        />
-                        <Button color="primary" type="submit" style={{ marginLeft: '10px' }}>Search</Button>
+                    <Form onSubmit={handleSearch}>
+                        <div
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center'
+                            }}>
+                            <Input
+                                type="text"
+                                name="titleLike"
+                                value={draft.titleLike}
+                                onChange={handleChange}
+                                placeholder="Search jobs..."
+                                style={{ flexGrow: 1 }}
+                            />
+                            <Button
+                                color="secondary"
+                                type="button"
+                                onClick={() => setIsOpen(open => !open)}
+                                aria-expanded={isOpen}
+                                style={{ marginLeft: '10px' }}>
+                                Filters
+                            </Button>
+                            <Button color="primary" type="submit" style={{ marginLeft: '10px' }}>Search</Button>
+                        </div>
+                        <Collapse isOpen={isOpen}>
+                            <Card className="mt-2 mb-0">
+                                <CardBody>
+                                    {RANGES.map(range => (
+                                        <Row key={range.label}>
+                                            {[[range.min, "Min"], [range.max, "Max"]].map(([name, bound]) => (
+                                                <Col xs="6" key={name}>
+                                                    <FormGroup>
+                                                        <Label for={name}>{`${bound} ${range.label.toLowerCase()}`}</Label>
+                                                        <Input
+                                                            id={name}
+                                                            name={name}
+                                                            type="number"
+                                                            min="0"
+                                                            max={range.upTo}
+                                                            step={range.step}
+                                                            value={draft[name]}
+                                                            onChange={handleChange}
+                                                            invalid={!!fieldErrors[name]}
+                                                        />
+                                                        {fieldErrors[name] && <div className="text-danger small">{fieldErrors[name]}</div>}
+                                                    </FormGroup>
+                                                </Col>
+                                            ))}
+                                        </Row>
+                                    ))}
+                                    <FormGroup>
+                                        <Label for="companyHandle">Companies</Label>
+                                        <Input
+                                            id="companyHandle"
+                                            name="companyHandle"
+                                            type="select"
+                                            multiple
+                                            value={draft.companyHandle}
+                                            onChange={handleCompanyChange}
+                                            invalid={!!fieldErrors.companyHandle}>
+                                            {companies.map(company => (
+                                                <option key={company.handle} value={company.handle}>{company.name}</option>
+                                            ))}
+                                        </Input>
+                                        {fieldErrors.companyHandle && <div className="text-danger small">{fieldErrors.companyHandle}</div>}
+                                    </FormGroup>
+                                    <FormGroup check>
+                                        <Label check>
+                                            <Input
+                                                name="hasEquity"
+                                                type="checkbox"
+                                                checked={draft.hasEquity === "true"}
+                                                onChange={handleChange}
+                                            />{' '}
+                                            Only jobs with equity
+                                        </Label>
+                                    </FormGroup>
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem' }}>
+                                        <Button color="primary" type="submit">Apply</Button>
+                                        <Button color="secondary" type="button" onClick={handleClear}>Clear filters</Button>
+                                    </div>
+                                </CardBody>
+                            </Card>
+                        </Collapse>
                     </Form>
                 </Col>
             </Row>
@@ -83,6 +230,9 @@ function JobList({ redirectPage }) {
                             <h2>Jobs</h2>
                         </CardHeader>
                         <CardBody>
+                            {errors.map((err, idx) => (
+                                <Alert key={idx} color="danger">{`${err}`}</Alert>
+                            ))}
                             <Row className="text-bold border-bottom mb-2">
                                 <Col xs="4">Title</Col>
                                 <Col xs="3">Salary</Col>
@@ -99,6 +249,10 @@ function JobList({ redirectPage }) {
                                     />
                                 ))}
                             </ListGroup>
+                            <Paginator
+                                pagination={pagination}
+                                onPageChange={handlePageChange}
+                            />
                         </CardBody>
                     </Card>
                 </Col>
@@ -111,4 +265,4 @@ JobList.propTypes = {
   redirectPage: PropTypes.string
 };
 
-export default JobList;
\ No newline at end of file
+export default JobList;
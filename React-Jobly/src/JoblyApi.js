@@ -23,9 +23,13 @@ class JoblyApi {
         username: null,
         user: null,
         isAdmin: null,
+        companies: [],
         jobs: [],
+        applications: [],
+        savedJobs: null,
       };
       this.observers = {};
+      this.refreshing = null;
       this.loadToken();
 
     }
@@ -48,7 +52,8 @@ class JoblyApi {
         const decoded = jwtDecode(this.state.token);
         this.setState({
           username: decoded.username,
-          isAdmin: decoded.isAdmin
+          isAdmin: decoded.isAdmin,
+          companies: decoded.companies || []
         });
         await this.getUser();
       } catch (error) {
@@ -57,15 +62,26 @@ class JoblyApi {
     }
   }
 
-  saveToken(token) {
+  saveToken(token, refreshToken) {
     localStorage.setItem('joblyToken', token);
+    if (refreshToken)
+      localStorage.setItem('joblyRefreshToken', refreshToken);
     this.setState({ token });
     this.decodeToken();
   }
 
   removeToken() {
     localStorage.removeItem('joblyToken');
-    this.setState({ token: null, username: null, isAdmin: null, jobs: null });
+    localStorage.removeItem('joblyRefreshToken');
+    this.setState({
+      token: null,
+      username: null,
+      isAdmin: null,
+      companies: [],
+      jobs: null,
+      applications: null,
+      savedJobs: null
+    });
   }
 
   subscribe(eventType, observer) {
@@ -100,7 +116,39 @@ class JoblyApi {
     Boolean(this.state.token && this.state.user);
 
 
-  async request(endpoint, data = {}, method = "get") {
+  // Exchanges the stored refresh token for a new access token. Concurrent
+  // callers share one refresh so the rotated token is only used once.
+  refreshTokens() {
+    if (this.refreshing)
+      return this.refreshing;
+
+    const refreshToken = localStorage.getItem('joblyRefreshToken');
+    if (!refreshToken)
+      return Promise.resolve(false);
+
+    this.refreshing = (async () => {
+      try {
+        const result = (await axios({
+          url: `${BASE_URL}/auth/refresh`,
+          method: "post",
+          data: { refreshToken }
+        })).data;
+        localStorage.setItem('joblyToken', result.token);
+        localStorage.setItem('joblyRefreshToken', result.refreshToken);
+        this.setState({ token: result.token });
+        return true;
+      } catch (err) {
+        console.error("Token refresh failed:", err.response);
+        this.logout(false);
+        return false;
+      } finally {
+        this.refreshing = null;
+      }
+    })();
+    return this.refreshing;
+  }
+
+  async request(endpoint, data = {}, method = "get", retry = true, contentType = undefined) {
     // console.debug("API Call:", endpoint, data, method);
 
     const url = `${BASE_URL}/${endpoint}`;
@@ -108,17 +156,33 @@ class JoblyApi {
     // if (this.state.token)
     //   console.log("Sending Token", this.state.token);
     const headers = { Authorization: `Bearer ${this.state.token}` };
+    if (contentType)
+      headers["Content-Type"] = contentType;
 
     const params = (method === "get")
       ? data
       : {};
 
     try {
-      return (await axios({ url, method, data, params, headers })).data;
+      // Lists are sent as repeated keys, e.g. companyHandle=c1&companyHandle=c2
+      const paramsSerializer = { indexes: null };
+      return (await axios({ url, method, data, params, paramsSerializer, headers })).data;
     } catch (err) {
+      // An expired access token gets one retry after a refresh
+      if (retry &&
+        err.response?.status === 401 &&
+        !endpoint.startsWith("auth/") &&
+        await this.refreshTokens())
+        return this.request(endpoint, data, method, false, contentType);
+
       console.error("API Error:", err.response);
-      let message = err.response.data.error.message;
-      throw Array.isArray(message) ? message : [message];
+      const { message, fields } = err.response.data.error;
+      const messages = Array.isArray(message) ? message : [message];
+      // Invalid requests also list the problems with each field, so forms
+      // can show them next to the inputs concerned
+      if (fields)
+        messages.fields = fields;
+      throw messages;
     }
   }
 
@@ -139,13 +203,43 @@ class JoblyApi {
       console.log(result.error);
       throw new Error("Apply Failed");
     }
+    // Applying after withdrawing re-opens the existing application
+    const applications = this.state.applications || [];
+    const reopened = applications.some(a => a.jobId === jobId);
     this.setState({
-      jobs: [...(this.state.jobs || []), jobId]
+      jobs: this.jobApplied(jobId) ? this.state.jobs : [...(this.state.jobs || []), jobId],
+      applications: reopened
+        ? applications.map(a => a.jobId === jobId ? { ...a, status: "applied" } : a)
+        : [...applications, { jobId, status: "applied" }]
     });
     this.notify('jobs', this.state.jobs);
     return this.state.jobs;
   }
 
+  async withdrawJob({ jobId }) {
+    if (!jobId)
+      throw new Error("Can't withdraw from job since job ID passed is null.");
+
+    if (!this.state.token)
+      throw new Error("Can't withdraw from job due to no token in state.");
+
+    if (!this.state.username)
+      throw new Error("Can't withdraw from job since username is not in state.");
+
+    const result = await this.request(
+      `users/${this.state.username}/jobs/${jobId}`, {}, "delete");
+    if (!result || !result.withdrawn) {
+      console.error(result);
+      throw new Error("Withdraw Failed");
+    }
+    // The application is kept, with its history, as withdrawn
+    this.setState({
+      applications: (this.state.applications || []).map(a =>
+        a.jobId === jobId ? { ...a, status: "withdrawn" } : a)
+    });
+    return this.state.jobs;
+  }
+
   jobApplied = id => {
     if (!this.state.token ||
       !this.state.user ||
@@ -158,6 +252,117 @@ class JoblyApi {
     return !!foundJobApplication;
   }
 
+  applicationStatus = id => {
+    if (!Array.isArray(this.state.applications))
+      return null;
+
+    const application = this.state.applications.find(a =>
+      a.jobId === id);
+
+    return application ? application.status : null;
+  }
+
+  // savedJobs holds the IDs of the user's saved jobs, or null until they are
+  // loaded; getSavedJobs returns them with the job and company details
+  async getSavedJobs() {
+    if (!this.state.token)
+      throw new Error("No valid token available");
+
+    if (!this.state.username)
+      throw new Error("Can't get saved jobs since username is not in state.");
+
+    const result = await this.request(`users/${this.state.username}/saved-jobs`);
+    const savedJobs = result.savedJobs || [];
+    this.setState({ savedJobs: savedJobs.map(job => job.jobId) });
+    return savedJobs;
+  }
+
+  async saveJob({ jobId }) {
+    if (!jobId)
+      throw new Error("Can't save job since job ID passed is null.");
+
+    if (!this.state.token)
+      throw new Error("Can't save job due to no token in state.");
+
+    if (!this.state.username)
+      throw new Error("Can't save job since username is not in state.");
+
+    const result = await this.request(
+      `users/${this.state.username}/saved-jobs/${jobId}`, {}, "post");
+    if (!result || !result.saved)
+      throw new Error("Save Failed");
+
+    if (!this.jobSaved(jobId))
+      this.setState({ savedJobs: [...(this.state.savedJobs || []), jobId] });
+    return this.state.savedJobs;
+  }
+
+  async unsaveJob({ jobId }) {
+    if (!jobId)
+      throw new Error("Can't unsave job since job ID passed is null.");
+
+    if (!this.state.token)
+      throw new Error("Can't unsave job due to no token in state.");
+
+    if (!this.state.username)
+      throw new Error("Can't unsave job since username is not in state.");
+
+    const result = await this.request(
+      `users/${this.state.username}/saved-jobs/${jobId}`, {}, "delete");
+    if (!result || !result.unsaved)
+      throw new Error("Unsave Failed");
+
+    this.setState({
+      savedJobs: (this.state.savedJobs || []).filter(id => id !== jobId)
+    });
+    return this.state.savedJobs;
+  }
+
+  jobSaved = id =>
+    Array.isArray(this.state.savedJobs) && this.state.savedJobs.includes(id);
+
+  async getApplications({ status, companyHandle, titleLike, sortBy, direction } = {}) {
+    if (!this.state.token)
+      throw new Error("No valid token available");
+
+    if (!this.state.username)
+      throw new Error("Can't get applications since username is not in state.");
+
+    const result = await this.request(`users/${this.state.username}/applications`, {
+      status,
+      companyHandle,
+      titleLike,
+      sortBy,
+      direction
+    });
+    return result.applications || [];
+  }
+
+  // Admins and the company's recruiters can see who applied to its jobs
+  canManageCompany(handle) {
+    return Boolean(this.state.isAdmin ||
+      (this.state.companies || []).includes(handle));
+  }
+
+  async getApplicants({ companyHandle, jobId, status, sortBy, direction, page } = {}) {
+    if (!this.state.token)
+      throw new Error("No valid token available");
+
+    const endpoint = jobId
+      ? `jobs/${jobId}/applications`
+      : `companies/${companyHandle}/applications`;
+    const result = await this.request(endpoint, {
+      status,
+      sortBy,
+      direction,
+      page
+    });
+    return {
+      applicants: result.applicants || [],
+      pagination: result.pagination || null
+    };
+  }
+
   async getUser() {
     if (!this.state.token)
       throw new Error("No valid token available");
@@ -166,7 +371,16 @@ class JoblyApi {
     if (!userData.user)
       throw new Error("User not found!");
     const user = userData.user;
-    const { username, email, firstName, lastName, isAdmin, jobs } = user;
+    const {
+      username,
+      email,
+      firstName,
+      lastName,
+      isAdmin,
+      emailVerified,
+      jobs,
+      applications
+    } = user;
 
     this.setState({
       username,
@@ -174,15 +388,25 @@ class JoblyApi {
         email,
         firstName,
         lastName,
+        emailVerified,
       },
       isAdmin,
-      jobs
+      jobs,
+      applications: applications || []
     });
     this.notify('username', username);
     this.notify('user', this.state.user);
     this.notify('isAdmin', isAdmin);
     this.notify('jobs', jobs);
 
+    // Saved jobs only decorate the job lists, so failing to load them
+    // shouldn't stop the user loading
+    try {
+      await this.getSavedJobs();
+    } catch (err) {
+      console.error("Error loading saved jobs:", err);
+    }
+
     return this.state.user;
   }
 
@@ -215,7 +439,7 @@ class JoblyApi {
     });
     this.notify('token', result.token);
 
-    this.saveToken(result.token);
+    this.saveToken(result.token, result.refreshToken);
     return this.state.token;
   }
 
@@ -236,10 +460,45 @@ class JoblyApi {
       username: username
     });
     this.notify('token', result.token);
-    this.saveToken(result.token);
+    this.saveToken(result.token, result.refreshToken);
     return this.state.token;
   }
 
+  async verifyEmail(token) {
+    const result = await this.request(`auth/verify`, { token });
+    if (this.state.user && result.verified === this.state.username) {
+      this.setState({
+        user: { ...this.state.user, emailVerified: true }
+      });
+    }
+    return result.verified;
+  }
+
+  async resendVerification() {
+    if (!this.state.token)
+      throw new Error("Can't resend verification due to no token in state.");
+
+    const result = await this.request(`auth/verify/resend`, {}, "post");
+    return result.sent;
+  }
+
+  async requestPasswordReset({ email }) {
+    const result = await this.request(`auth/password-reset/request`, {
+      email
+    }, "post");
+    return result.message;
+  }
+
+  async resetPassword({ token, password }) {
+    const result = await this.request(`auth/password-reset/confirm`, {
+      token,
+      password
+    }, "post");
+    if (!result || !result.reset)
+      throw new Error("Password Reset Failed");
+    return result.reset;
+  }
+
   async update({ firstName, lastName, email, password }) {
     if (!this.state.token)
       throw new Error("No token to update user.");
@@ -260,18 +519,207 @@ class JoblyApi {
       throw new Error("Login Failed");
     }
 
+    // Changing the email address means it has to be verified again
+    const previous = this.state.user || {};
     this.setState({
       user: {
         firstName,
         lastName,
-        email
+        email,
+        emailVerified: previous.emailVerified &&
+          previous.email?.toLowerCase() === email?.toLowerCase()
       },
     });
     this.notify('user', this.state.user);
     return this.state.user;
   }
 
-  logout() {
+  // Admin routes
+  checkAdmin(action) {
+    if (!this.state.token)
+      throw new Error(`Can't ${action} due to no token in state.`);
+
+    if (!this.state.isAdmin)
+      throw new Error(`Can't ${action} since the current user is not an admin.`);
+  }
+
+  async createCompany({ handle, name, description, numEmployees, logoUrl }) {
+    this.checkAdmin("create company");
+    const result = await this.request(`companies`, {
+      handle,
+      name,
+      description,
+      numEmployees,
+      logoUrl
+    }, "post");
+    return result.company;
+  }
+
+  async updateCompany(handle, { name, description, numEmployees, logoUrl }) {
+    this.checkAdmin("update company");
+    const result = await this.request(`companies/${handle}`, {
+      name,
+      description,
+      numEmployees,
+      logoUrl
+    }, "patch");
+    return result.company;
+  }
+
+  async deleteCompany(handle) {
+    this.checkAdmin("delete company");
+    const result = await this.request(`companies/${handle}`, {}, "delete");
+    return result.deleted;
+  }
+
+  async restoreCompany(handle) {
+    this.checkAdmin("restore company");
+    const result = await this.request(`companies/${handle}/restore`, {}, "post");
+    return result.company;
+  }
+
+  async createJob({ title, salary, equity, companyHandle, status, expiresAt }) {
+    this.checkAdmin("create job");
+    const result = await this.request(`jobs`, {
+      title,
+      salary,
+      equity,
+      companyHandle,
+      status,
+      expiresAt
+    }, "post");
+    return result.job;
+  }
+
+  // expiresAt may be null to stop the job expiring
+  async updateJob(id, { title, salary, equity, expiresAt }) {
+    this.checkAdmin("update job");
+    const result = await this.request(`jobs/${id}`, {
+      title,
+      salary,
+      equity,
+      expiresAt
+    }, "patch");
+    return result.job;
+  }
+
+  async deleteJob(id) {
+    this.checkAdmin("delete job");
+    const result = await this.request(`jobs/${id}`, {}, "delete");
+    return result.deleted;
+  }
+
+  async restoreJob(id) {
+    this.checkAdmin("restore job");
+    const result = await this.request(`jobs/${id}/restore`, {}, "post");
+    return result.job;
+  }
+
+  // change is "publish", "close" or "reopen"; a job being opened may be
+  // given a new expiresAt
+  async changeJobStatus(id, change, { expiresAt } = {}) {
+    this.checkAdmin(`${change} job`);
+    const result = await this.request(`jobs/${id}/${change}`, { expiresAt }, "post");
+    return result.job;
+  }
+
+  async getCompanyMembers(handle) {
+    this.checkAdmin("list company members");
+    const result = await this.request(`companies/${handle}/members`);
+    return result.members || [];
+  }
+
+  async addCompanyMember(handle, username) {
+    this.checkAdmin("add company member");
+    const result = await this.request(`companies/${handle}/members`, { username }, "post");
+    return result.member;
+  }
+
+  async removeCompanyMember(handle, username) {
+    this.checkAdmin("remove company member");
+    const result = await this.request(`companies/${handle}/members/${username}`, {}, "delete");
+    return result.deleted;
+  }
+
+  async getUsers({ includeDeleted } = {}) {
+    this.checkAdmin("list users");
+    const result = await this.request(`users`, {
+      includeDeleted: includeDeleted || undefined
+    });
+    return result.users || [];
+  }
+
+  async createUser({ username, password, firstName, lastName, email, isAdmin }) {
+    this.checkAdmin("create user");
+    const result = await this.request(`users`, {
+      username,
+      password,
+      firstName,
+      lastName,
+      email,
+      isAdmin
+    }, "post");
+    return result.user;
+  }
+
+  async updateUser(username, { firstName, lastName, email, password }) {
+    this.checkAdmin("update user");
+    const result = await this.request(`users/${username}`, {
+      firstName,
+      lastName,
+      email,
+      password
+    }, "patch");
+    return result.user;
+  }
+
+  async deleteUser(username) {
+    this.checkAdmin("delete user");
+    const result = await this.request(`users/${username}`, {}, "delete");
+    return result.deleted;
+  }
+
+  async restoreUser(username) {
+    this.checkAdmin("restore user");
+    const result = await this.request(`users/${username}/restore`, {}, "post");
+    return result.user;
+  }
+
+  async getAuditLog({ actor, entity, action, from, to, page } = {}) {
+    this.checkAdmin("view audit log");
+    const result = await this.request(`admin/audit`, {
+      actor,
+      entity,
+      action,
+      from,
+      to,
+      page
+    });
+    return {
+      entries: result.entries || [],
+      pagination: result.pagination || null
+    };
+  }
+
+  // entity is "companies" or "jobs"; csv is the file's text
+  async importCsv(entity, csv, { dryRun = false } = {}) {
+    this.checkAdmin(`import ${entity}`);
+    const query = dryRun ? "?dryRun=true" : "";
+    const result = await this.request(
+      `admin/import/${entity}${query}`, csv, "post", true, "text/csv");
+    return result.report;
+  }
+
+  async logout(revoke = true) {
+    if (revoke && this.state.token) {
+      try {
+        await this.request(`auth/logout`, {
+          refreshToken: localStorage.getItem('joblyRefreshToken') || undefined
+        }, "post", false);
+      } catch (err) {
+        console.error("Error revoking tokens:", err);
+      }
+    }
     this.removeToken();
     this.setState({
       user: null
@@ -282,6 +730,8 @@ class JoblyApi {
     this.notify('user', null);
     this.notify('isAdmin', null);
     this.notify('jobs', null);
+    this.notify('applications', null);
+    this.notify('savedJobs', null);
   }
 
   // Individual API routes
@@ -294,18 +744,37 @@ class JoblyApi {
   static getCompany = async (handle) =>
     await this.getInstance().request(`companies/${handle}`);
 
-  static getCompanies = async (nameLike = "") =>
+  // includeDeleted is admin-only, so it is left off unless asked for. The
+  // other filters are those GET /companies accepts, such as minEmployees
+  static getCompanies = async (nameLike = "",
+    { page, limit, sortBy, direction, includeDeleted, ...filters } = {}) =>
     nameLike.length === 0 ?
-      await this.getInstance().request(`companies`) :
-      await this.getInstance().request(`companies`, { nameLike });
-
-  static getJobs = async (nameLike = "") =>
+      await this.getInstance().request(`companies`,
+        { ...filters, page, limit, sortBy, direction, includeDeleted: includeDeleted || undefined }) :
+      await this.getInstance().request(`companies`,
+        { ...filters, nameLike, page, limit, sortBy, direction, includeDeleted: includeDeleted || undefined });
+
+  // includeDeleted and includeClosed are admin-only, so they are left off unless
+  // asked for. The other filters are those GET /jobs accepts, such as minSalary
+  // or companyHandle
+  static getJobs = async (nameLike = "",
+    { page, limit, sortBy, direction, includeDeleted, includeClosed, ...filters } = {}) =>
     nameLike.length === 0 ?
-      await this.getInstance().request(`jobs`) :
-      await this.getInstance().request(`jobs`, { titleLike: nameLike });
-
-  static getJob = async (id) =>
-    await this.getInstance().request(`jobs`, { title: id });
+      await this.getInstance().request(`jobs`,
+        { ...filters, page, limit, sortBy, direction, includeDeleted: includeDeleted || undefined,
+          includeClosed: includeClosed || undefined }) :
+      await this.getInstance().request(`jobs`,
+        { ...filters, titleLike: nameLike, page, limit, sortBy, direction, includeDeleted: includeDeleted || undefined,
+          includeClosed: includeClosed || undefined });
+
+  // Only open jobs are found unless an admin asks for includeClosed
+  static getJob = async (id, { includeClosed } = {}) =>
+    await this.getInstance().request(`jobs/${id}`,
+      { includeClosed: includeClosed || undefined });
+
+  // Companies and jobs matching the words in q, best matches first
+  static search = async (q, { limit } = {}) =>
+    await this.getInstance().request(`search`, { q, limit });
 
 }
 
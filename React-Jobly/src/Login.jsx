@@ -3,6 +3,7 @@ import { useFormik } from "formik";
 import { Container, Row, Col, Card, CardBody, CardHeader, Button, Form, FormGroup, Label, Input } from "reactstrap";
 import { Link, useNavigate } from "react-router-dom";
 import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import { formErrors } from './formErrors';
 import PropTypes from "prop-types";
 
 function Login({ redirectPage }) {
@@ -28,7 +29,7 @@ function Login({ redirectPage }) {
         errors.password = 'Must be 3 characters or more';
       return errors;
     },
-    onSubmit: async (values) => {
+    onSubmit: async (values, { setErrors }) => {
       try {
         const newToken = await joblyApi.login(values);
         if (!newToken)
@@ -39,6 +40,7 @@ function Login({ redirectPage }) {
       } catch (e) {
         console.debug("There was an error logging in using the JoblyApi");
         console.error(e);
+        setErrors(formErrors(e, Object.keys(values)).errors);
       }
     },
   });
@@ -100,6 +102,9 @@ function Login({ redirectPage }) {
                   <Button type="submit" color="primary">Login</Button>
                   <Link to="/signup" className="btn btn-secondary">Not registered?</Link>
                 </div>
+                <div className="text-center mt-3">
+                  <Link to="/forgot-password">Forgot your password?</Link>
+                </div>
               </Form>
             </CardBody>
           </Card>
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { Row, Col, Card, CardBody, CardHeader, Button, FormGroup, Input, Label } from "reactstrap";
+import JoblyApi from './JoblyApi';
+import { useJoblyApi } from './JoblyApiContext';
+import AdminForm from './AdminForm';
+import CompanyMembers from './CompanyMembers';
+import Paginator from './Paginator';
+import { validateCompany, withoutBlanks } from './adminValidation';
+
+const EMPTY_COMPANY = {
+  handle: '',
+  name: '',
+  description: '',
+  numEmployees: '',
+  logoUrl: ''
+};
+
+const COMPANY_FIELDS = [
+  { name: 'handle', label: 'Handle' },
+  { name: 'name', label: 'Name' },
+  { name: 'description', label: 'Description' },
+  { name: 'numEmployees', label: 'Employees', type: 'number' },
+  { name: 'logoUrl', label: 'Logo URL', type: 'url' }
+];
+
+function ManageCompanies() {
+  const joblyApi = useJoblyApi();
+  const [companies, setCompanies] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [editing, setEditing] = useState(null);
+  const [viewingMembers, setViewingMembers] = useState(null);
+  const [showDeleted, setShowDeleted] = useState(false);
+
+  const fetchCompanies = useCallback(async () => {
+    try {
+      const response = await JoblyApi.getCompanies("", {
+        page: currentPage,
+        includeDeleted: showDeleted
+      });
+      setCompanies(response.companies || []);
+      setPagination(response.pagination || null);
+    } catch (error) {
+      console.error("Error fetching companies: ", error);
+    }
+  }, [currentPage, showDeleted]);
+
+  useEffect(() => {
+    fetchCompanies();
+  }, [fetchCompanies]);
+
+  const handleSubmit = async (values) => {
+    const { handle, ...data } = withoutBlanks(values);
+    if (editing)
+      await joblyApi.updateCompany(editing.handle, {
+        ...data,
+        numEmployees: data.numEmployees === undefined ? null : +data.numEmployees
+      });
+    else
+      await joblyApi.createCompany({
+        handle,
+        ...data,
+        numEmployees: data.numEmployees === undefined ? undefined : +data.numEmployees
+      });
+    setEditing(null);
+    fetchCompanies();
+  };
+
+  const handleDelete = async (company) => {
+    if (!window.confirm(`Delete ${company.name}? Its jobs will be hidden too.`))
+      return;
+    try {
+      await joblyApi.deleteCompany(company.handle);
+      fetchCompanies();
+    } catch (error) {
+      console.error("Error deleting company: ", error);
+    }
+  };
+
+  const handleRestore = async (company) => {
+    try {
+      await joblyApi.restoreCompany(company.handle);
+      fetchCompanies();
+    } catch (error) {
+      console.error("Error restoring company: ", error);
+    }
+  };
+
+  return (
+    <>
+      <AdminForm
+        title={editing ? `Edit ${editing.name}` : "New Company"}
+        fields={COMPANY_FIELDS.map(field =>
+          field.name === 'handle' ? { ...field, disabled: !!editing } : field)}
+        initialValues={editing ? {
+          ...EMPTY_COMPANY,
+          ...withoutBlanks(editing)
+        } : EMPTY_COMPANY}
+        validate={values => validateCompany(values, !editing)}
+        onSubmit={handleSubmit}
+        onCancel={editing ? () => setEditing(null) : undefined}
+      />
+      {viewingMembers &&
+        <CompanyMembers
+          key={viewingMembers.handle}
+          company={viewingMembers}
+          onClose={() => setViewingMembers(null)}
+        />}
+      <Card className="my-4">
+        <CardHeader className="bg-primary text-white text-center">
+          <h3>Companies</h3>
+        </CardHeader>
+        <CardBody>
+          <FormGroup switch className="mb-3">
+            <Input
+              type="switch"
+              id="showDeletedCompanies"
+              checked={showDeleted}
+              onChange={e => {
+                setShowDeleted(e.target.checked);
+                setCurrentPage(1);
+              }}
+            />
+            <Label for="showDeletedCompanies" check>Show deleted</Label>
+          </FormGroup>
+          <Row className="text-bold border-bottom mb-2">
+            <Col xs="2">Handle</Col>
+            <Col xs="3">Name</Col>
+            <Col xs="2">Employees</Col>
+            <Col xs="5"></Col>
+          </Row>
+          {companies.map(company => (
+            <Row
+              key={company.handle}
+              className={`align-items-center border-bottom py-2${company.deletedAt ? " text-muted" : ""}`}>
+              <Col xs="2">{company.handle}</Col>
+              <Col xs="3">
+                <Link to={`/companies/${company.handle}`}>{company.name}</Link>
+              </Col>
+              <Col xs="2">{company.numEmployees ?? "Unknown"}</Col>
+              <Col xs="5" className="text-end">
+                {company.deletedAt ? <Button
+                  color="success"
+                  size="sm"
+                  onClick={() => handleRestore(company)}>Restore
+                </Button> : <>
+                  <Button
+                    color="secondary"
+                    size="sm"
+                    className="me-2"
+                    onClick={() => setEditing(company)}>Edit
+                  </Button>
+                  <Button
+                    color="secondary"
+                    size="sm"
+                    className="me-2"
+                    onClick={() => setViewingMembers(company)}>Recruiters
+                  </Button>
+                  <Button
+                    color="danger"
+                    size="sm"
+                    onClick={() => handleDelete(company)}>Delete
+                  </Button>
+                </>}
+              </Col>
+            </Row>
+          ))}
+          <Paginator pagination={pagination} onPageChange={setCurrentPage} />
+        </CardBody>
+      </Card>
+    </>
+  );
+}
+
+export default ManageCompanies;
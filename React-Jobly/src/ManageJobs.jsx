@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { Row, Col, Card, CardBody, CardHeader, Button, FormGroup, Input, Label } from "reactstrap";
+import JoblyApi from './JoblyApi';
+import { useJoblyApi } from './JoblyApiContext';
+import AdminForm from './AdminForm';
+import Paginator from './Paginator';
+import { validateJob, withoutBlanks } from './adminValidation';
+
+const EMPTY_JOB = {
+  title: '',
+  companyHandle: '',
+  salary: '',
+  equity: '',
+  expiresAt: '',
+  draft: false
+};
+
+const JOB_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'companyHandle', label: 'Company Handle' },
+  { name: 'salary', label: 'Salary', type: 'number' },
+  { name: 'equity', label: 'Equity' },
+  { name: 'expiresAt', label: 'Expires', type: 'datetime-local' },
+  { name: 'draft', label: 'Save as a draft, unlisted until published', type: 'checkbox' }
+];
+
+// The lifecycle change an admin can make from each status
+const STATUS_CHANGES = {
+  draft: { change: 'publish', label: 'Publish', color: 'success' },
+  open: { change: 'close', label: 'Close', color: 'warning' },
+  closed: { change: 'reopen', label: 'Reopen', color: 'success' }
+};
+
+const isExpired = job =>
+  job.status === 'open' && !!job.expiresAt && new Date(job.expiresAt) <= new Date();
+
+const statusText = job =>
+  isExpired(job) ? 'Expired' : job.status[0].toUpperCase() + job.status.slice(1);
+
+// A datetime-local input shows local time without a zone, so the API's
+// timestamps are converted both ways
+const toLocalInput = iso => {
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromLocalInput = value =>
+  value ? new Date(value).toISOString() : undefined;
+
+function ManageJobs() {
+  const joblyApi = useJoblyApi();
+  const [jobs, setJobs] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [editing, setEditing] = useState(null);
+  const [showDeleted, setShowDeleted] = useState(false);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await JoblyApi.getJobs("", {
+        page: currentPage,
+        includeDeleted: showDeleted,
+        includeClosed: true
+      });
+      setJobs(response.jobs || []);
+      setPagination(response.pagination || null);
+    } catch (error) {
+      console.error("Error fetching jobs: ", error);
+    }
+  }, [currentPage, showDeleted]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const handleSubmit = async (values) => {
+    const { companyHandle, salary, expiresAt, draft, ...data } = withoutBlanks(values);
+    if (salary !== undefined)
+      data.salary = +salary;
+    // Clearing the expiry of a job being edited stops it expiring
+    if (editing)
+      await joblyApi.updateJob(editing.id, { ...data, expiresAt: fromLocalInput(expiresAt) ?? null });
+    else
+      await joblyApi.createJob({
+        ...data,
+        companyHandle: companyHandle.toLowerCase(),
+        status: draft ? 'draft' : undefined,
+        expiresAt: fromLocalInput(expiresAt)
+      });
+    setEditing(null);
+    fetchJobs();
+  };
+
+  const handleDelete = async (job) => {
+    if (!window.confirm(`Delete ${job.title} at ${job.companyHandle}?`))
+      return;
+    try {
+      await joblyApi.deleteJob(job.id);
+      fetchJobs();
+    } catch (error) {
+      console.error("Error deleting job: ", error);
+    }
+  };
+
+  const handleStatusChange = async (job, change) => {
+    try {
+      await joblyApi.changeJobStatus(job.id, change);
+      fetchJobs();
+    } catch (error) {
+      console.error(`Error changing job status (${change}): `, error);
+    }
+  };
+
+  const handleRestore = async (job) => {
+    try {
+      await joblyApi.restoreJob(job.id);
+      fetchJobs();
+    } catch (error) {
+      console.error("Error restoring job: ", error);
+    }
+  };
+
+  return (
+    <>
+      <AdminForm
+        title={editing ? `Edit ${editing.title}` : "New Job"}
+        fields={JOB_FIELDS
+          .filter(field => !(editing && field.name === 'draft'))
+          .map(field =>
+            field.name === 'companyHandle' ? { ...field, disabled: !!editing } : field)}
+        initialValues={editing ? {
+          ...EMPTY_JOB,
+          ...withoutBlanks(editing),
+          expiresAt: editing.expiresAt ? toLocalInput(editing.expiresAt) : ''
+        } : EMPTY_JOB}
+        validate={values => validateJob(values, !editing)}
+        onSubmit={handleSubmit}
+        onCancel={editing ? () => setEditing(null) : undefined}
+      />
+      <Card className="my-4">
+        <CardHeader className="bg-primary text-white text-center">
+          <h3>Jobs</h3>
+        </CardHeader>
+        <CardBody>
+          <FormGroup switch className="mb-3">
+            <Input
+              type="switch"
+              id="showDeletedJobs"
+              checked={showDeleted}
+              onChange={e => {
+                setShowDeleted(e.target.checked);
+                setCurrentPage(1);
+              }}
+            />
+            <Label for="showDeletedJobs" check>Show deleted</Label>
+          </FormGroup>
+          <Row className="text-bold border-bottom mb-2">
+            <Col xs="3">Title</Col>
+            <Col xs="2">Company</Col>
+            <Col xs="1">Salary</Col>
+            <Col xs="1">Equity</Col>
+            <Col xs="2">Status</Col>
+            <Col xs="3"></Col>
+          </Row>
+          {jobs.map(job => (
+            <Row
+              key={job.id}
+              className={`align-items-center border-bottom py-2${job.deletedAt ? " text-muted" : ""}`}>
+              <Col xs="3">
+                <Link to={`/jobs/${job.id}`}>{job.title}</Link>
+              </Col>
+              <Col xs="2">{job.companyHandle}</Col>
+              <Col xs="1">{job.salary || "None"}</Col>
+              <Col xs="1">{job.equity || "None"}</Col>
+              <Col xs="2">
+                {statusText(job)}
+                {job.expiresAt &&
+                  <div className="small text-muted">
+                    {`${isExpired(job) ? "Expired" : "Expires"} ${new Date(job.expiresAt).toLocaleDateString()}`}
+                  </div>}
+              </Col>
+              <Col xs="3" className="text-end">
+                {job.deletedAt ? <Button
+                  color="success"
+                  size="sm"
+                  onClick={() => handleRestore(job)}>Restore
+                </Button> : <>
+                  <Button
+                    color={STATUS_CHANGES[job.status].color}
+                    size="sm"
+                    className="me-2"
+                    onClick={() => handleStatusChange(job, STATUS_CHANGES[job.status].change)}>
+                    {STATUS_CHANGES[job.status].label}
+                  </Button>
+                  <Button
+                    color="secondary"
+                    size="sm"
+                    className="me-2"
+                    onClick={() => setEditing(job)}>Edit
+                  </Button>
+                  <Button
+                    color="danger"
+                    size="sm"
+                    onClick={() => handleDelete(job)}>Delete
+                  </Button>
+                </>}
+              </Col>
+            </Row>
+          ))}
+          <Paginator pagination={pagination} onPageChange={setCurrentPage} />
+        </CardBody>
+      </Card>
+    </>
+  );
+}
+
+export default ManageJobs;
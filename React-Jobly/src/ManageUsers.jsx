@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Row, Col, Card, CardBody, CardHeader, Button, FormGroup, Input, Label } from "reactstrap";
+import { useJoblyApi, useJoblyApiState } from './JoblyApiContext';
+import AdminForm from './AdminForm';
+import { validateUser, withoutBlanks } from './adminValidation';
+
+const EMPTY_USER = {
+  username: '',
+  firstName: '',
+  lastName: '',
+  email: '',
+  password: '',
+  isAdmin: false
+};
+
+const USER_FIELDS = [
+  { name: 'username', label: 'Username' },
+  { name: 'firstName', label: 'First Name' },
+  { name: 'lastName', label: 'Last Name' },
+  { name: 'email', label: 'Email', type: 'email' },
+  { name: 'password', label: 'Password', type: 'password' },
+  { name: 'isAdmin', label: 'Administrator', type: 'checkbox' }
+];
+
+function ManageUsers() {
+  const joblyApi = useJoblyApi();
+  const currentUsername = useJoblyApiState('username');
+  const [users, setUsers] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [showDeleted, setShowDeleted] = useState(false);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setUsers(await joblyApi.getUsers({ includeDeleted: showDeleted }));
+    } catch (error) {
+      console.error("Error fetching users: ", error);
+    }
+  }, [joblyApi, showDeleted]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleSubmit = async (values) => {
+    const { username, isAdmin, ...data } = withoutBlanks(values);
+    if (editing)
+      await joblyApi.updateUser(editing.username, data);
+    else
+      await joblyApi.createUser({ username, ...data, isAdmin: !!isAdmin });
+    setEditing(null);
+    fetchUsers();
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete user ${user.username}? They will no longer be able to log in.`))
+      return;
+    try {
+      await joblyApi.deleteUser(user.username);
+      fetchUsers();
+    } catch (error) {
+      console.error("Error deleting user: ", error);
+    }
+  };
+
+  const handleRestore = async (user) => {
+    try {
+      await joblyApi.restoreUser(user.username);
+      fetchUsers();
+    } catch (error) {
+      console.error("Error restoring user: ", error);
+    }
+  };
+
+  return (
+    <>
+      <AdminForm
+        title={editing ? `Edit ${editing.username}` : "New User"}
+        fields={editing ?
+          USER_FIELDS
+            .filter(field => field.name !== 'isAdmin')
+            .map(field => field.name === 'username' ? { ...field, disabled: true } : field) :
+          USER_FIELDS}
+        initialValues={editing ? {
+          ...EMPTY_USER,
+          ...withoutBlanks(editing),
+          password: ''
+        } : EMPTY_USER}
+        validate={values => validateUser(values, !editing)}
+        onSubmit={handleSubmit}
+        onCancel={editing ? () => setEditing(null) : undefined}
+      />
+      <Card className="my-4">
+        <CardHeader className="bg-primary text-white text-center">
+          <h3>Users</h3>
+        </CardHeader>
+        <CardBody>
+          <FormGroup switch className="mb-3">
+            <Input
+              type="switch"
+              id="showDeletedUsers"
+              checked={showDeleted}
+              onChange={e => setShowDeleted(e.target.checked)}
+            />
+            <Label for="showDeletedUsers" check>Show deleted</Label>
+          </FormGroup>
+          <Row className="text-bold border-bottom mb-2">
+            <Col xs="2">Username</Col>
+            <Col xs="3">Name</Col>
+            <Col xs="3">Email</Col>
+            <Col xs="1">Admin</Col>
+            <Col xs="3"></Col>
+          </Row>
+          {users.map(user => (
+            <Row
+              key={user.username}
+              className={`align-items-center border-bottom py-2${user.deletedAt ? " text-muted" : ""}`}>
+              <Col xs="2">{user.username}</Col>
+              <Col xs="3">{user.firstName} {user.lastName}</Col>
+              <Col xs="3">{user.email}</Col>
+              <Col xs="1">{user.isAdmin ? "Yes" : "No"}</Col>
+              <Col xs="3" className="text-end">
+                {user.deletedAt ? <Button
+                  color="success"
+                  size="sm"
+                  onClick={() => handleRestore(user)}>Restore
+                </Button> : <>
+                  <Button
+                    color="secondary"
+                    size="sm"
+                    className="me-2"
+                    onClick={() => setEditing(user)}>Edit
+                  </Button>
+                  <Button
+                    color="danger"
+                    size="sm"
+                    disabled={user.username === currentUsername}
+                    onClick={() => handleDelete(user)}>Delete
+                  </Button>
+                </>}
+              </Col>
+            </Row>
+          ))}
+        </CardBody>
+      </Card>
+    </>
+  );
+}
+
+export default ManageUsers;
@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from "react";
 import { NavLink, useNavigate } from "react-router-dom";
-import { Navbar, Nav, NavItem } from "reactstrap";
+import { Navbar, Nav, NavItem, Form, Input } from "reactstrap";
 import "./NavBar.css";
 import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
 
@@ -8,8 +8,10 @@ function NavBar() {
   const joblyApi = useJoblyApi();
   const username = useJoblyApiState('username');
   const token = useJoblyApiState('token');
+  const isAdmin = useJoblyApiState('isAdmin');
   const [localToken, setLocalToken] = useState(token);
   const [localUsername, setLocalUsername] = useState(username);
+  const [search, setSearch] = useState("");
   const navigate = useNavigate();
 
   // First useEffect to handle initial load and token verification
@@ -54,6 +56,13 @@ function NavBar() {
     };
   }, [joblyApi]);
 
+  const handleSearch = e => {
+    e.preventDefault();
+    if (!search.trim())
+      return;
+    navigate({ pathname: "/search", search: `?${new URLSearchParams({ q: search.trim() })}` });
+  };
+
   return (
     <div>
       <Navbar expand="md">
@@ -61,6 +70,17 @@ function NavBar() {
           Jobly
         </NavLink>
 
+        <Form className="navbar-search" onSubmit={handleSearch} role="search">
+          <Input
+            type="search"
+            bsSize="sm"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            placeholder="Search companies and jobs"
+            aria-label="Search companies and jobs"
+          />
+        </Form>
+
         <Nav className="ml-auto" navbar>
           <NavItem>
             <NavLink to="/companies">Companies</NavLink>
@@ -79,6 +99,16 @@ function NavBar() {
             </>
           ) : (
             <>
+              <NavItem>
+                <NavLink to="/applications">Applications</NavLink>
+              </NavItem>
+              <NavItem>
+                <NavLink to="/saved-jobs">Saved Jobs</NavLink>
+              </NavItem>
+              {isAdmin &&
+                <NavItem>
+                  <NavLink to="/admin">Admin</NavLink>
+                </NavItem>}
               <NavItem>
                 <NavLink to="/profile">
                   {username || localUsername || 'Loading...'}
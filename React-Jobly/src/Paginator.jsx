@@ -0,0 +1,46 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Row, Col, Button } from "reactstrap";
+
+function Paginator({ pagination, onPageChange }) {
+  if (!pagination || pagination.totalPages <= 1)
+    return null;
+
+  const { page, totalPages, total, next, prev } = pagination;
+
+  return (
+    <Row className="align-items-center mt-3">
+      <Col xs="4" className="text-start">
+        <Button
+          color="secondary"
+          disabled={!prev}
+          onClick={() => onPageChange(page - 1)}>Previous
+        </Button>
+      </Col>
+      <Col xs="4" className="text-center">
+        Page {page} of {totalPages} ({total} results)
+      </Col>
+      <Col xs="4" className="text-end">
+        <Button
+          color="secondary"
+          disabled={!next}
+          onClick={() => onPageChange(page + 1)}>Next
+        </Button>
+      </Col>
+    </Row>
+  );
+}
+
+Paginator.propTypes = {
+  pagination: PropTypes.shape({
+    page: PropTypes.number.isRequired,
+    limit: PropTypes.number,
+    total: PropTypes.number.isRequired,
+    totalPages: PropTypes.number.isRequired,
+    next: PropTypes.string,
+    prev: PropTypes.string,
+  }),
+  onPageChange: PropTypes.func.isRequired,
+};
+
+export default Paginator;
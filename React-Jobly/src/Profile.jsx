@@ -2,8 +2,9 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useFormik } from "formik";
 import PropTypes from "prop-types";
-import { Container, Row, Col, Card, CardBody, CardHeader, Button, Form, FormGroup, Label, Input } from "reactstrap";
+import { Container, Row, Col, Card, CardBody, CardHeader, Button, Form, FormGroup, Label, Input, Alert } from "reactstrap";
 import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import { formErrors } from './formErrors';
 
 function Profile({ redirectPage }) {
   const joblyApi = useJoblyApi();
@@ -17,6 +18,7 @@ function Profile({ redirectPage }) {
   const [localUsername, setLocalUsername] = useState(username);
 
   const [isSubmitted, setIsSubmitted] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
 
   const [isLoading, setIsLoading] = useState(!joblyApi.isUserDataReady());
 
@@ -73,7 +75,7 @@ function Profile({ redirectPage }) {
 
       return errors;
     },
-    onSubmit: async (values) => {
+    onSubmit: async (values, { setErrors }) => {
       setIsSubmitted(false);
       try {
         const newUser = await joblyApi.update(values);
@@ -83,10 +85,20 @@ function Profile({ redirectPage }) {
         setTimeout(() => setIsSubmitted(false), 3000);
       } catch (e) {
         console.error(e);
+        setErrors(formErrors(e, Object.keys(values)).errors);
       }
     },
   });
 
+  const handleResendVerification = async () => {
+    try {
+      await joblyApi.resendVerification();
+      setVerificationSent(true);
+    } catch (e) {
+      console.error("Error resending verification email:", e);
+    }
+  };
+
   useEffect(() => {
     const observer = (newToken) => setLocalToken(newToken);
     const observer2 = (newUser) => setLocalUser(newUser);
@@ -181,6 +193,20 @@ function Profile({ redirectPage }) {
               <h2>Edit: {localUsername ? localUsername : 'Profile'}</h2>
             </CardHeader>
             <CardBody className="text-center">
+              {localUser && (localUser.emailVerified ?
+                <Alert color="success">Your email address is verified.</Alert>
+                : <Alert color="warning">
+                  Your email address is not verified. You need to verify it before applying to jobs.
+                  <div className="mt-2">
+                    <Button
+                      color="secondary"
+                      size="sm"
+                      disabled={verificationSent}
+                      onClick={handleResendVerification}>
+                      {verificationSent ? "Verification email sent" : "Resend verification email"}
+                    </Button>
+                  </div>
+                </Alert>)}
               <Form onSubmit={formik.handleSubmit}>
                 <FormGroup>
                   <Label for="firstName">First Name</Label>
@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { useFormik } from "formik";
+import { Container, Row, Col, Card, CardBody, CardHeader, Button, Form, FormGroup, Label, Input, Alert } from "reactstrap";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import PropTypes from "prop-types";
+import { useJoblyApi } from './JoblyApiContext';
+import { formErrors } from './formErrors';
+
+function ResetPassword({ redirectPage }) {
+  const joblyApi = useJoblyApi();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const navigate = useNavigate();
+
+  const formik = useFormik({
+    initialValues: {
+      password: '',
+      confirmPassword: ''
+    },
+    validate: values => {
+      const errors = {};
+      if (!values.password)
+        errors.password = 'Required';
+      else if (values.password.length < 5 || values.password.length > 20)
+        errors.password = 'Must be between 5 and 20 characters';
+      if (values.password !== values.confirmPassword)
+        errors.confirmPassword = 'Passwords must match';
+      return errors;
+    },
+    onSubmit: async (values, { setErrors: setFieldErrors }) => {
+      setErrors([]);
+      try {
+        await joblyApi.resetPassword({ token, password: values.password });
+        setIsSubmitted(true);
+        setTimeout(() => {
+          navigate(redirectPage, { replace: true });
+        }, 2000);
+      } catch (e) {
+        console.error("Error resetting password:", e);
+        const { errors: fieldErrors, messages } = formErrors(e, ['password']);
+        setFieldErrors(fieldErrors);
+        setErrors(messages);
+      }
+    },
+  });
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md="8">
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>Reset Password</h2>
+            </CardHeader>
+            <CardBody>
+              {!token ?
+                <p>
+                  This reset link is missing its token.{' '}
+                  <Link to="/forgot-password">Request a new one.</Link>
+                </p>
+                : <>
+                  {isSubmitted &&
+                    <Alert color="success">Your password has been reset. Please log in.</Alert>}
+                  {errors.map((err, idx) => (
+                    <Alert key={idx} color="danger">{`${err}`}</Alert>
+                  ))}
+                  <Form onSubmit={formik.handleSubmit}>
+                    <FormGroup>
+                      <Label for="password">New Password</Label>
+                      <Input
+                        id="password"
+                        name="password"
+                        type="password"
+                        onChange={formik.handleChange}
+                        value={formik.values.password}
+                        autoComplete="new-password"
+                      />
+                      {formik.errors.password && <div>{formik.errors.password}</div>}
+                    </FormGroup>
+                    <FormGroup>
+                      <Label for="confirmPassword">Confirm Password</Label>
+                      <Input
+                        id="confirmPassword"
+                        name="confirmPassword"
+                        type="password"
+                        onChange={formik.handleChange}
+                        value={formik.values.confirmPassword}
+                        autoComplete="new-password"
+                      />
+                      {formik.errors.confirmPassword && <div>{formik.errors.confirmPassword}</div>}
+                    </FormGroup>
+                    <Button type="submit" color="primary" disabled={isSubmitted}>
+                      {isSubmitted ? "Success!" : "Reset Password"}
+                    </Button>
+                  </Form>
+                </>
+              }
+            </CardBody>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+ResetPassword.propTypes = {
+  redirectPage: PropTypes.string
+};
+
+export default ResetPassword;
@@ -0,0 +1,47 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { Button } from "reactstrap";
+import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+
+// Bookmark toggle shown next to a job's title. It follows the savedJobs
+// state, so every card for the same job updates together.
+function SaveJobButton({ jobId }) {
+  const joblyApi = useJoblyApi();
+  const savedJobs = useJoblyApiState('savedJobs');
+  const [busy, setBusy] = useState(false);
+  const isSaved = Array.isArray(savedJobs) && savedJobs.includes(jobId);
+
+  const handleClick = async () => {
+    setBusy(true);
+    try {
+      if (isSaved)
+        await joblyApi.unsaveJob({ jobId });
+      else
+        await joblyApi.saveJob({ jobId });
+    } catch (e) {
+      console.error(e);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Button
+      color="link"
+      size="sm"
+      className="p-0 ms-2 text-decoration-none"
+      title={isSaved ? "Remove from saved jobs" : "Save for later"}
+      aria-label={isSaved ? "Remove from saved jobs" : "Save for later"}
+      aria-pressed={isSaved}
+      disabled={busy}
+      onClick={handleClick}>
+      {isSaved ? "★" : "☆"}
+    </Button>
+  );
+}
+
+SaveJobButton.propTypes = {
+  jobId: PropTypes.number.isRequired
+};
+
+export default SaveJobButton;
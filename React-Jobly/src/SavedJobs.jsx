@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import PropTypes from "prop-types";
+import { Container, Row, Col, Card, CardBody, CardHeader } from "reactstrap";
+import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import SaveJobButton from './SaveJobButton';
+
+const availability = job => {
+  if (job.isOpen)
+    return "Open";
+  if (job.status === "open" && job.expiresAt)
+    return "Expired";
+  return "Closed";
+}
+
+function SavedJobs({ redirectPage }) {
+  const joblyApi = useJoblyApi();
+  const token = useJoblyApiState('token');
+  const username = useJoblyApiState('username');
+  const savedJobIds = useJoblyApiState('savedJobs');
+
+  const [savedJobs, setSavedJobs] = useState([]);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!token)
+      navigate(redirectPage, { replace: true });
+  }, [token, navigate, redirectPage]);
+
+  useEffect(() => {
+    if (!token || !username)
+      return;
+    const fetchSavedJobs = async () => {
+      try {
+        setSavedJobs(await joblyApi.getSavedJobs());
+      } catch (error) {
+        console.error("Error fetching saved jobs: ", error);
+      }
+    };
+    fetchSavedJobs();
+  }, [joblyApi, token, username]);
+
+  // Jobs unsaved from this page drop out straight away
+  const shown = savedJobs.filter(job =>
+    Array.isArray(savedJobIds) && savedJobIds.includes(job.jobId));
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md="8">
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>Saved Jobs</h2>
+            </CardHeader>
+            <CardBody>
+              <Row className="text-bold border-bottom mb-2">
+                <Col xs="4">Title</Col>
+                <Col xs="3">Company</Col>
+                <Col xs="2">Salary</Col>
+                <Col xs="1">Status</Col>
+                <Col xs="2">Saved</Col>
+              </Row>
+              {!shown.length &&
+                <p className="text-center">
+                  No saved jobs. Use ☆ next to a job to save it for later.
+                </p>}
+              {shown.map(job => (
+                <Row
+                  key={job.jobId}
+                  className="align-items-center border-bottom py-2">
+                  <Col xs="4">
+                    <h5>
+                      {/* Only open jobs have a page to link to */}
+                      {job.isOpen ?
+                        <Link to={`/jobs/${job.jobId}`}>{job.title}</Link>
+                        : job.title}
+                      <SaveJobButton jobId={job.jobId} />
+                    </h5>
+                  </Col>
+                  <Col xs="3">
+                    <Link to={`/companies/${job.company.handle}`}>
+                      {job.company.name}
+                    </Link>
+                  </Col>
+                  <Col xs="2">{job.salary || "None"}</Col>
+                  <Col xs="1">{availability(job)}</Col>
+                  <Col xs="2">
+                    {new Date(job.savedAt).toLocaleDateString()}
+                  </Col>
+                </Row>
+              ))}
+            </CardBody>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+SavedJobs.propTypes = {
+  redirectPage: PropTypes.string
+};
+
+export default SavedJobs;
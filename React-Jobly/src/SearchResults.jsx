@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Link, useSearchParams } from "react-router-dom";
+import { Container, Row, Col, Card, CardBody, CardHeader, ListGroup, ListGroupItem, Alert } from "reactstrap";
+import JoblyApi from './JoblyApi';
+
+// Shows text from a search result with the words that matched marked
+function Highlight({ segments }) {
+  return segments.map((segment, idx) =>
+    segment.match ?
+      <mark key={idx}>{segment.text}</mark> :
+      <React.Fragment key={idx}>{segment.text}</React.Fragment>);
+}
+
+Highlight.propTypes = {
+  segments: PropTypes.arrayOf(PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    match: PropTypes.bool.isRequired,
+  })).isRequired,
+};
+
+function SearchResults() {
+  const [searchParams] = useSearchParams();
+  const q = searchParams.get('q') || "";
+  const [results, setResults] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    if (!q.trim()) {
+      setResults(null);
+      return;
+    }
+
+    const fetchResults = async () => {
+      setErrors([]);
+      try {
+        setResults(await JoblyApi.search(q));
+      } catch (e) {
+        console.error("Error searching: ", e);
+        setResults(null);
+        setErrors(Array.isArray(e) ? e : [e.message]);
+      }
+    };
+    fetchResults();
+  }, [q]);
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md="8">
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>{q ? `Results for "${q}"` : "Search"}</h2>
+            </CardHeader>
+            <CardBody>
+              {errors.map((err, idx) => (
+                <Alert key={idx} color="danger">{`${err}`}</Alert>
+              ))}
+              {!q.trim() && <p>Type in the search box to find companies and jobs.</p>}
+              {results && <>
+                <h4>Companies</h4>
+                {results.companies.length ?
+                  <ListGroup className="mb-4">
+                    {results.companies.map(company => (
+                      <ListGroupItem key={company.handle}>
+                        <h5>
+                          <Link to={`/companies/${company.handle}`}>
+                            <Highlight segments={company.highlights.name} />
+                          </Link>
+                        </h5>
+                        <p className="mb-0">
+                          <Highlight segments={company.highlights.description} />
+                        </p>
+                      </ListGroupItem>
+                    ))}
+                  </ListGroup> :
+                  <p>No companies match.</p>}
+
+                <h4>Jobs</h4>
+                {results.jobs.length ?
+                  <ListGroup>
+                    {results.jobs.map(job => (
+                      <ListGroupItem key={job.id}>
+                        <h5>
+                          <Link to={`/jobs/${job.id}`}>
+                            <Highlight segments={job.highlights.title} />
+                          </Link>
+                        </h5>
+                        <p className="mb-0">
+                          <Link to={`/companies/${job.companyHandle}`}>{job.companyName}</Link>
+                          {" · "}Salary: {job.salary || "None"}
+                          {" · "}Equity: {job.equity || "None"}
+                        </p>
+                      </ListGroupItem>
+                    ))}
+                  </ListGroup> :
+                  <p>No jobs match.</p>}
+              </>}
+            </CardBody>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default SearchResults;
@@ -4,6 +4,7 @@ import { Container, Row, Col, Card, CardBody, CardHeader, Button, Form, FormGrou
 import { Link, useNavigate } from "react-router-dom";
 import PropTypes from "prop-types";
 import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+import { formErrors } from './formErrors';
 
 function Signup({ redirectPage }) {
   const joblyApi = useJoblyApi();
@@ -73,7 +74,7 @@ function Signup({ redirectPage }) {
 
       return errors;
     },
-    onSubmit: async (values) => {
+    onSubmit: async (values, { setErrors }) => {
       setIsSubmitted(false);
       try {
         const newToken = await joblyApi.register({
@@ -93,6 +94,7 @@ function Signup({ redirectPage }) {
         }, 2000);
       } catch (e) {
         console.error("Error during registration:", e);
+        setErrors(formErrors(e, Object.keys(values)).errors);
       }
     },
   });
@@ -0,0 +1,57 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Container, Row, Col, Card, CardBody, CardHeader, Alert } from "reactstrap";
+import { useJoblyApi } from './JoblyApiContext';
+
+function VerifyEmail() {
+  const joblyApi = useJoblyApi();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? "verifying" : "failed");
+  // Tokens are single-use, so don't send it twice when effects re-run
+  const attempted = useRef(null);
+
+  useEffect(() => {
+    if (!token || attempted.current === token)
+      return;
+    attempted.current = token;
+    const verify = async () => {
+      try {
+        await joblyApi.verifyEmail(token);
+        setStatus("verified");
+      } catch (e) {
+        console.error("Error verifying email:", e);
+        setStatus("failed");
+      }
+    };
+    verify();
+  }, [joblyApi, token]);
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md="8">
+          <Card className="my-4">
+            <CardHeader className="bg-primary text-white text-center">
+              <h2>Verify Email</h2>
+            </CardHeader>
+            <CardBody>
+              {status === "verifying" && <p>Verifying your email address...</p>}
+              {status === "verified" &&
+                <Alert color="success">
+                  Your email address is verified. <Link to="/jobs">Find a job to apply to.</Link>
+                </Alert>}
+              {status === "failed" &&
+                <Alert color="danger">
+                  This verification link is invalid or has expired. You can send a new one
+                  from your <Link to="/profile">profile</Link>.
+                </Alert>}
+            </CardBody>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default VerifyEmail;
@@ -0,0 +1,124 @@
+// Client-side copies of the rules in the API's companyNew.json, jobNew.json
+// and userNew.json (plus their *Update.json counterparts), so admin forms can
+// show errors before a request is sent. Keep these in step with the schemas.
+
+const HANDLE_PATTERN = /^[a-zA-Z0-9 '-]+$/;
+const JOB_COMPANY_HANDLE_PATTERN = /^[a-z0-9]+$/;
+const NAME_PATTERN = /^[a-zA-Z'-]+$/;
+const EMAIL_PATTERN = /^[a-z0-9._%+\-]+@[a-z0-9.-]+\.[a-z]{2,4}$/i;
+const INTEGER_PATTERN = /^\d+$/;
+const EQUITY_PATTERN = /^0*(?:0\.\d+|0\.?|1\.0*|0*1\.0*)$/;
+
+const isBlank = value =>
+  value === undefined || value === null || `${value}`.trim() === "";
+
+const isUrl = value => {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** Drops blank form values so optional fields are left out of the request. */
+export const withoutBlanks = values =>
+  Object.fromEntries(Object.entries(values).filter(([, value]) =>
+    !isBlank(value)));
+
+export function validateCompany(values, isNew = true) {
+  const errors = {};
+
+  if (isNew) {
+    if (isBlank(values.handle)) {
+      errors.handle = 'Required';
+    } else if (values.handle.length > 25) {
+      errors.handle = 'Must be 25 characters or fewer';
+    } else if (!HANDLE_PATTERN.test(values.handle)) {
+      errors.handle = 'Only letters, numbers, spaces, apostrophes, and hyphens allowed';
+    }
+  }
+
+  if (isBlank(values.name)) {
+    errors.name = 'Required';
+  } else if (!isNew && !HANDLE_PATTERN.test(values.name)) {
+    errors.name = 'Only letters, numbers, spaces, apostrophes, and hyphens allowed';
+  }
+
+  if (!isBlank(values.numEmployees) && !INTEGER_PATTERN.test(`${values.numEmployees}`))
+    errors.numEmployees = 'Must be a non-negative whole number';
+
+  if (!isBlank(values.logoUrl) && !isUrl(values.logoUrl))
+    errors.logoUrl = 'Must be a valid URL';
+
+  return errors;
+}
+
+export function validateJob(values, isNew = true) {
+  const errors = {};
+
+  if (isBlank(values.title))
+    errors.title = 'Required';
+
+  if (isNew) {
+    if (isBlank(values.companyHandle)) {
+      errors.companyHandle = 'Required';
+    } else if (values.companyHandle.length > 25) {
+      errors.companyHandle = 'Must be 25 characters or fewer';
+    } else if (!JOB_COMPANY_HANDLE_PATTERN.test(values.companyHandle.toLowerCase())) {
+      errors.companyHandle = 'Only letters and numbers allowed';
+    }
+  }
+
+  if (!isBlank(values.salary) && !INTEGER_PATTERN.test(`${values.salary}`))
+    errors.salary = 'Must be a non-negative whole number';
+
+  if (!isBlank(values.equity) && !EQUITY_PATTERN.test(`${values.equity}`))
+    errors.equity = 'Must be a decimal between 0 and 1';
+
+  if (!isBlank(values.expiresAt) && !(new Date(values.expiresAt) > new Date()))
+    errors.expiresAt = 'Must be in the future';
+
+  return errors;
+}
+
+export function validateUser(values, isNew = true) {
+  const errors = {};
+
+  if (isNew) {
+    if (isBlank(values.username)) {
+      errors.username = 'Required';
+    } else if (values.username.length > 30) {
+      errors.username = 'Must be between 1 and 30 characters';
+    }
+  }
+
+  for (const field of ['firstName', 'lastName']) {
+    if (isBlank(values[field])) {
+      errors[field] = 'Required';
+    } else if (values[field].length > 30) {
+      errors[field] = 'Must be between 1 and 30 characters';
+    } else if (!NAME_PATTERN.test(values[field])) {
+      errors[field] = 'Only letters, apostrophes, and hyphens allowed';
+    }
+  }
+
+  if (isBlank(values.email)) {
+    errors.email = 'Required';
+  } else if (values.email.length < 6 || values.email.length > 60) {
+    errors.email = 'Must be between 6 and 60 characters';
+  } else if (!EMAIL_PATTERN.test(values.email)) {
+    errors.email = 'Invalid email address';
+  }
+
+  // A password is required for new users; when editing, blank keeps the old one.
+  const minPassword = isNew ? 1 : 5;
+  if (isBlank(values.password)) {
+    if (isNew)
+      errors.password = 'Required';
+  } else if (values.password.length < minPassword || values.password.length > 20) {
+    errors.password = `Must be between ${minPassword} and 20 characters`;
+  }
+
+  return errors;
+}
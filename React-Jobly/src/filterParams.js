@@ -0,0 +1,21 @@
+// Reads and writes a list page's filters in the URL's query string, so a
+// search survives a reload and can be shared as a link.
+
+/**
+ * The named filters from a query string, as form values: missing filters
+ * are blank, and each of `listNames` is an array since it can be repeated.
+ */
+export const filtersFromParams = (searchParams, names, listNames = []) => ({
+  ...Object.fromEntries(names.map(name => [name, searchParams.get(name) ?? ""])),
+  ...Object.fromEntries(listNames.map(name => [name, searchParams.getAll(name)])),
+});
+
+/** A query string holding the filters that aren't blank, repeating arrays. */
+export const paramsFromFilters = filters => {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(filters))
+    for (const item of [].concat(value))
+      if (`${item}`.trim() !== "")
+        params.append(name, item);
+  return params;
+};
@@ -0,0 +1,28 @@
+// Maps an API error onto a Formik form. Requests the API rejects as invalid
+// list the problems with each field, keyed by the request's property names,
+// which the forms use as their input names.
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Splits an error thrown by JoblyApi.request into errors for the form's
+ * inputs, in the shape Formik's setErrors takes, and the remaining messages
+ * for the form to show on their own.
+ */
+export function formErrors(err, fieldNames) {
+  const errors = {};
+  const messages = [];
+
+  if (Array.isArray(err) && err.fields) {
+    for (const [field, problems] of Object.entries(err.fields)) {
+      if (fieldNames.includes(field))
+        errors[field] = problems.map(capitalize).join('; ');
+      else
+        messages.push(...problems.map(problem => `${field} ${problem}`));
+    }
+  } else {
+    messages.push(...(Array.isArray(err) ? err : [err.message || `${err}`]));
+  }
+
+  return { errors, messages };
+}
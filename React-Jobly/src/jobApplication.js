@@ -0,0 +1,65 @@
+// Applying to and withdrawing from a job, shared by every page that lists a
+// job with its Apply button. The application's status comes from the
+// signed-in user's state, so all the cards for a job update together.
+
+import { useState } from "react";
+import { useJoblyApiState, useJoblyApi } from './JoblyApiContext';
+
+// Applications in these statuses can't move on, so they can't be withdrawn
+const FINAL_STATUSES = ["hired", "rejected", "withdrawn"];
+
+export const statusLabel = status =>
+  status ? status[0].toUpperCase() + status.slice(1) : "Applied";
+
+const withdrawable = status => !FINAL_STATUSES.includes(status);
+
+/**
+ * Tracks the signed-in user's application for a job. Returns whether they
+ * have applied, the application's status, whether it can still be
+ * withdrawn, and handlers to apply and withdraw. A withdrawn application
+ * shows as not applied, since applying again re-opens it.
+ */
+export function useJobApplication(jobId) {
+  const joblyApi = useJoblyApi();
+  // Subscribed so that applying or withdrawing anywhere re-renders the caller
+  useJoblyApiState('jobs');
+  useJoblyApiState('applications');
+  const [applying, setApplying] = useState(false);
+
+  const current = !!jobId && joblyApi.jobApplied(jobId)
+    ? joblyApi.applicationStatus(jobId) || "applied"
+    : null;
+  const status = applying ? "applied" : current === "withdrawn" ? null : current;
+  const isApplied = !!status;
+
+  const apply = async () => {
+    if (isApplied)
+      return;
+    setApplying(true);
+    try {
+      await joblyApi.applyJob({ jobId });
+    } catch (e) {
+      console.error(e);
+    } finally {
+      setApplying(false);
+    }
+  }
+
+  const withdraw = async () => {
+    if (!isApplied || !withdrawable(status))
+      return;
+    try {
+      await joblyApi.withdrawJob({ jobId });
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  return {
+    isApplied,
+    status,
+    canWithdraw: isApplied && withdrawable(status),
+    apply,
+    withdraw
+  };
+}